@@ -0,0 +1,231 @@
+'use strict';
+
+/**
+ * Reads blocks of a Block1 request payload from a readable stream of
+ * an unknown length.
+ *
+ * Data is buffered until more than one block is available (so it's known
+ * whether the block is the last one) or the stream ends. The stream is
+ * paused while a full block is waiting to be sent.
+ *
+ * @constructor
+ * @param {stream.Readable} stream
+ * @param {number} blockSize
+ */
+function BlockReader(stream, blockSize)
+{
+  /**
+   * @private
+   * @type {stream.Readable}
+   */
+  this.stream = stream;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.blockSize = blockSize;
+
+  /**
+   * @private
+   * @type {Buffer}
+   */
+  this.buffer = new Buffer(0);
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.paused = false;
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.ended = false;
+
+  /**
+   * @private
+   * @type {Error|null}
+   */
+  this.error = null;
+
+  /**
+   * @private
+   * @type {function|null}
+   */
+  this.dataHandler = null;
+
+  /**
+   * @private
+   * @type {function(Buffer|string)}
+   */
+  this.onData = this.onData.bind(this);
+
+  /**
+   * @private
+   * @type {function}
+   */
+  this.onEnd = this.onEnd.bind(this);
+
+  /**
+   * @private
+   * @type {function(Error)}
+   */
+  this.onError = this.onError.bind(this);
+
+  stream.on('data', this.onData);
+  stream.on('end', this.onEnd);
+  stream.on('error', this.onError);
+}
+
+/**
+ * Stops reading the stream. If the stream didn't end yet, it's destroyed
+ * (or paused, if it can't be destroyed).
+ */
+BlockReader.prototype.destroy = function()
+{
+  if (this.stream === null)
+  {
+    return;
+  }
+
+  this.stream.removeListener('data', this.onData);
+  this.stream.removeListener('end', this.onEnd);
+  this.stream.removeListener('error', this.onError);
+
+  if (!this.ended && this.error === null)
+  {
+    if (typeof this.stream.destroy === 'function')
+    {
+      this.stream.destroy();
+    }
+    else
+    {
+      this.stream.pause();
+    }
+  }
+
+  this.stream = null;
+  this.buffer = null;
+  this.dataHandler = null;
+};
+
+/**
+ * @returns {stream.Readable|null}
+ */
+BlockReader.prototype.getStream = function()
+{
+  return this.stream;
+};
+
+/**
+ * @returns {Error|null} An error emitted by the stream or `null`.
+ */
+BlockReader.prototype.getError = function()
+{
+  return this.error;
+};
+
+/**
+ * @param {number} size
+ * @returns {boolean} Whether the next block of the specified size can be
+ * read or the stream failed.
+ */
+BlockReader.prototype.isReady = function(size)
+{
+  return this.error !== null || this.ended || this.buffer.length > size;
+};
+
+/**
+ * Calls the specified function after the next block can be read
+ * or the stream fails.
+ *
+ * @param {function} dataHandler
+ */
+BlockReader.prototype.waitForData = function(dataHandler)
+{
+  this.dataHandler = dataHandler;
+};
+
+/**
+ * @param {number} size
+ * @returns {{payload: Buffer, more: boolean}}
+ */
+BlockReader.prototype.read = function(size)
+{
+  var payload = this.buffer.slice(0, size);
+
+  this.buffer = this.buffer.slice(payload.length);
+
+  if (this.paused && this.buffer.length <= this.blockSize)
+  {
+    this.paused = false;
+    this.stream.resume();
+  }
+
+  return {
+    payload: payload,
+    more: !this.ended || this.buffer.length > 0
+  };
+};
+
+/**
+ * @private
+ * @param {Buffer|string} data
+ */
+BlockReader.prototype.onData = function(data)
+{
+  if (!Buffer.isBuffer(data))
+  {
+    data = new Buffer(data);
+  }
+
+  this.buffer = Buffer.concat([this.buffer, data]);
+
+  if (this.buffer.length > this.blockSize)
+  {
+    this.paused = true;
+    this.stream.pause();
+    this.notify();
+  }
+};
+
+/**
+ * @private
+ */
+BlockReader.prototype.onEnd = function()
+{
+  this.ended = true;
+  this.notify();
+};
+
+/**
+ * @private
+ * @param {Error} err
+ */
+BlockReader.prototype.onError = function(err)
+{
+  if (this.error === null)
+  {
+    this.error = err;
+    this.notify();
+  }
+};
+
+/**
+ * @private
+ */
+BlockReader.prototype.notify = function()
+{
+  if (this.dataHandler !== null)
+  {
+    var dataHandler = this.dataHandler;
+
+    this.dataHandler = null;
+
+    dataHandler();
+  }
+};
+
+module.exports = BlockReader;
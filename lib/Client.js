@@ -2,17 +2,37 @@
 
 var util = require('util');
 var dgram = require('dgram');
+var dns = require('dns');
+var net = require('net');
 var EventEmitter = require('events').EventEmitter;
+var helpers = require('./helpers');
 var TokenManager = require('./TokenManager');
 var Message = require('./Message');
 var ClientTransaction = require('./ClientTransaction');
 var ClientExchange = require('./ClientExchange');
+var linkFormat = require('./linkFormat');
+var errors = require('./errors');
+var RtoEstimator = require('./RtoEstimator');
+var TokenBucket = require('./TokenBucket');
+var ResponseCache = require('./ResponseCache');
+var Observation = require('./Observation');
+var ResponseStream = require('./ResponseStream');
 
 var MAX_MESSAGE_ID = 0xFFFF;
 var DEFAULT_MAX_RETRANSMIT = 4;
 var DEFAULT_ACK_TIMEOUT = 2000;
 var DEFAULT_ACK_RANDOM_FACTOR = 1.5;
 var DEFAULT_BLOCK_SIZE = 512;
+var DEFAULT_NSTART = Infinity;
+var DEFAULT_PROBING_BURST = 1024;
+var PROBING_POLICIES = ['delay', 'reject'];
+var DEFAULT_RESOLVER_TTL = 60000;
+var DEFAULT_LEISURE = 5000;
+var WELL_KNOWN_CORE_PATH = '/.well-known/core';
+var LINK_FORMAT = 40;
+var FETCH_OPTIONS = ['method', 'payload', 'signal'];
+var UPDATE_OPTIONS = ['maxAttempts', 'createOnly', 'signal'];
+var DEFAULT_MAX_UPDATE_ATTEMPTS = 3;
 
 /**
  * @constructor
@@ -28,6 +48,42 @@ var DEFAULT_BLOCK_SIZE = 512;
  * @param {number} [options.exchangeTimeout]
  * @param {number} [options.duplicateTimeout]
  * @param {number} [options.blockSize]
+ * @param {number} [options.nstart] A maximum number of outstanding
+ * interactions with a single endpoint (NSTART). RFC 7252 recommends `1`.
+ * Defaults to no limit.
+ * @param {boolean} [options.cocoa] Whether to use adaptive retransmission
+ * timeouts estimated per endpoint (CoCoA, see `RtoEstimator`) instead of
+ * the fixed `ackTimeout`. Defaults to `false`.
+ * @param {number} [options.probingRate] A maximum average data rate (in bytes
+ * per second) of the NON requests and of the requests to endpoints that
+ * don't respond (PROBING_RATE). Not limited by default.
+ * @param {number} [options.probingBurst] A number of bytes that can be sent
+ * at once before the `probingRate` applies. Defaults to `1024`.
+ * @param {string} [options.probingPolicy] What to do with the requests
+ * exceeding the `probingRate`: `delay` (default) or `reject`.
+ * @param {function(string, function(Error|null, Array.<object>))}
+ * [options.resolver] A function resolving host names of the request URIs
+ * to arrays of `{address: string, ttl: (number|undefined)}` objects (TTL
+ * in seconds). Defaults to `dns.lookup()` of all addresses.
+ * @param {number} [options.resolverTtl] A time in ms for which the resolved
+ * addresses are cached, if the resolver doesn't specify a TTL. Defaults
+ * to `60000`.
+ * @param {number} [options.preferredFamily] An IP version (`4` or `6`) of
+ * the addresses used if a host name resolves to both. The other version is
+ * used if there's no address or socket of the preferred one. Defaults to `4`.
+ * @param {number} [options.leisure] A time in ms during which the responses
+ * to the multicast requests are accepted. Defaults to `5000`.
+ * @param {boolean} [options.deregister] Whether cancelling a subscribed
+ * observation sends a GET request with Observe=1 and waits for its response
+ * before emitting the `cancelled` event. Otherwise, the observation is only
+ * forgotten and the next confirmable notification is rejected with a RST
+ * message. Defaults to `false`.
+ * @param {number} [options.cacheSize] A maximum number of the GET responses
+ * cached by the remote endpoint and the cache key of the request (the least
+ * recently used are evicted). The cache is disabled by default. FETCH
+ * responses (RFC 8132) aren't cached, because the FETCH method isn't
+ * supported.
+ * @throws {Error} If the specified probing policy is not supported.
  */
 function Client(options)
 {
@@ -40,6 +96,13 @@ function Client(options)
     options = {};
   }
 
+  var probingPolicy = options.probingPolicy || PROBING_POLICIES[0];
+
+  if (PROBING_POLICIES.indexOf(probingPolicy) === -1)
+  {
+    throw new Error("Unknown probing policy: " + probingPolicy);
+  }
+
   /**
    * @private
    * @type {function(ClientExchange)}
@@ -122,6 +185,132 @@ function Client(options)
    */
   this.blockSize = options.blockSize || DEFAULT_BLOCK_SIZE;
 
+  /**
+   * A maximum number of outstanding interactions with a single endpoint.
+   *
+   * @private
+   * @type {number}
+   */
+  this.nstart = options.nstart > 0 ? options.nstart : DEFAULT_NSTART;
+
+  /**
+   * RTO estimators by the endpoint keys or `null`, if CoCoA is disabled.
+   *
+   * @private
+   * @type {object.<string, RtoEstimator>|null}
+   */
+  this.rtoEstimators = options.cocoa ? {} : null;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.probingRate = options.probingRate > 0 ? options.probingRate : 0;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.probingBurst = options.probingBurst > 0
+    ? options.probingBurst
+    : DEFAULT_PROBING_BURST;
+
+  /**
+   * @private
+   * @type {string}
+   */
+  this.probingPolicy = probingPolicy;
+
+  /**
+   * Token buckets limiting the probing rate by the endpoint keys.
+   *
+   * @private
+   * @type {object.<string, TokenBucket>}
+   */
+  this.probingBuckets = {};
+
+  /**
+   * Requests delayed by the probing rate by the endpoint keys.
+   *
+   * @private
+   * @type {object.<string, {messages: Array.<Message>, timer: *}>}
+   */
+  this.throttled = {};
+
+  /**
+   * @private
+   * @type {function(string, function(Error|null, Array.<object>))}
+   */
+  this.resolver = options.resolver || lookupHost;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.resolverTtl = options.resolverTtl >= 0
+    ? options.resolverTtl
+    : DEFAULT_RESOLVER_TTL;
+
+  /**
+   * @private
+   * @type {Array.<number>}
+   */
+  this.families = options.preferredFamily === 6 ? [6, 4] : [4, 6];
+
+  /**
+   * Cached addresses by the host names.
+   *
+   * @private
+   * @type {object.<string, {addresses: Array.<object>, expiresAt: number}>}
+   */
+  this.resolvedHosts = {};
+
+  /**
+   * Requests waiting for their host names to be resolved by the host names.
+   *
+   * @private
+   * @type {object.<string, Array.<{request: Message, options: object}>>}
+   */
+  this.resolutions = {};
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.leisure = options.leisure > 0 ? options.leisure : DEFAULT_LEISURE;
+
+  /**
+   * Multicast requests waiting for the responses (with the endpoint
+   * addresses of the responders and the leisure timers) by the token strings.
+   *
+   * @private
+   * @type {object.<string, {request: Message, responders: Array, timer: *}>}
+   */
+  this.groupRequests = {};
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.deregister = options.deregister === true;
+
+  /**
+   * @private
+   * @type {ResponseCache|null}
+   */
+  this.cache = options.cacheSize > 0
+    ? new ResponseCache(options.cacheSize)
+    : null;
+
+  /**
+   * Block sizes (in bytes, `-1` if unknown) used with the remote endpoints
+   * by the endpoint keys.
+   *
+   * @private
+   * @type {object.<string, {block1: number, block2: number}>}
+   */
+  this.blockSizes = {};
+
   /**
    * @private
    * @type {object.<string, ClientTransaction>}
@@ -157,13 +346,38 @@ function Client(options)
    * @type {Array}
    */
   this.timers = {};
+
+  /**
+   * Endpoint keys of the outstanding exchanges by the exchange keys.
+   *
+   * @private
+   * @type {object.<string, string>}
+   */
+  this.outstanding = {};
+
+  /**
+   * Numbers of the outstanding exchanges by the endpoint keys.
+   *
+   * @private
+   * @type {object.<string, number>}
+   */
+  this.outstandingCounts = {};
+
+  /**
+   * Requests waiting for an outstanding exchange to complete
+   * by the endpoint keys.
+   *
+   * @private
+   * @type {object.<string, Array.<{request: Message, options: object}>>}
+   */
+  this.queues = {};
 }
 
 util.inherits(Client, EventEmitter);
 
 Client.prototype.destroy = function()
 {
-  /*jshint maxstatements:22*/
+  /*jshint maxstatements:34*/
 
   this.removeAllListeners();
 
@@ -201,21 +415,80 @@ Client.prototype.destroy = function()
     clearTimeout(client.timers[timerKey]);
   });
 
+  Object.keys(this.throttled).forEach(function(endpointKey)
+  {
+    clearTimeout(client.throttled[endpointKey].timer);
+  });
+
+  Object.keys(this.groupRequests).forEach(function(tokenString)
+  {
+    clearTimeout(client.groupRequests[tokenString].timer);
+  });
+
   this.transactions = null;
   this.exchanges = null;
   this.observers = null;
   this.timers = null;
+  this.outstanding = null;
+  this.outstandingCounts = null;
+  this.queues = null;
+  this.rtoEstimators = null;
+  this.probingBuckets = null;
+  this.throttled = null;
+  this.resolvedHosts = null;
+  this.resolutions = null;
+  this.groupRequests = null;
+  this.cache = null;
+  this.blockSizes = null;
   this.duplicates = null;
   this.replies = null;
 };
 
 /**
+ * If the client already has `nstart` outstanding interactions with
+ * the request's remote endpoint, the request is queued and sent after one
+ * of them completes (i.e. the exchange finishes or, in case of an Observe
+ * request, the observation is established). The client emits
+ * the `queue depth` event with the remote endpoint and a new number of
+ * the queued requests every time that number changes. Queued requests can be
+ * cancelled (see `Client.prototype.cancel()`).
+ *
+ * If the `payloadStream` option is specified, the request payload is read
+ * from that stream and sent blockwise (Block1) as the data becomes available.
+ * The exchange timeout is restarted with every sent block and is paused
+ * while waiting for the data. The stream is destroyed if the exchange
+ * finishes before the stream ends (e.g. after an error response, a reset
+ * or a cancellation). If the stream emits an error, the request emits
+ * the `error` event with `errors.PayloadStreamError`.
+ *
+ * Requests to multicast addresses (e.g. `EndpointAddress.ALL_COAP_NODES_IPV4`)
+ * are sent as NON and accept responses with the matching token from any
+ * source during the leisure time. The request emits the `response` event
+ * (with the response and its `EndpointAddress`) once per responder and then
+ * the `done` event with an array of all the responders.
+ *
+ * If the `cacheSize` option is set, a GET request (without the Observe
+ * option) with a fresh cached response emits the `response` event with that
+ * response without sending anything and the client emits the `cache hit`
+ * event. Otherwise, the client emits the `cache miss` event and the request
+ * is sent with the ETag of the stale cached response, if any. A 2.03 Valid
+ * response with that ETag refreshes the cached response, which is then
+ * emitted instead (and the client emits the `cache revalidated` event).
+ * The cache is bypassed if the `cache` option is `false`.
+ *
  * @param {Message} request
  * @param {object} [options]
  * @param {number} [options.blockSize]
  * @param {number} [options.exchangeTimeout]
  * @param {number} [options.transactionTimeout]
  * @param {number} [options.maxRetransmit]
+ * @param {stream.Readable} [options.payloadStream]
+ * @param {number} [options.payloadLength] A total length of the payload
+ * stream, if known. Sent as the Size1 option.
+ * @param {number} [options.leisure] A time in ms during which the responses
+ * to a multicast request are accepted. Defaults to the client's `leisure`.
+ * @param {boolean} [options.cache] Whether the response cache is used.
+ * Defaults to `true`.
  * @return {Message}
  * @throws {Error} If the specified message is not a request.
  */
@@ -231,614 +504,2447 @@ Client.prototype.request = function(request, options)
     options = {};
   }
 
-  request.setId(this.getNextMessageId());
-  request.setToken(this.tokenManager.acquire());
-
-  options.includeBlock2 = typeof options.includeBlock2 === 'boolean'
-    ? options.includeBlock2
-    : typeof options.blockSize === 'number';
-  options.blockSize = options.blockSize || this.blockSize;
-  options.exchangeTimeout = options.exchangeTimeout || this.exchangeTimeout;
-
-  var exchange = this.setUpExchange(request, options);
+  var remoteEndpoint = request.getRemoteEndpoint();
 
-  if (exchange.isBlockwiseRequest())
+  if (remoteEndpoint.isMulticast())
   {
-    this.sendNextBlock(exchange, true);
+    this.startGroupRequest(request, options);
+  }
+  else if (net.isIP(remoteEndpoint.getAddress()) === 0)
+  {
+    this.resolveRequest(request, options);
   }
   else
   {
-    if (options.includeBlock2 && request.getCode() === Message.Code.GET)
-    {
-      request.setBlock2(0, false, options.blockSize);
-    }
-
-    if (request.isConfirmable())
-    {
-      this.setUpTransaction(exchange, request);
-    }
-
-    this.sendMessage(request);
+    this.dispatchRequest(request, options);
   }
 
   return request;
 };
 
 /**
- * @param {string} uri
- * @param {object} [options]
- * @returns {Message}
+ * @param {EndpointAddress|string} remoteEndpoint
+ * @returns {number} A number of the requests queued for the specified
+ * remote endpoint.
  */
-Client.prototype.get = function(uri, options)
+Client.prototype.getQueueDepth = function(remoteEndpoint)
 {
-  return this.request(
-    this.createMessage(Message.Code.GET, uri, null, options),
-    options
-  );
+  var queue = this.queues[remoteEndpoint.toString()];
+
+  return typeof queue === 'undefined' ? 0 : queue.length;
 };
 
 /**
- * @param {string} uri
- * @param {object} [options]
- * @returns {Message}
+ * @param {EndpointAddress|string} remoteEndpoint
+ * @returns {number} A number of the outstanding interactions with
+ * the specified remote endpoint.
  */
-Client.prototype.observe = function(uri, options)
+Client.prototype.getOutstandingCount = function(remoteEndpoint)
 {
-  var message = this.createMessage(Message.Code.GET, uri, null, options);
-
-  message.setObserve(true);
-
-  return this.request(message, options);
+  return this.outstandingCounts[remoteEndpoint.toString()] || 0;
 };
 
 /**
- * @param {string} uri
- * @param {Buffer|string} payload
- * @param {object} [options]
- * @returns {Message}
+ * Returns the block sizes learned from the blockwise transfers with
+ * the specified remote endpoint: the smallest Block1 size accepted by
+ * the endpoint (also after a 4.13 Request Entity Too Large response with
+ * the Block1 or Size1 option) and the smallest Block2 size used.
+ *
+ * Later requests to that endpoint start with the learned sizes instead of
+ * the `blockSize` option (unless it's smaller) and the GET requests include
+ * the Block2 option with the learned size (early negotiation).
+ *
+ * @param {EndpointAddress|string} remoteEndpoint
+ * @returns {{block1: number, block2: number}|null} The learned sizes in bytes
+ * (`-1` if not learned yet) or `null`, if nothing was learned.
  */
-Client.prototype.post = function(uri, payload, options)
+Client.prototype.getBlockSizes = function(remoteEndpoint)
 {
-  return this.request(
-    this.createMessage(Message.Code.POST, uri, payload, options),
-    options
-  );
+  var blockSizes = this.blockSizes[remoteEndpoint.toString()];
+
+  if (typeof blockSizes === 'undefined')
+  {
+    return null;
+  }
+
+  return {
+    block1: blockSizes.block1,
+    block2: blockSizes.block2
+  };
 };
 
 /**
- * @param {string} uri
- * @param {Buffer|string} payload
- * @param {object} [options]
- * @returns {Message}
+ * Forgets the block sizes learned for the specified remote endpoint
+ * or for all the endpoints, if none is specified.
+ *
+ * @param {EndpointAddress|string} [remoteEndpoint]
  */
-Client.prototype.put = function(uri, payload, options)
+Client.prototype.resetBlockSizes = function(remoteEndpoint)
 {
-  return this.request(
-    this.createMessage(Message.Code.PUT, uri, payload, options),
-    options
-  );
+  if (typeof remoteEndpoint === 'undefined')
+  {
+    this.blockSizes = {};
+  }
+  else
+  {
+    delete this.blockSizes[remoteEndpoint.toString()];
+  }
 };
 
 /**
- * @param {string} uri
- * @param {object} [options]
- * @returns {Message}
+ * Returns a snapshot of the CoCoA state of the specified remote endpoint:
+ * the overall RTO, a time of its last update and the SRTT, RTTVAR, RTO
+ * and a number of samples of the strong and the weak estimators.
+ *
+ * @param {EndpointAddress|string} remoteEndpoint
+ * @returns {object|null} The estimator state or `null`, if CoCoA is disabled
+ * or no request was sent to the specified endpoint yet.
  */
-Client.prototype.del = function(uri, options)
+Client.prototype.getRtoState = function(remoteEndpoint)
 {
-  return this.request(
-    this.createMessage(Message.Code.DELETE, uri, null, options),
-    options
-  );
+  if (this.rtoEstimators === null)
+  {
+    return null;
+  }
+
+  var rtoEstimator = this.rtoEstimators[remoteEndpoint.toString()];
+
+  if (typeof rtoEstimator === 'undefined')
+  {
+    return null;
+  }
+
+  rtoEstimator.getRto();
+
+  return rtoEstimator.toJSON();
 };
 
 /**
- * @param {Message} message
+ * @private
+ * @param {Message} request
+ * @param {object} options
  */
-Client.prototype.cancel = function(message)
+Client.prototype.dispatchRequest = function(request, options)
 {
-  var exchangeKey = message.getExchangeKey();
-  var exchange = this.exchanges[exchangeKey];
-
-  if (typeof exchange === 'undefined')
+  if (this.cache !== null && this.serveCachedResponse(request, options))
   {
     return;
   }
 
-  this.finishTransaction(exchange.getTransactionKey());
+  var endpointKey = request.getRemoteEndpoint().toString();
 
-  if (exchange.isSubscribed())
+  if (this.getOutstandingCount(endpointKey) >= this.nstart)
   {
-    this.removeObserver(
-      message.getRemoteEndpoint().toString(),
-      message.getUriPath()
-    );
+    this.enqueueRequest(endpointKey, request, options);
   }
   else
   {
-    this.finishExchange(exchange);
+    this.startRequest(request, options);
   }
 };
 
 /**
  * @private
- * @param {Message.Code} code
- * @param {string} uri
- * @param {Buffer|string|null} payload
- * @param {object|undefined} options
- * @returns {*}
+ * @param {Message} request
+ * @param {object} options
+ * @returns {boolean} Whether the request was served from the cache.
  */
-Client.prototype.createMessage = function(code, uri, payload, options)
+Client.prototype.serveCachedResponse = function(request, options)
 {
-  if (typeof options === 'object')
+  options.cacheKey = null;
+
+  if (!isCacheableRequest(request, options))
   {
-    options.code = code;
-    options.uri = uri;
+    return false;
+  }
 
-    if (payload !== null)
-    {
-      options.payload = payload;
-    }
+  var cacheKey =
+    request.getRemoteEndpoint().toString() + '|' + request.getCacheKey();
+  var cachedResponse = this.cache.get(cacheKey);
 
-    return Message.fromObject(options);
-  }
-  else
+  if (cachedResponse !== null && this.cache.isFresh(cacheKey))
   {
-    var message = new Message();
+    var response =
+      this.createCachedResponse(request, cacheKey, cachedResponse);
 
-    message.setCode(code);
-    message.setUri(uri);
+    this.emit('cache hit', request, response);
 
-    if (payload !== null)
-    {
-      message.setPayload(payload);
-    }
+    setImmediate(request.emit.bind(request, 'response', response));
 
-    return message;
+    return true;
+  }
+
+  this.emit('cache miss', request);
+
+  if (cachedResponse !== null
+    && !request.hasOption(Message.Option.ETAG)
+    && cachedResponse.hasOption(Message.Option.ETAG))
+  {
+    request.setETag(cachedResponse.getETag()[0]);
   }
+
+  options.cacheKey = cacheKey;
+
+  return false;
 };
 
 /**
+ * Caches the 2.05 Content responses and replaces the 2.03 Valid responses
+ * validating the cached responses with those responses.
+ *
  * @private
- * @param {string} type
- * @param {Socket|boolean} option
- * @returns {Socket|null}
+ * @param {string} cacheKey
+ * @param {Message} request
+ * @param {Message} response
+ * @returns {Message} The response to emit.
  */
-Client.prototype.setUpSocket = function(type, option)
+Client.prototype.filterCacheableResponse =
+  function(cacheKey, request, response)
 {
-  var socket = null;
+  var code = response.getCode();
 
-  if (option !== null && typeof option === 'object')
+  if (code === Message.Code.CONTENT)
   {
-    socket = option;
+    this.cache.set(cacheKey, helpers.copyResponse(response));
+
+    return response;
   }
-  else if (option !== false)
+
+  if (code !== Message.Code.VALID)
   {
-    socket = dgram.createSocket(type);
+    this.cache.remove(cacheKey);
+
+    return response;
   }
 
-  if (socket !== null)
+  var cachedResponse = this.cache.get(cacheKey);
+
+  if (cachedResponse === null
+    || !cachedResponse.hasOption(Message.Option.ETAG)
+    || getETagString(cachedResponse) !== getETagString(response))
   {
-    socket.on('message', this.onMessage);
+    return response;
   }
 
-  return socket;
-};
+  this.cache.refresh(cacheKey, response);
 
-/**
+  var validatedResponse =
+    this.createCachedResponse(request, cacheKey, cachedResponse);
+
+  this.emit('cache revalidated', request, validatedResponse);
+
+  return validatedResponse;
+};
+
+/**
+ * Creates a copy of the specified cached response for the specified request:
+ * with the message ID and the token of the request and the Max-Age option
+ * set to the time for which the response stays fresh (RFC 7252,
+ * section 5.6.1), so each request gets its own response and can't modify
+ * the cached one.
+ *
  * @private
- * @returns {number}
+ * @param {Message} request
+ * @param {string} cacheKey
+ * @param {Message} cachedResponse
+ * @returns {Message}
  */
-Client.prototype.getNextMessageId = function()
+Client.prototype.createCachedResponse =
+  function(request, cacheKey, cachedResponse)
 {
-  if (this.messageId === MAX_MESSAGE_ID)
-  {
-    this.messageId = 0;
-  }
+  var response = helpers.copyResponse(cachedResponse);
 
-  return ++this.messageId;
+  response.setId(request.getId());
+  response.setToken(request.getToken());
+  response.setMaxAge(this.cache.getRemainingMaxAge(cacheKey));
+
+  return response;
 };
 
 /**
  * @private
  * @param {Message} request
  * @param {object} options
- * @returns {ClientExchange}
  */
-Client.prototype.setUpExchange = function(request, options)
+Client.prototype.startGroupRequest = function(request, options)
 {
-  var exchange = new ClientExchange(request, this.onExchangeTimeout, options);
+  request.setType(Message.Type.NON);
+  request.setId(this.getNextMessageId());
+  request.setToken(this.tokenManager.acquire());
 
-  this.exchanges[exchange.getKey()] = exchange;
+  var tokenString = request.getTokenString();
 
-  return exchange;
+  this.groupRequests[tokenString] = {
+    request: request,
+    responders: [],
+    timer: setTimeout(
+      this.onGroupRequestTimeout.bind(this, request),
+      options.leisure > 0 ? options.leisure : this.leisure
+    )
+  };
+
+  this.sendMessage(request);
 };
 
 /**
  * @private
- * @param {ClientExchange} exchange
  * @param {Message} request
- * @returns {ClientTransaction}
+ * @returns {{request: Message, responders: Array.<EndpointAddress>}|null}
+ * The finished group request or `null`, if the specified request isn't
+ * a pending multicast request.
  */
-Client.prototype.setUpTransaction = function(exchange, request)
+Client.prototype.finishGroupRequest = function(request)
 {
-  var options = exchange.getOptions();
+  var tokenString = request.getTokenString();
+  var groupRequest = this.groupRequests[tokenString];
 
-  if (typeof options.maxRetransmit !== 'number')
+  if (typeof groupRequest === 'undefined' || groupRequest.request !== request)
   {
-    options.maxRetransmit = this.maxRetransmit;
+    return null;
   }
 
-  if (typeof options.transactionTimeout !== 'number')
-  {
-    options.transactionTimeout = this.genTransactionTimeout();
-  }
+  clearTimeout(groupRequest.timer);
 
-  var transaction = new ClientTransaction(
-    request,
-    exchange.getKey(),
-    this.onTransactionTimeout,
-    options
-  );
-  var transactionKey = transaction.getKey();
+  delete this.groupRequests[tokenString];
 
-  exchange.setTransactionKey(transactionKey);
+  this.tokenManager.release(tokenString);
 
-  this.transactions[transactionKey] = transaction;
+  return groupRequest;
+};
 
-  return transaction;
+/**
+ * @private
+ * @param {Message} request
+ */
+Client.prototype.onGroupRequestTimeout = function(request)
+{
+  var groupRequest = this.finishGroupRequest(request);
+
+  setImmediate(request.emit.bind(request, 'done', groupRequest.responders));
 };
 
 /**
- * Accepts or rejects a transaction identified by the specified transaction key.
+ * Emits the first response of every responder to a multicast request.
  *
  * @private
- * @param {string} transactionKey
- * @param {boolean} [accept]
- * @param {Message} [response]
+ * @param {{request: Message, responders: Array.<EndpointAddress>}} groupRequest
+ * @param {Message} response
  */
-Client.prototype.finishTransaction = function(transactionKey, accept, response)
+Client.prototype.handleGroupResponse = function(groupRequest, response)
 {
-  var transaction = this.transactions[transactionKey];
-
-  if (typeof transaction === 'undefined')
+  if (response.isConfirmable())
   {
-    return;
+    this.sendAckReply(response);
   }
 
-  delete this.transactions[transactionKey];
-
-  if (accept === true)
+  var remoteEndpoint = response.getRemoteEndpoint();
+  var endpointKey = remoteEndpoint.toString();
+  var responded = groupRequest.responders.some(function(responder)
   {
-    transaction.accept(response);
-  }
-  else if (accept === false)
+    return responder.toString() === endpointKey;
+  });
+
+  if (responded)
   {
-    transaction.reject(response);
+    return;
   }
 
-  transaction.destroy();
+  var request = groupRequest.request;
+
+  groupRequest.responders.push(remoteEndpoint);
+
+  setImmediate(
+    request.emit.bind(request, 'response', response, remoteEndpoint)
+  );
 };
 
 /**
- * Cleans up after completed exchanges.
+ * Resolves the host name of the specified request using the cached
+ * addresses or the resolver. Concurrent requests to the same host name
+ * wait for a single resolution.
  *
  * @private
- * @param {ClientExchange} exchange
- * @param {boolean} [cancel] Whether to cancel the observer exchange.
- * Defaults to `true`.
+ * @param {Message} request
+ * @param {object} options
  */
-Client.prototype.finishExchange = function(exchange, cancel)
+Client.prototype.resolveRequest = function(request, options)
 {
-  if (exchange.isObserver() && cancel !== false)
+  var hostname = request.getRemoteEndpoint().getAddress();
+  var resolvedHost = this.resolvedHosts[hostname];
+
+  if (typeof resolvedHost !== 'undefined')
   {
-    exchange.cancel();
+    if (resolvedHost.expiresAt > Date.now())
+    {
+      this.setUpResolvedRequest(request, options, resolvedHost.addresses);
+
+      return;
+    }
+
+    delete this.resolvedHosts[hostname];
   }
 
-  delete this.exchanges[exchange.getKey()];
+  var resolution = this.resolutions[hostname];
 
-  this.tokenManager.release(exchange.getTokenString());
+  if (typeof resolution !== 'undefined')
+  {
+    resolution.push({request: request, options: options});
 
-  exchange.destroy();
+    return;
+  }
+
+  this.resolutions[hostname] = [{request: request, options: options}];
+
+  this.resolver(hostname, this.onHostResolved.bind(this, hostname));
 };
 
 /**
  * @private
- * @returns {number}
+ * @param {string} hostname
+ * @param {Error|null} err
+ * @param {Array.<object>} [addresses]
  */
-Client.prototype.calcExchangeTimeout = function()
+Client.prototype.onHostResolved = function(hostname, err, addresses)
 {
-  return this.ackTimeout
-    * Math.pow(2, this.maxRetransmit + 1)
-    * this.ackRandomFactor;
+  if (this.resolutions === null)
+  {
+    return;
+  }
+
+  var resolution = this.resolutions[hostname];
+
+  delete this.resolutions[hostname];
+
+  if (!err && Array.isArray(addresses) && addresses.length > 0)
+  {
+    this.resolvedHosts[hostname] = {
+      addresses: addresses,
+      expiresAt: Date.now() + this.calcResolvedHostTtl(addresses)
+    };
+  }
+
+  var client = this;
+
+  resolution.forEach(function(item)
+  {
+    var request = item.request;
+
+    if (err)
+    {
+      setImmediate(request.emit.bind(
+        request, 'error', new errors.HostResolutionError(request, hostname, err)
+      ));
+    }
+    else
+    {
+      client.setUpResolvedRequest(request, item.options, addresses || []);
+    }
+  });
 };
 
 /**
  * @private
+ * @param {Array.<object>} addresses
  * @returns {number}
  */
-Client.prototype.genTransactionTimeout = function()
+Client.prototype.calcResolvedHostTtl = function(addresses)
 {
-  return Math.random()
-    * ((this.ackTimeout * this.ackRandomFactor) - this.ackTimeout)
-    +  this.ackTimeout;
+  var ttl = -1;
+
+  addresses.forEach(function(address)
+  {
+    if (typeof address.ttl === 'number' && (ttl === -1 || address.ttl < ttl))
+    {
+      ttl = address.ttl;
+    }
+  });
+
+  return ttl === -1 ? this.resolverTtl : ttl * 1000;
 };
 
 /**
+ * Sends the specified request to the address of the preferred IP version.
+ * The original host name is included as the Uri-Host option (unless
+ * the request already has one).
+ *
  * @private
- * @param {ClientTransaction} transaction
- * @param {number} retries
+ * @param {Message} request
+ * @param {object} options
+ * @param {Array.<object>} addresses
  */
-Client.prototype.onTransactionTimeout = function(transaction, retries)
+Client.prototype.setUpResolvedRequest = function(request, options, addresses)
 {
-  if (transaction.isLimitReached())
+  var remoteEndpoint = request.getRemoteEndpoint();
+  var hostname = remoteEndpoint.getAddress();
+  var address = this.selectAddress(addresses);
+
+  if (address === null)
   {
-    this.emit('transaction timeout', transaction.getRequest());
+    setImmediate(request.emit.bind(
+      request, 'error', new errors.HostResolutionError(request, hostname, null)
+    ));
 
-    this.finishTransaction(transaction.getKey());
-    this.finishExchange(this.exchanges[transaction.getExchangeKey()]);
+    return;
   }
-  else
+
+  if (request.getUriHost() === '')
   {
-    this.sendMessage(transaction.getRequest(), retries);
+    request.setUriHost(hostname);
   }
+
+  request.setRemoteEndpoint(address, remoteEndpoint.getPort());
+
+  this.dispatchRequest(request, options);
 };
 
 /**
  * @private
- * @param {ClientExchange} exchange
+ * @param {Array.<object>} addresses
+ * @returns {string|null} The first address of the preferred IP version or,
+ * if there's no such address (or socket), the first address of the other
+ * one.
  */
-Client.prototype.onExchangeTimeout = function(exchange)
+Client.prototype.selectAddress = function(addresses)
 {
-  var request = exchange.getRequest();
-  var options = exchange.getOptions();
-  var wasSubscribed = exchange.isSubscribed();
-
-  this.emit('exchange timeout', request);
+  for (var i = 0; i < this.families.length; ++i)
+  {
+    var family = this.families[i];
+    var socket = family === 6 ? this.socket6 : this.socket4;
 
-  this.finishTransaction(exchange.getTransactionKey());
+    if (socket === null)
+    {
+      continue;
+    }
 
-  if (wasSubscribed)
-  {
-    this.removeObserver(
-      request.getRemoteEndpoint().toString(),
-      request.getUriPath(),
-      true,
-      false
-    );
+    for (var j = 0; j < addresses.length; ++j)
+    {
+      var address = addresses[j].address;
 
-    this.request(request, options);
-  }
-  else
-  {
-    this.finishExchange(exchange);
+      if (net.isIP(address) === family)
+      {
+        return address;
+      }
+    }
   }
+
+  return null;
 };
 
 /**
  * @private
- * @param {Buffer} messageBuffer
- * @param {{address: string, port: number}} rinfo
+ * @param {Message} request
+ * @returns {boolean} Whether the specified request was waiting for its host
+ * name to be resolved.
  */
-Client.prototype.onMessage = function(messageBuffer, rinfo)
+Client.prototype.removeResolvingRequest = function(request)
 {
-  var response;
+  var resolution = this.resolutions[request.getRemoteEndpoint().getAddress()];
 
-  try
+  if (typeof resolution === 'undefined')
   {
-    response = Message.fromBuffer(messageBuffer);
+    return false;
   }
-  catch (err)
+
+  for (var i = 0; i < resolution.length; ++i)
   {
-    this.emit('error', err);
+    if (resolution[i].request === request)
+    {
+      resolution.splice(i, 1);
 
-    return;
+      return true;
+    }
   }
 
-  response.setRemoteEndpoint(rinfo.address, rinfo.port);
+  return false;
+};
 
-  this.emit('message received', response);
+/**
+ * @private
+ * @param {Message} request
+ * @param {object} options
+ */
+Client.prototype.startRequest = function(request, options)
+{
+  request.setId(this.getNextMessageId());
+  request.setToken(this.tokenManager.acquire());
 
-  var messageKey = response.getKey();
+  options.includeBlock2 = typeof options.includeBlock2 === 'boolean'
+    ? options.includeBlock2
+    : typeof options.blockSize === 'number';
+  options.blockSize = options.blockSize || this.blockSize;
+  options.exchangeTimeout = options.exchangeTimeout || this.exchangeTimeout;
 
-  if (this.isDuplicateMessage(messageKey))
-  {
-    this.handleDuplicateMessage(messageKey);
+  var includeBlock2 = this.setUpBlockSizes(request, options)
+    || options.includeBlock2;
 
-    return;
+  if (options.payloadStream && typeof options.payloadLength === 'number')
+  {
+    request.setSize1(options.payloadLength);
   }
 
-  var transactionKey = response.getTransactionKey();
-
-  this.setUpDuplicateMessage(messageKey, transactionKey);
+  var exchange = this.setUpExchange(request, options);
 
-  if (response.isRequest())
+  if (typeof options.cacheKey === 'string')
   {
-    this.handleRequestMessage(response);
+    exchange.setResponseFilter(
+      this.filterCacheableResponse.bind(this, options.cacheKey)
+    );
+  }
 
-    return;
+  if (exchange.isBlockwiseRequest())
+  {
+    this.sendNextBlock(exchange, true);
   }
+  else
+  {
+    if (includeBlock2 && request.getCode() === Message.Code.GET)
+    {
+      request.setBlock2(0, false, options.block2Size);
+    }
 
-  this.handleResponse(response, transactionKey);
+    if (request.isConfirmable())
+    {
+      this.setUpTransaction(exchange, request);
+    }
+
+    this.sendMessage(request);
+  }
 };
 
 /**
+ * Sets the `block1Size` and `block2Size` options to the `blockSize` option
+ * or to the smaller sizes learned for the request's remote endpoint.
+ *
  * @private
  * @param {Message} request
+ * @param {object} options
+ * @returns {boolean} Whether the Block2 size was learned.
  */
-Client.prototype.handleRequestMessage = function(request)
+Client.prototype.setUpBlockSizes = function(request, options)
 {
-  if (!request.isConfirmable())
-  {
-    return;
-  }
+  var blockSizes = this.blockSizes[request.getRemoteEndpoint().toString()];
 
-  this.sendRstReply(request);
-};
+  options.block1Size = options.blockSize;
+  options.block2Size = options.blockSize;
 
-/**
- * @private
- * @param {Message} response
- * @param {string} transactionKey
- */
-Client.prototype.handleResponse = function(response, transactionKey)
-{
-  if (response.isReset())
+  if (typeof blockSizes === 'undefined')
   {
-    this.handleRstMessage(response, transactionKey);
-
-    return;
+    return false;
   }
 
-  if (response.isEmptyAcknowledgement())
+  if (blockSizes.block1 !== -1)
   {
-    this.handleEmptyAckMessage(response, transactionKey);
+    options.block1Size = Math.min(options.blockSize, blockSizes.block1);
+  }
 
-    return;
+  if (blockSizes.block2 !== -1)
+  {
+    options.block2Size = Math.min(options.blockSize, blockSizes.block2);
   }
 
-  var exchange = this.exchanges[response.getExchangeKey()];
+  return blockSizes.block2 !== -1;
+};
+
+/**
+ * @param {string} uri
+ * @param {object} [options]
+ * @returns {Message}
+ */
+Client.prototype.get = function(uri, options)
+{
+  return this.request(
+    this.createMessage(Message.Code.GET, uri, null, options),
+    options
+  );
+};
+
+/**
+ * @param {string} uri
+ * @param {object} [options]
+ * @returns {Message}
+ */
+Client.prototype.observe = function(uri, options)
+{
+  var message = this.createMessage(Message.Code.GET, uri, null, options);
+
+  message.setObserve(true);
+
+  return this.request(message, options);
+};
+
+/**
+ * Sends a GET request to the specified URI and returns a readable stream
+ * of the response payload.
+ *
+ * Blocks of a blockwise response are pushed to the stream as they arrive
+ * and the next block is requested only after the consumer wants more data
+ * (see `ResponseStream`). The exchange timeout is restarted with every
+ * requested block and is paused while the consumer applies backpressure.
+ *
+ * @param {string} uri
+ * @param {object} [options] The options accepted by `Client.prototype.get()`
+ * and the `highWaterMark` of the stream.
+ * @returns {ResponseStream}
+ */
+Client.prototype.getStream = function(uri, options)
+{
+  if (typeof options !== 'object' || options === null)
+  {
+    options = {};
+  }
+
+  var request = this.createMessage(Message.Code.GET, uri, null, options);
+  var responseStream = new ResponseStream(this, request, {
+    highWaterMark: options.highWaterMark
+  });
+
+  options.responseStream = responseStream;
+
+  this.request(request, options);
+
+  return responseStream;
+};
+
+/**
+ * Sends an Observe request to the specified URI and returns
+ * an async-iterable handle of its notifications.
+ *
+ * The options are the options accepted by `Client.prototype.observe()`
+ * and the `highWaterMark` and `overflow` options of `Observation`.
+ *
+ * @param {string} uri
+ * @param {object} [options]
+ * @returns {Observation}
+ * @throws {Error} If the specified overflow policy is not supported.
+ */
+Client.prototype.subscribe = function(uri, options)
+{
+  var message = this.createMessage(Message.Code.GET, uri, null, options);
+
+  message.setObserve(true);
+
+  var observation = new Observation(this, message, options);
+
+  this.request(message, options);
+
+  return observation;
+};
+
+/**
+ * @param {string} uri
+ * @param {Buffer|string|stream.Readable} payload A readable stream is sent
+ * as the `payloadStream` option (see `Client.prototype.request()`).
+ * @param {object} [options]
+ * @returns {Message}
+ */
+Client.prototype.post = function(uri, payload, options)
+{
+  return this.requestWithPayload(Message.Code.POST, uri, payload, options);
+};
+
+/**
+ * @param {string} uri
+ * @param {Buffer|string|stream.Readable} payload A readable stream is sent
+ * as the `payloadStream` option (see `Client.prototype.request()`).
+ * @param {object} [options]
+ * @returns {Message}
+ */
+Client.prototype.put = function(uri, payload, options)
+{
+  return this.requestWithPayload(Message.Code.PUT, uri, payload, options);
+};
+
+/**
+ * @param {string} uri
+ * @param {object} [options]
+ * @returns {Message}
+ */
+Client.prototype.del = function(uri, options)
+{
+  return this.request(
+    this.createMessage(Message.Code.DELETE, uri, null, options),
+    options
+  );
+};
+
+/**
+ * Sends a request to the specified URI and returns a promise of its final
+ * response (i.e. the response with the reassembled payload in case of
+ * a blockwise transfer).
+ *
+ * The options are the message options accepted by `Message.fromObject()`
+ * and the request options accepted by `Client.prototype.request()` and:
+ *
+ *   - `method` - a request method name (`GET`, `POST`, `PUT` or `DELETE`)
+ *     or a request code. Defaults to `GET`.
+ *   - `payload` - a request payload or a readable stream of it.
+ *   - `signal` - an `AbortSignal` that cancels the request
+ *     (see `Client.prototype.cancel()`).
+ *
+ * The promise is rejected with one of the `errors.RequestError` subclasses
+ * if the request times out (`TimeoutError`), is reset by the remote
+ * endpoint (`ResetError`), is cancelled (`CancelledError`), couldn't be
+ * sent (`SocketError`) or its payload stream fails (`PayloadStreamError`).
+ * Responses with error codes resolve the promise.
+ *
+ * Requires a native `Promise` implementation.
+ *
+ * @param {string} uri
+ * @param {object} [options]
+ * @returns {Promise.<Message>}
+ * @throws {Error} If the specified method is not a request method.
+ */
+Client.prototype.fetch = function(uri, options)
+{
+  if (typeof options !== 'object' || options === null)
+  {
+    options = {};
+  }
+
+  var requestOptions = {};
+
+  Object.keys(options).forEach(function(name)
+  {
+    if (FETCH_OPTIONS.indexOf(name) === -1)
+    {
+      requestOptions[name] = options[name];
+    }
+  });
+
+  var payload = typeof options.payload === 'undefined'
+    ? null
+    : options.payload;
+
+  if (isReadableStream(payload))
+  {
+    requestOptions.payloadStream = payload;
+    payload = null;
+  }
+
+  var request = this.createMessage(
+    getRequestCode(options.method), uri, payload, requestOptions
+  );
+
+  return this.fetchResponse(request, requestOptions, options.signal || null);
+};
+
+/**
+ * Modifies the specified resource without overwriting concurrent changes
+ * (a read-modify-write cycle with the optimistic concurrency control).
+ *
+ * The resource is requested with GET and the mutator is called with its
+ * payload and the response. A new payload returned by the mutator (or
+ * a promise of it) is sent with PUT and an If-Match option with the ETag
+ * of the GET response. If the resource was modified in the meantime
+ * (4.12 Precondition Failed), the whole cycle is repeated.
+ *
+ * In the create-only mode, no GET request is sent, the mutator is called
+ * with `null` and the payload is sent with PUT and an If-None-Match option,
+ * so an existing resource is never overwritten.
+ *
+ * The options are the message and request options used for both requests
+ * (the `contentFormat` only for the PUT request) and:
+ *
+ *   - `maxAttempts` - a maximum number of the read-modify-write cycles.
+ *     Defaults to `3`.
+ *   - `createOnly` - whether to use the create-only mode. Defaults
+ *     to `false`.
+ *   - `signal` - an `AbortSignal` that cancels the current request.
+ *
+ * The promise is resolved with the successful response to the PUT request.
+ * It's rejected with `errors.PreconditionFailedError` if all the attempts
+ * failed with 4.12 Precondition Failed (or the resource already exists
+ * in the create-only mode), `errors.ResponseError` if any request failed
+ * with another error code, `errors.MissingETagError` if the GET response
+ * doesn't have an ETag and with the errors of `Client.prototype.fetch()`.
+ *
+ * Requires a native `Promise` implementation.
+ *
+ * @param {string} uri
+ * @param {function(Buffer|null, Message|null): (Buffer|string|Promise)}
+ * mutator
+ * @param {object} [options]
+ * @returns {Promise.<Message>}
+ */
+Client.prototype.update = function(uri, mutator, options)
+{
+  if (typeof options !== 'object' || options === null)
+  {
+    options = {};
+  }
+
+  var update = {
+    uri: uri,
+    mutator: mutator,
+    options: {},
+    signal: options.signal || null,
+    createOnly: options.createOnly === true,
+    maxAttempts: options.maxAttempts > 0
+      ? options.maxAttempts
+      : DEFAULT_MAX_UPDATE_ATTEMPTS
+  };
+
+  Object.keys(options).forEach(function(name)
+  {
+    if (UPDATE_OPTIONS.indexOf(name) === -1)
+    {
+      update.options[name] = options[name];
+    }
+  });
+
+  return this.attemptUpdate(update, 1);
+};
+
+/**
+ * Discovers resources of the specified server by requesting its
+ * `/.well-known/core` resource (RFC 6690).
+ *
+ * @param {string} uri A URI of the server. Only the scheme and authority
+ * parts are used.
+ * @param {object.<string, string|boolean>|string|null} [filter]
+ * @param {function(Error|null, Array.<object>|null)} callback
+ * @returns {Message}
+ * @see Client#getLinks()
+ */
+Client.prototype.discover = function(uri, filter, callback)
+{
+  return this.getLinks(
+    helpers.getUriOrigin(uri) + WELL_KNOWN_CORE_PATH, filter, callback
+  );
+};
+
+/**
+ * Requests the specified resource with a CoRE Link Format (RFC 6690)
+ * representation (e.g. `/.well-known/core` or a lookup interface
+ * of a resource directory).
+ *
+ * The filter is an object of query parameters (e.g. `{rt: 'temperature*'}`)
+ * or a query string (e.g. `'rt=temperature*&obs'`). The callback is called
+ * with the parsed links (see `linkFormat.parse()`) with the `href` (and
+ * `anchor`) attributes resolved to absolute URIs, or with an error if
+ * the request times out, is reset, is cancelled, can't be sent or the server
+ * responds with an error.
+ *
+ * @param {string} uri
+ * @param {object.<string, string|boolean>|string|null} [filter]
+ * @param {function(Error|null, Array.<object>|null)} callback
+ * @returns {Message}
+ */
+Client.prototype.getLinks = function(uri, filter, callback)
+{
+  if (typeof filter === 'function')
+  {
+    callback = filter;
+    filter = null;
+  }
+
+  var origin = helpers.getUriOrigin(uri);
+  var request = this.createMessage(Message.Code.GET, uri, null, undefined);
+
+  request.setAccept(LINK_FORMAT);
+
+  if (typeof filter === 'string' && filter.length > 0)
+  {
+    request.setUriQuery(filter);
+  }
+  else if (filter !== null && typeof filter === 'object')
+  {
+    Object.keys(filter).forEach(function(name)
+    {
+      var value = filter[name];
+
+      request.addUriQuery(value === true ? name : (name + '=' + value));
+    });
+  }
+
+  var done = function(err, links)
+  {
+    if (callback !== null)
+    {
+      callback(err, links);
+      callback = null;
+    }
+  };
+
+  request.on('response', function(response)
+  {
+    handleLinksResponse(response, origin, done);
+  });
+
+  request.on('timeout', function()
+  {
+    done(new Error("Request for links timed out."), null);
+  });
+
+  request.on('reset', function()
+  {
+    done(new Error("Request for links was reset."), null);
+  });
+
+  request.on('cancelled', function()
+  {
+    done(new Error("Request for links was cancelled."), null);
+  });
+
+  request.on('error', function(err)
+  {
+    done(err, null);
+  });
+
+  return this.request(request);
+};
+
+/**
+ * Cancels the specified request. A queued request is removed from the queue
+ * and emits the `cancelled` event. So does a request with a response stream,
+ * so the stream can fail.
+ *
+ * If the `deregister` option is enabled, a subscribed observation is
+ * deregistered with a GET request with Observe=1 and the `cancelled` event
+ * is emitted after its response, RST or timeout.
+ *
+ * @param {Message} message
+ */
+Client.prototype.cancel = function(message)
+{
+  if (this.removeResolvingRequest(message)
+    || this.removeQueuedRequest(message)
+    || this.finishGroupRequest(message) !== null)
+  {
+    setImmediate(message.emit.bind(message, 'cancelled'));
+
+    return;
+  }
+
+  var exchangeKey = message.getExchangeKey();
+  var exchange = this.exchanges[exchangeKey];
+
+  if (typeof exchange === 'undefined')
+  {
+    return;
+  }
+
+  this.finishTransaction(exchange.getTransactionKey());
+
+  if (exchange.isSubscribed())
+  {
+    this.removeObserver(
+      message.getRemoteEndpoint().toString(),
+      message.getCacheKey(),
+      !this.deregister
+    );
+
+    if (this.deregister)
+    {
+      this.deregisterObserver(exchange);
+    }
+  }
+  else
+  {
+    if (exchange.getResponseStream() !== null)
+    {
+      setImmediate(message.emit.bind(message, 'cancelled'));
+    }
+
+    this.finishExchange(exchange);
+  }
+};
+
+/**
+ * Sends a GET request with Observe=1 and the same token and options as
+ * the observe request of the specified exchange (RFC 7641, section 3.6).
+ *
+ * The exchange is finished after the response to the deregistration request.
+ * If the request is reset or times out, the exchange is finished anyway and
+ * any later notification is rejected with a RST message.
+ *
+ * @private
+ * @param {ClientExchange} exchange
+ */
+Client.prototype.deregisterObserver = function(exchange)
+{
+  var deregistrationRequest =
+    exchange.createDeregistrationRequest(this.getNextMessageId());
+
+  this.setUpTransaction(exchange, deregistrationRequest);
+
+  exchange.scheduleTimeout();
+
+  this.sendMessage(deregistrationRequest);
+};
+
+/**
+ * @private
+ * @param {Message} request
+ * @param {object} options
+ * @param {AbortSignal|null} signal
+ * @returns {Promise.<Message>}
+ */
+Client.prototype.fetchResponse = function(request, options, signal)
+{
+  var client = this;
+
+  return new Promise(function(resolve, reject)
+  {
+    if (signal !== null && signal.aborted)
+    {
+      reject(new errors.CancelledError(request));
+
+      return;
+    }
+
+    var settled = false;
+    var settle = function(err, response)
+    {
+      if (settled)
+      {
+        return;
+      }
+
+      settled = true;
+
+      if (signal !== null)
+      {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      if (err === null)
+      {
+        resolve(response);
+      }
+      else
+      {
+        reject(err);
+      }
+    };
+
+    var onAbort = function()
+    {
+      client.cancel(request);
+
+      settle(new errors.CancelledError(request), null);
+    };
+
+    if (signal !== null)
+    {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    request.on('response', function(response)
+    {
+      settle(null, response);
+    });
+
+    request.on('timeout', function()
+    {
+      settle(new errors.TimeoutError(request), null);
+    });
+
+    request.on('reset', function(rstMessage)
+    {
+      settle(new errors.ResetError(request, rstMessage), null);
+    });
+
+    request.on('cancelled', function()
+    {
+      settle(new errors.CancelledError(request), null);
+    });
+
+    request.on('error', function(err)
+    {
+      client.cancel(request);
+
+      settle(
+        err instanceof errors.RequestError
+          ? err
+          : new errors.SocketError(request, err),
+        null
+      );
+    });
+
+    client.request(request, options);
+  });
+};
+
+/**
+ * @private
+ * @param {object} update
+ * @param {number} attempt
+ * @returns {Promise.<Message>}
+ */
+Client.prototype.attemptUpdate = function(update, attempt)
+{
+  var client = this;
+  var currentResponse = update.createOnly
+    ? Promise.resolve(null)
+    : this.fetchCurrentRepresentation(update);
+
+  return currentResponse.then(function(response)
+  {
+    var payload = response === null ? null : response.getPayload();
+
+    return Promise.resolve(update.mutator(payload, response))
+      .then(function(newPayload)
+      {
+        var options = copyOptions(update.options);
+        var request = client.createMessage(
+          Message.Code.PUT, update.uri, newPayload, options
+        );
+
+        if (response === null)
+        {
+          request.setIfNoneMatch(true);
+        }
+        else
+        {
+          request.setIfMatch(response.getETag()[0]);
+        }
+
+        return client.fetchResponse(request, options, update.signal)
+          .then(client.handleUpdateResponse.bind(
+            client, update, request, attempt
+          ));
+      });
+  });
+};
+
+/**
+ * @private
+ * @param {object} update
+ * @returns {Promise.<Message>}
+ */
+Client.prototype.fetchCurrentRepresentation = function(update)
+{
+  var options = copyOptions(update.options);
+
+  delete options.contentFormat;
+
+  options.cache = false;
+
+  var request = this.createMessage(Message.Code.GET, update.uri, null, options);
+
+  return this.fetchResponse(request, options, update.signal)
+    .then(function(response)
+    {
+      if (!response.isSuccess())
+      {
+        throw new errors.ResponseError(request, response);
+      }
+
+      if (!response.hasOption(Message.Option.ETAG))
+      {
+        throw new errors.MissingETagError(request, response);
+      }
+
+      return response;
+    });
+};
+
+/**
+ * @private
+ * @param {object} update
+ * @param {Message} request
+ * @param {number} attempt
+ * @param {Message} response
+ * @returns {Message|Promise.<Message>}
+ * @throws {errors.ResponseError} If the response has an error code.
+ */
+Client.prototype.handleUpdateResponse =
+  function(update, request, attempt, response)
+{
+  if (response.getCode() === Message.Code.PRECONDITION_FAILED)
+  {
+    if (!update.createOnly && attempt < update.maxAttempts)
+    {
+      return this.attemptUpdate(update, attempt + 1);
+    }
+
+    throw new errors.PreconditionFailedError(request, response, attempt);
+  }
+
+  if (!response.isSuccess())
+  {
+    throw new errors.ResponseError(request, response);
+  }
+
+  return response;
+};
+
+/**
+ * @private
+ * @param {Message.Code} code
+ * @param {string} uri
+ * @param {Buffer|string|stream.Readable} payload
+ * @param {object|undefined} options
+ * @returns {Message}
+ */
+Client.prototype.requestWithPayload = function(code, uri, payload, options)
+{
+  if (isReadableStream(payload))
+  {
+    if (typeof options !== 'object' || options === null)
+    {
+      options = {};
+    }
+
+    options.payloadStream = payload;
+    payload = null;
+  }
+
+  return this.request(this.createMessage(code, uri, payload, options), options);
+};
+
+/**
+ * @private
+ * @param {Message.Code} code
+ * @param {string} uri
+ * @param {Buffer|string|null} payload
+ * @param {object|undefined} options
+ * @returns {*}
+ */
+Client.prototype.createMessage = function(code, uri, payload, options)
+{
+  if (typeof options === 'object')
+  {
+    options.code = code;
+    options.uri = uri;
+
+    if (payload !== null)
+    {
+      options.payload = payload;
+    }
+
+    return Message.fromObject(options);
+  }
+  else
+  {
+    var message = new Message();
+
+    message.setCode(code);
+    message.setUri(uri);
+
+    if (payload !== null)
+    {
+      message.setPayload(payload);
+    }
+
+    return message;
+  }
+};
+
+/**
+ * @private
+ * @param {string} type
+ * @param {Socket|boolean} option
+ * @returns {Socket|null}
+ */
+Client.prototype.setUpSocket = function(type, option)
+{
+  var socket = null;
+
+  if (option !== null && typeof option === 'object')
+  {
+    socket = option;
+  }
+  else if (option !== false)
+  {
+    socket = dgram.createSocket(type);
+  }
+
+  if (socket !== null)
+  {
+    socket.on('message', this.onMessage);
+  }
+
+  return socket;
+};
+
+/**
+ * @private
+ * @returns {number}
+ */
+Client.prototype.getNextMessageId = function()
+{
+  if (this.messageId === MAX_MESSAGE_ID)
+  {
+    this.messageId = 0;
+  }
+
+  return ++this.messageId;
+};
+
+/**
+ * @private
+ * @param {Message} request
+ * @param {object} options
+ * @returns {ClientExchange}
+ */
+Client.prototype.setUpExchange = function(request, options)
+{
+  var exchange = new ClientExchange(request, this.onExchangeTimeout, options);
+  var endpointKey = request.getRemoteEndpoint().toString();
+
+  this.exchanges[exchange.getKey()] = exchange;
+  this.outstanding[exchange.getKey()] = endpointKey;
+  this.outstandingCounts[endpointKey] =
+    this.getOutstandingCount(endpointKey) + 1;
+
+  return exchange;
+};
+
+/**
+ * @private
+ * @param {string} endpointKey
+ * @param {Message} request
+ * @param {object} options
+ */
+Client.prototype.enqueueRequest = function(endpointKey, request, options)
+{
+  if (typeof this.queues[endpointKey] === 'undefined')
+  {
+    this.queues[endpointKey] = [];
+  }
+
+  var queue = this.queues[endpointKey];
+
+  queue.push({request: request, options: options});
+
+  this.emit('queue depth', request.getRemoteEndpoint(), queue.length);
+};
+
+/**
+ * @private
+ * @param {Message} request
+ * @returns {boolean} Whether the specified request was queued.
+ */
+Client.prototype.removeQueuedRequest = function(request)
+{
+  var endpointKey = request.getRemoteEndpoint().toString();
+  var queue = this.queues[endpointKey];
+
+  if (typeof queue === 'undefined')
+  {
+    return false;
+  }
+
+  for (var i = 0; i < queue.length; ++i)
+  {
+    if (queue[i].request === request)
+    {
+      queue.splice(i, 1);
+
+      this.emitQueueDepth(endpointKey, request.getRemoteEndpoint());
+
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Marks the specified exchange as no longer outstanding and starts
+ * the next queued request to the same endpoint.
+ *
+ * @private
+ * @param {string} exchangeKey
+ */
+Client.prototype.releaseExchange = function(exchangeKey)
+{
+  var endpointKey = this.outstanding[exchangeKey];
+
+  if (typeof endpointKey === 'undefined')
+  {
+    return;
+  }
+
+  delete this.outstanding[exchangeKey];
+
+  if (this.outstandingCounts[endpointKey] === 1)
+  {
+    delete this.outstandingCounts[endpointKey];
+  }
+  else
+  {
+    this.outstandingCounts[endpointKey] -= 1;
+  }
+
+  var queue = this.queues[endpointKey];
+
+  if (typeof queue === 'undefined'
+    || this.getOutstandingCount(endpointKey) >= this.nstart)
+  {
+    return;
+  }
+
+  var queued = queue.shift();
+
+  this.emitQueueDepth(endpointKey, queued.request.getRemoteEndpoint());
+  this.startRequest(queued.request, queued.options);
+};
+
+/**
+ * @private
+ * @param {string} endpointKey
+ * @param {EndpointAddress} remoteEndpoint
+ */
+Client.prototype.emitQueueDepth = function(endpointKey, remoteEndpoint)
+{
+  var depth = this.queues[endpointKey].length;
+
+  if (depth === 0)
+  {
+    delete this.queues[endpointKey];
+  }
+
+  this.emit('queue depth', remoteEndpoint, depth);
+};
+
+/**
+ * @private
+ * @param {ClientExchange} exchange
+ * @param {Message} request
+ * @returns {ClientTransaction}
+ */
+Client.prototype.setUpTransaction = function(exchange, request)
+{
+  var options = exchange.getOptions();
+
+  if (typeof options.maxRetransmit !== 'number')
+  {
+    options.maxRetransmit = this.maxRetransmit;
+  }
+
+  var transactionOptions = options;
+
+  if (typeof options.transactionTimeout !== 'number')
+  {
+    if (this.rtoEstimators === null)
+    {
+      options.transactionTimeout = this.genTransactionTimeout();
+    }
+    else
+    {
+      transactionOptions = this.genAdaptiveTransactionOptions(
+        request.getRemoteEndpoint(), options.maxRetransmit
+      );
+    }
+  }
+
+  var transaction = new ClientTransaction(
+    request,
+    exchange.getKey(),
+    this.onTransactionTimeout,
+    transactionOptions
+  );
+  var transactionKey = transaction.getKey();
+
+  exchange.setTransactionKey(transactionKey);
+
+  this.transactions[transactionKey] = transaction;
+
+  return transaction;
+};
+
+/**
+ * Accepts or rejects a transaction identified by the specified transaction key.
+ *
+ * @private
+ * @param {string} transactionKey
+ * @param {boolean} [accept]
+ * @param {Message} [response]
+ */
+Client.prototype.finishTransaction = function(transactionKey, accept, response)
+{
+  var transaction = this.transactions[transactionKey];
+
+  if (typeof transaction === 'undefined')
+  {
+    return;
+  }
+
+  delete this.transactions[transactionKey];
+
+  if (typeof accept === 'boolean' && this.rtoEstimators !== null)
+  {
+    this.addRttSample(transaction, response);
+  }
+
+  if (accept === true)
+  {
+    transaction.accept(response);
+  }
+  else if (accept === false)
+  {
+    transaction.reject(response);
+  }
+
+  transaction.destroy();
+};
+
+/**
+ * Cleans up after completed exchanges.
+ *
+ * @private
+ * @param {ClientExchange} exchange
+ * @param {boolean} [cancel] Whether to cancel the observer exchange.
+ * Defaults to `true`.
+ */
+Client.prototype.finishExchange = function(exchange, cancel)
+{
+  if (exchange.isObserver() && cancel !== false)
+  {
+    exchange.cancel();
+  }
+
+  var exchangeKey = exchange.getKey();
+
+  delete this.exchanges[exchangeKey];
+
+  this.tokenManager.release(exchange.getTokenString());
+
+  exchange.destroy();
+
+  this.releaseExchange(exchangeKey);
+};
+
+/**
+ * @private
+ * @returns {number}
+ */
+Client.prototype.calcExchangeTimeout = function()
+{
+  return this.ackTimeout
+    * Math.pow(2, this.maxRetransmit + 1)
+    * this.ackRandomFactor;
+};
+
+/**
+ * @private
+ * @param {number} [rto] An initial RTO. Defaults to the `ackTimeout`.
+ * @returns {number} A random timeout between the initial RTO and
+ * the initial RTO multiplied by the `ackRandomFactor`.
+ */
+Client.prototype.genTransactionTimeout = function(rto)
+{
+  if (typeof rto !== 'number')
+  {
+    rto = this.ackTimeout;
+  }
+
+  return Math.random() * ((rto * this.ackRandomFactor) - rto) + rto;
+};
+
+/**
+ * @private
+ * @param {EndpointAddress} remoteEndpoint
+ * @param {number} maxRetransmit
+ * @returns {object}
+ */
+Client.prototype.genAdaptiveTransactionOptions =
+  function(remoteEndpoint, maxRetransmit)
+{
+  var rtoEstimator = this.getRtoEstimator(remoteEndpoint);
+  var rto = rtoEstimator.getRto();
+
+  return {
+    transactionTimeout: this.genTransactionTimeout(rto),
+    maxRetransmit: maxRetransmit,
+    backoffFactor: rtoEstimator.getBackoffFactor(rto)
+  };
+};
+
+/**
+ * @private
+ * @param {EndpointAddress} remoteEndpoint
+ * @returns {RtoEstimator}
+ */
+Client.prototype.getRtoEstimator = function(remoteEndpoint)
+{
+  var endpointKey = remoteEndpoint.toString();
+
+  if (typeof this.rtoEstimators[endpointKey] === 'undefined')
+  {
+    this.rtoEstimators[endpointKey] = new RtoEstimator(this.ackTimeout);
+  }
+
+  return this.rtoEstimators[endpointKey];
+};
+
+/**
+ * Feeds the RTO estimator of the transaction's endpoint with a time
+ * between the first transmission of the request and the reply.
+ *
+ * @private
+ * @param {ClientTransaction} transaction
+ * @param {Message} reply
+ */
+Client.prototype.addRttSample = function(transaction, reply)
+{
+  var request = transaction.getRequest();
+  var sentAt = transaction.getFirstTransmissionTime();
+  var receivedAt = reply.getTimestamp();
+
+  if (sentAt === -1 || receivedAt === -1)
+  {
+    return;
+  }
+
+  var remoteEndpoint = request.getRemoteEndpoint();
+  var rtoEstimator = this.getRtoEstimator(remoteEndpoint);
+  var used = rtoEstimator.addSample(
+    receivedAt - sentAt, transaction.getRetransmissionCount(), receivedAt
+  );
+
+  if (used)
+  {
+    this.emit('rto updated', remoteEndpoint, rtoEstimator.toJSON());
+  }
+};
+
+/**
+ * @private
+ * @param {ClientTransaction} transaction
+ * @param {number} retries
+ */
+Client.prototype.onTransactionTimeout = function(transaction, retries)
+{
+  if (transaction.isLimitReached())
+  {
+    this.emit('transaction timeout', transaction.getRequest());
+
+    this.finishTransaction(transaction.getKey());
+    this.finishExchange(this.exchanges[transaction.getExchangeKey()]);
+  }
+  else
+  {
+    this.sendMessage(transaction.getRequest(), retries);
+  }
+};
+
+/**
+ * @private
+ * @param {ClientExchange} exchange
+ */
+Client.prototype.onExchangeTimeout = function(exchange)
+{
+  var request = exchange.getRequest();
+  var options = exchange.getOptions();
+  var wasSubscribed = exchange.isSubscribed();
+
+  this.emit('exchange timeout', request);
+
+  this.finishTransaction(exchange.getTransactionKey());
+
+  if (wasSubscribed)
+  {
+    this.removeObserver(
+      request.getRemoteEndpoint().toString(),
+      request.getCacheKey(),
+      true,
+      false
+    );
+
+    this.request(request, options);
+  }
+  else
+  {
+    this.finishExchange(exchange);
+  }
+};
+
+/**
+ * @private
+ * @param {Buffer} messageBuffer
+ * @param {{address: string, port: number}} rinfo
+ */
+Client.prototype.onMessage = function(messageBuffer, rinfo)
+{
+  var response;
+
+  try
+  {
+    response = Message.fromBuffer(messageBuffer);
+  }
+  catch (err)
+  {
+    this.emit('error', err);
+
+    return;
+  }
+
+  response.setRemoteEndpoint(rinfo.address, rinfo.port);
+
+  this.emit('message received', response);
+
+  var messageKey = response.getKey();
+
+  if (this.isDuplicateMessage(messageKey))
+  {
+    this.handleDuplicateMessage(messageKey);
+
+    return;
+  }
+
+  var transactionKey = response.getTransactionKey();
+
+  this.setUpDuplicateMessage(messageKey, transactionKey);
+
+  if (response.isRequest())
+  {
+    this.handleRequestMessage(response);
+
+    return;
+  }
+
+  this.handleResponse(response, transactionKey);
+};
+
+/**
+ * @private
+ * @param {Message} request
+ */
+Client.prototype.handleRequestMessage = function(request)
+{
+  if (!request.isConfirmable())
+  {
+    return;
+  }
+
+  this.sendRstReply(request);
+};
+
+/**
+ * @private
+ * @param {Message} response
+ * @param {string} transactionKey
+ */
+Client.prototype.handleResponse = function(response, transactionKey)
+{
+  if (response.isReset())
+  {
+    this.handleRstMessage(response, transactionKey);
+
+    return;
+  }
+
+  if (response.isEmptyAcknowledgement())
+  {
+    this.handleEmptyAckMessage(response, transactionKey);
+
+    return;
+  }
+
+  var exchange = this.exchanges[response.getExchangeKey()];
+
+  if (!exchange)
+  {
+    var groupRequest = this.groupRequests[response.getTokenString()];
+
+    if (typeof groupRequest !== 'undefined' && !response.isAcknowledgement())
+    {
+      this.handleGroupResponse(groupRequest, response);
+
+      return;
+    }
+
+    if (response.isConfirmable())
+    {
+      this.sendRstReply(response);
+    }
+
+    return;
+  }
+
+  this.handleExchangeResponse(exchange, response, transactionKey);
+};
+
+/**
+ * @private
+ * @param {ClientExchange} exchange
+ * @param {Message} response
+ * @param {string} transactionKey
+ */
+Client.prototype.handleExchangeResponse =
+  function(exchange, response, transactionKey)
+{
+  if (exchange.isDeregistering())
+  {
+    this.handleDeregistrationResponse(exchange, response);
+
+    return;
+  }
+
+  this.handleTransaction(exchange, response, transactionKey);
+
+  if (exchange.isLateObserveResponse(response))
+  {
+    if (response.isConfirmable())
+    {
+      this.sendAckReply(response);
+    }
+
+    return;
+  }
+
+  this.handleObserver(exchange, response);
+  this.learnBlockSizes(exchange, response);
+
+  var block1 = response.getBlock1();
+
+  if (block1 !== null)
+  {
+    this.handleBlock1Response(exchange, response, block1);
+
+    return;
+  }
+
+  var block2 = response.getBlock2();
+
+  if (block2 !== null && exchange.isBlockwiseResponsePossible())
+  {
+    var serverInitiative =
+      exchange.isObserver() || exchange.isBlockwiseRequest();
+
+    this.handleBlock2Response(exchange, response, block2, serverInitiative);
+
+    return;
+  }
+
+  this.handleSimpleExchangeResponse(exchange, response);
+};
+
+/**
+ * Finishes the deregistered exchange after the response to the deregistration
+ * request. Notifications sent before the server processed the deregistration
+ * are only acknowledged.
+ *
+ * @private
+ * @param {ClientExchange} exchange
+ * @param {Message} response
+ */
+Client.prototype.handleDeregistrationResponse = function(exchange, response)
+{
+  if (response.isConfirmable())
+  {
+    this.sendAckReply(response);
+  }
+
+  if (exchange.isDeregistrationResponse(response))
+  {
+    this.finishTransaction(exchange.getTransactionKey(), true, response);
+    this.finishExchange(exchange);
+  }
+};
+
+/**
+ * @private
+ * @param {string} transactionKey
+ * @returns {boolean}
+ */
+Client.prototype.isDuplicateMessage = function(messageKey)
+{
+  return typeof this.duplicates[messageKey] !== 'undefined';
+};
+
+/**
+ * @private
+ * @param {string} messageKey
+ */
+Client.prototype.handleDuplicateMessage = function(messageKey)
+{
+  var transactionKey = this.duplicates[messageKey];
+  var reply = this.replies[transactionKey];
+
+  if (reply)
+  {
+    this.sendMessage(reply);
+  }
+};
+
+/**
+ * @private
+ * @param {string} messageKey
+ * @param {string} transactionKey
+ */
+Client.prototype.setUpDuplicateMessage = function(messageKey, transactionKey)
+{
+  this.duplicates[messageKey] = transactionKey;
+
+  var timerKey = 'DUP:' + messageKey;
+  var client = this;
+
+  this.timers[timerKey] = setTimeout(
+    function()
+    {
+      delete client.duplicates[messageKey];
+      delete client.replies[transactionKey];
+      delete client.timers[timerKey];
+    },
+    this.duplicateTimeout
+  );
+};
+
+/**
+ * @private
+ * @param {Message} rstMessage
+ * @param {string} transactionKey
+ */
+Client.prototype.handleRstMessage = function(rstMessage, transactionKey)
+{
+  var transaction = this.transactions[transactionKey];
+
+  if (typeof transaction === 'undefined')
+  {
+    return;
+  }
+
+  var exchangeKey = transaction.getExchangeKey();
+
+  this.finishTransaction(transactionKey, false, rstMessage);
+  this.finishExchange(this.exchanges[exchangeKey]);
+};
+
+/**
+ * @private
+ * @param {Message} ackMessage
+ * @param {string} transactionKey
+ */
+Client.prototype.handleEmptyAckMessage = function(ackMessage, transactionKey)
+{
+  var transaction = this.transactions[transactionKey];
+
+  if (typeof transaction !== 'undefined')
+  {
+    this.finishTransaction(transactionKey, true, ackMessage);
+  }
+};
+
+/**
+ * @private
+ * @param {ClientExchange} exchange
+ * @param {Message} response
+ * @param {string} transactionKey
+ */
+Client.prototype.handleTransaction =
+  function(exchange, response, transactionKey)
+{
+  if (typeof this.transactions[transactionKey] !== 'undefined')
+  {
+    this.finishTransaction(transactionKey, true, response);
+  }
+  else
+  {
+    transactionKey = exchange.getTransactionKey();
+
+    if (typeof this.transactions[transactionKey] !== 'undefined')
+    {
+      this.finishTransaction(transactionKey, true, response);
+    }
+  }
+};
+
+/**
+ * @private
+ * @param {ClientExchange} exchange
+ * @param {Message} response
+ */
+Client.prototype.handleObserver = function(exchange, response)
+{
+  var request = exchange.getRequest();
+
+  if (request.getCode() !== Message.Code.GET)
+  {
+    return;
+  }
+
+  var code = response.getCode();
+
+  if (code === Message.Code.CONTENT || code === Message.Code.VALID)
+  {
+    this.handleObserverSuccess(exchange, request, response);
+  }
+  else
+  {
+    this.handleObserverError(exchange, request);
+  }
+};
+
+/**
+ * @private
+ * @param {ClientExchange} exchange
+ * @param {Message} request
+ * @param {Message} response
+ */
+Client.prototype.handleObserverSuccess = function(exchange, request, response)
+{
+  if (exchange.isSubscribed())
+  {
+    return;
+  }
+
+  if (exchange.isObserver() && response.getObserve() !== -1)
+  {
+    this.updateObserver(exchange, request);
+  }
+  else
+  {
+    this.removeObserver(
+      request.getRemoteEndpoint().toString(),
+      request.getCacheKey()
+    );
+  }
+};
 
-  if (!exchange)
+/**
+ * @private
+ * @param {ClientExchange} exchange
+ * @param {Message} request
+ */
+Client.prototype.handleObserverError = function(exchange, request)
+{
+  if (exchange.isObserver())
   {
-    if (response.isConfirmable())
+    if (exchange.isSubscribed())
     {
-      this.sendRstReply(response);
+      this.removeObserver(
+        request.getRemoteEndpoint().toString(), request.getCacheKey(), false
+      );
+    }
+
+    exchange.cancel();
+  }
+};
+
+/**
+ * Observations are identified by the remote endpoint and the cache key of
+ * the request (RFC 7641, section 3.1), so an established observation
+ * replaces an older one only if both are of the same representation.
+ *
+ * @private
+ * @param {ClientExchange} exchange
+ * @param {Message} request
+ */
+Client.prototype.updateObserver = function(exchange, request)
+{
+  var remoteEndpoint = request.getRemoteEndpoint().toString();
+
+  if (typeof this.observers[remoteEndpoint] === 'undefined')
+  {
+    this.observers[remoteEndpoint] = {$count: 0};
+  }
+
+  var endpointObservers = this.observers[remoteEndpoint];
+  var observationKey = request.getCacheKey();
+
+  if (typeof endpointObservers[observationKey] === 'undefined')
+  {
+    endpointObservers.$count += 1;
+  }
+  else
+  {
+    var oldExchange = endpointObservers[observationKey];
+
+    if (oldExchange === exchange)
+    {
+      return;
     }
 
+    this.finishExchange(oldExchange);
+  }
+
+  endpointObservers[observationKey] = exchange;
+
+  this.releaseExchange(exchange.getKey());
+};
+
+/**
+ * @private
+ * @param {string} remoteEndpoint
+ * @param {string} observationKey A cache key of the observe request.
+ * @param {boolean} [finish] Whether to finish the exchange for the specified
+ * remote endpoint and observation key. Defaults to `true`.
+ * @param {boolean} [cancel] Whether to cancel the exchange while finishing it.
+ * Defaults to `true`.
+ */
+Client.prototype.removeObserver =
+  function(remoteEndpoint, observationKey, finish, cancel)
+{
+  var endpointObservers = this.observers[remoteEndpoint];
+
+  if (typeof endpointObservers === 'undefined')
+  {
     return;
   }
 
-  this.handleExchangeResponse(exchange, response, transactionKey);
+  var exchange = endpointObservers[observationKey];
+
+  if (typeof exchange === 'undefined')
+  {
+    return;
+  }
+
+  if (finish !== false)
+  {
+    this.finishExchange(exchange, cancel);
+  }
+
+  delete endpointObservers[observationKey];
+
+  endpointObservers.$count -= 1;
+
+  if (endpointObservers.$count === 0)
+  {
+    delete this.observers[remoteEndpoint];
+  }
 };
 
 /**
+ * Remembers the Block1 size accepted by the remote endpoint of the specified
+ * response and the Block2 size used in the transfer. A 4.13 Request Entity
+ * Too Large response reduces the Block1 size to the size of its Block1
+ * option or to the largest block size not exceeding its Size1 option.
+ *
  * @private
  * @param {ClientExchange} exchange
  * @param {Message} response
- * @param {string} transactionKey
  */
-Client.prototype.handleExchangeResponse =
-  function(exchange, response, transactionKey)
+Client.prototype.learnBlockSizes = function(exchange, response)
 {
-  this.handleTransaction(exchange, response, transactionKey);
+  var endpointKey = exchange.getRequest().getRemoteEndpoint().toString();
+  var options = exchange.getOptions();
+  var block1 = response.getBlock1();
+  var block2 = response.getBlock2();
 
-  if (exchange.isLateObserveResponse(response))
+  if (response.getCode() === Message.Code.REQUEST_ENTITY_TOO_LARGE)
   {
-    if (response.isConfirmable())
+    var size1 = response.getSize1();
+
+    if (block1 !== null)
     {
-      this.sendAckReply(response);
+      this.learnBlockSize(endpointKey, 'block1', block1.size);
+    }
+    else if (size1 !== -1)
+    {
+      this.learnBlockSize(
+        endpointKey,
+        'block1',
+        helpers.decodeBlockSize(helpers.encodeBlockSize(size1))
+      );
     }
+  }
+  else if (block1 !== null && exchange.isBlockwiseRequest())
+  {
+    this.learnBlockSize(
+      endpointKey, 'block1', Math.min(block1.size, options.block1Size)
+    );
+  }
 
-    return;
+  if (block2 !== null
+    && response.isSuccess()
+    && exchange.isBlockwiseResponsePossible())
+  {
+    this.learnBlockSize(
+      endpointKey, 'block2', Math.min(block2.size, options.block2Size)
+    );
   }
+};
 
-  this.handleObserver(exchange, response);
+/**
+ * @private
+ * @param {string} endpointKey
+ * @param {string} blockType `block1` or `block2`.
+ * @param {number} blockSize
+ */
+Client.prototype.learnBlockSize = function(endpointKey, blockType, blockSize)
+{
+  var blockSizes = this.blockSizes[endpointKey];
 
-  var block1 = response.getBlock1();
+  if (typeof blockSizes === 'undefined')
+  {
+    blockSizes = this.blockSizes[endpointKey] = {block1: -1, block2: -1};
+  }
 
-  if (block1 !== null)
+  if (blockSizes[blockType] === -1 || blockSize < blockSizes[blockType])
   {
-    this.handleBlock1Response(exchange, response, block1);
+    blockSizes[blockType] = blockSize;
+  }
+};
+
+/**
+ * @private
+ * @param {ClientExchange} exchange
+ * @param {Message} response
+ * @param {BlockOption} block1
+ */
+Client.prototype.handleBlock1Response = function(exchange, response, block1)
+{
+  if (!response.isSuccess())
+  {
+    this.handleSimpleExchangeResponse(exchange, response);
 
     return;
   }
 
   var block2 = response.getBlock2();
 
-  if (block2 !== null && exchange.isBlockwiseResponsePossible())
+  if (!exchange.isValidBlock1(block1, block2))
   {
-    var serverInitiative =
-      exchange.isObserver() || exchange.isBlockwiseRequest();
-
-    this.handleBlock2Response(exchange, response, block2, serverInitiative);
+    if (response.isConfirmable())
+    {
+      this.sendRstReply(response);
+    }
 
     return;
   }
 
-  this.handleSimpleExchangeResponse(exchange, response);
+  exchange.handleBlock1Response(response, block1, block2 !== null);
+
+  if (exchange.hasMoreBlock1())
+  {
+    this.sendNextBlock(exchange, false);
+  }
+  else if (block2 !== null)
+  {
+    this.handleBlock2Response(exchange, response, block2, true);
+  }
+  else
+  {
+    this.finishExchange(exchange);
+  }
 };
 
 /**
  * @private
- * @param {string} transactionKey
- * @returns {boolean}
+ * @param {ClientExchange} exchange
+ * @param {Message} response
+ * @param {BlockOption} block2
+ * @param {boolean} [serverInitiative]
  */
-Client.prototype.isDuplicateMessage = function(messageKey)
+Client.prototype.handleBlock2Response =
+  function(exchange, response, block2, serverInitiative)
 {
-  return typeof this.duplicates[messageKey] !== 'undefined';
+  if (block2.num > 0 && exchange.isBlockwiseResponse())
+  {
+    this.handleExistingBlock2Response(exchange, response, block2);
+  }
+  else
+  {
+    this.handleNewBlock2Response(exchange, response, block2, serverInitiative);
+  }
 };
 
 /**
  * @private
- * @param {string} messageKey
+ * @param {ClientExchange} exchange
+ * @param {Message} response
+ * @param {BlockOption} block2
+ * @param {boolean} serverInitiative
  */
-Client.prototype.handleDuplicateMessage = function(messageKey)
+Client.prototype.handleNewBlock2Response =
+  function(exchange, response, block2, serverInitiative)
 {
-  var transactionKey = this.duplicates[messageKey];
-  var reply = this.replies[transactionKey];
-
-  if (reply)
+  if (exchange.isValidBlock2(block2))
   {
-    this.sendMessage(reply);
+    this.handleNewValidBlock2Response(
+      exchange, response, block2, serverInitiative
+    );
+  }
+  else
+  {
+    this.handleInvalidBlock2Response(
+      exchange, response, block2, response.getObserve()
+    );
   }
 };
 
 /**
  * @private
- * @param {string} messageKey
- * @param {string} transactionKey
+ * @param {ClientExchange} exchange
+ * @param {Message} response
+ * @param {BlockOption} block2
+ * @param {boolean} serverInitiative
  */
-Client.prototype.setUpDuplicateMessage = function(messageKey, transactionKey)
+Client.prototype.handleNewValidBlock2Response =
+  function(exchange, response, block2, serverInitiative)
 {
-  this.duplicates[messageKey] = transactionKey;
+  if (response.isConfirmable())
+  {
+    this.sendAckReply(response);
+  }
 
-  var timerKey = 'DUP:' + messageKey;
-  var client = this;
+  exchange.handleBlock2Response(response, block2, serverInitiative);
 
-  this.timers[timerKey] = setTimeout(
-    function()
-    {
-      delete client.duplicates[messageKey];
-      delete client.replies[transactionKey];
-      delete client.timers[timerKey];
-    },
-    this.duplicateTimeout
-  );
+  if (exchange.isServerInitiative())
+  {
+    exchange.scheduleTimeout();
+  }
+  else if (block2.m)
+  {
+    this.requestNextBlock(exchange);
+  }
+  else
+  {
+    this.finishExchange(exchange);
+  }
 };
 
 /**
  * @private
- * @param {Message} rstMessage
- * @param {string} transactionKey
+ * @param {ClientExchange} exchange
+ * @param {Message} response
+ * @param {BlockOption} block2
  */
-Client.prototype.handleRstMessage = function(rstMessage, transactionKey)
+Client.prototype.handleExistingBlock2Response =
+  function(exchange, response, block2)
 {
-  var transaction = this.transactions[transactionKey];
+  var observe = response.getObserve();
+
+  if (!exchange.isValidBlock2(block2, observe))
+  {
+    this.handleInvalidBlock2Response(
+      exchange, response, block2, observe
+    );
+
+    return;
+  }
 
-  if (typeof transaction === 'undefined')
+  if (exchange.getResponseStream() !== null
+    && exchange.isBlock2ETagChanged(response))
   {
+    this.handleChangedBlock2Response(exchange, response);
+
     return;
   }
 
-  var exchangeKey = transaction.getExchangeKey();
-
-  this.finishTransaction(transactionKey, false, rstMessage);
-  this.finishExchange(this.exchanges[exchangeKey]);
-};
+  if (response.isConfirmable())
+  {
+    this.sendAckReply(response);
+  }
 
-/**
- * @private
- * @param {Message} ackMessage
- * @param {string} transactionKey
- */
-Client.prototype.handleEmptyAckMessage = function(ackMessage, transactionKey)
-{
-  var transaction = this.transactions[transactionKey];
+  exchange.handleBlock2Response(response, block2, observe);
 
-  if (typeof transaction !== 'undefined')
+  if (block2.m)
   {
-    this.finishTransaction(transactionKey, true, ackMessage);
+    if (exchange.isServerInitiative())
+    {
+      exchange.scheduleTimeout();
+    }
+    else
+    {
+      this.requestNextBlock(exchange);
+    }
+  }
+  else
+  {
+    if (exchange.isSubscribed())
+    {
+      exchange.scheduleTimeout();
+    }
+    else
+    {
+      this.finishExchange(exchange);
+    }
   }
 };
 
@@ -846,22 +2952,21 @@ Client.prototype.handleEmptyAckMessage = function(ackMessage, transactionKey)
  * @private
  * @param {ClientExchange} exchange
  * @param {Message} response
- * @param {string} transactionKey
+ * @param {BlockOption} block2
+ * @param {number} observe
  */
-Client.prototype.handleTransaction =
-  function(exchange, response, transactionKey)
+Client.prototype.handleInvalidBlock2Response =
+  function(exchange, response, block2, observe)
 {
-  if (typeof this.transactions[transactionKey] !== 'undefined')
-  {
-    this.finishTransaction(transactionKey, true, response);
-  }
-  else
+  if (response.isConfirmable())
   {
-    transactionKey = exchange.getTransactionKey();
-
-    if (typeof this.transactions[transactionKey] !== 'undefined')
+    if (observe === -1)
     {
-      this.finishTransaction(transactionKey, true, response);
+      this.sendRstReply(response);
+    }
+    else
+    {
+      this.sendAckReply(response);
     }
   }
 };
@@ -871,411 +2976,420 @@ Client.prototype.handleTransaction =
  * @param {ClientExchange} exchange
  * @param {Message} response
  */
-Client.prototype.handleObserver = function(exchange, response)
+Client.prototype.handleChangedBlock2Response = function(exchange, response)
 {
-  var request = exchange.getRequest();
-
-  if (request.getCode() !== Message.Code.GET)
+  if (response.isConfirmable())
   {
-    return;
+    this.sendAckReply(response);
   }
 
-  var code = response.getCode();
+  var responseStream = exchange.getResponseStream();
 
-  if (code === Message.Code.CONTENT || code === Message.Code.VALID)
-  {
-    this.handleObserverSuccess(exchange, request, response);
-  }
-  else
-  {
-    this.handleObserverError(exchange, request);
-  }
+  setImmediate(responseStream.fail.bind(
+    responseStream,
+    new errors.ETagChangedError(exchange.getRequest(), response)
+  ));
+
+  this.finishExchange(exchange);
 };
 
 /**
  * @private
  * @param {ClientExchange} exchange
- * @param {Message} request
  * @param {Message} response
  */
-Client.prototype.handleObserverSuccess = function(exchange, request, response)
+Client.prototype.handleSimpleExchangeResponse = function(exchange, response)
 {
-  if (exchange.isSubscribed())
+  if (response.isConfirmable())
   {
-    return;
+    this.sendAckReply(response);
   }
 
-  if (exchange.isObserver() && response.getObserve() !== -1)
+  exchange.setResponse(response);
+
+  if (exchange.isSubscribed())
   {
-    this.updateObserver(exchange, request);
+    exchange.scheduleTimeout();
   }
   else
   {
-    this.removeObserver(
-      request.getRemoteEndpoint().toString(),
-      request.getUriPath()
-    );
+    this.finishExchange(exchange);
   }
 };
 
 /**
  * @private
  * @param {ClientExchange} exchange
- * @param {Message} request
  */
-Client.prototype.handleObserverError = function(exchange, request)
+Client.prototype.requestNextBlock = function(exchange)
 {
-  if (exchange.isObserver())
+  var responseStream = exchange.getResponseStream();
+
+  if (responseStream !== null)
   {
-    if (exchange.isSubscribed())
+    if (!responseStream.isReady())
     {
-      var uriPath = request.getUriPath();
+      exchange.cancelTimeout();
 
-      this.removeObserver(
-        request.getRemoteEndpoint().toString(), uriPath, false
+      responseStream.waitForDemand(
+        this.onResponseStreamDemand.bind(this, exchange)
       );
+
+      return;
     }
 
-    exchange.cancel();
+    exchange.scheduleTimeout();
   }
+
+  var nextBlock2Request = exchange.createNextBlock2Request(
+    this.getNextMessageId()
+  );
+
+  this.bindTimeoutToParentRequest(nextBlock2Request, exchange.getRequest());
+
+  this.setUpTransaction(exchange, nextBlock2Request);
+
+  this.sendMessage(nextBlock2Request);
 };
 
 /**
  * @private
  * @param {ClientExchange} exchange
- * @param {Message} request
  */
-Client.prototype.updateObserver = function(exchange, request)
+Client.prototype.onResponseStreamDemand = function(exchange)
 {
-  var remoteEndpoint = request.getRemoteEndpoint().toString();
-
-  if (typeof this.observers[remoteEndpoint] === 'undefined')
-  {
-    this.observers[remoteEndpoint] = {$count: 0};
-  }
-
-  var endpointObservers = this.observers[remoteEndpoint];
-  var uriPath = request.getUriPath();
-
-  if (typeof endpointObservers[uriPath] === 'undefined')
-  {
-    endpointObservers.$count += 1;
-  }
-  else
+  if (this.exchanges !== null
+    && this.exchanges[exchange.getKey()] === exchange)
   {
-    var oldExchange = endpointObservers[uriPath];
-
-    if (oldExchange === exchange)
-    {
-      return;
-    }
-
-    this.finishExchange(oldExchange);
+    this.requestNextBlock(exchange);
   }
-
-  endpointObservers[uriPath] = exchange;
 };
 
 /**
  * @private
- * @param {string} remoteEndpoint
- * @param {string} uriPath
- * @param {boolean} [finish] Whether to finish the exchange for the specified
- * remote endpoint and Uri-Path. Defaults to `true`.
- * @param {boolean} [cancel] Whether to cancel the exchange while finishing it.
- * Defaults to `true`.
+ * @param {ClientExchange} exchange
+ * @param {boolean} first
  */
-Client.prototype.removeObserver =
-  function(remoteEndpoint, uriPath, finish, cancel)
+Client.prototype.sendNextBlock = function(exchange, first)
 {
-  var endpointObservers = this.observers[remoteEndpoint];
+  var blockReader = exchange.getBlockReader();
 
-  if (typeof endpointObservers === 'undefined')
+  if (blockReader !== null)
   {
-    return;
-  }
+    if (!exchange.isNextBlock1Ready())
+    {
+      exchange.cancelTimeout();
+
+      blockReader.waitForData(
+        this.onBlockReaderData.bind(this, exchange, first)
+      );
 
-  var exchange = endpointObservers[uriPath];
+      return;
+    }
 
-  if (typeof exchange === 'undefined')
-  {
-    return;
-  }
+    if (blockReader.getError() !== null)
+    {
+      this.failPayloadStream(exchange, blockReader.getError());
 
-  if (finish !== false)
-  {
-    this.finishExchange(exchange, cancel);
+      return;
+    }
+
+    exchange.scheduleTimeout();
   }
 
-  delete endpointObservers[uriPath];
+  var nextBlock1Request =
+    exchange.createNextBlock1Request(this.getNextMessageId());
+
+  this.bindTimeoutToParentRequest(nextBlock1Request, exchange.getRequest());
 
-  endpointObservers.$count -= 1;
+  var transaction = this.setUpTransaction(exchange, nextBlock1Request);
 
-  if (endpointObservers.$count === 0)
+  if (first)
   {
-    delete this.observers[remoteEndpoint];
+    transaction.setParentRequest(exchange.getRequest());
   }
+
+  this.sendMessage(nextBlock1Request);
 };
 
 /**
  * @private
  * @param {ClientExchange} exchange
- * @param {Message} response
- * @param {BlockOption} block1
+ * @param {boolean} first
  */
-Client.prototype.handleBlock1Response = function(exchange, response, block1)
+Client.prototype.onBlockReaderData = function(exchange, first)
 {
-  var block2 = response.getBlock2();
-
-  if (!exchange.isValidBlock1(block1, block2))
+  if (this.exchanges !== null
+    && this.exchanges[exchange.getKey()] === exchange)
   {
-    if (response.isConfirmable())
-    {
-      this.sendRstReply(response);
-    }
-
-    return;
+    this.sendNextBlock(exchange, first);
   }
+};
 
-  exchange.handleBlock1Response(response, block1, block2 !== null);
+/**
+ * @private
+ * @param {ClientExchange} exchange
+ * @param {Error} err
+ */
+Client.prototype.failPayloadStream = function(exchange, err)
+{
+  var request = exchange.getRequest();
 
-  if (exchange.hasMoreBlock1())
-  {
-    this.sendNextBlock(exchange, false);
-  }
-  else if (block2 !== null)
-  {
-    this.handleBlock2Response(exchange, response, block2, true);
-  }
-  else
-  {
-    this.finishExchange(exchange);
-  }
+  this.finishExchange(exchange);
+
+  setImmediate(request.emit.bind(
+    request, 'error', new errors.PayloadStreamError(request, err)
+  ));
 };
 
 /**
  * @private
- * @param {ClientExchange} exchange
- * @param {Message} response
- * @param {BlockOption} block2
- * @param {boolean} [serverInitiative]
+ * @param {Message} childRequest
+ * @param {Message} parentRequest
  */
-Client.prototype.handleBlock2Response =
-  function(exchange, response, block2, serverInitiative)
+Client.prototype.bindTimeoutToParentRequest =
+  function(childRequest, parentRequest)
 {
-  if (block2.num > 0 && exchange.isBlockwiseResponse())
-  {
-    this.handleExistingBlock2Response(exchange, response, block2);
-  }
-  else
-  {
-    this.handleNewBlock2Response(exchange, response, block2, serverInitiative);
-  }
+  childRequest.once(
+    'timeout', parentRequest.emit.bind(parentRequest, 'timeout')
+  );
 };
 
 /**
  * @private
- * @param {ClientExchange} exchange
- * @param {Message} response
- * @param {BlockOption} block2
- * @param {boolean} serverInitiative
+ * @param {Message} message
+ * @param {number} [retries]
  */
-Client.prototype.handleNewBlock2Response =
-  function(exchange, response, block2, serverInitiative)
+Client.prototype.sendMessage = function(message, retries)
 {
-  if (exchange.isValidBlock2(block2))
+  if (this.probingRate === 0)
+  {
+    this.writeMessage(message, retries);
+  }
+  else if (this.isThrottled(message))
+  {
+    return;
+  }
+  else if (this.isProbingLimited(message, retries))
   {
-    this.handleNewValidBlock2Response(
-      exchange, response, block2, serverInitiative
-    );
+    this.sendProbingMessage(message);
   }
   else
   {
-    this.handleInvalidBlock2Response(
-      exchange, response, block2, response.getObserve()
-    );
+    this.writeMessage(message, retries);
   }
 };
 
 /**
  * @private
- * @param {ClientExchange} exchange
- * @param {Message} response
- * @param {BlockOption} block2
- * @param {boolean} serverInitiative
+ * @param {Message} message
+ * @returns {boolean} Whether the specified message is waiting to be sent
+ * because of the probing rate.
  */
-Client.prototype.handleNewValidBlock2Response =
-  function(exchange, response, block2, serverInitiative)
+Client.prototype.isThrottled = function(message)
 {
-  if (response.isConfirmable())
-  {
-    this.sendAckReply(response);
-  }
+  var throttled = this.throttled[message.getRemoteEndpoint().toString()];
 
-  exchange.handleBlock2Response(response, block2, serverInitiative);
+  return typeof throttled !== 'undefined'
+    && throttled.messages.indexOf(message) !== -1;
+};
 
-  if (exchange.isServerInitiative())
+/**
+ * Determines whether the specified message must stay under the probing rate
+ * of its remote endpoint.
+ *
+ * The limit applies to the first transmissions of the NON requests and of
+ * the requests to endpoints with unanswered CON requests (i.e. the requests
+ * that had to be retransmitted). Replies and retransmissions are not limited.
+ *
+ * @private
+ * @param {Message} message
+ * @param {number} [retries]
+ * @returns {boolean}
+ */
+Client.prototype.isProbingLimited = function(message, retries)
+{
+  if (retries > 0 || !message.isRequest())
   {
-    exchange.scheduleTimeout();
+    return false;
   }
-  else if (block2.m)
+
+  if (!message.isConfirmable())
   {
-    this.requestNextBlock(exchange);
+    return true;
   }
-  else
+
+  var endpointKey = message.getRemoteEndpoint().toString();
+  var transactions = this.transactions;
+
+  return Object.keys(transactions).some(function(transactionKey)
   {
-    this.finishExchange(exchange);
-  }
+    var transaction = transactions[transactionKey];
+
+    return transaction.getRetransmissionCount() > 0
+      && transaction.getRequest().getRemoteEndpoint().toString()
+        === endpointKey;
+  });
 };
 
 /**
+ * Sends the specified request now, if it doesn't exceed the probing rate
+ * of its remote endpoint. Otherwise, delays or rejects it depending on
+ * the `probingPolicy`.
+ *
  * @private
- * @param {ClientExchange} exchange
- * @param {Message} response
- * @param {BlockOption} block2
+ * @param {Message} message
  */
-Client.prototype.handleExistingBlock2Response =
-  function(exchange, response, block2)
+Client.prototype.sendProbingMessage = function(message)
 {
-  var observe = response.getObserve();
+  var endpointKey = message.getRemoteEndpoint().toString();
+  var throttled = this.throttled[endpointKey];
 
-  if (!exchange.isValidBlock2(block2, observe))
+  var bucket = this.getProbingBucket(endpointKey);
+
+  if (typeof throttled !== 'undefined')
   {
-    this.handleInvalidBlock2Response(
-      exchange, response, block2, observe
+    throttled.messages.push(message);
+
+    var missing = throttled.messages.reduce(addMessageLength, 0)
+      - bucket.getTokens();
+
+    this.emit(
+      'message delayed',
+      message,
+      Math.max(0, Math.ceil(missing * 1000 / this.probingRate))
     );
 
     return;
   }
 
-  if (response.isConfirmable())
+  var delay = bucket.take(message.toBuffer().length);
+
+  if (delay === 0)
   {
-    this.sendAckReply(response);
+    this.writeMessage(message);
   }
-
-  exchange.handleBlock2Response(response, block2, observe);
-
-  if (block2.m)
+  else if (this.probingPolicy === 'reject')
   {
-    if (exchange.isServerInitiative())
-    {
-      exchange.scheduleTimeout();
-    }
-    else
-    {
-      this.requestNextBlock(exchange);
-    }
+    this.rejectProbingMessage(message, delay);
   }
   else
   {
-    if (exchange.isSubscribed())
-    {
-      exchange.scheduleTimeout();
-    }
-    else
-    {
-      this.finishExchange(exchange);
-    }
+    this.throttled[endpointKey] = {
+      messages: [message],
+      timer: setTimeout(this.onProbingDelay.bind(this, endpointKey), delay)
+    };
+
+    this.emit('message delayed', message, delay);
   }
 };
 
 /**
  * @private
- * @param {ClientExchange} exchange
- * @param {Message} response
- * @param {BlockOption} block2
- * @param {number} observe
+ * @param {string} endpointKey
+ * @returns {TokenBucket}
  */
-Client.prototype.handleInvalidBlock2Response =
-  function(exchange, response, block2, observe)
+Client.prototype.getProbingBucket = function(endpointKey)
 {
-  if (response.isConfirmable())
+  var bucket = this.probingBuckets[endpointKey];
+
+  if (typeof bucket === 'undefined')
   {
-    if (observe === -1)
-    {
-      this.sendRstReply(response);
-    }
-    else
-    {
-      this.sendAckReply(response);
-    }
+    bucket = new TokenBucket(this.probingRate, this.probingBurst);
+
+    this.probingBuckets[endpointKey] = bucket;
   }
+
+  return bucket;
 };
 
 /**
+ * Sends the delayed requests of the specified endpoint for which
+ * the probing rate allows and schedules the rest.
+ *
  * @private
- * @param {ClientExchange} exchange
- * @param {Message} response
+ * @param {string} endpointKey
  */
-Client.prototype.handleSimpleExchangeResponse = function(exchange, response)
+Client.prototype.onProbingDelay = function(endpointKey)
 {
-  if (response.isConfirmable())
+  var throttled = this.throttled[endpointKey];
+  var bucket = this.getProbingBucket(endpointKey);
+
+  while (throttled.messages.length > 0)
   {
-    this.sendAckReply(response);
-  }
+    var message = throttled.messages[0];
 
-  exchange.setResponse(response);
+    if (!this.isRequestPending(message))
+    {
+      throttled.messages.shift();
 
-  if (exchange.isSubscribed())
-  {
-    exchange.scheduleTimeout();
-  }
-  else
-  {
-    this.finishExchange(exchange);
+      continue;
+    }
+
+    var delay = bucket.take(message.toBuffer().length);
+
+    if (delay > 0)
+    {
+      throttled.timer = setTimeout(
+        this.onProbingDelay.bind(this, endpointKey), delay
+      );
+
+      return;
+    }
+
+    throttled.messages.shift();
+
+    this.writeMessage(message);
   }
+
+  delete this.throttled[endpointKey];
 };
 
 /**
  * @private
- * @param {ClientExchange} exchange
+ * @param {Message} request
+ * @returns {boolean} Whether the specified request is still waiting for
+ * a response.
  */
-Client.prototype.requestNextBlock = function(exchange)
+Client.prototype.isRequestPending = function(request)
 {
-  var nextBlock2Request = exchange.createNextBlock2Request(
-    this.getNextMessageId()
-  );
-
-  this.bindTimeoutToParentRequest(nextBlock2Request, exchange.getRequest());
+  if (typeof this.exchanges[request.getExchangeKey()] !== 'undefined')
+  {
+    return true;
+  }
 
-  this.setUpTransaction(exchange, nextBlock2Request);
+  var groupRequest = this.groupRequests[request.getTokenString()];
 
-  this.sendMessage(nextBlock2Request);
+  return typeof groupRequest !== 'undefined'
+    && groupRequest.request === request;
 };
 
 /**
+ * Fails the exchange of the specified request with a `ProbingRateError`.
+ *
  * @private
- * @param {ClientExchange} exchange
- * @param {boolean} first
+ * @param {Message} message
+ * @param {number} delay
  */
-Client.prototype.sendNextBlock = function(exchange, first)
+Client.prototype.rejectProbingMessage = function(message, delay)
 {
-  var nextBlock1Request =
-    exchange.createNextBlock1Request(this.getNextMessageId());
+  var exchange = this.exchanges[message.getExchangeKey()];
+  var request = message;
+  var err = new errors.ProbingRateError(message, delay);
 
-  this.bindTimeoutToParentRequest(nextBlock1Request, exchange.getRequest());
-
-  var transaction = this.setUpTransaction(exchange, nextBlock1Request);
+  this.finishTransaction(message.getTransactionKey());
+  this.finishGroupRequest(message);
 
-  if (first)
+  if (typeof exchange !== 'undefined')
   {
-    transaction.setParentRequest(exchange.getRequest());
+    request = exchange.getRequest();
+
+    this.finishExchange(exchange);
   }
 
-  this.sendMessage(nextBlock1Request);
-};
+  this.emit('message rejected', message, err);
 
-/**
- * @private
- * @param {Message} childRequest
- * @param {Message} parentRequest
- */
-Client.prototype.bindTimeoutToParentRequest =
-  function(childRequest, parentRequest)
-{
-  childRequest.once(
-    'timeout', parentRequest.emit.bind(parentRequest, 'timeout')
-  );
+  setImmediate(request.emit.bind(request, 'error', err));
 };
 
 /**
@@ -1283,7 +3397,7 @@ Client.prototype.bindTimeoutToParentRequest =
  * @param {Message} message
  * @param {number} [retries]
  */
-Client.prototype.sendMessage = function(message, retries)
+Client.prototype.writeMessage = function(message, retries)
 {
   var messageBuffer = message.toBuffer();
   var remoteEndpoint = message.getRemoteEndpoint();
@@ -1348,4 +3462,153 @@ Client.prototype.sendAckReply = function(message)
   this.sendMessage(ackReply);
 };
 
+/**
+ * @private
+ * @param {object} options
+ * @returns {object}
+ */
+function copyOptions(options)
+{
+  var copy = {};
+
+  Object.keys(options).forEach(function(name)
+  {
+    copy[name] = options[name];
+  });
+
+  return copy;
+}
+
+/**
+ * @private
+ * @param {Message} request
+ * @param {object} options
+ * @returns {boolean}
+ */
+function isCacheableRequest(request, options)
+{
+  return options.cache !== false
+    && request.getCode() === Message.Code.GET
+    && !request.hasOption(Message.Option.OBSERVE)
+    && !options.responseStream;
+}
+
+/**
+ * @private
+ * @param {Message} message
+ * @returns {string}
+ */
+function getETagString(message)
+{
+  var eTags = message.getETag();
+
+  return eTags.length === 0 ? '' : eTags[0].toString('hex');
+}
+
+/**
+ * @private
+ * @param {string|number|undefined} method
+ * @returns {number}
+ * @throws {Error} If the specified method is not a request method.
+ */
+function getRequestCode(method)
+{
+  if (typeof method === 'undefined')
+  {
+    return Message.Code.GET;
+  }
+
+  var code = typeof method === 'string'
+    ? Message.Code[method.toUpperCase()]
+    : method;
+
+  if (typeof code !== 'number' || code < 1 || code > 31)
+  {
+    throw new Error("Unknown request method: " + method);
+  }
+
+  return code;
+}
+
+/**
+ * @private
+ * @param {*} payload
+ * @returns {boolean}
+ */
+function isReadableStream(payload)
+{
+  return payload !== null
+    && typeof payload === 'object'
+    && typeof payload.pipe === 'function'
+    && typeof payload.on === 'function';
+}
+
+/**
+ * @private
+ * @param {number} length
+ * @param {Message} message
+ * @returns {number}
+ */
+function addMessageLength(length, message)
+{
+  return length + message.toBuffer().length;
+}
+
+/**
+ * @private
+ * @param {string} hostname
+ * @param {function(Error|null, Array.<object>)} done
+ */
+function lookupHost(hostname, done)
+{
+  dns.lookup(hostname, {all: true}, done);
+}
+
+/**
+ * @private
+ * @param {Message} response
+ * @param {string} origin
+ * @param {function(Error|null, Array.<object>|null)} done
+ */
+function handleLinksResponse(response, origin, done)
+{
+  if (!response.isSuccess())
+  {
+    done(
+      new Error(
+        "Request for links failed with "
+          + response.getCodeDefinition().description + "."
+      ),
+      null
+    );
+
+    return;
+  }
+
+  var links;
+
+  try
+  {
+    links = linkFormat.parse(response.getPayload().toString());
+  }
+  catch (err)
+  {
+    done(err, null);
+
+    return;
+  }
+
+  links.forEach(function(link)
+  {
+    link.href = helpers.resolveUri(origin, link.href);
+
+    if (typeof link.anchor === 'string')
+    {
+      link.anchor = helpers.resolveUri(origin, link.anchor);
+    }
+  });
+
+  done(null, links);
+}
+
 module.exports = Client;
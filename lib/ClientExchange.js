@@ -3,7 +3,9 @@
 var helpers = require('./helpers');
 var Message = require('./Message');
 var BlockOption = require('./BlockOption');
+var BlockReader = require('./BlockReader');
 
+var OBSERVE_VALUE_MODULUS = Math.pow(2, 24);
 var MAX_OBSERVE_VALUE_DIFFERENCE = Math.pow(2, 23);
 var LATE_OBSERVE_ADDITIONAL_TIMESTAMP = 128 * 1000;
 
@@ -13,10 +15,15 @@ var LATE_OBSERVE_ADDITIONAL_TIMESTAMP = 128 * 1000;
  * @param {function(ClientExchange)} timeoutHandler
  * @param {object} options
  * @param {number} options.exchangeTimeout
- * @param {number} options.blockSize
+ * @param {number} options.block1Size
+ * @param {number} options.block2Size
+ * @param {ResponseStream} [options.responseStream]
+ * @param {stream.Readable} [options.payloadStream]
  */
 function ClientExchange(request, timeoutHandler, options)
 {
+  /*jshint maxstatements:30*/
+
   /**
    * @private
    * @type {Message}
@@ -65,6 +72,26 @@ function ClientExchange(request, timeoutHandler, options)
    */
   this.blocks2 = null;
 
+  /**
+   * A stream to which the Block2 payloads are pushed instead of being
+   * reassembled in memory.
+   *
+   * @private
+   * @type {ResponseStream|null}
+   */
+  this.responseStream = options.responseStream || null;
+
+  /**
+   * A reader of the stream from which the Block1 payloads are read instead
+   * of being sliced from the request payload.
+   *
+   * @private
+   * @type {BlockReader|null}
+   */
+  this.blockReader = options.payloadStream
+    ? new BlockReader(options.payloadStream, options.block1Size)
+    : null;
+
   /**
    * @private
    * @type {boolean}
@@ -96,6 +123,24 @@ function ClientExchange(request, timeoutHandler, options)
    */
   this.serverInitiative = this.observer;
 
+  /**
+   * A GET request with Observe=1 sent to deregister the observation
+   * or `null`, if the exchange is not being deregistered.
+   *
+   * @private
+   * @type {Message|null}
+   */
+  this.deregistrationRequest = null;
+
+  /**
+   * A function returning the response to emit instead of the final response
+   * (e.g. a cached representation instead of a 2.03 Valid response).
+   *
+   * @private
+   * @type {function(Message, Message): Message|null}
+   */
+  this.responseFilter = null;
+
   /**
    * @private
    * @type {function(ClientExchange)}
@@ -126,7 +171,14 @@ ClientExchange.prototype.destroy = function()
     this.timeoutTimer = null;
   }
 
+  if (this.blockReader !== null)
+  {
+    this.blockReader.destroy();
+    this.blockReader = null;
+  }
+
   this.timeoutHandler = null;
+  this.responseFilter = null;
   this.request = null;
   this.options = null;
   this.currentBlock1 = null;
@@ -182,6 +234,22 @@ ClientExchange.prototype.getTokenString = function()
   return this.request.getTokenString();
 };
 
+/**
+ * @returns {ResponseStream|null}
+ */
+ClientExchange.prototype.getResponseStream = function()
+{
+  return this.responseStream;
+};
+
+/**
+ * @returns {BlockReader|null}
+ */
+ClientExchange.prototype.getBlockReader = function()
+{
+  return this.blockReader;
+};
+
 /**
  * @returns {boolean}
  */
@@ -199,6 +267,13 @@ ClientExchange.prototype.isSubscribed = function()
 };
 
 /**
+ * Determines whether the specified notification is older than the last one
+ * (RFC 7641, section 3.4).
+ *
+ * Observe values are compared as 24-bit serial numbers, so the sequence can
+ * wrap around. A notification received more than 128 s after the last one
+ * or with the Observe value of `0` (a restarted sequence) is always fresh.
+ *
  * @param {Message} response
  * @returns {boolean}
  */
@@ -206,20 +281,71 @@ ClientExchange.prototype.isLateObserveResponse = function(response)
 {
   var v2 = response.getObserve();
 
-  if (v2 === -1)
+  if (v2 === -1 || this.lastObserveValue === -1)
   {
     return false;
   }
 
-  var v1 = this.lastObserveValue;
-  var t2 = response.getTimestamp();
-  var t1 = this.lastResponseTime;
+  return !isFreshObserveValue(
+    this.lastObserveValue,
+    this.lastResponseTime,
+    v2,
+    response.getTimestamp()
+  );
+};
 
-  var newer = (v1 < v2 && v2 - v1 < MAX_OBSERVE_VALUE_DIFFERENCE)
-    || (v1 > v2 && v1 - v2 > MAX_OBSERVE_VALUE_DIFFERENCE)
-    || (t2 > t1 + LATE_OBSERVE_ADDITIONAL_TIMESTAMP);
+/**
+ * @returns {boolean}
+ */
+ClientExchange.prototype.isDeregistering = function()
+{
+  return this.deregistrationRequest !== null;
+};
 
-  return !newer;
+/**
+ * Determines whether the specified response completes the deregistration,
+ * i.e. it's a piggy-backed response to the deregistration request or any
+ * other response without the Observe option (RFC 7641, section 3.6).
+ *
+ * @param {Message} response
+ * @returns {boolean}
+ */
+ClientExchange.prototype.isDeregistrationResponse = function(response)
+{
+  if (response.isAcknowledgement())
+  {
+    return response.getId() === this.deregistrationRequest.getId();
+  }
+
+  return response.getObserve() === -1;
+};
+
+/**
+ * Creates a GET request with Observe=1, the token and the options of
+ * the observe request and stops treating the exchange as subscribed,
+ * so the exchange timeout doesn't re-register it.
+ *
+ * @param {number} messageId
+ * @returns {Message}
+ */
+ClientExchange.prototype.createDeregistrationRequest = function(messageId)
+{
+  var deregistrationRequest = new Message();
+  deregistrationRequest.setType(Message.Type.CON);
+  deregistrationRequest.setCode(Message.Code.GET);
+  deregistrationRequest.setId(messageId);
+  deregistrationRequest.setToken(this.request.getToken());
+  deregistrationRequest.setAllOptions(this.request.getAllOptions());
+  deregistrationRequest.setObserve(1);
+  deregistrationRequest.setRemoteEndpoint(this.request.getRemoteEndpoint());
+
+  this.deregistrationRequest = deregistrationRequest;
+  this.blocks2 = null;
+  this.currentBlock2 = null;
+  this.lastObserveValue = -1;
+  this.lastMaxAge = -1;
+
+  return deregistrationRequest;
 };
 
 ClientExchange.prototype.cancel = function()
@@ -237,7 +363,7 @@ ClientExchange.prototype.cancel = function()
  *
  * ClientExchange is a blockwise request only if the exchange's request doesn't
  * have a Block1 option and a length of the request's payload is greater than
- * a value of the `blockSize` option.
+ * a value of the `block1Size` option or the payload is read from a stream.
  *
  * @returns {boolean}
  */
@@ -332,12 +458,26 @@ ClientExchange.prototype.hasMoreBlock1 = function()
     return false;
   }
 
+  if (this.blockReader !== null)
+  {
+    return this.currentBlock1.m;
+  }
+
   var payloadSize = this.request.getPayloadLength();
   var lastBlockNum = Math.ceil(payloadSize / this.currentBlock1.size) - 1;
 
   return this.currentBlock1.num < lastBlockNum;
 };
 
+/**
+ * @returns {boolean} Whether a payload of the next Block1 is available.
+ */
+ClientExchange.prototype.isNextBlock1Ready = function()
+{
+  return this.blockReader === null
+    || this.blockReader.isReady(this.currentBlock1.size);
+};
+
 /**
  * @param {number} messageId
  * @returns {Message}
@@ -347,13 +487,7 @@ ClientExchange.prototype.createNextBlock1Request = function(messageId)
 {
   this.currentBlock1.num += 1;
 
-  var fullPayload = this.request.getPayload();
-  var blockStart = this.currentBlock1.num * this.currentBlock1.size;
-  var blockEnd = blockStart + this.currentBlock1.size;
-  var blockPayload = fullPayload.slice(blockStart, blockEnd);
-  var blockCount = Math.ceil(fullPayload.length / this.currentBlock1.size);
-
-  this.currentBlock1.m = blockCount !== this.currentBlock1.num + 1;
+  var blockPayload = this.readNextBlock1Payload();
 
   var nextBlockRequest = new Message();
   nextBlockRequest.setType(Message.Type.CON);
@@ -433,11 +567,16 @@ ClientExchange.prototype.handleBlock2Response =
   {
     this.blocks2 = [blockResponse];
   }
-  else
+  else if (this.responseStream === null)
   {
     this.blocks2.push(blockResponse);
   }
 
+  if (this.responseStream !== null)
+  {
+    this.responseStream.pushBlock(blockResponse.getPayload());
+  }
+
   setImmediate(
     this.request.emit.bind(this, 'block received', blockResponse, block2)
   );
@@ -448,10 +587,21 @@ ClientExchange.prototype.handleBlock2Response =
   }
   else
   {
-    this.finalizeBlock2Response();
+    this.finalizeBlock2Response(blockResponse);
   }
 };
 
+/**
+ * @param {Message} blockResponse
+ * @returns {boolean} Whether the ETag of the specified block differs from
+ * the ETag of the first block of the current blockwise response.
+ */
+ClientExchange.prototype.isBlock2ETagChanged = function(blockResponse)
+{
+  return this.blocks2 !== null
+    && getETagString(blockResponse) !== getETagString(this.blocks2[0]);
+};
+
 /**
  * @param {number} messageId
  * @returns {Message}
@@ -474,11 +624,26 @@ ClientExchange.prototype.createNextBlock2Request = function(messageId)
   return nextBlockRequest;
 };
 
+/**
+ * @param {function(Message, Message): Message} responseFilter A function
+ * called with the request and its final response, returning the response
+ * to emit.
+ */
+ClientExchange.prototype.setResponseFilter = function(responseFilter)
+{
+  this.responseFilter = responseFilter;
+};
+
 /**
  * @param {Message} response
  */
 ClientExchange.prototype.setResponse = function(response)
 {
+  if (this.responseFilter !== null)
+  {
+    response = this.responseFilter(this.request, response);
+  }
+
   this.blocks2 = null;
   this.currentBlock2 = null;
   this.currentBlock1 = null;
@@ -503,23 +668,62 @@ ClientExchange.prototype.scheduleTimeout = function()
   this.timeoutTimer = setTimeout(this.onTimeout, timeout);
 };
 
+ClientExchange.prototype.cancelTimeout = function()
+{
+  if (this.timeoutTimer !== null)
+  {
+    clearTimeout(this.timeoutTimer);
+    this.timeoutTimer = null;
+  }
+};
+
 /**
  * @private
  */
 ClientExchange.prototype.setUpCurrentBlock1 = function()
 {
-  if (this.request.getPayloadLength() > this.options.blockSize
-    && !this.request.hasOption(Message.Option.BLOCK1))
+  var blockwise = this.blockReader !== null
+    || this.request.getPayloadLength() > this.options.block1Size;
+
+  if (blockwise && !this.request.hasOption(Message.Option.BLOCK1))
   {
     this.currentBlock1 = new BlockOption(
       Message.Option.BLOCK1,
       -1,
       true,
-      helpers.encodeBlockSize(this.options.blockSize)
+      helpers.encodeBlockSize(this.options.block1Size)
     );
   }
 };
 
+/**
+ * Returns a payload of the current Block1 and sets its `m` flag.
+ *
+ * @private
+ * @returns {Buffer}
+ */
+ClientExchange.prototype.readNextBlock1Payload = function()
+{
+  var blockSize = this.currentBlock1.size;
+
+  if (this.blockReader !== null)
+  {
+    var block = this.blockReader.read(blockSize);
+
+    this.currentBlock1.m = block.more;
+
+    return block.payload;
+  }
+
+  var fullPayload = this.request.getPayload();
+  var blockStart = this.currentBlock1.num * blockSize;
+  var blockCount = Math.ceil(fullPayload.length / blockSize);
+
+  this.currentBlock1.m = blockCount !== this.currentBlock1.num + 1;
+
+  return fullPayload.slice(blockStart, blockStart + blockSize);
+};
+
 /**
  * @private
  * @param {BlockOption} block2
@@ -528,9 +732,9 @@ ClientExchange.prototype.setCurrentBlock2 = function(block2)
 {
   this.currentBlock2 = block2;
 
-  if (this.currentBlock2.size > this.options.blockSize)
+  if (this.currentBlock2.size > this.options.block2Size)
   {
-    this.adjustBlockToSize(this.currentBlock2, this.options.blockSize);
+    this.adjustBlockToSize(this.currentBlock2, this.options.block2Size);
   }
 
   if (block2.num === 0)
@@ -541,24 +745,13 @@ ClientExchange.prototype.setCurrentBlock2 = function(block2)
 
 /**
  * @private
+ * @param {Message} lastBlock
  */
-ClientExchange.prototype.finalizeBlock2Response = function()
+ClientExchange.prototype.finalizeBlock2Response = function(lastBlock)
 {
-  var payloadParts = [];
-  var totalLength = 0;
-  var totalBlocks = this.blocks2.length;
-
-  for (var i = 0; i < totalBlocks; ++i)
-  {
-    var payloadPart = this.blocks2[i].getPayload();
-
-    payloadParts.push(payloadPart);
-
-    totalLength += payloadPart.length;
-  }
-
-  var fullPayload = Buffer.concat(payloadParts, totalLength);
-  var lastBlock = this.blocks2[totalBlocks - 1];
+  var fullPayload = this.responseStream === null
+    ? this.concatBlock2Payloads()
+    : new Buffer(0);
   var response = new Message();
 
   response.setType(lastBlock.getType());
@@ -572,6 +765,27 @@ ClientExchange.prototype.finalizeBlock2Response = function()
   this.setResponse(response);
 };
 
+/**
+ * @private
+ * @returns {Buffer}
+ */
+ClientExchange.prototype.concatBlock2Payloads = function()
+{
+  var payloadParts = [];
+  var totalLength = 0;
+
+  for (var i = 0; i < this.blocks2.length; ++i)
+  {
+    var payloadPart = this.blocks2[i].getPayload();
+
+    payloadParts.push(payloadPart);
+
+    totalLength += payloadPart.length;
+  }
+
+  return Buffer.concat(payloadParts, totalLength);
+};
+
 /**
  * @private
  * @param {BlockOption} blockOption
@@ -591,9 +805,53 @@ ClientExchange.prototype.onTimeout = function()
 {
   this.timeoutTimer = null;
 
-  setImmediate(this.request.emit.bind(this.request, 'timeout'));
+  if (!this.isDeregistering())
+  {
+    setImmediate(this.request.emit.bind(this.request, 'timeout'));
+  }
 
   this.timeoutHandler(this);
 };
 
+/**
+ * @private
+ * @param {number} v1 An Observe value of the last notification.
+ * @param {number} t1 A time at which the last notification was received.
+ * @param {number} v2 An Observe value of the new notification.
+ * @param {number} t2 A time at which the new notification was received.
+ * @returns {boolean}
+ */
+function isFreshObserveValue(v1, t1, v2, t2)
+{
+  if (t2 > t1 + LATE_OBSERVE_ADDITIONAL_TIMESTAMP)
+  {
+    return true;
+  }
+
+  v1 %= OBSERVE_VALUE_MODULUS;
+  v2 %= OBSERVE_VALUE_MODULUS;
+
+  if (v2 === 0)
+  {
+    return v1 !== 0;
+  }
+
+  var difference = (v2 - v1 + OBSERVE_VALUE_MODULUS) % OBSERVE_VALUE_MODULUS;
+
+  return difference > 0 && difference < MAX_OBSERVE_VALUE_DIFFERENCE;
+}
+
+/**
+ * @private
+ * @param {Message} message
+ * @returns {string}
+ */
+function getETagString(message)
+{
+  return message.getETag().map(function(eTag)
+  {
+    return eTag.toString('hex');
+  }).join(',');
+}
+
 module.exports = ClientExchange;
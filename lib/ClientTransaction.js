@@ -8,6 +8,8 @@
  * @param {object} options
  * @param {number} options.transactionTimeout
  * @param {number} options.maxRetransmit
+ * @param {number} [options.backoffFactor] A factor by which the timeout is
+ * multiplied after every retransmission. Defaults to `2`.
  */
 function ClientTransaction(request, exchangeKey, timeoutHandler, options)
 {
@@ -47,6 +49,21 @@ function ClientTransaction(request, exchangeKey, timeoutHandler, options)
    */
   this.currentTimeout = options.transactionTimeout;
 
+  /**
+   * @private
+   * @type {number}
+   */
+  this.backoffFactor = options.backoffFactor || 2;
+
+  /**
+   * A time of the first transmission of the request, remembered before
+   * its timestamp is overwritten by the first retransmission.
+   *
+   * @private
+   * @type {number}
+   */
+  this.firstTransmissionTime = -1;
+
   /**
    * @private
    * @type {function(ClientTransaction, number)}
@@ -98,6 +115,25 @@ ClientTransaction.prototype.getRequest = function()
   return this.request;
 };
 
+/**
+ * @returns {number} A number of the request's retransmissions.
+ */
+ClientTransaction.prototype.getRetransmissionCount = function()
+{
+  return this.timeoutCounter;
+};
+
+/**
+ * @returns {number} A time of the first transmission of the request
+ * or `-1` if it wasn't sent.
+ */
+ClientTransaction.prototype.getFirstTransmissionTime = function()
+{
+  return this.firstTransmissionTime === -1
+    ? this.request.getTimestamp()
+    : this.firstTransmissionTime;
+};
+
 /**
  * @param {Message} parentRequest
  */
@@ -159,7 +195,12 @@ ClientTransaction.prototype.onTimeout = function()
 {
   this.timeoutTimer = null;
 
-  this.currentTimeout *= 2;
+  if (this.timeoutCounter === 0)
+  {
+    this.firstTransmissionTime = this.request.getTimestamp();
+  }
+
+  this.currentTimeout *= this.backoffFactor;
   this.timeoutCounter += 1;
 
   if (this.isLimitReached())
@@ -1,5 +1,7 @@
 'use strict';
 
+var net = require('net');
+
 /**
  * @constructor
  * @param {string} address
@@ -26,6 +28,22 @@ function EndpointAddress(address, port)
  */
 EndpointAddress.DEFAULT_PORT = 5683;
 
+/**
+ * The IPv4 "All CoAP Nodes" multicast address.
+ *
+ * @const
+ * @type {string}
+ */
+EndpointAddress.ALL_COAP_NODES_IPV4 = '224.0.1.187';
+
+/**
+ * The IPv6 link-local "All CoAP Nodes" multicast address.
+ *
+ * @const
+ * @type {string}
+ */
+EndpointAddress.ALL_COAP_NODES_IPV6 = 'ff02::fd';
+
 /**
  * @returns {string}
  */
@@ -80,6 +98,27 @@ EndpointAddress.prototype.isIPv6 = function()
   return this.address.indexOf(':') !== -1;
 };
 
+/**
+ * @returns {boolean} Whether the address is an IPv4 (224.0.0.0/4) or IPv6
+ * (ff00::/8) multicast address.
+ */
+EndpointAddress.prototype.isMulticast = function()
+{
+  if (this.isIPv6())
+  {
+    return this.address.indexOf('ff') === 0;
+  }
+
+  if (!net.isIPv4(this.address))
+  {
+    return false;
+  }
+
+  var firstOctet = parseInt(this.address, 10);
+
+  return firstOctet >= 224 && firstOctet <= 239;
+};
+
 /**
  * @private
  * @param {string} address
@@ -151,6 +151,7 @@ Message.Code = {
   VALID: 67,
   CHANGED: 68,
   CONTENT: 69,
+  CONTINUE: 95,
   BAD_REQUEST: 128,
   UNAUTHORIZED: 129,
   BAD_OPTION: 130,
@@ -809,6 +810,40 @@ Message.prototype.getTransactionKey = function()
   return this.getRemoteEndpoint() + '#' + this.getId();
 };
 
+/**
+ * Returns a key identifying the requested representation: the request code
+ * and the values of all the options that are part of the cache key, i.e.
+ * the options not marked as NoCacheKey, except for Observe, Block1
+ * and Block2 (RFC 7641, RFC 7959). The remote endpoint isn't included.
+ *
+ * @returns {string}
+ */
+Message.prototype.getCacheKey = function()
+{
+  var excludedOptions = [
+    Message.Option.OBSERVE,
+    Message.Option.BLOCK1,
+    Message.Option.BLOCK2
+  ];
+  var cacheKeyOptions = this.getAllOptions().filter(function(option)
+  {
+    return !option.getDefinition().noCacheKey
+      && excludedOptions.indexOf(option.getNumber()) === -1;
+  });
+
+  return cacheKeyOptions
+    .map(function(option, i) { return {option: option, i: i}; })
+    .sort(function(a, b)
+    {
+      return a.option.getNumber() - b.option.getNumber() || a.i - b.i;
+    })
+    .reduce(function(cacheKey, item)
+    {
+      return cacheKey + '|' + item.option.getNumber() + ':'
+        + helpers.convertToHexString(item.option.getData());
+    }, String(this.getCode()));
+};
+
 /**
  * @returns {boolean}
  */
@@ -1203,7 +1238,7 @@ Message.prototype.getUriHost = function()
 {
   var option = this.getFirstOption(Message.Option.URI_HOST);
 
-  return option === null ? '' : option.getData().getStringValue();
+  return option === null ? '' : option.getStringValue();
 };
 
 /**
@@ -0,0 +1,384 @@
+'use strict';
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var errors = require('./errors');
+
+var DEFAULT_HIGH_WATER_MARK = 16;
+var DEFAULT_MAX_AGE = 60;
+var OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'error'];
+
+/**
+ * An async-iterable handle of an Observe request.
+ *
+ * Notifications are buffered from the moment the request is sent, so none
+ * are lost between the subscription and the consumption. Each iteration
+ * yields an object with the following properties:
+ *
+ *   - `response` - the notification (a `Message`),
+ *   - `observe` - a value of its Observe option (or `-1`),
+ *   - `maxAge` - a value of its Max-Age option (defaults to 60 s),
+ *   - `receivedAt` - a time (in ms since the epoch) it was received at.
+ *
+ * If the buffer already holds `highWaterMark` notifications, the `overflow`
+ * policy decides what happens to the next one:
+ *
+ *   - `drop-oldest` - the oldest buffered notification is dropped,
+ *   - `drop-newest` - the new notification is dropped,
+ *   - `error` - the observation is cancelled and the iteration ends
+ *     with an `errors.OverflowError` after the buffered notifications.
+ *
+ * The dropped notifications are emitted as the `overflow` event.
+ *
+ * The iteration ends after the observation is cancelled (e.g. after
+ * an error response) or is rejected with one of the `errors.RequestError`
+ * subclasses. The iteration continues when the client registers
+ * the request again after the Max-Age of the last notification ends. It's
+ * rejected with an `errors.TimeoutError` only if that registration fails.
+ * Ending the iteration early (i.e. calling `return()` or `close()`) cancels
+ * the observation.
+ *
+ * @constructor
+ * @extends {events.EventEmitter}
+ * @param {Client} client
+ * @param {Message} request
+ * @param {object} [options]
+ * @param {number} [options.highWaterMark]
+ * @param {string} [options.overflow]
+ * @throws {Error} If the specified overflow policy is not supported.
+ */
+function Observation(client, request, options)
+{
+  EventEmitter.call(this);
+
+  if (!options)
+  {
+    options = {};
+  }
+
+  var overflow = options.overflow || OVERFLOW_POLICIES[0];
+
+  if (OVERFLOW_POLICIES.indexOf(overflow) === -1)
+  {
+    throw new Error("Unknown overflow policy: " + overflow);
+  }
+
+  /**
+   * @private
+   * @type {Client}
+   */
+  this.client = client;
+
+  /**
+   * @private
+   * @type {Message}
+   */
+  this.request = request;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.highWaterMark = options.highWaterMark > 0
+    ? options.highWaterMark
+    : DEFAULT_HIGH_WATER_MARK;
+
+  /**
+   * @private
+   * @type {string}
+   */
+  this.overflow = overflow;
+
+  /**
+   * @private
+   * @type {Array.<object>}
+   */
+  this.notifications = [];
+
+  /**
+   * Callbacks of the `next()` calls waiting for a notification.
+   *
+   * @private
+   * @type {Array.<function(Error|null, object|null)>}
+   */
+  this.consumers = [];
+
+  /**
+   * Whether the last response had the Observe option, so the client
+   * registers the request again after its Max-Age ends instead of failing it.
+   *
+   * @private
+   * @type {boolean}
+   */
+  this.subscribed = false;
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.ended = false;
+
+  /**
+   * An error with which the iteration ends or `null`.
+   *
+   * @private
+   * @type {Error|null}
+   */
+  this.error = null;
+
+  this.setUpRequest();
+}
+
+util.inherits(Observation, EventEmitter);
+
+if (typeof Symbol === 'function' && Symbol.asyncIterator)
+{
+  /**
+   * @returns {Observation}
+   */
+  Observation.prototype[Symbol.asyncIterator] = function()
+  {
+    return this;
+  };
+}
+
+/**
+ * @returns {Message}
+ */
+Observation.prototype.getRequest = function()
+{
+  return this.request;
+};
+
+/**
+ * @returns {boolean}
+ */
+Observation.prototype.isEnded = function()
+{
+  return this.ended;
+};
+
+/**
+ * @returns {number} A number of the buffered notifications.
+ */
+Observation.prototype.getBufferedCount = function()
+{
+  return this.notifications.length;
+};
+
+/**
+ * @returns {Promise.<{value: object|undefined, done: boolean}>}
+ */
+Observation.prototype.next = function()
+{
+  var observation = this;
+
+  return new Promise(function(resolve, reject)
+  {
+    observation.consume(function(err, notification)
+    {
+      if (err)
+      {
+        reject(err);
+      }
+      else
+      {
+        resolve({
+          value: notification === null ? undefined : notification,
+          done: notification === null
+        });
+      }
+    });
+  });
+};
+
+/**
+ * Ends the iteration and cancels the observation.
+ *
+ * @returns {Promise.<{value: undefined, done: boolean}>}
+ */
+Observation.prototype.return = function()
+{
+  this.close();
+
+  return Promise.resolve({value: undefined, done: true});
+};
+
+/**
+ * Cancels the observation and discards the buffered notifications.
+ */
+Observation.prototype.close = function()
+{
+  this.notifications = [];
+
+  if (!this.ended)
+  {
+    this.client.cancel(this.request);
+  }
+
+  this.end(null);
+
+  this.error = null;
+};
+
+/**
+ * @private
+ */
+Observation.prototype.setUpRequest = function()
+{
+  var observation = this;
+  var request = this.request;
+
+  request.on('response', function(response)
+  {
+    observation.subscribed = response.getObserve() !== -1;
+    observation.push(response);
+  });
+
+  request.on('cancelled', function()
+  {
+    // A cancellation caused by an error notification is emitted before
+    // the notification itself, so let it reach the buffer first.
+    setImmediate(observation.end.bind(observation, null));
+  });
+
+  request.on('timeout', function()
+  {
+    if (observation.subscribed)
+    {
+      observation.subscribed = false;
+    }
+    else
+    {
+      observation.fail(new errors.TimeoutError(request));
+    }
+  });
+
+  request.on('reset', function(rstMessage)
+  {
+    observation.end(new errors.ResetError(request, rstMessage));
+  });
+
+  request.on('error', function(err)
+  {
+    observation.fail(
+      err instanceof errors.RequestError
+        ? err
+        : new errors.SocketError(request, err)
+    );
+  });
+};
+
+/**
+ * @private
+ * @param {Message} response
+ */
+Observation.prototype.push = function(response)
+{
+  if (this.ended)
+  {
+    return;
+  }
+
+  var maxAge = response.getMaxAge();
+  var notification = {
+    response: response,
+    observe: response.getObserve(),
+    maxAge: maxAge === -1 ? DEFAULT_MAX_AGE : maxAge,
+    receivedAt: response.getTimestamp() === -1
+      ? Date.now()
+      : response.getTimestamp()
+  };
+
+  if (this.consumers.length > 0)
+  {
+    this.consumers.shift()(null, notification);
+  }
+  else if (this.notifications.length < this.highWaterMark)
+  {
+    this.notifications.push(notification);
+  }
+  else if (this.overflow === 'drop-oldest')
+  {
+    this.emit('overflow', this.notifications.shift());
+    this.notifications.push(notification);
+  }
+  else if (this.overflow === 'drop-newest')
+  {
+    this.emit('overflow', notification);
+  }
+  else
+  {
+    this.emit('overflow', notification);
+    this.fail(new errors.OverflowError(this.request));
+  }
+};
+
+/**
+ * @private
+ * @param {function(Error|null, object|null)} consumer
+ */
+Observation.prototype.consume = function(consumer)
+{
+  if (this.notifications.length > 0)
+  {
+    consumer(null, this.notifications.shift());
+  }
+  else if (!this.ended)
+  {
+    this.consumers.push(consumer);
+  }
+  else if (this.error !== null)
+  {
+    var err = this.error;
+
+    this.error = null;
+
+    consumer(err, null);
+  }
+  else
+  {
+    consumer(null, null);
+  }
+};
+
+/**
+ * Cancels the observation and ends the iteration with the specified error.
+ *
+ * @private
+ * @param {Error} err
+ */
+Observation.prototype.fail = function(err)
+{
+  if (!this.ended)
+  {
+    this.client.cancel(this.request);
+    this.end(err);
+  }
+};
+
+/**
+ * @private
+ * @param {Error|null} err
+ */
+Observation.prototype.end = function(err)
+{
+  if (this.ended)
+  {
+    return;
+  }
+
+  this.ended = true;
+  this.error = err;
+
+  var consumers = this.consumers;
+
+  this.consumers = [];
+
+  for (var i = 0; i < consumers.length; ++i)
+  {
+    this.consume(consumers[i]);
+  }
+};
+
+module.exports = Observation;
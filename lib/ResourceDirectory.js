@@ -0,0 +1,533 @@
+'use strict';
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var Message = require('./Message');
+var ResourceDirectoryRegistration = require('./ResourceDirectoryRegistration');
+var linkFormat = require('./linkFormat');
+
+var DEFAULT_LIFETIME = 90000;
+var MAX_LIFETIME = 0xFFFFFFFF;
+var LINK_FORMAT = 40;
+var REGISTRATION_PATH = '/rd';
+var ENDPOINT_LOOKUP_PATH = '/rd-lookup/ep';
+var RESOURCE_LOOKUP_PATH = '/rd-lookup/res';
+
+/**
+ * A CoRE Resource Directory (RFC 9176) hosted by the specified server.
+ *
+ * The directory adds the registration interface (`/rd`, `rt=core.rd`)
+ * and the endpoint (`/rd-lookup/ep`, `rt=core.rd-lookup-ep`) and resource
+ * (`/rd-lookup/res`, `rt=core.rd-lookup-res`) lookup interfaces to
+ * the server. Each registration gets its own resource (`/rd/<id>`) that
+ * can be used to update (POST) or remove (DELETE) the registration.
+ * Registrations that aren't updated during their lifetime are removed.
+ *
+ * @constructor
+ * @extends {events.EventEmitter}
+ * @param {Server} server
+ * @param {object} [options]
+ * @param {number} [options.defaultLifetime] A lifetime in seconds of
+ * registrations without the `lt` parameter.
+ */
+function ResourceDirectory(server, options)
+{
+  EventEmitter.call(this);
+
+  if (typeof options !== 'object' || options === null)
+  {
+    options = {};
+  }
+
+  /**
+   * @private
+   * @type {Server}
+   */
+  this.server = server;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.defaultLifetime = options.defaultLifetime || DEFAULT_LIFETIME;
+
+  /**
+   * @private
+   * @type {object.<string, ResourceDirectoryRegistration>}
+   */
+  this.registrations = {};
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.nextRegistrationId = 1;
+
+  /**
+   * @private
+   * @type {function(ResourceDirectoryRegistration)}
+   */
+  this.onRegistrationTimeout = this.onRegistrationTimeout.bind(this);
+
+  server
+    .post(REGISTRATION_PATH, this.handleRegistrationRequest.bind(this))
+    .setLinkAttributes({rt: 'core.rd', ct: LINK_FORMAT});
+
+  server
+    .get(ENDPOINT_LOOKUP_PATH, this.handleEndpointLookupRequest.bind(this))
+    .setLinkAttributes({rt: 'core.rd-lookup-ep', ct: LINK_FORMAT});
+
+  server
+    .get(RESOURCE_LOOKUP_PATH, this.handleResourceLookupRequest.bind(this))
+    .setLinkAttributes({rt: 'core.rd-lookup-res', ct: LINK_FORMAT});
+}
+
+util.inherits(ResourceDirectory, EventEmitter);
+
+ResourceDirectory.prototype.destroy = function()
+{
+  var rd = this;
+
+  Object.keys(this.registrations).forEach(function(path)
+  {
+    rd.removeRegistration(rd.registrations[path]);
+  });
+
+  this.server.removeResource(REGISTRATION_PATH);
+  this.server.removeResource(ENDPOINT_LOOKUP_PATH);
+  this.server.removeResource(RESOURCE_LOOKUP_PATH);
+
+  this.removeAllListeners();
+
+  this.server = null;
+  this.registrations = null;
+};
+
+/**
+ * @returns {Array.<ResourceDirectoryRegistration>}
+ */
+ResourceDirectory.prototype.getRegistrations = function()
+{
+  var registrations = this.registrations;
+
+  return Object.keys(registrations).map(function(path)
+  {
+    return registrations[path];
+  });
+};
+
+/**
+ * Registers the endpoint specified by the Uri-Query options of the request
+ * with the links from its payload. A registration of an endpoint with
+ * the same name and sector is replaced.
+ *
+ * @private
+ * @param {Message} request
+ * @param {function(Error|null, *)} done
+ */
+ResourceDirectory.prototype.handleRegistrationRequest = function(request, done)
+{
+  /*jshint maxstatements:22*/
+
+  var params = parseRegistrationParams(request);
+
+  if (!(params instanceof Error) && typeof params.ep !== 'string')
+  {
+    params = new Error("The ep parameter is required.");
+  }
+
+  var links = params instanceof Error ? null : parseLinks(request);
+
+  if (params instanceof Error || links instanceof Error)
+  {
+    done(null, createBadRequestResponseData(links || params));
+
+    return;
+  }
+
+  if (typeof params.lt === 'undefined')
+  {
+    params.lt = this.defaultLifetime;
+  }
+
+  if (typeof params.base === 'undefined')
+  {
+    params.base = 'coap://' + request.getRemoteEndpoint();
+  }
+
+  var registration = this.findRegistration(params.ep, params.d || null);
+  var path = registration === null
+    ? (REGISTRATION_PATH + '/' + this.nextRegistrationId++)
+    : registration.getPath();
+
+  if (registration !== null)
+  {
+    registration.destroy();
+  }
+
+  registration = new ResourceDirectoryRegistration(
+    path, params, this.onRegistrationTimeout
+  );
+
+  registration.setLinks(links);
+
+  this.registrations[path] = registration;
+
+  this.server.resource(path)
+    .get(this.handleReadRequest.bind(this, registration))
+    .post(this.handleUpdateRequest.bind(this, registration))
+    .del(this.handleRemovalRequest.bind(this, registration));
+
+  this.emit('registered', registration);
+
+  done(null, {code: Message.Code.CREATED, locationPath: path});
+};
+
+/**
+ * @private
+ * @param {ResourceDirectoryRegistration} registration
+ * @param {Message} request
+ * @param {function(Error|null, *)} done
+ */
+ResourceDirectory.prototype.handleReadRequest = function(
+  registration, request, done)
+{
+  done(null, {
+    code: Message.Code.CONTENT,
+    contentFormat: LINK_FORMAT,
+    payload: linkFormat.stringify(registration.getLinks())
+  });
+};
+
+/**
+ * Updates the registration with the Uri-Query options of the request
+ * (e.g. `lt` or `base`) and restarts its lifetime. A non-empty payload
+ * replaces the registered links.
+ *
+ * @private
+ * @param {ResourceDirectoryRegistration} registration
+ * @param {Message} request
+ * @param {function(Error|null, *)} done
+ */
+ResourceDirectory.prototype.handleUpdateRequest = function(
+  registration, request, done)
+{
+  var params = parseRegistrationParams(request);
+
+  if (!(params instanceof Error)
+    && (params.hasOwnProperty('ep') || params.hasOwnProperty('d')))
+  {
+    params = new Error("The ep and d parameters can't be updated.");
+  }
+
+  var links = params instanceof Error || request.getPayloadLength() === 0
+    ? null
+    : parseLinks(request);
+
+  if (params instanceof Error || links instanceof Error)
+  {
+    done(null, createBadRequestResponseData(links || params));
+
+    return;
+  }
+
+  registration.update(params);
+
+  if (links !== null)
+  {
+    registration.setLinks(links);
+  }
+
+  this.emit('updated', registration);
+
+  done(null, {code: Message.Code.CHANGED});
+};
+
+/**
+ * @private
+ * @param {ResourceDirectoryRegistration} registration
+ * @param {Message} request
+ * @param {function(Error|null, *)} done
+ */
+ResourceDirectory.prototype.handleRemovalRequest = function(
+  registration, request, done)
+{
+  this.removeRegistration(registration);
+
+  this.emit('unregistered', registration);
+
+  done(null, {code: Message.Code.DELETED});
+};
+
+/**
+ * Responds with links to the registration resources with the endpoint
+ * attributes filtered by the Uri-Query options of the request.
+ *
+ * @private
+ * @param {Message} request
+ * @param {function(Error|null, *)} done
+ */
+ResourceDirectory.prototype.handleEndpointLookupRequest = function(
+  request, done)
+{
+  var links = this.getRegistrations().map(function(registration)
+  {
+    return registration.getEndpointLink();
+  });
+
+  respondToLookupRequest(request, links, links, done);
+};
+
+/**
+ * Responds with the registered links filtered by the Uri-Query options
+ * of the request. The links are matched against both their attributes and
+ * the attributes of their endpoints.
+ *
+ * @private
+ * @param {Message} request
+ * @param {function(Error|null, *)} done
+ */
+ResourceDirectory.prototype.handleResourceLookupRequest = function(
+  request, done)
+{
+  var links = [];
+  var matchedLinks = [];
+
+  this.getRegistrations().forEach(function(registration)
+  {
+    var endpointLink = registration.getEndpointLink();
+
+    registration.getResourceLinks().forEach(function(link)
+    {
+      var matchedLink = {};
+
+      Object.keys(endpointLink).forEach(function(name)
+      {
+        matchedLink[name] = endpointLink[name];
+      });
+
+      Object.keys(link).forEach(function(name)
+      {
+        matchedLink[name] = link[name];
+      });
+
+      links.push(link);
+      matchedLinks.push(matchedLink);
+    });
+  });
+
+  respondToLookupRequest(request, links, matchedLinks, done);
+};
+
+/**
+ * @private
+ * @param {string} endpointName
+ * @param {string|null} sector
+ * @returns {ResourceDirectoryRegistration|null}
+ */
+ResourceDirectory.prototype.findRegistration = function(endpointName, sector)
+{
+  var registrations = this.getRegistrations();
+
+  for (var i = 0; i < registrations.length; ++i)
+  {
+    var registration = registrations[i];
+
+    if (registration.getEndpointName() === endpointName
+      && registration.getSector() === sector)
+    {
+      return registration;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @private
+ * @param {ResourceDirectoryRegistration} registration
+ */
+ResourceDirectory.prototype.removeRegistration = function(registration)
+{
+  var path = registration.getPath();
+
+  if (this.registrations[path] === registration)
+  {
+    delete this.registrations[path];
+
+    this.server.removeResource(path);
+  }
+
+  registration.destroy();
+};
+
+/**
+ * @private
+ * @param {ResourceDirectoryRegistration} registration
+ */
+ResourceDirectory.prototype.onRegistrationTimeout = function(registration)
+{
+  this.removeRegistration(registration);
+
+  this.emit('expired', registration);
+};
+
+/**
+ * @private
+ * @param {Message} request
+ * @returns {Array.<string>}
+ */
+function getQueryParams(request)
+{
+  return request.getOptions(Message.Option.URI_QUERY)
+    .map(function(option) { return option.getStringValue(); });
+}
+
+/**
+ * @private
+ * @param {Message} request
+ * @returns {object.<string, string|number|boolean>|Error}
+ */
+function parseRegistrationParams(request)
+{
+  var params = {};
+  var queryParams = getQueryParams(request);
+
+  for (var i = 0; i < queryParams.length; ++i)
+  {
+    var queryParam = queryParams[i];
+    var eqIndex = queryParam.indexOf('=');
+
+    if (eqIndex === -1)
+    {
+      params[queryParam] = true;
+
+      continue;
+    }
+
+    var name = queryParam.substr(0, eqIndex);
+    var value = queryParam.substr(eqIndex + 1);
+
+    if (name === 'lt')
+    {
+      value = /^[0-9]+$/.test(value) ? parseInt(value, 10) : 0;
+
+      if (value < 1 || value > MAX_LIFETIME)
+      {
+        return new Error("Invalid lt parameter: " + queryParam.substr(3));
+      }
+    }
+
+    params[name] = value;
+  }
+
+  return params;
+}
+
+/**
+ * @private
+ * @param {Message} request
+ * @returns {Array.<object>|Error}
+ */
+function parseLinks(request)
+{
+  var contentFormat = request.getContentFormat();
+
+  if (request.getPayloadLength() > 0
+    && contentFormat !== -1
+    && contentFormat !== LINK_FORMAT)
+  {
+    var err = new Error("Unsupported Content-Format: " + contentFormat);
+
+    err.code = Message.Code.UNSUPPORTED_CONTENT_FORMAT;
+
+    return err;
+  }
+
+  try
+  {
+    return linkFormat.parse(request.getPayload().toString());
+  }
+  catch (err)
+  {
+    return err;
+  }
+}
+
+/**
+ * @private
+ * @param {Error} err
+ * @returns {object}
+ */
+function createBadRequestResponseData(err)
+{
+  return {
+    code: err.code || Message.Code.BAD_REQUEST,
+    payload: err.message
+  };
+}
+
+/**
+ * Filters the specified links by the Uri-Query options of the specified
+ * request (except the `page` and `count` paging parameters) and responds
+ * with the requested page of the matching links.
+ *
+ * @private
+ * @param {Message} request
+ * @param {Array.<object>} links
+ * @param {Array.<object>} matchedLinks Objects matched against the filter
+ * in place of the links at the same indexes.
+ * @param {function(Error|null, *)} done
+ */
+function respondToLookupRequest(request, links, matchedLinks, done)
+{
+  var accept = request.getAccept();
+
+  if (accept !== -1 && accept !== LINK_FORMAT)
+  {
+    done(null, {code: Message.Code.NOT_ACCEPTABLE});
+
+    return;
+  }
+
+  var page = 0;
+  var count = -1;
+  var filters = getQueryParams(request).filter(function(queryParam)
+  {
+    var match = queryParam.match(/^(page|count)=([0-9]+)$/);
+
+    if (match === null)
+    {
+      return true;
+    }
+
+    if (match[1] === 'page')
+    {
+      page = parseInt(match[2], 10);
+    }
+    else
+    {
+      count = parseInt(match[2], 10);
+    }
+
+    return false;
+  });
+
+  var result = linkFormat.filter(matchedLinks, filters).map(function(link)
+  {
+    return links[matchedLinks.indexOf(link)];
+  });
+
+  if (count !== -1)
+  {
+    result = result.slice(page * count, (page + 1) * count);
+  }
+
+  done(null, {
+    code: Message.Code.CONTENT,
+    contentFormat: LINK_FORMAT,
+    payload: linkFormat.stringify(result)
+  });
+}
+
+module.exports = ResourceDirectory;
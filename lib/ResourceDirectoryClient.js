@@ -0,0 +1,665 @@
+'use strict';
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var helpers = require('./helpers');
+var Message = require('./Message');
+var Option = require('./Option');
+var linkFormat = require('./linkFormat');
+
+var DEFAULT_LIFETIME = 90000;
+var DEFAULT_REFRESH_FACTOR = 0.9;
+var DEFAULT_RETRY_DELAY = 60000;
+var MAX_TIMER_DELAY = 0x7FFFFFFF;
+var LINK_FORMAT = 40;
+var RD_RESOURCE_TYPES = {
+  registration: 'core.rd',
+  endpointLookup: 'core.rd-lookup-ep',
+  resourceLookup: 'core.rd-lookup-res'
+};
+
+/**
+ * Registers links of an endpoint with a CoRE Resource Directory (RFC 9176)
+ * and keeps the registration alive.
+ *
+ * The directory's interfaces are discovered by requesting its
+ * `/.well-known/core?rt=core.rd*` resource. The registration is refreshed
+ * before its lifetime expires and the endpoint is registered again if
+ * the directory responds to a refresh with 4.04 Not Found or a request
+ * fails (times out, is reset or can't be sent).
+ *
+ * @constructor
+ * @extends {events.EventEmitter}
+ * @param {Client} client
+ * @param {object} options
+ * @param {string} options.rd A URI of the resource directory.
+ * @param {string} options.ep An endpoint name.
+ * @param {string} [options.d] A sector name.
+ * @param {number} [options.lt] A registration lifetime in seconds.
+ * @param {Array.<object>} [options.links] Links of the endpoint's resources.
+ * @param {number} [options.refreshFactor] A fraction of the lifetime after
+ * which the registration is refreshed.
+ * @param {number} [options.retryDelay] A delay in ms before a failed
+ * registration is retried.
+ * @throws {Error} If the `rd` or `ep` option is not specified.
+ */
+function ResourceDirectoryClient(client, options)
+{
+  EventEmitter.call(this);
+
+  if (typeof options.rd !== 'string' || options.rd.length === 0)
+  {
+    throw new Error("The `rd` option is required.");
+  }
+
+  if (typeof options.ep !== 'string' || options.ep.length === 0)
+  {
+    throw new Error("The `ep` option is required.");
+  }
+
+  /**
+   * @private
+   * @type {Client}
+   */
+  this.client = client;
+
+  /**
+   * @private
+   * @type {string}
+   */
+  this.rdUri = options.rd;
+
+  /**
+   * @private
+   * @type {string}
+   */
+  this.endpointName = options.ep;
+
+  /**
+   * @private
+   * @type {string|null}
+   */
+  this.sector = options.d || null;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.lifetime = options.lt || DEFAULT_LIFETIME;
+
+  /**
+   * @private
+   * @type {Array.<object>}
+   */
+  this.links = options.links || [];
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.refreshFactor = options.refreshFactor || DEFAULT_REFRESH_FACTOR;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.retryDelay = options.retryDelay || DEFAULT_RETRY_DELAY;
+
+  /**
+   * URIs of the directory's interfaces by their names
+   * (see `RD_RESOURCE_TYPES`) or `null` if they weren't discovered yet.
+   *
+   * @private
+   * @type {object.<string, string>|null}
+   */
+  this.interfaces = null;
+
+  /**
+   * @private
+   * @type {string|null}
+   */
+  this.location = null;
+
+  /**
+   * @private
+   * @type {Message|null}
+   */
+  this.pendingRequest = null;
+
+  /**
+   * @private
+   * @type {number|null}
+   */
+  this.timer = null;
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.started = false;
+}
+
+util.inherits(ResourceDirectoryClient, EventEmitter);
+
+ResourceDirectoryClient.prototype.destroy = function()
+{
+  this.stop();
+  this.removeAllListeners();
+
+  this.client = null;
+};
+
+/**
+ * @returns {string|null} An absolute URI of the registration resource
+ * or `null` if the endpoint is not registered.
+ */
+ResourceDirectoryClient.prototype.getLocation = function()
+{
+  return this.location;
+};
+
+/**
+ * @returns {boolean}
+ */
+ResourceDirectoryClient.prototype.isRegistered = function()
+{
+  return this.location !== null;
+};
+
+/**
+ * Sets the links sent in the next registration request.
+ *
+ * @param {Array.<object>} links
+ */
+ResourceDirectoryClient.prototype.setLinks = function(links)
+{
+  this.links = links;
+};
+
+/**
+ * Registers the endpoint with the resource directory and keeps
+ * the registration alive until `unregister()` is called.
+ */
+ResourceDirectoryClient.prototype.register = function()
+{
+  this.stop();
+
+  this.started = true;
+
+  this.sendRegistration();
+};
+
+/**
+ * Removes the registration from the resource directory.
+ *
+ * @param {function(Error|null)} [callback]
+ */
+ResourceDirectoryClient.prototype.unregister = function(callback)
+{
+  var location = this.location;
+
+  this.stop();
+
+  this.location = null;
+
+  if (typeof callback !== 'function')
+  {
+    callback = function() {};
+  }
+
+  if (location === null)
+  {
+    callback(null);
+
+    return;
+  }
+
+  var rdClient = this;
+
+  this.sendRequest(
+    this.client.del(location),
+    function(err, response)
+    {
+      if (err === null && response.getCode() !== Message.Code.DELETED)
+      {
+        err = createResponseError("Removal of the registration", response);
+      }
+
+      if (err === null)
+      {
+        rdClient.emit('unregistered', location);
+      }
+
+      callback(err);
+    }
+  );
+};
+
+/**
+ * Finds resources registered in the resource directory using its resource
+ * lookup interface (`rt=core.rd-lookup-res`).
+ *
+ * @param {object.<string, string|boolean>|string|null} filter
+ * @param {function(Error|null, Array.<object>|null)} callback
+ */
+ResourceDirectoryClient.prototype.lookupResources = function(filter, callback)
+{
+  this.lookup('resourceLookup', filter, callback);
+};
+
+/**
+ * Finds endpoints registered in the resource directory using its endpoint
+ * lookup interface (`rt=core.rd-lookup-ep`).
+ *
+ * @param {object.<string, string|boolean>|string|null} filter
+ * @param {function(Error|null, Array.<object>|null)} callback
+ */
+ResourceDirectoryClient.prototype.lookupEndpoints = function(filter, callback)
+{
+  this.lookup('endpointLookup', filter, callback);
+};
+
+/**
+ * @private
+ * @param {string} interfaceName
+ * @param {object.<string, string|boolean>|string|null} filter
+ * @param {function(Error|null, Array.<object>|null)} callback
+ */
+ResourceDirectoryClient.prototype.lookup = function(
+  interfaceName, filter, callback)
+{
+  var rdClient = this;
+
+  this.discoverInterface(interfaceName, function(err, interfaceUri)
+  {
+    if (err)
+    {
+      callback(err, null);
+    }
+    else
+    {
+      rdClient.client.getLinks(interfaceUri, filter, callback);
+    }
+  });
+};
+
+/**
+ * @private
+ */
+ResourceDirectoryClient.prototype.stop = function()
+{
+  this.started = false;
+
+  if (this.timer !== null)
+  {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  if (this.pendingRequest !== null)
+  {
+    var pendingRequest = this.pendingRequest;
+
+    this.pendingRequest = null;
+
+    pendingRequest.removeAllListeners();
+    this.client.cancel(pendingRequest);
+  }
+};
+
+/**
+ * @private
+ * @param {string} interfaceName
+ * @param {function(Error|null, string|null)} done
+ * @returns {Message|null} The discovery request or `null`, if the interface
+ * was already discovered (then the callback is called synchronously).
+ */
+ResourceDirectoryClient.prototype.discoverInterface = function(
+  interfaceName, done)
+{
+  if (this.interfaces !== null && this.interfaces[interfaceName])
+  {
+    done(null, this.interfaces[interfaceName]);
+
+    return null;
+  }
+
+  var rdClient = this;
+  var filter = {rt: 'core.rd*'};
+
+  return this.client.discover(this.rdUri, filter, function(err, links)
+  {
+    if (err)
+    {
+      done(err, null);
+
+      return;
+    }
+
+    rdClient.interfaces = findInterfaces(links);
+
+    if (rdClient.interfaces[interfaceName])
+    {
+      done(null, rdClient.interfaces[interfaceName]);
+    }
+    else
+    {
+      done(
+        new Error(
+          "The resource directory doesn't have a resource of type: "
+            + RD_RESOURCE_TYPES[interfaceName]
+        ),
+        null
+      );
+    }
+  });
+};
+
+/**
+ * @private
+ */
+ResourceDirectoryClient.prototype.sendRegistration = function()
+{
+  var rdClient = this;
+  var discoveryRequest = this.discoverInterface(
+    'registration',
+    function(err, registrationUri)
+    {
+      rdClient.pendingRequest = null;
+      rdClient.handleRegistrationInterface(err, registrationUri);
+    }
+  );
+
+  if (discoveryRequest !== null)
+  {
+    this.pendingRequest = discoveryRequest;
+  }
+};
+
+/**
+ * @private
+ * @param {Error|null} err
+ * @param {string|null} registrationUri
+ */
+ResourceDirectoryClient.prototype.handleRegistrationInterface = function(
+  err, registrationUri)
+{
+  var rdClient = this;
+
+  if (!this.started)
+  {
+    return;
+  }
+
+  if (err)
+  {
+    this.handleRegistrationFailure(err);
+
+    return;
+  }
+
+  var request = Message.fromObject({
+    code: Message.Code.POST,
+    uri: registrationUri,
+    contentFormat: LINK_FORMAT,
+    payload: linkFormat.stringify(this.links)
+  });
+
+  this.addRegistrationQuery(request);
+
+  this.sendRequest(this.client.request(request), function(err, response)
+  {
+    if (err === null && response.getCode() !== Message.Code.CREATED)
+    {
+      err = createResponseError("Registration", response);
+    }
+
+    if (err)
+    {
+      rdClient.interfaces = null;
+      rdClient.handleRegistrationFailure(err);
+
+      return;
+    }
+
+    rdClient.location =
+      helpers.getUriOrigin(registrationUri) + response.getLocationPath();
+
+    rdClient.emit('registered', rdClient.location);
+    rdClient.scheduleRefresh();
+  });
+};
+
+/**
+ * @private
+ */
+ResourceDirectoryClient.prototype.sendRefresh = function()
+{
+  var rdClient = this;
+
+  this.sendRequest(
+    this.client.post(this.location, null),
+    function(err, response)
+    {
+      if (err === null && response.getCode() !== Message.Code.CHANGED)
+      {
+        err = createResponseError("Registration refresh", response);
+      }
+
+      if (err === null)
+      {
+        rdClient.emit('refreshed', rdClient.location);
+        rdClient.scheduleRefresh();
+
+        return;
+      }
+
+      rdClient.location = null;
+
+      if (response && response.getCode() === Message.Code.NOT_FOUND)
+      {
+        rdClient.emit('expired');
+        rdClient.sendRegistration();
+      }
+      else
+      {
+        rdClient.handleRegistrationFailure(err);
+      }
+    }
+  );
+};
+
+/**
+ * @private
+ * @param {Message} request
+ * @param {function(Error|null, Message|null)} done
+ */
+ResourceDirectoryClient.prototype.sendRequest = function(request, done)
+{
+  var rdClient = this;
+
+  this.pendingRequest = request;
+
+  function finish(err, response)
+  {
+    if (done === null)
+    {
+      return;
+    }
+
+    if (rdClient.pendingRequest === request)
+    {
+      rdClient.pendingRequest = null;
+    }
+
+    var callback = done;
+
+    done = null;
+
+    callback(err, response);
+  }
+
+  request.on('response', function(response)
+  {
+    finish(null, response);
+  });
+
+  request.on('timeout', function()
+  {
+    finish(new Error("Request to the resource directory timed out."), null);
+  });
+
+  request.on('reset', function()
+  {
+    finish(new Error("Request to the resource directory was reset."), null);
+  });
+
+  request.on('cancelled', function()
+  {
+    finish(
+      new Error("Request to the resource directory was cancelled."), null
+    );
+  });
+
+  request.on('error', function(err)
+  {
+    finish(err, null);
+  });
+};
+
+/**
+ * @private
+ * @param {Error} err
+ */
+ResourceDirectoryClient.prototype.handleRegistrationFailure = function(err)
+{
+  this.emit('registration failed', err);
+
+  this.timer = setTimeout(this.onRetryTimer.bind(this), this.retryDelay);
+};
+
+/**
+ * @private
+ */
+ResourceDirectoryClient.prototype.scheduleRefresh = function()
+{
+  this.timer = setTimeout(
+    this.onRefreshTimer.bind(this),
+    Math.min(
+      Math.round(this.lifetime * 1000 * this.refreshFactor),
+      MAX_TIMER_DELAY
+    )
+  );
+};
+
+/**
+ * @private
+ */
+ResourceDirectoryClient.prototype.onRefreshTimer = function()
+{
+  this.timer = null;
+
+  this.sendRefresh();
+};
+
+/**
+ * @private
+ */
+ResourceDirectoryClient.prototype.onRetryTimer = function()
+{
+  this.timer = null;
+
+  this.sendRegistration();
+};
+
+/**
+ * Adds the registration parameters to the specified request. Each parameter
+ * is a separate Uri-Query option, so the endpoint and sector names can
+ * contain any characters (e.g. `&` or `=`).
+ *
+ * @private
+ * @param {Message} request
+ */
+ResourceDirectoryClient.prototype.addRegistrationQuery = function(request)
+{
+  addQueryParam(request, 'ep', this.endpointName);
+  addQueryParam(request, 'lt', String(this.lifetime));
+
+  if (this.sector !== null)
+  {
+    addQueryParam(request, 'd', this.sector);
+  }
+};
+
+/**
+ * @private
+ * @param {Array.<object>} links
+ * @returns {object.<string, string>}
+ */
+function findInterfaces(links)
+{
+  var interfaces = {};
+
+  Object.keys(RD_RESOURCE_TYPES).forEach(function(interfaceName)
+  {
+    var resourceType = RD_RESOURCE_TYPES[interfaceName];
+
+    for (var i = 0; i < links.length; ++i)
+    {
+      if (getResourceTypes(links[i]).indexOf(resourceType) !== -1)
+      {
+        interfaces[interfaceName] = links[i].href;
+
+        break;
+      }
+    }
+  });
+
+  return interfaces;
+}
+
+/**
+ * @private
+ * @param {object} link
+ * @returns {Array.<string>} Resource types from all `rt` attributes
+ * of the specified link.
+ */
+function getResourceTypes(link)
+{
+  var rt = link.rt;
+
+  if (typeof rt === 'undefined')
+  {
+    return [];
+  }
+
+  return [].concat(rt).join(' ').split(' ');
+}
+
+/**
+ * @private
+ * @param {Message} request
+ * @param {string} name
+ * @param {string} value
+ */
+function addQueryParam(request, name, value)
+{
+  request.addOption(
+    new Option(Message.Option.URI_QUERY, new Buffer(name + '=' + value))
+  );
+}
+
+/**
+ * @private
+ * @param {string} action
+ * @param {Message} response
+ * @returns {Error}
+ */
+function createResponseError(action, response)
+{
+  return new Error(
+    action + " failed with " + response.getCodeDefinition().description + "."
+  );
+}
+
+module.exports = ResourceDirectoryClient;
@@ -0,0 +1,246 @@
+'use strict';
+
+var helpers = require('./helpers');
+
+var MAX_TIMER_DELAY = 0x7FFFFFFF;
+
+/**
+ * A registration of an endpoint in a resource directory.
+ *
+ * @constructor
+ * @param {string} path
+ * @param {object} params
+ * @param {string} params.ep An endpoint name.
+ * @param {string} params.base A base URI of the endpoint's links.
+ * @param {number} params.lt A lifetime in seconds.
+ * @param {function(ResourceDirectoryRegistration)} timeoutHandler
+ */
+function ResourceDirectoryRegistration(path, params, timeoutHandler)
+{
+  /**
+   * @private
+   * @type {string}
+   */
+  this.path = path;
+
+  /**
+   * Endpoint attributes except `base` and `lt` (e.g. `ep`, `d` and `et`).
+   *
+   * @private
+   * @type {object.<string, string|boolean>}
+   */
+  this.attributes = {};
+
+  /**
+   * @private
+   * @type {string}
+   */
+  this.base = params.base;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.lifetime = params.lt;
+
+  /**
+   * @private
+   * @type {Array.<object>}
+   */
+  this.links = [];
+
+  /**
+   * @private
+   * @type {function(ResourceDirectoryRegistration)}
+   */
+  this.timeoutHandler = timeoutHandler;
+
+  /**
+   * A time when the lifetime expires. Lifetimes can be longer than a delay
+   * of one timer, so the timer is started again until this time.
+   *
+   * @private
+   * @type {number}
+   */
+  this.expiresAt = 0;
+
+  /**
+   * @private
+   * @type {number|null}
+   */
+  this.timeoutTimer = null;
+
+  /**
+   * @private
+   * @type {function}
+   */
+  this.onTimeout = this.onTimeout.bind(this);
+
+  this.update(params);
+}
+
+ResourceDirectoryRegistration.prototype.destroy = function()
+{
+  if (this.timeoutTimer !== null)
+  {
+    clearTimeout(this.timeoutTimer);
+    this.timeoutTimer = null;
+  }
+
+  this.timeoutHandler = null;
+  this.links = null;
+};
+
+/**
+ * @returns {string}
+ */
+ResourceDirectoryRegistration.prototype.getPath = function()
+{
+  return this.path;
+};
+
+/**
+ * @returns {string}
+ */
+ResourceDirectoryRegistration.prototype.getEndpointName = function()
+{
+  return this.attributes.ep;
+};
+
+/**
+ * @returns {string|null}
+ */
+ResourceDirectoryRegistration.prototype.getSector = function()
+{
+  return this.attributes.d || null;
+};
+
+/**
+ * @returns {Array.<object>}
+ */
+ResourceDirectoryRegistration.prototype.getLinks = function()
+{
+  return this.links;
+};
+
+/**
+ * @param {Array.<object>} links
+ */
+ResourceDirectoryRegistration.prototype.setLinks = function(links)
+{
+  this.links = links;
+};
+
+/**
+ * Updates the endpoint attributes with the specified registration
+ * parameters and restarts the lifetime timer.
+ *
+ * @param {object.<string, string|number|boolean>} params
+ */
+ResourceDirectoryRegistration.prototype.update = function(params)
+{
+  var registration = this;
+
+  Object.keys(params).forEach(function(name)
+  {
+    if (name === 'base')
+    {
+      registration.base = params.base;
+    }
+    else if (name === 'lt')
+    {
+      registration.lifetime = params.lt;
+    }
+    else
+    {
+      registration.attributes[name] = params[name];
+    }
+  });
+
+  this.expiresAt = Date.now() + this.lifetime * 1000;
+
+  this.scheduleTimeoutTimer();
+};
+
+/**
+ * @returns {object} A link to the registration resource with the endpoint
+ * attributes.
+ */
+ResourceDirectoryRegistration.prototype.getEndpointLink = function()
+{
+  var link = {href: this.path};
+  var attributes = this.attributes;
+
+  Object.keys(attributes).forEach(function(name)
+  {
+    link[name] = attributes[name];
+  });
+
+  link.base = this.base;
+  link.lt = this.lifetime;
+
+  return link;
+};
+
+/**
+ * @returns {Array.<object>} The registered links with targets resolved
+ * against the base URI and with the `anchor` attribute set to the base URI
+ * (unless specified).
+ */
+ResourceDirectoryRegistration.prototype.getResourceLinks = function()
+{
+  var base = this.base;
+
+  return this.links.map(function(registeredLink)
+  {
+    var link = {href: helpers.resolveUri(base, registeredLink.href)};
+
+    Object.keys(registeredLink).forEach(function(name)
+    {
+      if (name !== 'href')
+      {
+        link[name] = registeredLink[name];
+      }
+    });
+
+    link.anchor = typeof link.anchor === 'string'
+      ? helpers.resolveUri(base, link.anchor)
+      : base;
+
+    return link;
+  });
+};
+
+/**
+ * @private
+ */
+ResourceDirectoryRegistration.prototype.scheduleTimeoutTimer = function()
+{
+  if (this.timeoutTimer !== null)
+  {
+    clearTimeout(this.timeoutTimer);
+  }
+
+  this.timeoutTimer = setTimeout(
+    this.onTimeout, Math.min(this.expiresAt - Date.now(), MAX_TIMER_DELAY)
+  );
+};
+
+/**
+ * @private
+ */
+ResourceDirectoryRegistration.prototype.onTimeout = function()
+{
+  this.timeoutTimer = null;
+
+  if (Date.now() < this.expiresAt)
+  {
+    this.scheduleTimeoutTimer();
+  }
+  else
+  {
+    this.timeoutHandler(this);
+  }
+};
+
+module.exports = ResourceDirectoryRegistration;
@@ -0,0 +1,232 @@
+'use strict';
+
+var DEFAULT_MAX_AGE = 60;
+
+/**
+ * A cache of the responses by the cache keys (RFC 7252, section 5.6)
+ * limited to a maximum number of entries. The least recently used entry is
+ * evicted when the limit is exceeded.
+ *
+ * An entry is fresh for the Max-Age of its response (60 s by default).
+ * A stale entry is kept, so it can be revalidated with its ETag.
+ *
+ * @constructor
+ * @param {number} maxSize A maximum number of entries.
+ */
+function ResponseCache(maxSize)
+{
+  /**
+   * @private
+   * @type {number}
+   */
+  this.maxSize = maxSize;
+
+  /**
+   * @private
+   * @type {object.<string, {response: Message, expiresAt: number}>}
+   */
+  this.entries = {};
+
+  /**
+   * Keys of the entries from the least to the most recently used.
+   *
+   * @private
+   * @type {Array.<string>}
+   */
+  this.keys = [];
+}
+
+/**
+ * @returns {number} A number of the cached entries.
+ */
+ResponseCache.prototype.getSize = function()
+{
+  return this.keys.length;
+};
+
+/**
+ * @param {string} key
+ * @returns {Message|null} A cached response (fresh or stale) or `null`.
+ */
+ResponseCache.prototype.get = function(key)
+{
+  var entry = this.entries[key];
+
+  if (typeof entry === 'undefined')
+  {
+    return null;
+  }
+
+  this.touch(key);
+
+  return entry.response;
+};
+
+/**
+ * @param {string} key
+ * @param {number} [now]
+ * @returns {boolean} Whether there's a fresh entry for the specified key.
+ */
+ResponseCache.prototype.isFresh = function(key, now)
+{
+  var entry = this.entries[key];
+
+  return typeof entry !== 'undefined'
+    && entry.expiresAt > (typeof now === 'number' ? now : Date.now());
+};
+
+/**
+ * @param {string} key
+ * @param {number} [now]
+ * @returns {number} A number of seconds for which the entry stays fresh
+ * (a Max-Age of the cached response adjusted to its age) or -1, if there's
+ * no entry for the specified key.
+ */
+ResponseCache.prototype.getRemainingMaxAge = function(key, now)
+{
+  var entry = this.entries[key];
+
+  if (typeof entry === 'undefined')
+  {
+    return -1;
+  }
+
+  var remaining =
+    entry.expiresAt - (typeof now === 'number' ? now : Date.now());
+
+  return Math.max(0, Math.floor(remaining / 1000));
+};
+
+/**
+ * Stores the specified response and evicts the least recently used entry,
+ * if the cache is full.
+ *
+ * @param {string} key
+ * @param {Message} response
+ * @param {number} [now]
+ */
+ResponseCache.prototype.set = function(key, response, now)
+{
+  if (typeof this.entries[key] === 'undefined')
+  {
+    this.keys.push(key);
+  }
+  else
+  {
+    this.touch(key);
+  }
+
+  this.entries[key] = {
+    response: response,
+    expiresAt: calcExpiresAt(response, now)
+  };
+
+  if (this.keys.length > this.maxSize)
+  {
+    delete this.entries[this.keys.shift()];
+  }
+};
+
+/**
+ * Makes the entry fresh again for the Max-Age of the specified 2.03 Valid
+ * response and updates the cached response with the options of the 2.03
+ * Valid response (RFC 7252, section 5.9.1.3).
+ *
+ * @param {string} key
+ * @param {Message} validResponse
+ * @param {number} [now]
+ * @returns {Message|null} The cached response or `null`, if there's no entry
+ * for the specified key.
+ */
+ResponseCache.prototype.refresh = function(key, validResponse, now)
+{
+  var entry = this.entries[key];
+
+  if (typeof entry === 'undefined')
+  {
+    return null;
+  }
+
+  entry.expiresAt = calcExpiresAt(validResponse, now);
+
+  updateOptions(entry.response, validResponse);
+
+  this.touch(key);
+
+  return entry.response;
+};
+
+/**
+ * @param {string} key
+ */
+ResponseCache.prototype.remove = function(key)
+{
+  if (typeof this.entries[key] === 'undefined')
+  {
+    return;
+  }
+
+  delete this.entries[key];
+
+  this.keys.splice(this.keys.indexOf(key), 1);
+};
+
+ResponseCache.prototype.clear = function()
+{
+  this.entries = {};
+  this.keys = [];
+};
+
+/**
+ * @private
+ * @param {string} key
+ */
+ResponseCache.prototype.touch = function(key)
+{
+  var index = this.keys.indexOf(key);
+
+  if (index !== this.keys.length - 1)
+  {
+    this.keys.splice(index, 1);
+    this.keys.push(key);
+  }
+};
+
+/**
+ * @private
+ * @param {Message} response
+ * @param {number} [now]
+ * @returns {number}
+ */
+function calcExpiresAt(response, now)
+{
+  var maxAge = response.getMaxAge();
+
+  return (typeof now === 'number' ? now : Date.now())
+    + (maxAge === -1 ? DEFAULT_MAX_AGE : maxAge) * 1000;
+}
+
+/**
+ * Replaces the options of the cached response with the options of the same
+ * numbers from the validating response.
+ *
+ * @private
+ * @param {Message} cachedResponse
+ * @param {Message} validResponse
+ */
+function updateOptions(cachedResponse, validResponse)
+{
+  var validOptions = validResponse.getAllOptions();
+
+  validOptions.forEach(function(option)
+  {
+    cachedResponse.removeOptions(option.getNumber());
+  });
+
+  validOptions.forEach(function(option)
+  {
+    cachedResponse.addOption(option);
+  });
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,238 @@
+'use strict';
+
+var util = require('util');
+var Readable = require('stream').Readable;
+var errors = require('./errors');
+
+/**
+ * A readable stream of a response payload to a GET request.
+ *
+ * Payloads of blockwise (Block2) responses are pushed block by block
+ * as they arrive, so the whole representation is never held in memory.
+ * The next block is not requested until the consumer wants more data.
+ *
+ * The stream emits the `response` event with the final response (without
+ * the payload if it was transferred blockwise) before it ends. It emits
+ * the `error` event with one of the `errors.RequestError` subclasses if
+ * the request times out, is reset, is cancelled, couldn't be sent, is
+ * responded to with an error code or the ETag of the blockwise response
+ * changes. Destroying the stream before it ends cancels the request.
+ *
+ * @constructor
+ * @extends {stream.Readable}
+ * @param {Client} client
+ * @param {Message} request
+ * @param {object} [options]
+ * @param {number} [options.highWaterMark]
+ */
+function ResponseStream(client, request, options)
+{
+  Readable.call(this, options);
+
+  /**
+   * @private
+   * @type {Client}
+   */
+  this.client = client;
+
+  /**
+   * @private
+   * @type {Message}
+   */
+  this.request = request;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.pushedBlocks = 0;
+
+  /**
+   * Whether the consumer wants more data.
+   *
+   * @private
+   * @type {boolean}
+   */
+  this.ready = true;
+
+  /**
+   * @private
+   * @type {function|null}
+   */
+  this.demandHandler = null;
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.finished = false;
+
+  this.setUpRequest();
+}
+
+util.inherits(ResponseStream, Readable);
+
+/**
+ * @returns {Message}
+ */
+ResponseStream.prototype.getRequest = function()
+{
+  return this.request;
+};
+
+/**
+ * @returns {boolean} Whether the consumer wants more data.
+ */
+ResponseStream.prototype.isReady = function()
+{
+  return this.ready;
+};
+
+/**
+ * Calls the specified function after the consumer wants more data.
+ *
+ * @param {function} demandHandler
+ */
+ResponseStream.prototype.waitForDemand = function(demandHandler)
+{
+  this.demandHandler = demandHandler;
+};
+
+/**
+ * @param {Buffer} payload
+ */
+ResponseStream.prototype.pushBlock = function(payload)
+{
+  if (this.finished)
+  {
+    return;
+  }
+
+  this.pushedBlocks += 1;
+
+  if (payload.length > 0)
+  {
+    this.ready = this.push(payload);
+  }
+};
+
+/**
+ * @param {Error} err
+ */
+ResponseStream.prototype.fail = function(err)
+{
+  if (this.finished)
+  {
+    return;
+  }
+
+  this.finished = true;
+  this.demandHandler = null;
+
+  this.emit('error', err);
+};
+
+/**
+ * @private
+ */
+ResponseStream.prototype._read = function()
+{
+  this.ready = true;
+
+  if (this.demandHandler !== null)
+  {
+    var demandHandler = this.demandHandler;
+
+    this.demandHandler = null;
+
+    demandHandler();
+  }
+};
+
+/**
+ * @private
+ * @param {Error|null} err
+ * @param {function(Error|null)} done
+ */
+ResponseStream.prototype._destroy = function(err, done)
+{
+  this.demandHandler = null;
+
+  if (!this.finished)
+  {
+    this.finished = true;
+
+    this.client.cancel(this.request);
+  }
+
+  done(err);
+};
+
+/**
+ * @private
+ */
+ResponseStream.prototype.setUpRequest = function()
+{
+  var responseStream = this;
+  var request = this.request;
+
+  request.on('response', function(response)
+  {
+    responseStream.finish(response);
+  });
+
+  request.on('timeout', function()
+  {
+    responseStream.fail(new errors.TimeoutError(request));
+  });
+
+  request.on('reset', function(rstMessage)
+  {
+    responseStream.fail(new errors.ResetError(request, rstMessage));
+  });
+
+  request.on('cancelled', function()
+  {
+    responseStream.fail(new errors.CancelledError(request));
+  });
+
+  request.on('error', function(err)
+  {
+    responseStream.fail(
+      err instanceof errors.RequestError
+        ? err
+        : new errors.SocketError(request, err)
+    );
+  });
+};
+
+/**
+ * @private
+ * @param {Message} response
+ */
+ResponseStream.prototype.finish = function(response)
+{
+  if (this.finished)
+  {
+    return;
+  }
+
+  if (!response.isSuccess())
+  {
+    this.fail(new errors.ResponseError(this.request, response));
+
+    return;
+  }
+
+  this.finished = true;
+
+  if (this.pushedBlocks === 0 && response.getPayloadLength() > 0)
+  {
+    this.push(response.getPayload());
+  }
+
+  this.emit('response', response);
+  this.push(null);
+};
+
+module.exports = ResponseStream;
@@ -0,0 +1,230 @@
+'use strict';
+
+var STRONG_K = 4;
+var WEAK_K = 1;
+var STRONG_WEIGHT = 0.5;
+var WEAK_WEIGHT = 0.25;
+var ALPHA = 1 / 8;
+var BETA = 1 / 4;
+var MAX_WEAK_RETRANSMISSIONS = 2;
+var MAX_RTO = 60000;
+var SMALL_RTO = 1000;
+var LARGE_RTO = 3000;
+var CLOCK_GRANULARITY = 1;
+
+/**
+ * Retransmission timeout estimator of a single endpoint implementing
+ * CoAP Simple Congestion Control/Advanced (CoCoA).
+ *
+ * RTT samples of the exchanges completed without retransmissions feed
+ * the strong estimator and the ones completed after one or two
+ * retransmissions (measured from the first transmission) feed the weak
+ * estimator. Both estimators follow RFC 6298 (with K equal to 4 and 1,
+ * respectively) and every new estimate is blended into the overall RTO.
+ * The overall RTO ages towards the initial value if it's not updated
+ * for a while.
+ *
+ * @constructor
+ * @param {number} initialRto
+ * @param {number} [now]
+ */
+function RtoEstimator(initialRto, now)
+{
+  /**
+   * @private
+   * @type {number}
+   */
+  this.initialRto = initialRto;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.rto = initialRto;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.updatedAt = typeof now === 'number' ? now : Date.now();
+
+  /**
+   * @private
+   * @type {{srtt: number, rttvar: number, rto: number, samples: number}}
+   */
+  this.strong = createEstimate();
+
+  /**
+   * @private
+   * @type {{srtt: number, rttvar: number, rto: number, samples: number}}
+   */
+  this.weak = createEstimate();
+}
+
+/**
+ * @param {number} [now]
+ * @returns {number} The current overall RTO (after aging).
+ */
+RtoEstimator.prototype.getRto = function(now)
+{
+  this.age(typeof now === 'number' ? now : Date.now());
+
+  return this.rto;
+};
+
+/**
+ * @param {number} rto An initial RTO of a transaction.
+ * @returns {number} A variable backoff factor for the specified RTO.
+ */
+RtoEstimator.prototype.getBackoffFactor = function(rto)
+{
+  if (rto < SMALL_RTO)
+  {
+    return 3;
+  }
+
+  if (rto > LARGE_RTO)
+  {
+    return 1.5;
+  }
+
+  return 2;
+};
+
+/**
+ * @param {number} rtt A round-trip time in ms measured from the first
+ * transmission of the request.
+ * @param {number} retransmissions A number of the request's retransmissions.
+ * @param {number} [now]
+ * @returns {boolean} Whether the sample was used.
+ */
+RtoEstimator.prototype.addSample = function(rtt, retransmissions, now)
+{
+  if (rtt < 0 || retransmissions > MAX_WEAK_RETRANSMISSIONS)
+  {
+    return false;
+  }
+
+  now = typeof now === 'number' ? now : Date.now();
+
+  this.age(now);
+
+  if (retransmissions === 0)
+  {
+    updateEstimate(this.strong, rtt, STRONG_K);
+    this.blend(this.strong.rto, STRONG_WEIGHT);
+  }
+  else
+  {
+    updateEstimate(this.weak, rtt, WEAK_K);
+    this.blend(this.weak.rto, WEAK_WEIGHT);
+  }
+
+  this.updatedAt = now;
+
+  return true;
+};
+
+/**
+ * @returns {object} A snapshot of the estimator state.
+ */
+RtoEstimator.prototype.toJSON = function()
+{
+  return {
+    rto: this.rto,
+    updatedAt: this.updatedAt,
+    strong: copyEstimate(this.strong),
+    weak: copyEstimate(this.weak)
+  };
+};
+
+/**
+ * @private
+ * @param {number} rto
+ * @param {number} weight
+ */
+RtoEstimator.prototype.blend = function(rto, weight)
+{
+  this.rto = Math.min(weight * rto + (1 - weight) * this.rto, MAX_RTO);
+};
+
+/**
+ * Doubles a small RTO not updated for 16 RTOs and moves a large RTO not
+ * updated for 4 RTOs halfway to the initial RTO.
+ *
+ * @private
+ * @param {number} now
+ */
+RtoEstimator.prototype.age = function(now)
+{
+  while (true)
+  {
+    var rto = this.rto;
+
+    if (rto < SMALL_RTO && now - this.updatedAt >= 16 * rto)
+    {
+      this.rto = rto * 2;
+      this.updatedAt += 16 * rto;
+    }
+    else if (rto > LARGE_RTO && now - this.updatedAt >= 4 * rto)
+    {
+      this.rto = (this.initialRto + rto) / 2;
+      this.updatedAt += 4 * rto;
+    }
+    else
+    {
+      break;
+    }
+  }
+};
+
+/**
+ * @private
+ * @returns {{srtt: number, rttvar: number, rto: number, samples: number}}
+ */
+function createEstimate()
+{
+  return {srtt: -1, rttvar: -1, rto: -1, samples: 0};
+}
+
+/**
+ * @private
+ * @param {object} estimate
+ * @returns {object}
+ */
+function copyEstimate(estimate)
+{
+  return {
+    srtt: estimate.srtt,
+    rttvar: estimate.rttvar,
+    rto: estimate.rto,
+    samples: estimate.samples
+  };
+}
+
+/**
+ * @private
+ * @param {object} estimate
+ * @param {number} rtt
+ * @param {number} k
+ */
+function updateEstimate(estimate, rtt, k)
+{
+  if (estimate.samples === 0)
+  {
+    estimate.srtt = rtt;
+    estimate.rttvar = rtt / 2;
+  }
+  else
+  {
+    estimate.rttvar =
+      (1 - BETA) * estimate.rttvar + BETA * Math.abs(estimate.srtt - rtt);
+    estimate.srtt = (1 - ALPHA) * estimate.srtt + ALPHA * rtt;
+  }
+
+  estimate.rto =
+    estimate.srtt + Math.max(CLOCK_GRANULARITY, k * estimate.rttvar);
+  estimate.samples += 1;
+}
+
+module.exports = RtoEstimator;
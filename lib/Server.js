@@ -0,0 +1,1994 @@
+'use strict';
+
+var util = require('util');
+var dgram = require('dgram');
+var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
+var helpers = require('./helpers');
+var Message = require('./Message');
+var EndpointAddress = require('./EndpointAddress');
+var ClientTransaction = require('./ClientTransaction');
+var ServerResource = require('./ServerResource');
+var ServerObserver = require('./ServerObserver');
+var ServerUpload = require('./ServerUpload');
+var linkFormat = require('./linkFormat');
+
+var MAX_MESSAGE_ID = 0xFFFF;
+var DEFAULT_MAX_RETRANSMIT = 4;
+var DEFAULT_ACK_TIMEOUT = 2000;
+var DEFAULT_ACK_RANDOM_FACTOR = 1.5;
+var DEFAULT_CONFIRMATION_INTERVAL = 24 * 3600 * 1000;
+var DEFAULT_MAX_BLOCK_SIZE = 1024;
+var DEFAULT_MAX_UPLOAD_SIZE = 1024 * 1024;
+var DEFAULT_MAX_DUPLICATES = 1000;
+var MAX_LATENCY = 100000;
+var WELL_KNOWN_CORE_PATH = '/.well-known/core';
+var LINK_FORMAT = 40;
+var ETAG_LENGTH = 8;
+var WHOLE_STREAM_RANGE = {num: 0, size: Infinity, offset: 0};
+
+/**
+ * @private
+ * @const
+ * @type {object.<Message.Code, Message.Code>}
+ */
+var DEFAULT_RESPONSE_CODES = {};
+
+DEFAULT_RESPONSE_CODES[Message.Code.GET] = Message.Code.CONTENT;
+DEFAULT_RESPONSE_CODES[Message.Code.POST] = Message.Code.CHANGED;
+DEFAULT_RESPONSE_CODES[Message.Code.PUT] = Message.Code.CHANGED;
+DEFAULT_RESPONSE_CODES[Message.Code.DELETE] = Message.Code.DELETED;
+
+/**
+ * @constructor
+ * @extends {events.EventEmitter}
+ * @param {object} [options]
+ * @param {dgram.Socket|boolean} [options.socket4]
+ * @param {dgram.Socket|boolean} [options.socket6]
+ * @param {number} [options.messageId]
+ * @param {number} [options.ackTimeout]
+ * @param {number} [options.ackRandomFactor]
+ * @param {number} [options.maxRetransmit]
+ * @param {number} [options.confirmationInterval] A maximum time between
+ * confirmable notifications sent to the same observer. Defaults to 24 hours.
+ * @param {number} [options.maxBlockSize] A maximum size of a Block1
+ * and Block2 payload. One of 16, 32, 64, 128, 256, 512 or 1024 (default).
+ * @param {number} [options.maxUploadSize] A maximum size of a request body
+ * assembled from Block1 blocks. Defaults to 1 MiB.
+ * @param {number} [options.uploadTimeout] A time after which a partially
+ * received Block1 request body (or a partially sent Block2 response body
+ * of a non-GET request) is discarded. Defaults to the exchange timeout.
+ * @param {number} [options.duplicateTimeout] A time for which replies to
+ * requests are remembered to be sent again in response to duplicate requests.
+ * Defaults to EXCHANGE_LIFETIME calculated from the transmission parameters.
+ * @param {number} [options.maxDuplicates] A maximum number of remembered
+ * requests. The oldest one is forgotten when the limit is reached.
+ * Defaults to 1000.
+ * @param {number} [options.separateResponseTimeout] A time after which
+ * a confirmable request that wasn't responded to yet is acknowledged with
+ * an empty ACK and the response is sent later as a separate message.
+ * Defaults to a half of the `ackTimeout` option.
+ * @param {Message.Type} [options.separateResponseType] A type of separate
+ * responses: CON (default) or NON.
+ */
+function Server(options)
+{
+  /*jshint maxstatements:99*/
+
+  EventEmitter.call(this);
+
+  if (!options)
+  {
+    options = {};
+  }
+
+  /**
+   * @private
+   * @type {function(Buffer, object)}
+   */
+  this.onMessage = this.onMessage.bind(this);
+
+  /**
+   * @private
+   * @type {function(Error)}
+   */
+  this.onSocketError = this.onSocketError.bind(this);
+
+  /**
+   * @private
+   * @type {function(ClientTransaction, number)}
+   */
+  this.onTransactionTimeout = this.onTransactionTimeout.bind(this);
+
+  /**
+   * @private
+   * @type {function(ServerUpload)}
+   */
+  this.onUploadTimeout = this.onUploadTimeout.bind(this);
+
+  /**
+   * @private
+   * @type {dgram.Socket|null}
+   */
+  this.socket4 = this.setUpSocket('udp4', options.socket4);
+
+  /**
+   * @private
+   * @type {dgram.Socket|null}
+   */
+  this.socket6 = this.setUpSocket('udp6', options.socket6);
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.messageId = options.messageId >= 0
+    ? options.messageId
+    : Math.ceil(Math.random() * MAX_MESSAGE_ID);
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.ackTimeout = options.ackTimeout || DEFAULT_ACK_TIMEOUT;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.ackRandomFactor = options.ackRandomFactor || DEFAULT_ACK_RANDOM_FACTOR;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.maxRetransmit = options.maxRetransmit || DEFAULT_MAX_RETRANSMIT;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.confirmationInterval =
+    options.confirmationInterval || DEFAULT_CONFIRMATION_INTERVAL;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.maxBlockSize = options.maxBlockSize || DEFAULT_MAX_BLOCK_SIZE;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.maxUploadSize = options.maxUploadSize || DEFAULT_MAX_UPLOAD_SIZE;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.uploadTimeout = options.uploadTimeout || this.calcExchangeTimeout();
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.duplicateTimeout =
+    options.duplicateTimeout || this.calcExchangeLifetime();
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.maxDuplicates = options.maxDuplicates || DEFAULT_MAX_DUPLICATES;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.separateResponseTimeout =
+    options.separateResponseTimeout || Math.round(this.ackTimeout / 2);
+
+  /**
+   * @private
+   * @type {Message.Type}
+   */
+  this.separateResponseType = options.separateResponseType === Message.Type.NON
+    ? Message.Type.NON
+    : Message.Type.CON;
+
+  /**
+   * @private
+   * @type {object.<string, ServerResource>}
+   */
+  this.resources = {};
+
+  /**
+   * @private
+   * @type {object.<string, ClientTransaction>}
+   */
+  this.transactions = {};
+
+  /**
+   * @private
+   * @type {object.<string, object.<string, ServerObserver>>}
+   */
+  this.observers = {};
+
+  /**
+   * @private
+   * @type {object.<string, ServerUpload>}
+   */
+  this.uploads = {};
+
+  /**
+   * Whole responses to non-GET requests sliced to Block2 blocks, so the later
+   * blocks can be sent without calling the handler again.
+   *
+   * @private
+   * @type {object.<string, Message>}
+   */
+  this.representations = {};
+
+  /**
+   * @private
+   * @type {object.<string, string>}
+   */
+  this.duplicates = {};
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.duplicateCount = 0;
+
+  /**
+   * @private
+   * @type {object.<string, Message>}
+   */
+  this.replies = {};
+
+  /**
+   * @private
+   * @type {object.<string, number>}
+   */
+  this.timers = {};
+
+  this.get(WELL_KNOWN_CORE_PATH, this.handleWellKnownCoreRequest.bind(this));
+}
+
+util.inherits(Server, EventEmitter);
+
+Server.prototype.destroy = function()
+{
+  /*jshint maxstatements:23*/
+
+  this.removeAllListeners();
+
+  if (this.socket4 !== null)
+  {
+    this.socket4.removeAllListeners();
+    this.socket4.close();
+    this.socket4 = null;
+  }
+
+  if (this.socket6 !== null)
+  {
+    this.socket6.removeAllListeners();
+    this.socket6.close();
+    this.socket6 = null;
+  }
+
+  var server = this;
+
+  Object.keys(this.resources).forEach(function(uriPath)
+  {
+    server.resources[uriPath].destroy();
+  });
+
+  Object.keys(this.transactions).forEach(function(transactionKey)
+  {
+    server.transactions[transactionKey].destroy();
+  });
+
+  Object.keys(this.uploads).forEach(function(uploadKey)
+  {
+    server.uploads[uploadKey].destroy();
+  });
+
+  Object.keys(this.timers).forEach(function(timerKey)
+  {
+    clearTimeout(server.timers[timerKey]);
+  });
+
+  Object.keys(this.observers).forEach(function(remoteEndpoint)
+  {
+    var endpointObservers = server.observers[remoteEndpoint];
+
+    Object.keys(endpointObservers).forEach(function(tokenString)
+    {
+      if (tokenString !== '$count')
+      {
+        endpointObservers[tokenString].destroy();
+      }
+    });
+  });
+
+  this.resources = null;
+  this.transactions = null;
+  this.observers = null;
+  this.uploads = null;
+  this.representations = null;
+  this.duplicates = null;
+  this.replies = null;
+  this.timers = null;
+};
+
+/**
+ * Binds the server's sockets to the specified port.
+ *
+ * @param {number} [port] Defaults to `5683`.
+ */
+Server.prototype.bind = function(port)
+{
+  if (typeof port !== 'number')
+  {
+    port = EndpointAddress.DEFAULT_PORT;
+  }
+
+  if (this.socket4 !== null)
+  {
+    this.socket4.bind(port);
+  }
+
+  if (this.socket6 !== null)
+  {
+    this.socket6.bind(port);
+  }
+};
+
+/**
+ * Returns a resource registered under the specified Uri-Path. If there is
+ * no such resource, then a new one is registered.
+ *
+ * @param {string} uriPath
+ * @returns {ServerResource}
+ */
+Server.prototype.resource = function(uriPath)
+{
+  uriPath = normalizeUriPath(uriPath);
+
+  var resource = this.resources[uriPath];
+
+  if (typeof resource === 'undefined')
+  {
+    resource = this.resources[uriPath] = new ServerResource(uriPath);
+
+    resource.on('changed', this.notifyObservers.bind(this, resource));
+  }
+
+  return resource;
+};
+
+/**
+ * @param {string} uriPath
+ * @returns {boolean}
+ */
+Server.prototype.hasResource = function(uriPath)
+{
+  return typeof this.resources[normalizeUriPath(uriPath)] !== 'undefined';
+};
+
+/**
+ * Returns links to all resources of this server (except
+ * `/.well-known/core`) with their CoRE Link Format attributes.
+ *
+ * @returns {Array.<object>}
+ */
+Server.prototype.getLinks = function()
+{
+  var server = this;
+
+  return Object.keys(this.resources)
+    .filter(function(uriPath) { return uriPath !== WELL_KNOWN_CORE_PATH; })
+    .map(function(uriPath)
+    {
+      var link = {href: uriPath};
+      var linkAttributes = server.resources[uriPath].getLinkAttributes();
+
+      Object.keys(linkAttributes).forEach(function(name)
+      {
+        link[name] = linkAttributes[name];
+      });
+
+      return link;
+    });
+};
+
+/**
+ * Removes the specified resource. All observers of the resource are notified
+ * with a 4.04 response and removed.
+ *
+ * @param {string} uriPath
+ */
+Server.prototype.removeResource = function(uriPath)
+{
+  uriPath = normalizeUriPath(uriPath);
+
+  var resource = this.resources[uriPath];
+
+  if (typeof resource === 'undefined')
+  {
+    return;
+  }
+
+  delete this.resources[uriPath];
+
+  var notFound = Message.fromObject({code: Message.Code.NOT_FOUND});
+  var server = this;
+
+  this.getResourceObservers(uriPath).forEach(function(observer)
+  {
+    server.sendNotification(observer, notFound, false);
+  });
+
+  resource.destroy();
+};
+
+/**
+ * @param {string} uriPath
+ * @param {function(Message, function(Error|null, *))} handler
+ * @returns {ServerResource}
+ */
+Server.prototype.get = function(uriPath, handler)
+{
+  return this.resource(uriPath).get(handler);
+};
+
+/**
+ * @param {string} uriPath
+ * @param {function(Message, function(Error|null, *))} handler
+ * @returns {ServerResource}
+ */
+Server.prototype.post = function(uriPath, handler)
+{
+  return this.resource(uriPath).post(handler);
+};
+
+/**
+ * @param {string} uriPath
+ * @param {function(Message, function(Error|null, *))} handler
+ * @returns {ServerResource}
+ */
+Server.prototype.put = function(uriPath, handler)
+{
+  return this.resource(uriPath).put(handler);
+};
+
+/**
+ * @param {string} uriPath
+ * @param {function(Message, function(Error|null, *))} handler
+ * @returns {ServerResource}
+ */
+Server.prototype.del = function(uriPath, handler)
+{
+  return this.resource(uriPath).del(handler);
+};
+
+/**
+ * @private
+ * @param {string} type
+ * @param {Socket|boolean} option
+ * @returns {Socket|null}
+ */
+Server.prototype.setUpSocket = function(type, option)
+{
+  var socket = null;
+
+  if (option !== null && typeof option === 'object')
+  {
+    socket = option;
+  }
+  else if (option !== false)
+  {
+    // Without the `ipv6Only` flag, binding the IPv6 socket to the same port
+    // as the IPv4 one fails on dual-stack systems.
+    socket = dgram.createSocket({type: type, ipv6Only: type === 'udp6'});
+  }
+
+  if (socket !== null)
+  {
+    socket.on('message', this.onMessage);
+    socket.on('error', this.onSocketError);
+  }
+
+  return socket;
+};
+
+/**
+ * @private
+ * @returns {number}
+ */
+Server.prototype.getNextMessageId = function()
+{
+  if (this.messageId === MAX_MESSAGE_ID)
+  {
+    this.messageId = 0;
+  }
+
+  return ++this.messageId;
+};
+
+/**
+ * @private
+ * @param {Error} err
+ */
+Server.prototype.onSocketError = function(err)
+{
+  this.emit('error', err);
+};
+
+/**
+ * @private
+ * @param {Buffer} messageBuffer
+ * @param {{address: string, port: number}} rinfo
+ */
+Server.prototype.onMessage = function(messageBuffer, rinfo)
+{
+  var message;
+
+  try
+  {
+    message = Message.fromBuffer(messageBuffer);
+  }
+  catch (err)
+  {
+    this.emit('error', err);
+
+    return;
+  }
+
+  message.setRemoteEndpoint(rinfo.address, rinfo.port);
+
+  this.emit('message received', message);
+
+  if (!message.isRequest())
+  {
+    this.handleNonRequestMessage(message);
+
+    return;
+  }
+
+  var messageKey = message.getKey();
+
+  if (this.isDuplicateMessage(messageKey))
+  {
+    this.handleDuplicateMessage(message);
+
+    return;
+  }
+
+  this.setUpDuplicateMessage(messageKey, message.getTransactionKey());
+
+  if (message.isConfirmable())
+  {
+    this.setUpSeparateResponseTimer(message);
+  }
+
+  this.handleRequest(message);
+};
+
+/**
+ * Schedules an empty ACK to the specified confirmable request in case its
+ * handler doesn't respond in time for a piggy-backed response.
+ *
+ * @private
+ * @param {Message} request
+ */
+Server.prototype.setUpSeparateResponseTimer = function(request)
+{
+  this.timers['ACK:' + request.getTransactionKey()] = setTimeout(
+    this.sendAckReply.bind(this, request),
+    this.separateResponseTimeout
+  );
+};
+
+/**
+ * @private
+ * @param {string} messageKey
+ * @returns {boolean}
+ */
+Server.prototype.isDuplicateMessage = function(messageKey)
+{
+  return typeof this.duplicates[messageKey] !== 'undefined';
+};
+
+/**
+ * Sends the reply to the original request again. The request handler is not
+ * called. If the reply is not ready yet, then the duplicate is ignored.
+ *
+ * @private
+ * @param {Message} request
+ */
+Server.prototype.handleDuplicateMessage = function(request)
+{
+  var reply = this.replies[this.duplicates[request.getKey()]];
+
+  this.emit('duplicate request', request);
+
+  if (reply)
+  {
+    this.sendMessage(reply);
+  }
+};
+
+/**
+ * @private
+ * @param {string} messageKey
+ * @param {string} transactionKey
+ */
+Server.prototype.setUpDuplicateMessage = function(messageKey, transactionKey)
+{
+  if (this.duplicateCount === this.maxDuplicates)
+  {
+    this.removeDuplicateMessage(Object.keys(this.duplicates)[0]);
+  }
+
+  this.duplicates[messageKey] = transactionKey;
+  this.duplicateCount += 1;
+
+  this.timers['DUP:' + messageKey] = setTimeout(
+    this.removeDuplicateMessage.bind(this, messageKey),
+    this.duplicateTimeout
+  );
+};
+
+/**
+ * @private
+ * @param {string} messageKey
+ */
+Server.prototype.removeDuplicateMessage = function(messageKey)
+{
+  var timerKey = 'DUP:' + messageKey;
+
+  clearTimeout(this.timers[timerKey]);
+
+  delete this.replies[this.duplicates[messageKey]];
+  delete this.duplicates[messageKey];
+  delete this.timers[timerKey];
+
+  this.duplicateCount -= 1;
+};
+
+/**
+ * Sends the specified reply to the specified request and remembers it, so it
+ * can be sent again in response to a duplicate of the request.
+ *
+ * @private
+ * @param {Message} request
+ * @param {Message} reply
+ */
+Server.prototype.sendReply = function(request, reply)
+{
+  var transactionKey = request.getTransactionKey();
+
+  if (this.duplicates[request.getKey()] === transactionKey
+    && typeof this.replies[transactionKey] === 'undefined')
+  {
+    this.replies[transactionKey] = reply;
+  }
+
+  if (reply.isConfirmable())
+  {
+    this.setUpTransaction(reply);
+  }
+
+  this.sendMessage(reply);
+};
+
+/**
+ * @private
+ * @param {Message} message
+ */
+Server.prototype.handleNonRequestMessage = function(message)
+{
+  if (message.isReset())
+  {
+    this.handleRstMessage(message);
+  }
+  else if (message.isEmptyAcknowledgement())
+  {
+    this.handleEmptyAckMessage(message);
+  }
+  else if (message.isConfirmable())
+  {
+    this.sendRstReply(message);
+  }
+};
+
+/**
+ * A reset of any notification (confirmable or not) removes the observer.
+ *
+ * @private
+ * @param {Message} rstMessage
+ */
+Server.prototype.handleRstMessage = function(rstMessage)
+{
+  var transactionKey = rstMessage.getTransactionKey();
+  var observer = this.findObserverByTransactionKey(
+    rstMessage.getRemoteEndpoint().toString(), transactionKey
+  );
+
+  this.finishTransaction(transactionKey, false, rstMessage);
+
+  if (observer !== null)
+  {
+    this.removeObserver(observer);
+  }
+};
+
+/**
+ * @private
+ * @param {Message} ackMessage
+ */
+Server.prototype.handleEmptyAckMessage = function(ackMessage)
+{
+  var transactionKey = ackMessage.getTransactionKey();
+
+  if (typeof this.transactions[transactionKey] === 'undefined')
+  {
+    return;
+  }
+
+  var observer = this.findObserverByTransactionKey(
+    ackMessage.getRemoteEndpoint().toString(), transactionKey
+  );
+
+  if (observer !== null)
+  {
+    observer.confirm();
+  }
+
+  this.finishTransaction(transactionKey, true, ackMessage);
+};
+
+/**
+ * @private
+ * @param {Message} request
+ */
+Server.prototype.handleRequest = function(request)
+{
+  this.emit('request', request);
+
+  var resource = this.resources[request.getUriPath()];
+
+  if (typeof resource === 'undefined')
+  {
+    this.respond(request, Message.fromObject({code: Message.Code.NOT_FOUND}));
+
+    return;
+  }
+
+  var handler = resource.getHandler(request.getCode());
+
+  if (handler === null)
+  {
+    this.respond(
+      request, Message.fromObject({code: Message.Code.METHOD_NOT_ALLOWED})
+    );
+
+    return;
+  }
+
+  if (request.getBlock1() !== null)
+  {
+    this.handleBlock1Request(request, handler);
+
+    return;
+  }
+
+  if (isNextBlock2Request(request))
+  {
+    this.handleNextBlock2Request(request);
+
+    return;
+  }
+
+  var observe = request.getCode() === Message.Code.GET
+    ? request.getObserve()
+    : -1;
+
+  if (observe === 1)
+  {
+    this.removeObserver(this.getObserver(
+      request.getRemoteEndpoint().toString(), request.getTokenString()
+    ));
+  }
+
+  this.dispatchRequest(
+    request,
+    handler,
+    observe === 0 && resource.isObservable()
+      ? this.handleRegistrationResponse.bind(this, request)
+      : this.respond.bind(this, request)
+  );
+};
+
+/**
+ * Responds with links to resources of this server in the CoRE Link Format.
+ * The links are filtered by the Uri-Query options of the request (RFC 6690,
+ * section 4.1). If no link matches the filter, then the response is 4.04.
+ *
+ * @private
+ * @param {Message} request
+ * @param {function(Error|null, *)} done
+ */
+Server.prototype.handleWellKnownCoreRequest = function(request, done)
+{
+  var accept = request.getAccept();
+
+  if (accept !== -1 && accept !== LINK_FORMAT)
+  {
+    done(null, {code: Message.Code.NOT_ACCEPTABLE});
+
+    return;
+  }
+
+  var queryParams = request.getOptions(Message.Option.URI_QUERY)
+    .map(function(option) { return option.getStringValue(); });
+  var links = linkFormat.filter(this.getLinks(), queryParams);
+
+  if (queryParams.length > 0 && links.length === 0)
+  {
+    done(null, {code: Message.Code.NOT_FOUND});
+
+    return;
+  }
+
+  done(null, {
+    code: Message.Code.CONTENT,
+    contentFormat: LINK_FORMAT,
+    payload: linkFormat.stringify(links)
+  });
+};
+
+/**
+ * Buffers a block of a request body sent using the Block1 option.
+ *
+ * Intermediate blocks are answered with 2.31 Continue. A block that doesn't
+ * continue the upload is answered with 4.08 Request Entity Incomplete and
+ * a body bigger than the `maxUploadSize` option with 4.13 Request Entity Too
+ * Large. Only the request with the whole body is dispatched to the handler.
+ *
+ * @private
+ * @param {Message} request
+ * @param {function(Message, function(Error|null, *))} handler
+ */
+Server.prototype.handleBlock1Request = function(request, handler)
+{
+  /*jshint maxstatements:22*/
+
+  var block1 = request.getBlock1();
+  var uploadKey = request.getRemoteEndpoint() + '|' + request.getUriPath();
+  var upload = this.uploads[uploadKey];
+
+  if (block1.num === 0)
+  {
+    this.removeUpload(uploadKey);
+
+    upload = this.uploads[uploadKey] = new ServerUpload(
+      uploadKey, this.uploadTimeout, this.onUploadTimeout
+    );
+  }
+  else if (typeof upload === 'undefined'
+    || upload.getLength() !== block1.num * block1.size)
+  {
+    this.removeUpload(uploadKey);
+    this.respond(request, Message.fromObject({
+      code: Message.Code.REQUEST_ENTITY_INCOMPLETE
+    }));
+
+    return;
+  }
+
+  var payloadLength = request.getPayloadLength();
+
+  if (request.getSize1() > this.maxUploadSize
+    || upload.getLength() + payloadLength > this.maxUploadSize)
+  {
+    this.removeUpload(uploadKey);
+    this.respond(request, Message.fromObject({
+      code: Message.Code.REQUEST_ENTITY_TOO_LARGE,
+      size1: this.maxUploadSize
+    }));
+
+    return;
+  }
+
+  upload.append(request.getPayload());
+
+  if (block1.m)
+  {
+    this.respond(request, Message.fromObject({
+      code: Message.Code.CONTINUE,
+      block1: {
+        num: block1.num,
+        m: true,
+        size: Math.min(block1.size, this.maxBlockSize)
+      }
+    }));
+
+    return;
+  }
+
+  var wholeRequest = upload.createRequest(request);
+
+  this.removeUpload(uploadKey);
+  this.dispatchRequest(
+    wholeRequest, handler, this.respondToLastBlock1Request.bind(this, request)
+  );
+};
+
+/**
+ * @private
+ * @param {Message} request
+ * @param {Message} response
+ */
+Server.prototype.respondToLastBlock1Request = function(request, response)
+{
+  if (response.isSuccess())
+  {
+    var block1 = request.getBlock1();
+
+    response.setBlock1(block1.num, false, block1.size);
+  }
+
+  this.respond(request, response);
+};
+
+/**
+ * @private
+ * @param {string} uploadKey
+ */
+Server.prototype.removeUpload = function(uploadKey)
+{
+  var upload = this.uploads[uploadKey];
+
+  if (typeof upload !== 'undefined')
+  {
+    delete this.uploads[uploadKey];
+
+    upload.destroy();
+  }
+};
+
+/**
+ * Sends the requested block of the response to the non-GET request that
+ * started the Block2 transfer, so the handler's side effects happen only
+ * once. If the representation was already discarded, the response is 4.08
+ * Request Entity Incomplete.
+ *
+ * @private
+ * @param {Message} request
+ */
+Server.prototype.handleNextBlock2Request = function(request)
+{
+  var representationKey = getRepresentationKey(request);
+  var representation = this.representations[representationKey];
+
+  if (typeof representation === 'undefined')
+  {
+    this.respond(request, Message.fromObject({
+      code: Message.Code.REQUEST_ENTITY_INCOMPLETE
+    }));
+
+    return;
+  }
+
+  var response = this.sliceBlock2Payload(
+    request, helpers.copyResponse(representation)
+  );
+
+  if (response.getBlock2() === null || !response.getBlock2().m)
+  {
+    this.removeRepresentation(representationKey);
+  }
+  else
+  {
+    this.setUpRepresentation(representationKey, representation);
+  }
+
+  this.respond(request, response);
+};
+
+/**
+ * @private
+ * @param {string} representationKey
+ * @param {Message} representation
+ */
+Server.prototype.setUpRepresentation = function(
+  representationKey, representation)
+{
+  var timerKey = 'REP:' + representationKey;
+
+  clearTimeout(this.timers[timerKey]);
+
+  this.representations[representationKey] = representation;
+  this.timers[timerKey] = setTimeout(
+    this.removeRepresentation.bind(this, representationKey),
+    this.uploadTimeout
+  );
+};
+
+/**
+ * @private
+ * @param {string} representationKey
+ */
+Server.prototype.removeRepresentation = function(representationKey)
+{
+  var timerKey = 'REP:' + representationKey;
+
+  clearTimeout(this.timers[timerKey]);
+
+  delete this.representations[representationKey];
+  delete this.timers[timerKey];
+};
+
+/**
+ * @private
+ * @param {ServerUpload} upload
+ */
+Server.prototype.onUploadTimeout = function(upload)
+{
+  this.emit('upload timeout', upload.getKey());
+
+  this.removeUpload(upload.getKey());
+};
+
+/**
+ * Calls the specified handler and passes whatever the handler passes to its
+ * callback to the specified response callback. Only the first call of
+ * the handler's callback is taken into account.
+ *
+ * @private
+ * @param {Message} request
+ * @param {function(Message, function(Error|null, *))} handler
+ * @param {function(Message)} callback
+ */
+Server.prototype.dispatchRequest = function(request, handler, callback)
+{
+  var server = this;
+  var responded = false;
+
+  function respond(err, responseData)
+  {
+    if (responded || server.resources === null)
+    {
+      return;
+    }
+
+    responded = true;
+
+    if (err)
+    {
+      responseData = createErrorResponseData(err);
+    }
+
+    server.prepareResponse(request, responseData, callback);
+  }
+
+  try
+  {
+    handler(request, respond);
+  }
+  catch (err)
+  {
+    respond(err);
+  }
+};
+
+/**
+ * Creates a response message from the specified handler's response data.
+ *
+ * A successful response with a payload that doesn't fit in one block (or
+ * a response to a request with the Block2 option) is sliced to the block
+ * requested by the client. The payload can be a Buffer, a string or a readable
+ * stream. Blocks of a stream payload are read from a new stream for each block
+ * request, so the handler should specify an ETag of the stream's
+ * representation. For other payloads, an ETag is generated if not specified.
+ *
+ * The handler of a non-GET request is called only for the first block.
+ * A stream payload is read whole and the response is remembered until its
+ * last block is sent (or for the `uploadTimeout`).
+ *
+ * @private
+ * @param {Message} request
+ * @param {Message|object|undefined} responseData
+ * @param {function(Message)} callback
+ */
+Server.prototype.prepareResponse = function(request, responseData, callback)
+{
+  var stream = responseData ? responseData.payload : null;
+
+  if (!isReadableStream(stream))
+  {
+    callback(
+      this.sliceBlock2Payload(
+        request, createResponseMessage(request, responseData)
+      )
+    );
+
+    return;
+  }
+
+  var response = createResponseMessage(
+    request, omitProperty(responseData, 'payload')
+  );
+
+  if (!response.isSuccess())
+  {
+    discardStream(stream);
+    callback(response);
+
+    return;
+  }
+
+  var server = this;
+
+  if (request.getCode() !== Message.Code.GET)
+  {
+    readStreamBlock(stream, WHOLE_STREAM_RANGE, true, function(err, block)
+    {
+      if (server.resources === null)
+      {
+        return;
+      }
+
+      if (!err)
+      {
+        response.setPayload(block.payload);
+      }
+
+      callback(
+        err
+          ? createResponseMessage(request, createErrorResponseData(err))
+          : server.sliceBlock2Payload(request, response)
+      );
+    });
+
+    return;
+  }
+
+  var range = this.getBlock2Range(request);
+
+  readStreamBlock(stream, range, request.getSize2() !== -1, function(err, block)
+  {
+    if (server.resources === null)
+    {
+      return;
+    }
+
+    callback(
+      err
+        ? createResponseMessage(request, createErrorResponseData(err))
+        : setBlock2Payload(request, response, range, block)
+    );
+  });
+};
+
+/**
+ * @private
+ * @param {Message} request
+ * @param {Message} response
+ * @returns {Message}
+ */
+Server.prototype.sliceBlock2Payload = function(request, response)
+{
+  var payload = response.getPayload();
+  var range = this.getBlock2Range(request);
+  var blockwise = payload.length > range.size;
+
+  if (!response.isSuccess() || (!blockwise && request.getBlock2() === null))
+  {
+    return response;
+  }
+
+  if (blockwise && response.getETag().length === 0)
+  {
+    response.setETag(generateETag(payload));
+  }
+
+  if (blockwise
+    && range.offset === 0
+    && request.getCode() !== Message.Code.GET)
+  {
+    this.setUpRepresentation(
+      getRepresentationKey(request), helpers.copyResponse(response)
+    );
+  }
+
+  return setBlock2Payload(request, response, range, {
+    payload: payload.slice(range.offset, range.offset + range.size),
+    more: payload.length > range.offset + range.size,
+    totalLength: payload.length
+  });
+};
+
+/**
+ * Determines the block to send in response to the specified request.
+ *
+ * If the client requested a block bigger than the `maxBlockSize` option,
+ * the server sends a smaller block starting at the same offset (late
+ * negotiation). Smaller blocks are always honoured (early negotiation).
+ *
+ * @private
+ * @param {Message} request
+ * @returns {{num: number, size: number, offset: number}}
+ */
+Server.prototype.getBlock2Range = function(request)
+{
+  var block2 = request.getBlock2();
+
+  if (block2 === null)
+  {
+    return {num: 0, size: this.maxBlockSize, offset: 0};
+  }
+
+  var size = Math.min(block2.size, this.maxBlockSize);
+  var offset = block2.num * block2.size;
+
+  return {num: offset / size, size: size, offset: offset};
+};
+
+/**
+ * @private
+ * @param {Message} request
+ * @param {Message} response
+ */
+Server.prototype.respond = function(request, response)
+{
+  this.sendReply(request, this.createResponse(request, response));
+};
+
+/**
+ * Registers an observer if the response to the specified registration request
+ * is successful or removes the matching observer otherwise.
+ *
+ * @private
+ * @param {Message} request
+ * @param {Message} response
+ */
+Server.prototype.handleRegistrationResponse = function(request, response)
+{
+  var reply = this.createResponse(request, response);
+
+  if (response.isSuccess())
+  {
+    reply.setObserve(this.updateObserver(request).nextObserveValue());
+  }
+  else
+  {
+    this.removeObserver(this.getObserver(
+      request.getRemoteEndpoint().toString(), request.getTokenString()
+    ));
+  }
+
+  this.sendReply(request, reply);
+};
+
+/**
+ * Creates a piggy-backed response to the specified confirmable request
+ * or a non-confirmable response to the specified non-confirmable request.
+ *
+ * If the confirmable request was already acknowledged with an empty ACK,
+ * then a separate response of the `separateResponseType` type is created.
+ *
+ * @private
+ * @param {Message} request
+ * @param {Message} response
+ * @returns {Message}
+ */
+Server.prototype.createResponse = function(request, response)
+{
+  var timerKey = 'ACK:' + request.getTransactionKey();
+
+  if (request.isConfirmable() && typeof this.timers[timerKey] !== 'undefined')
+  {
+    clearTimeout(this.timers[timerKey]);
+    delete this.timers[timerKey];
+
+    return createReplyMessage(request, Message.Type.ACK, response);
+  }
+
+  var reply = createReplyMessage(
+    request,
+    request.isConfirmable() ? this.separateResponseType : Message.Type.NON,
+    response
+  );
+
+  reply.setId(this.getNextMessageId());
+
+  return reply;
+};
+
+/**
+ * @private
+ * @param {Message} request
+ * @returns {ServerObserver}
+ */
+Server.prototype.updateObserver = function(request)
+{
+  var remoteEndpoint = request.getRemoteEndpoint().toString();
+
+  if (typeof this.observers[remoteEndpoint] === 'undefined')
+  {
+    this.observers[remoteEndpoint] = {$count: 0};
+  }
+
+  var endpointObservers = this.observers[remoteEndpoint];
+  var tokenString = request.getTokenString();
+  var observer = endpointObservers[tokenString];
+
+  if (typeof observer === 'undefined')
+  {
+    observer = endpointObservers[tokenString] = new ServerObserver(request);
+    endpointObservers.$count += 1;
+
+    this.emit('observer added', observer);
+  }
+  else
+  {
+    observer.setRequest(request);
+  }
+
+  return observer;
+};
+
+/**
+ * @private
+ * @param {ServerObserver|null} observer
+ */
+Server.prototype.removeObserver = function(observer)
+{
+  if (observer === null || observer.isDestroyed())
+  {
+    return;
+  }
+
+  var request = observer.getRequest();
+  var remoteEndpoint = request.getRemoteEndpoint().toString();
+  var endpointObservers = this.observers[remoteEndpoint];
+
+  delete endpointObservers[request.getTokenString()];
+
+  endpointObservers.$count -= 1;
+
+  if (endpointObservers.$count === 0)
+  {
+    delete this.observers[remoteEndpoint];
+  }
+
+  this.finishTransaction(observer.getLastTransactionKey());
+
+  this.emit('observer removed', observer);
+
+  observer.destroy();
+};
+
+/**
+ * @private
+ * @param {string} remoteEndpoint
+ * @param {string} tokenString
+ * @returns {ServerObserver|null}
+ */
+Server.prototype.getObserver = function(remoteEndpoint, tokenString)
+{
+  var endpointObservers = this.observers[remoteEndpoint];
+
+  if (typeof endpointObservers === 'undefined'
+    || tokenString === '$count'
+    || typeof endpointObservers[tokenString] === 'undefined')
+  {
+    return null;
+  }
+
+  return endpointObservers[tokenString];
+};
+
+/**
+ * @private
+ * @param {string} remoteEndpoint
+ * @param {string} transactionKey
+ * @returns {ServerObserver|null}
+ */
+Server.prototype.findObserverByTransactionKey =
+  function(remoteEndpoint, transactionKey)
+{
+  var endpointObservers = this.observers[remoteEndpoint];
+
+  if (typeof endpointObservers === 'undefined')
+  {
+    return null;
+  }
+
+  var tokenStrings = Object.keys(endpointObservers);
+
+  for (var i = 0, l = tokenStrings.length; i < l; ++i)
+  {
+    var observer = endpointObservers[tokenStrings[i]];
+
+    if (tokenStrings[i] !== '$count'
+      && observer.getLastTransactionKey() === transactionKey)
+    {
+      return observer;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @private
+ * @param {string} uriPath
+ * @returns {Array.<ServerObserver>}
+ */
+Server.prototype.getResourceObservers = function(uriPath)
+{
+  var resourceObservers = [];
+  var server = this;
+
+  Object.keys(this.observers).forEach(function(remoteEndpoint)
+  {
+    var endpointObservers = server.observers[remoteEndpoint];
+
+    Object.keys(endpointObservers).forEach(function(tokenString)
+    {
+      if (tokenString !== '$count'
+        && endpointObservers[tokenString].getUriPath() === uriPath)
+      {
+        resourceObservers.push(endpointObservers[tokenString]);
+      }
+    });
+  });
+
+  return resourceObservers;
+};
+
+/**
+ * @private
+ * @param {ServerResource} resource
+ * @param {boolean} confirmable
+ */
+Server.prototype.notifyObservers = function(resource, confirmable)
+{
+  var handler = resource.getHandler(Message.Code.GET);
+
+  if (handler === null)
+  {
+    return;
+  }
+
+  var server = this;
+
+  this.getResourceObservers(resource.getUriPath()).forEach(function(observer)
+  {
+    server.dispatchRequest(observer.getRequest(), handler, function(response)
+    {
+      if (!observer.isDestroyed())
+      {
+        server.sendNotification(observer, response, confirmable);
+      }
+    });
+  });
+};
+
+/**
+ * Sends the specified response as a notification to the specified observer.
+ *
+ * A notification is confirmable if the `confirmable` flag is set or if
+ * the observer didn't acknowledge any notification for the duration of
+ * the `confirmationInterval` option. A non-successful response is the last
+ * notification sent to the observer.
+ *
+ * @private
+ * @param {ServerObserver} observer
+ * @param {Message} response
+ * @param {boolean} confirmable
+ */
+Server.prototype.sendNotification = function(observer, response, confirmable)
+{
+  var type = confirmable
+    || observer.isConfirmationRequired(this.confirmationInterval)
+      ? Message.Type.CON
+      : Message.Type.NON;
+  var notification =
+    createReplyMessage(observer.getRequest(), type, response);
+
+  notification.setId(this.getNextMessageId());
+
+  this.finishTransaction(observer.getLastTransactionKey());
+
+  if (response.isSuccess())
+  {
+    notification.setObserve(observer.nextObserveValue());
+    observer.setLastNotification(notification);
+  }
+  else
+  {
+    notification.setObserve(false);
+
+    this.removeObserver(observer);
+  }
+
+  if (notification.isConfirmable())
+  {
+    this.setUpTransaction(notification);
+  }
+
+  this.sendMessage(notification);
+};
+
+/**
+ * @private
+ * @param {Message} message
+ * @returns {ClientTransaction}
+ */
+Server.prototype.setUpTransaction = function(message)
+{
+  var transaction = new ClientTransaction(
+    message,
+    message.getExchangeKey(),
+    this.onTransactionTimeout,
+    {
+      transactionTimeout: this.genTransactionTimeout(),
+      maxRetransmit: this.maxRetransmit
+    }
+  );
+
+  this.transactions[transaction.getKey()] = transaction;
+
+  return transaction;
+};
+
+/**
+ * Accepts or rejects a transaction identified by the specified transaction key.
+ *
+ * @private
+ * @param {string|null} transactionKey
+ * @param {boolean} [accept]
+ * @param {Message} [response]
+ */
+Server.prototype.finishTransaction = function(transactionKey, accept, response)
+{
+  var transaction = this.transactions[transactionKey];
+
+  if (typeof transaction === 'undefined')
+  {
+    return;
+  }
+
+  delete this.transactions[transactionKey];
+
+  if (accept === true)
+  {
+    transaction.accept(response);
+  }
+  else if (accept === false)
+  {
+    transaction.reject(response);
+  }
+
+  transaction.destroy();
+};
+
+/**
+ * @private
+ * @returns {number}
+ */
+Server.prototype.calcExchangeTimeout = function()
+{
+  return this.ackTimeout
+    * Math.pow(2, this.maxRetransmit + 1)
+    * this.ackRandomFactor;
+};
+
+/**
+ * Calculates EXCHANGE_LIFETIME (RFC 7252, section 4.8.2).
+ *
+ * @private
+ * @returns {number}
+ */
+Server.prototype.calcExchangeLifetime = function()
+{
+  var maxTransmitSpan = this.ackTimeout
+    * (Math.pow(2, this.maxRetransmit) - 1)
+    * this.ackRandomFactor;
+
+  return maxTransmitSpan + 2 * MAX_LATENCY + this.ackTimeout;
+};
+
+/**
+ * @private
+ * @returns {number}
+ */
+Server.prototype.genTransactionTimeout = function()
+{
+  return Math.random()
+    * ((this.ackTimeout * this.ackRandomFactor) - this.ackTimeout)
+    +  this.ackTimeout;
+};
+
+/**
+ * An observer that didn't acknowledge a confirmable notification is removed.
+ *
+ * @private
+ * @param {ClientTransaction} transaction
+ * @param {number} retries
+ */
+Server.prototype.onTransactionTimeout = function(transaction, retries)
+{
+  var message = transaction.getRequest();
+
+  if (!transaction.isLimitReached())
+  {
+    this.sendMessage(message, retries);
+
+    return;
+  }
+
+  var observer = this.findObserverByTransactionKey(
+    message.getRemoteEndpoint().toString(), transaction.getKey()
+  );
+
+  this.emit('transaction timeout', message);
+
+  this.finishTransaction(transaction.getKey());
+  this.removeObserver(observer);
+};
+
+/**
+ * @private
+ * @param {Message} message
+ * @param {number} [retries]
+ */
+Server.prototype.sendMessage = function(message, retries)
+{
+  var messageBuffer = message.toBuffer();
+  var remoteEndpoint = message.getRemoteEndpoint();
+  var socket = remoteEndpoint.isIPv6() ? this.socket6 : this.socket4;
+
+  if (socket === null)
+  {
+    setImmediate(this.emit.bind(
+      this,
+      'error',
+      new Error("Cannot send the message. Socket type not supported.")
+    ));
+
+    return;
+  }
+
+  try
+  {
+    socket.send(
+      messageBuffer,
+      0,
+      messageBuffer.length,
+      remoteEndpoint.getPort(),
+      remoteEndpoint.getAddress()
+    );
+
+    message.setTimestamp();
+
+    this.emit('message sent', message, retries || 0);
+  }
+  catch (err)
+  {
+    setImmediate(this.emit.bind(this, 'error', err));
+  }
+};
+
+/**
+ * @private
+ * @param {Message} message
+ */
+Server.prototype.sendRstReply = function(message)
+{
+  this.sendMessage(message.createReply(Message.Type.RST, Message.Code.EMPTY));
+};
+
+/**
+ * @private
+ * @param {Message} request
+ */
+Server.prototype.sendAckReply = function(request)
+{
+  delete this.timers['ACK:' + request.getTransactionKey()];
+
+  this.emit('separate response', request);
+
+  this.sendReply(
+    request, request.createReply(Message.Type.ACK, Message.Code.EMPTY)
+  );
+};
+
+/**
+ * @private
+ * @param {Message} request
+ * @param {Message|object|undefined} responseData A response message or
+ * an object accepted by {@link Message.fromObject}. If the code is not
+ * a response code, then a default one for the request's method is used.
+ * @returns {Message}
+ */
+function createResponseMessage(request, responseData)
+{
+  var response = responseData instanceof Message
+    ? responseData
+    : Message.fromObject(responseData || {});
+
+  if (!response.isResponse())
+  {
+    response.setCode(DEFAULT_RESPONSE_CODES[request.getCode()]);
+  }
+
+  return response;
+}
+
+/**
+ * Creates a reply of the specified type to the specified request. Only
+ * the code, options and payload of the specified response are used.
+ *
+ * @private
+ * @param {Message} request
+ * @param {Message.Type} type
+ * @param {Message} response
+ * @returns {Message}
+ */
+function createReplyMessage(request, type, response)
+{
+  var reply = request.createReply(type, response.getCode());
+
+  reply.setToken(request.getToken());
+  reply.setAllOptions(response.getAllOptions());
+
+  if (response.hasPayload())
+  {
+    reply.setPayload(response.getPayload());
+  }
+
+  return reply;
+}
+
+/**
+ * @private
+ * @param {Error} err
+ * @returns {object}
+ */
+function createErrorResponseData(err)
+{
+  return {
+    code: Message.Code.INTERNAL_SERVER_ERROR,
+    payload: err.message || ''
+  };
+}
+
+/**
+ * @private
+ * @param {Message} request
+ * @param {Message} response
+ * @param {{num: number, size: number, offset: number}} range
+ * @param {{payload: Buffer, more: boolean, totalLength: number}} block
+ * A total length of -1 means that the length of the whole payload is unknown.
+ * @returns {Message}
+ */
+function setBlock2Payload(request, response, range, block)
+{
+  if (range.offset > 0 && block.payload.length === 0)
+  {
+    return Message.fromObject({
+      code: Message.Code.BAD_OPTION,
+      payload: "Block number out of range: " + request.getBlock2().num
+    });
+  }
+
+  if (block.more || request.getBlock2() !== null)
+  {
+    response.setBlock2(range.num, block.more, range.size);
+  }
+
+  if (request.getSize2() !== -1 && block.totalLength !== -1)
+  {
+    response.setSize2(block.totalLength);
+  }
+
+  response.setPayload(block.payload);
+
+  return response;
+}
+
+/**
+ * @private
+ * @param {Message} request
+ * @returns {boolean} Whether the specified request is a non-GET request for
+ * a block other than the first one.
+ */
+function isNextBlock2Request(request)
+{
+  var block2 = request.getBlock2();
+
+  return block2 !== null
+    && block2.num > 0
+    && request.getCode() !== Message.Code.GET;
+}
+
+/**
+ * @private
+ * @param {Message} request
+ * @returns {string}
+ */
+function getRepresentationKey(request)
+{
+  return request.getRemoteEndpoint()
+    + '|' + request.getCode()
+    + '|' + request.getUriPath();
+}
+
+/**
+ * @private
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function generateETag(payload)
+{
+  return crypto.createHash('sha1')
+    .update(payload)
+    .digest()
+    .slice(0, ETAG_LENGTH);
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isReadableStream(value)
+{
+  return value !== null
+    && typeof value === 'object'
+    && typeof value.pipe === 'function'
+    && typeof value.on === 'function';
+}
+
+/**
+ * @private
+ * @param {object} obj
+ * @param {string} propertyName
+ * @returns {object}
+ */
+function omitProperty(obj, propertyName)
+{
+  var result = {};
+
+  Object.keys(obj).forEach(function(key)
+  {
+    if (key !== propertyName)
+    {
+      result[key] = obj[key];
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Reads the specified range of bytes from the specified stream. One more byte
+ * is read (if available) to determine whether there is more data after
+ * the range. The rest of the stream is discarded, unless the `readAll` flag is
+ * set (to determine the total length).
+ *
+ * @private
+ * @param {stream.Readable} stream
+ * @param {{size: number, offset: number}} range
+ * @param {boolean} readAll
+ * @param {function(Error|null, object|null)} done
+ */
+function readStreamBlock(stream, range, readAll, done)
+{
+  var start = range.offset;
+  var end = range.offset + range.size;
+  var chunks = [];
+  var position = 0;
+  var finished = false;
+
+  function finish(err)
+  {
+    if (finished)
+    {
+      return;
+    }
+
+    finished = true;
+
+    stream.removeListener('data', onData);
+    stream.removeListener('end', onEnd);
+    stream.removeListener('error', finish);
+
+    if (err)
+    {
+      done(err, null);
+
+      return;
+    }
+
+    done(null, {
+      payload: Buffer.concat(chunks).slice(0, range.size),
+      more: position > end,
+      totalLength: readAll ? position : -1
+    });
+  }
+
+  function onEnd()
+  {
+    finish(null);
+  }
+
+  function onData(chunk)
+  {
+    if (!Buffer.isBuffer(chunk))
+    {
+      chunk = new Buffer(String(chunk));
+    }
+
+    var chunkStart = position;
+
+    position += chunk.length;
+
+    if (position > start && chunkStart <= end)
+    {
+      chunks.push(chunk.slice(
+        Math.max(0, start - chunkStart),
+        Math.min(chunk.length, end + 1 - chunkStart)
+      ));
+    }
+
+    if (!readAll && position > end)
+    {
+      finish(null);
+      discardStream(stream);
+    }
+  }
+
+  stream.on('data', onData);
+  stream.on('end', onEnd);
+  stream.on('error', finish);
+}
+
+/**
+ * @private
+ * @param {stream.Readable} stream
+ */
+function discardStream(stream)
+{
+  stream.on('error', function() {});
+
+  if (typeof stream.destroy === 'function')
+  {
+    stream.destroy();
+  }
+  else
+  {
+    stream.pause();
+  }
+}
+
+/**
+ * @private
+ * @param {string} uriPath
+ * @returns {string}
+ */
+function normalizeUriPath(uriPath)
+{
+  return uriPath.charAt(0) === '/' ? uriPath : '/' + uriPath;
+}
+
+module.exports = Server;
@@ -0,0 +1,143 @@
+'use strict';
+
+var MAX_OBSERVE_VALUE = 0xFFFFFF;
+
+/**
+ * @constructor
+ * @param {Message} request
+ */
+function ServerObserver(request)
+{
+  /**
+   * @private
+   * @type {Message}
+   */
+  this.request = request;
+
+  /**
+   * @private
+   * @type {string}
+   */
+  this.key = request.getExchangeKey();
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.observeValue = 0;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.lastConfirmationTime = Date.now();
+
+  /**
+   * @private
+   * @type {string|null}
+   */
+  this.lastTransactionKey = null;
+}
+
+ServerObserver.prototype.destroy = function()
+{
+  this.request = null;
+};
+
+/**
+ * @returns {boolean}
+ */
+ServerObserver.prototype.isDestroyed = function()
+{
+  return this.request === null;
+};
+
+/**
+ * @returns {string}
+ */
+ServerObserver.prototype.getKey = function()
+{
+  return this.key;
+};
+
+/**
+ * @returns {Message}
+ */
+ServerObserver.prototype.getRequest = function()
+{
+  return this.request;
+};
+
+/**
+ * Replaces the registration request after the client re-registered its
+ * interest in the resource.
+ *
+ * @param {Message} request
+ */
+ServerObserver.prototype.setRequest = function(request)
+{
+  this.request = request;
+  this.lastConfirmationTime = Date.now();
+};
+
+/**
+ * @returns {string}
+ */
+ServerObserver.prototype.getUriPath = function()
+{
+  return this.request.getUriPath();
+};
+
+/**
+ * Returns the next value of the Observe option. Values are 24-bit unsigned
+ * integers that wrap around.
+ *
+ * @returns {number}
+ */
+ServerObserver.prototype.nextObserveValue = function()
+{
+  this.observeValue = this.observeValue === MAX_OBSERVE_VALUE
+    ? 0
+    : this.observeValue + 1;
+
+  return this.observeValue;
+};
+
+/**
+ * @returns {string|null}
+ */
+ServerObserver.prototype.getLastTransactionKey = function()
+{
+  return this.lastTransactionKey;
+};
+
+/**
+ * @param {Message} notification
+ */
+ServerObserver.prototype.setLastNotification = function(notification)
+{
+  this.lastTransactionKey = notification.getTransactionKey();
+};
+
+/**
+ * Marks the observer as still interested in the resource (i.e. it
+ * acknowledged a confirmable notification).
+ */
+ServerObserver.prototype.confirm = function()
+{
+  this.lastConfirmationTime = Date.now();
+};
+
+/**
+ * Determines whether the next notification must be confirmable, because
+ * the observer didn't confirm its interest for the specified time.
+ *
+ * @param {number} interval
+ * @returns {boolean}
+ */
+ServerObserver.prototype.isConfirmationRequired = function(interval)
+{
+  return Date.now() - this.lastConfirmationTime >= interval;
+};
+
+module.exports = ServerObserver;
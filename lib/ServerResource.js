@@ -0,0 +1,221 @@
+'use strict';
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var codeRegistry = require('./codeRegistry');
+var Message = require('./Message');
+
+/**
+ * @constructor
+ * @extends {events.EventEmitter}
+ * @param {string} uriPath
+ */
+function ServerResource(uriPath)
+{
+  EventEmitter.call(this);
+
+  /**
+   * @private
+   * @type {string}
+   */
+  this.uriPath = uriPath;
+
+  /**
+   * @private
+   * @type {object.<number, function(Message, function(Error|null, *))>}
+   */
+  this.handlers = {};
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  this.observable = false;
+
+  /**
+   * @private
+   * @type {object.<string, *>}
+   */
+  this.linkAttributes = {};
+}
+
+util.inherits(ServerResource, EventEmitter);
+
+ServerResource.prototype.destroy = function()
+{
+  this.removeAllListeners();
+
+  this.handlers = null;
+};
+
+/**
+ * @returns {string}
+ */
+ServerResource.prototype.getUriPath = function()
+{
+  return this.uriPath;
+};
+
+/**
+ * @returns {boolean}
+ */
+ServerResource.prototype.isObservable = function()
+{
+  return this.observable;
+};
+
+/**
+ * @param {boolean} observable
+ * @returns {ServerResource}
+ */
+ServerResource.prototype.setObservable = function(observable)
+{
+  this.observable = observable;
+
+  return this;
+};
+
+/**
+ * Returns CoRE Link Format attributes of this resource. The `obs` attribute
+ * is set if the resource is observable.
+ *
+ * @returns {object.<string, *>}
+ */
+ServerResource.prototype.getLinkAttributes = function()
+{
+  var linkAttributes = {};
+  var resource = this;
+
+  Object.keys(this.linkAttributes).forEach(function(name)
+  {
+    linkAttributes[name] = resource.linkAttributes[name];
+  });
+
+  if (this.observable && typeof linkAttributes.obs === 'undefined')
+  {
+    linkAttributes.obs = true;
+  }
+
+  return linkAttributes;
+};
+
+/**
+ * Sets the specified CoRE Link Format attributes (RFC 6690) of this resource,
+ * e.g. `rt`, `if`, `ct`, `sz` or `title`. The attributes are listed in
+ * the `/.well-known/core` resource of the server. An attribute with the `null`
+ * value is removed.
+ *
+ * @param {object.<string, *>} linkAttributes
+ * @returns {ServerResource}
+ */
+ServerResource.prototype.setLinkAttributes = function(linkAttributes)
+{
+  var resource = this;
+
+  Object.keys(linkAttributes).forEach(function(name)
+  {
+    if (linkAttributes[name] === null)
+    {
+      delete resource.linkAttributes[name];
+    }
+    else
+    {
+      resource.linkAttributes[name] = linkAttributes[name];
+    }
+  });
+
+  return this;
+};
+
+/**
+ * Notifies all observers of this resource about a change of its state.
+ *
+ * The GET handler is called for each registration request and its response
+ * is sent as a notification.
+ *
+ * @param {boolean} [confirmable] Whether to send confirmable notifications.
+ * Defaults to `false`.
+ */
+ServerResource.prototype.changed = function(confirmable)
+{
+  this.emit('changed', confirmable === true);
+};
+
+/**
+ * @param {Message.Code|string} code
+ * @returns {function(Message, function(Error|null, *))|null}
+ */
+ServerResource.prototype.getHandler = function(code)
+{
+  var handler = this.handlers[codeRegistry.get(code).code];
+
+  return typeof handler === 'function' ? handler : null;
+};
+
+/**
+ * @param {Message.Code|string} code
+ * @param {function(Message, function(Error|null, *))|null} handler
+ * @returns {ServerResource}
+ * @throws {Error} If the specified code is not a request method code.
+ */
+ServerResource.prototype.setHandler = function(code, handler)
+{
+  var codeDefinition = codeRegistry.get(code);
+
+  if (!codeDefinition.isRequest())
+  {
+    throw new Error(
+      "Handlers can be registered only for request methods, got: "
+        + codeDefinition.description
+    );
+  }
+
+  if (handler === null)
+  {
+    delete this.handlers[codeDefinition.code];
+  }
+  else
+  {
+    this.handlers[codeDefinition.code] = handler;
+  }
+
+  return this;
+};
+
+/**
+ * @param {function(Message, function(Error|null, *))} handler
+ * @returns {ServerResource}
+ */
+ServerResource.prototype.get = function(handler)
+{
+  return this.setHandler(Message.Code.GET, handler);
+};
+
+/**
+ * @param {function(Message, function(Error|null, *))} handler
+ * @returns {ServerResource}
+ */
+ServerResource.prototype.post = function(handler)
+{
+  return this.setHandler(Message.Code.POST, handler);
+};
+
+/**
+ * @param {function(Message, function(Error|null, *))} handler
+ * @returns {ServerResource}
+ */
+ServerResource.prototype.put = function(handler)
+{
+  return this.setHandler(Message.Code.PUT, handler);
+};
+
+/**
+ * @param {function(Message, function(Error|null, *))} handler
+ * @returns {ServerResource}
+ */
+ServerResource.prototype.del = function(handler)
+{
+  return this.setHandler(Message.Code.DELETE, handler);
+};
+
+module.exports = ServerResource;
@@ -0,0 +1,145 @@
+'use strict';
+
+var Message = require('./Message');
+
+/**
+ * Assembles a request body sent by a client in multiple Block1 blocks.
+ *
+ * @constructor
+ * @param {string} key
+ * @param {number} timeout
+ * @param {function(ServerUpload)} timeoutHandler
+ */
+function ServerUpload(key, timeout, timeoutHandler)
+{
+  /**
+   * @private
+   * @type {string}
+   */
+  this.key = key;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.timeout = timeout;
+
+  /**
+   * @private
+   * @type {function(ServerUpload)}
+   */
+  this.timeoutHandler = timeoutHandler;
+
+  /**
+   * @private
+   * @type {Array.<Buffer>}
+   */
+  this.chunks = [];
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.length = 0;
+
+  /**
+   * @private
+   * @type {number|null}
+   */
+  this.timeoutTimer = null;
+
+  /**
+   * @private
+   * @type {function}
+   */
+  this.onTimeout = this.onTimeout.bind(this);
+
+  this.scheduleTimeoutTimer();
+}
+
+ServerUpload.prototype.destroy = function()
+{
+  if (this.timeoutTimer !== null)
+  {
+    clearTimeout(this.timeoutTimer);
+    this.timeoutTimer = null;
+  }
+
+  this.timeoutHandler = null;
+  this.chunks = null;
+};
+
+/**
+ * @returns {string}
+ */
+ServerUpload.prototype.getKey = function()
+{
+  return this.key;
+};
+
+/**
+ * @returns {number}
+ */
+ServerUpload.prototype.getLength = function()
+{
+  return this.length;
+};
+
+/**
+ * Appends the specified block payload and restarts the expiration timer.
+ *
+ * @param {Buffer} payload
+ */
+ServerUpload.prototype.append = function(payload)
+{
+  this.chunks.push(payload);
+  this.length += payload.length;
+
+  clearTimeout(this.timeoutTimer);
+  this.scheduleTimeoutTimer();
+};
+
+/**
+ * Creates a request with the whole body from the specified request
+ * of the last block. The Block1 and Size1 options are not copied.
+ *
+ * @param {Message} lastBlockRequest
+ * @returns {Message}
+ */
+ServerUpload.prototype.createRequest = function(lastBlockRequest)
+{
+  var request = new Message();
+
+  request.setType(lastBlockRequest.getType());
+  request.setCode(lastBlockRequest.getCode());
+  request.setId(lastBlockRequest.getId());
+  request.setToken(lastBlockRequest.getToken());
+  request.setAllOptions(lastBlockRequest.getAllOptions());
+  request.removeOptions(Message.Option.BLOCK1);
+  request.removeOptions(Message.Option.SIZE1);
+  request.setPayload(Buffer.concat(this.chunks, this.length));
+  request.setRemoteEndpoint(lastBlockRequest.getRemoteEndpoint());
+  request.setTimestamp(lastBlockRequest.getTimestamp());
+
+  return request;
+};
+
+/**
+ * @private
+ */
+ServerUpload.prototype.scheduleTimeoutTimer = function()
+{
+  this.timeoutTimer = setTimeout(this.onTimeout, this.timeout);
+};
+
+/**
+ * @private
+ */
+ServerUpload.prototype.onTimeout = function()
+{
+  this.timeoutTimer = null;
+
+  this.timeoutHandler(this);
+};
+
+module.exports = ServerUpload;
@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * A token bucket limiting an average data rate.
+ *
+ * The bucket starts full and is refilled with `rate` tokens (bytes) per
+ * second up to its `capacity`. A message larger than the capacity can be
+ * taken from a full bucket, leaving it in debt, so the average rate is
+ * preserved for any message size.
+ *
+ * @constructor
+ * @param {number} rate A number of tokens added per second.
+ * @param {number} capacity A maximum number of tokens.
+ * @param {number} [now]
+ */
+function TokenBucket(rate, capacity, now)
+{
+  /**
+   * @private
+   * @type {number}
+   */
+  this.rate = rate;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.capacity = capacity;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.tokens = capacity;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  this.refilledAt = typeof now === 'number' ? now : Date.now();
+}
+
+/**
+ * @param {number} [now]
+ * @returns {number} A number of the available tokens (negative if
+ * the bucket is in debt).
+ */
+TokenBucket.prototype.getTokens = function(now)
+{
+  this.refill(typeof now === 'number' ? now : Date.now());
+
+  return this.tokens;
+};
+
+/**
+ * @param {number} amount
+ * @param {number} [now]
+ * @returns {number} A time in ms after which the specified number of tokens
+ * will be available (`0` if they're available now).
+ */
+TokenBucket.prototype.getDelay = function(amount, now)
+{
+  var missing = Math.min(amount, this.capacity) - this.getTokens(now);
+
+  return missing > 0 ? Math.ceil(missing * 1000 / this.rate) : 0;
+};
+
+/**
+ * Takes the specified number of tokens if they're available.
+ *
+ * @param {number} amount
+ * @param {number} [now]
+ * @returns {number} `0` if the tokens were taken or a time in ms after
+ * which they will be available.
+ */
+TokenBucket.prototype.take = function(amount, now)
+{
+  var delay = this.getDelay(amount, now);
+
+  if (delay === 0)
+  {
+    this.tokens -= amount;
+  }
+
+  return delay;
+};
+
+/**
+ * @private
+ * @param {number} now
+ */
+TokenBucket.prototype.refill = function(now)
+{
+  var elapsed = now - this.refilledAt;
+
+  if (elapsed > 0)
+  {
+    this.tokens = Math.min(
+      this.capacity, this.tokens + elapsed * this.rate / 1000
+    );
+    this.refilledAt = now;
+  }
+};
+
+module.exports = TokenBucket;
@@ -118,6 +118,7 @@ register(66, 'deleted', '2.02 Deleted');
 register(67, 'valid', '2.03 Valid');
 register(68, 'changed', '2.04 Changed');
 register(69, 'content', '2.05 Content');
+register(95, 'continue', '2.31 Continue');
 register(128, 'badRequest', '4.00 Bad Request');
 register(129, 'unauthorized', '4.01 Unauthorized');
 register(130, 'badOption', '4.02 Bad Option');
@@ -1,6 +1,7 @@
 'use strict';
 
 var util = require('util');
+var linkFormat = require('./linkFormat');
 
 /**
  * @private
@@ -109,8 +110,20 @@ function prettyPrintJson(buffer)
   return JSON.stringify(JSON.parse(buffer.toString()), null, 2);
 }
 
+/**
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function prettyPrintLinkFormat(buffer)
+{
+  return linkFormat.parse(buffer.toString()).map(function(link)
+  {
+    return linkFormat.stringify([link]);
+  }).join(',\n');
+}
+
 register(0, 'text/plain;charset=utf-8');
-register(40, 'application/link-format');
+register(40, 'application/link-format', prettyPrintLinkFormat);
 register(41, 'application/xml');
 register(42, 'application/octet-stream', util.inspect);
 register(47, 'application/exi');
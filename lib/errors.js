@@ -0,0 +1,330 @@
+'use strict';
+
+var util = require('util');
+
+/**
+ * A base class of errors with which the promises returned by
+ * `Client.prototype.fetch()`, `Client.prototype.update()`
+ * and `Observation.prototype.next()` are rejected.
+ *
+ * @constructor
+ * @extends {Error}
+ * @param {string} message
+ * @param {Message} request
+ */
+function RequestError(message, request)
+{
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+
+  /**
+   * @type {string}
+   */
+  this.name = 'RequestError';
+
+  /**
+   * @type {string}
+   */
+  this.message = message;
+
+  /**
+   * @type {Message}
+   */
+  this.request = request;
+}
+
+util.inherits(RequestError, Error);
+
+/**
+ * The request wasn't responded to before the exchange timed out.
+ *
+ * @constructor
+ * @extends {RequestError}
+ * @param {Message} request
+ */
+function TimeoutError(request)
+{
+  RequestError.call(this, "Request timed out.", request);
+
+  this.name = 'TimeoutError';
+}
+
+util.inherits(TimeoutError, RequestError);
+
+/**
+ * The request was rejected by the remote endpoint with a RST message.
+ *
+ * @constructor
+ * @extends {RequestError}
+ * @param {Message} request
+ * @param {Message} rstMessage
+ */
+function ResetError(request, rstMessage)
+{
+  RequestError.call(this, "Request was reset by the remote endpoint.", request);
+
+  this.name = 'ResetError';
+
+  /**
+   * @type {Message}
+   */
+  this.rstMessage = rstMessage;
+}
+
+util.inherits(ResetError, RequestError);
+
+/**
+ * The request was cancelled (e.g. through `Client.prototype.cancel()`
+ * or a cancellation signal).
+ *
+ * @constructor
+ * @extends {RequestError}
+ * @param {Message} request
+ */
+function CancelledError(request)
+{
+  RequestError.call(this, "Request was cancelled.", request);
+
+  this.name = 'CancelledError';
+}
+
+util.inherits(CancelledError, RequestError);
+
+/**
+ * The request couldn't be sent through the client's socket.
+ *
+ * @constructor
+ * @extends {RequestError}
+ * @param {Message} request
+ * @param {Error} cause
+ */
+function SocketError(request, cause)
+{
+  RequestError.call(this, "Socket error: " + cause.message, request);
+
+  this.name = 'SocketError';
+
+  /**
+   * @type {Error}
+   */
+  this.cause = cause;
+}
+
+util.inherits(SocketError, RequestError);
+
+/**
+ * Notifications of an observation weren't consumed fast enough
+ * and the observation's overflow policy is `error`.
+ *
+ * @constructor
+ * @extends {RequestError}
+ * @param {Message} request
+ */
+function OverflowError(request)
+{
+  RequestError.call(this, "Observation buffer overflowed.", request);
+
+  this.name = 'OverflowError';
+}
+
+util.inherits(OverflowError, RequestError);
+
+/**
+ * The request was responded to with an error code.
+ *
+ * @constructor
+ * @extends {RequestError}
+ * @param {Message} request
+ * @param {Message} response
+ */
+function ResponseError(request, response)
+{
+  RequestError.call(
+    this,
+    "Request failed with " + response.getCodeDefinition().description + ".",
+    request
+  );
+
+  this.name = 'ResponseError';
+
+  /**
+   * @type {Message}
+   */
+  this.response = response;
+}
+
+util.inherits(ResponseError, RequestError);
+
+/**
+ * The ETag of a blockwise response changed during the transfer, i.e.
+ * the blocks received so far belong to a different representation.
+ *
+ * @constructor
+ * @extends {RequestError}
+ * @param {Message} request
+ * @param {Message} blockResponse
+ */
+function ETagChangedError(request, blockResponse)
+{
+  RequestError.call(
+    this, "ETag of the response changed during the blockwise transfer.", request
+  );
+
+  this.name = 'ETagChangedError';
+
+  /**
+   * @type {Message}
+   */
+  this.blockResponse = blockResponse;
+}
+
+util.inherits(ETagChangedError, RequestError);
+
+/**
+ * The stream from which the request payload was read emitted an error.
+ *
+ * @constructor
+ * @extends {RequestError}
+ * @param {Message} request
+ * @param {Error} cause
+ */
+function PayloadStreamError(request, cause)
+{
+  RequestError.call(this, "Payload stream error: " + cause.message, request);
+
+  this.name = 'PayloadStreamError';
+
+  /**
+   * @type {Error}
+   */
+  this.cause = cause;
+}
+
+util.inherits(PayloadStreamError, RequestError);
+
+/**
+ * The request wasn't sent, because it would exceed the PROBING_RATE
+ * of its remote endpoint.
+ *
+ * @constructor
+ * @extends {RequestError}
+ * @param {Message} request
+ * @param {number} delay A time in ms after which the request could be sent.
+ */
+function ProbingRateError(request, delay)
+{
+  RequestError.call(
+    this,
+    "Probing rate of " + request.getRemoteEndpoint() + " exceeded"
+      + " (the request could be sent in " + delay + " ms).",
+    request
+  );
+
+  this.name = 'ProbingRateError';
+
+  /**
+   * @type {number}
+   */
+  this.delay = delay;
+}
+
+util.inherits(ProbingRateError, RequestError);
+
+/**
+ * The host name of the request URI couldn't be resolved to an address
+ * of a supported IP version.
+ *
+ * @constructor
+ * @extends {RequestError}
+ * @param {Message} request
+ * @param {string} hostname
+ * @param {Error|null} cause An error returned by the resolver or `null`,
+ * if the host name was resolved, but none of its addresses can be used.
+ */
+function HostResolutionError(request, hostname, cause)
+{
+  RequestError.call(
+    this,
+    "Failed to resolve " + hostname + ": "
+      + (cause === null ? "no usable address." : cause.message),
+    request
+  );
+
+  this.name = 'HostResolutionError';
+
+  /**
+   * @type {string}
+   */
+  this.hostname = hostname;
+
+  /**
+   * @type {Error|null}
+   */
+  this.cause = cause;
+}
+
+util.inherits(HostResolutionError, RequestError);
+
+/**
+ * The conditional request wasn't performed, because its precondition (e.g.
+ * If-Match or If-None-Match) failed on every attempt.
+ *
+ * @constructor
+ * @extends {ResponseError}
+ * @param {Message} request
+ * @param {Message} response
+ * @param {number} attempts
+ */
+function PreconditionFailedError(request, response, attempts)
+{
+  ResponseError.call(this, request, response);
+
+  this.name = 'PreconditionFailedError';
+  this.message = "Request failed with 4.12 Precondition Failed after "
+    + attempts + (attempts === 1 ? " attempt." : " attempts.");
+
+  /**
+   * @type {number}
+   */
+  this.attempts = attempts;
+}
+
+util.inherits(PreconditionFailedError, ResponseError);
+
+/**
+ * The response doesn't have an ETag required by a conditional request.
+ *
+ * @constructor
+ * @extends {RequestError}
+ * @param {Message} request
+ * @param {Message} response
+ */
+function MissingETagError(request, response)
+{
+  RequestError.call(this, "Response doesn't have an ETag.", request);
+
+  this.name = 'MissingETagError';
+
+  /**
+   * @type {Message}
+   */
+  this.response = response;
+}
+
+util.inherits(MissingETagError, RequestError);
+
+module.exports = {
+  RequestError: RequestError,
+  TimeoutError: TimeoutError,
+  ResetError: ResetError,
+  CancelledError: CancelledError,
+  SocketError: SocketError,
+  OverflowError: OverflowError,
+  ResponseError: ResponseError,
+  ETagChangedError: ETagChangedError,
+  PayloadStreamError: PayloadStreamError,
+  ProbingRateError: ProbingRateError,
+  HostResolutionError: HostResolutionError,
+  PreconditionFailedError: PreconditionFailedError,
+  MissingETagError: MissingETagError
+};
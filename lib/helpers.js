@@ -1,5 +1,7 @@
 "use strict";
 
+var url = require('url');
+
 /**
  * @param {number} value
  * @returns {Buffer}
@@ -221,6 +223,77 @@ function rpad(str, chr, length)
   return str;
 }
 
+/**
+ * @param {string} uri
+ * @returns {string} The scheme and authority parts of the specified URI
+ * (e.g. `coap://127.0.0.1:5683`).
+ */
+function getUriOrigin(uri)
+{
+  var uriParts = url.parse(uri);
+
+  return (uriParts.protocol || 'coap:') + '//' + uriParts.host;
+}
+
+/**
+ * Resolves the specified URI reference against the specified origin.
+ * `url.resolve()` can't be used, because it doesn't handle absolute paths
+ * in URIs with schemes unknown to node.js (e.g. `coap:`).
+ *
+ * @param {string} origin
+ * @param {string} uriReference
+ * @returns {string}
+ */
+function resolveUri(origin, uriReference)
+{
+  if (/^[a-z][a-z0-9+.\-]*:/i.test(uriReference))
+  {
+    return uriReference;
+  }
+
+  if (uriReference.substr(0, 2) === '//')
+  {
+    return origin.substr(0, origin.indexOf('//')) + uriReference;
+  }
+
+  if (uriReference.charAt(0) === '/')
+  {
+    return origin + uriReference;
+  }
+
+  return origin + '/' + uriReference;
+}
+
+/**
+ * Creates a copy of the specified response with its own payload buffer,
+ * so the copy can be stored or handed out without sharing any state that
+ * could be modified.
+ *
+ * @param {Message} response
+ * @returns {Message}
+ */
+function copyResponse(response)
+{
+  // Required here, because Message requires this module.
+  var Message = require('./Message');
+  var copy = new Message();
+
+  copy.setType(response.getType());
+  copy.setCode(response.getCode());
+  copy.setId(response.getId());
+  copy.setToken(response.getToken());
+  copy.setAllOptions(response.getAllOptions());
+  copy.setRemoteEndpoint(response.getRemoteEndpoint());
+  copy.setTimestamp(response.getTimestamp());
+
+  if (response.hasPayload())
+  {
+    copy.setPayload(new Buffer(response.getPayload()));
+  }
+
+  return copy;
+}
+
 module.exports = {
   encodeNumericValue: encodeNumericValue,
   decodeNumericValue: decodeNumericValue,
@@ -229,5 +302,8 @@ module.exports = {
   convertToHexString: convertToHexString,
   convertToBitString: convertToBitString,
   lpad: lpad,
-  rpad: rpad
+  rpad: rpad,
+  getUriOrigin: getUriOrigin,
+  resolveUri: resolveUri,
+  copyResponse: copyResponse
 };
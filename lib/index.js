@@ -1,7 +1,14 @@
 exports.codeRegistry = require('./codeRegistry');
 exports.optionNumberRegistry = require('./optionNumberRegistry');
 exports.contentFormatRegistry = require('./contentFormatRegistry');
+exports.linkFormat = require('./linkFormat');
+exports.errors = require('./errors');
 exports.EndpointAddress = require('./EndpointAddress');
 exports.Message = require('./Message');
 exports.TokenManager = require('./TokenManager');
 exports.Client = require('./Client');
+exports.Observation = require('./Observation');
+exports.ResponseStream = require('./ResponseStream');
+exports.ResourceDirectoryClient = require('./ResourceDirectoryClient');
+exports.Server = require('./Server');
+exports.ResourceDirectory = require('./ResourceDirectory');
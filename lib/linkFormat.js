@@ -0,0 +1,396 @@
+'use strict';
+
+/**
+ * Names of attributes with values that are space-separated lists.
+ *
+ * @private
+ * @type {object.<string, boolean>}
+ */
+var LIST_ATTRIBUTES = {
+  rt: true,
+  'if': true,
+  rev: true,
+  rel: true
+};
+
+/**
+ * Parses the specified CoRE Link Format (RFC 6690) string into an array
+ * of link objects (see `stringify()`).
+ *
+ * Attributes without a value are parsed as `true`, unquoted values consisting
+ * only of digits as numbers and all other values as strings. Values of
+ * attributes that occur more than once in a link are collected in an array.
+ *
+ * @param {string} str
+ * @returns {Array.<object>}
+ * @throws {Error} If the specified string is not a valid link format.
+ */
+function parse(str)
+{
+  var parser = {str: str, pos: 0};
+  var links = [];
+
+  skipWhitespace(parser);
+
+  while (parser.pos < str.length)
+  {
+    links.push(parseLink(parser));
+
+    skipWhitespace(parser);
+
+    if (parser.pos < str.length)
+    {
+      expectChar(parser, ',');
+      skipWhitespace(parser);
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Serializes the specified links to the CoRE Link Format (RFC 6690).
+ *
+ * A link is an object with the `href` property (a target URI) and properties
+ * for each of the link's attributes. An attribute with the `true` value is
+ * serialized as a flag (e.g. `obs`), a number as a token (e.g. `ct=40`)
+ * and any other value as a quoted string. Array values are serialized as
+ * a space-separated list.
+ *
+ * @param {Array.<object>} links
+ * @returns {string}
+ */
+function stringify(links)
+{
+  return links.map(stringifyLink).join(',');
+}
+
+/**
+ * Filters the specified links using the specified query parameters
+ * (RFC 6690, section 4.1).
+ *
+ * Each query parameter is a `name=value` string. The `href` parameter is
+ * matched against link targets and all other parameters are matched against
+ * link attributes. A value ending with `*` matches any value starting with
+ * the preceding characters. A value of list attributes (e.g. `rt`) matches
+ * if any of the space-separated values match. A parameter without a value
+ * matches links that have the specified attribute. A link must match all of
+ * the specified query parameters.
+ *
+ * @param {Array.<object>} links
+ * @param {Array.<string>} queryParams
+ * @returns {Array.<object>}
+ */
+function filter(links, queryParams)
+{
+  var filters = queryParams.map(parseQueryParam);
+
+  return links.filter(function(link)
+  {
+    return filters.every(function(filter)
+    {
+      return matchesFilter(link, filter);
+    });
+  });
+}
+
+/**
+ * @private
+ * @param {{str: string, pos: number}} parser
+ * @returns {object}
+ * @throws {Error}
+ */
+function parseLink(parser)
+{
+  expectChar(parser, '<');
+
+  var endPos = parser.str.indexOf('>', parser.pos);
+
+  if (endPos === -1)
+  {
+    throw new Error("Unterminated link target at position " + parser.pos + ".");
+  }
+
+  var link = {href: parser.str.substring(parser.pos, endPos)};
+
+  parser.pos = endPos + 1;
+
+  skipWhitespace(parser);
+
+  while (parser.str.charAt(parser.pos) === ';')
+  {
+    parser.pos += 1;
+
+    skipWhitespace(parser);
+    parseParam(parser, link);
+    skipWhitespace(parser);
+  }
+
+  return link;
+}
+
+/**
+ * @private
+ * @param {{str: string, pos: number}} parser
+ * @param {object} link
+ * @throws {Error}
+ */
+function parseParam(parser, link)
+{
+  var name = readUntil(parser, /[=;,\s]/);
+
+  if (name === '')
+  {
+    throw new Error(
+      "Expected a link parameter name at position " + parser.pos + "."
+    );
+  }
+
+  skipWhitespace(parser);
+
+  var value = true;
+
+  if (parser.str.charAt(parser.pos) === '=')
+  {
+    parser.pos += 1;
+
+    skipWhitespace(parser);
+
+    if (parser.str.charAt(parser.pos) === '"')
+    {
+      value = readQuotedString(parser);
+    }
+    else
+    {
+      value = readUntil(parser, /[;,\s]/);
+
+      if (/^[0-9]+$/.test(value))
+      {
+        value = parseInt(value, 10);
+      }
+    }
+  }
+
+  if (!link.hasOwnProperty(name))
+  {
+    link[name] = value;
+  }
+  else if (Array.isArray(link[name]))
+  {
+    link[name].push(value);
+  }
+  else
+  {
+    link[name] = [link[name], value];
+  }
+}
+
+/**
+ * @private
+ * @param {{str: string, pos: number}} parser
+ * @returns {string}
+ * @throws {Error}
+ */
+function readQuotedString(parser)
+{
+  var startPos = parser.pos;
+  var value = '';
+
+  parser.pos += 1;
+
+  while (parser.pos < parser.str.length)
+  {
+    var chr = parser.str.charAt(parser.pos);
+
+    parser.pos += 1;
+
+    if (chr === '"')
+    {
+      return value;
+    }
+
+    if (chr === '\\')
+    {
+      chr = parser.str.charAt(parser.pos);
+      parser.pos += 1;
+    }
+
+    value += chr;
+  }
+
+  throw new Error("Unterminated quoted string at position " + startPos + ".");
+}
+
+/**
+ * @private
+ * @param {{str: string, pos: number}} parser
+ * @param {RegExp} stopRegExp
+ * @returns {string}
+ */
+function readUntil(parser, stopRegExp)
+{
+  var startPos = parser.pos;
+
+  while (parser.pos < parser.str.length
+    && !stopRegExp.test(parser.str.charAt(parser.pos)))
+  {
+    parser.pos += 1;
+  }
+
+  return parser.str.substring(startPos, parser.pos);
+}
+
+/**
+ * @private
+ * @param {{str: string, pos: number}} parser
+ */
+function skipWhitespace(parser)
+{
+  while (/\s/.test(parser.str.charAt(parser.pos)))
+  {
+    parser.pos += 1;
+  }
+}
+
+/**
+ * @private
+ * @param {{str: string, pos: number}} parser
+ * @param {string} expectedChr
+ * @throws {Error}
+ */
+function expectChar(parser, expectedChr)
+{
+  var actualChr = parser.str.charAt(parser.pos);
+
+  if (actualChr !== expectedChr)
+  {
+    throw new Error(
+      "Expected `" + expectedChr + "` at position " + parser.pos
+        + ", but found `" + (actualChr || 'end of input') + "`."
+    );
+  }
+
+  parser.pos += 1;
+}
+
+/**
+ * @private
+ * @param {object} link
+ * @returns {string}
+ */
+function stringifyLink(link)
+{
+  var result = '<' + link.href + '>';
+
+  Object.keys(link).forEach(function(name)
+  {
+    var value = link[name];
+
+    if (name === 'href' || value === false || value === null)
+    {
+      return;
+    }
+
+    result += ';' + name;
+
+    if (value !== true)
+    {
+      result += '=' + stringifyValue(value);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+function stringifyValue(value)
+{
+  if (typeof value === 'number')
+  {
+    return String(value);
+  }
+
+  if (Array.isArray(value))
+  {
+    value = value.join(' ');
+  }
+
+  return '"' + String(value).replace(/(["\\])/g, '\\$1') + '"';
+}
+
+/**
+ * @private
+ * @param {string} queryParam
+ * @returns {{name: string, value: string|null, prefix: boolean}}
+ */
+function parseQueryParam(queryParam)
+{
+  var eqIndex = queryParam.indexOf('=');
+
+  if (eqIndex === -1)
+  {
+    return {name: queryParam, value: null, prefix: false};
+  }
+
+  var value = queryParam.substr(eqIndex + 1);
+  var prefix = value.charAt(value.length - 1) === '*';
+
+  return {
+    name: queryParam.substr(0, eqIndex),
+    value: prefix ? value.substr(0, value.length - 1) : value,
+    prefix: prefix
+  };
+}
+
+/**
+ * @private
+ * @param {object} link
+ * @param {{name: string, value: string|null, prefix: boolean}} filter
+ * @returns {boolean}
+ */
+function matchesFilter(link, filter)
+{
+  var value = link[filter.name];
+
+  if (typeof value === 'undefined' || value === null || value === false)
+  {
+    return false;
+  }
+
+  if (filter.value === null)
+  {
+    return true;
+  }
+
+  var values;
+
+  if (Array.isArray(value))
+  {
+    values = value.map(String);
+  }
+  else if (LIST_ATTRIBUTES[filter.name])
+  {
+    values = String(value).split(' ');
+  }
+  else
+  {
+    values = [value === true ? '' : String(value)];
+  }
+
+  return values.some(function(value)
+  {
+    return filter.prefix
+      ? value.indexOf(filter.value) === 0
+      : value === filter.value;
+  });
+}
+
+module.exports = {
+  parse: parse,
+  stringify: stringify,
+  filter: filter
+};
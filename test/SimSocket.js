@@ -74,7 +74,7 @@ SimSocket.prototype.send = function(messageBuffer)
   if (!expectedRequestData)
   {
     this.errors.push(new Error(
-      "Unexpected message #" + this.requestCount + " from the client:\n"
+      "Unexpected message #" + this.requestCount + " from the endpoint:\n"
         + actualRequest.toPrettyString()
     ));
 
@@ -134,17 +134,37 @@ SimSocket.prototype.expectRequest = function(delay, request)
 /**
  * @param {number} delay
  * @param {object} response
+ * @param {{address: string, port: number}} [rinfo] A source address of
+ * the response. Defaults to `127.0.0.1:5683`.
  */
-SimSocket.prototype.scheduleResponse = function(delay, response)
+SimSocket.prototype.scheduleResponse = function(delay, response, rinfo)
 {
   var messageBuffer = this.Message.fromObject(response).toBuffer();
 
   setTimeout(
-    this.emit.bind(this, 'message', messageBuffer, this.rinfo),
+    this.emit.bind(this, 'message', messageBuffer, rinfo || this.rinfo),
     delay
   );
 };
 
+/**
+ * Same as {@link SimSocket#expectRequest}, but reads better in tests of
+ * the server.
+ *
+ * @param {number} [delay]
+ * @param {object} response
+ */
+SimSocket.prototype.expectResponse = SimSocket.prototype.expectRequest;
+
+/**
+ * Same as {@link SimSocket#scheduleResponse}, but reads better in tests of
+ * the server.
+ *
+ * @param {number} delay
+ * @param {object} request
+ */
+SimSocket.prototype.scheduleRequest = SimSocket.prototype.scheduleResponse;
+
 /**
  * @private
  * @throws {Error}
@@ -0,0 +1,218 @@
+/*
+ Stream a blockwise response to a confirmable GET request sent by
+ `Client.prototype.getStream()`:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: get
+ ==============================================================================
+
+ 2. Server sends the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ Block2        : NUM: 0, M: true, SZX: 3 (128 bytes)
+ ------------------------------------------------------------------------------
+ Payload (128 bytes)
+ |-------------------------------------------------------------|
+ |                           BLOCK 1                           |
+
+ ==============================================================================
+
+ 3. Client receives the #2 block and pushes its payload to the stream.
+
+ 4. Client sends a request for the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 0 bytes      | GET             | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: get
+ Block2  : NUM: 1, M: false, SZX: 3 (128 bytes)
+ ==============================================================================
+
+ 5. Servers responds with the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ Block2        : NUM: 1, M: true, SZX: 3 (128 bytes)
+ ------------------------------------------------------------------------------
+ Payload (128 bytes)
+ |-------------------------------------------------------------|
+ |                           BLOCK 2                           |
+
+ ==============================================================================
+
+ 6. Client receives the #5 block and pushes its payload to the stream.
+
+ 7. Client sends a request for the third block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0003
+ 1       | CON  | 0 bytes      | GET             | 3
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: get
+ Block2  : NUM: 2, M: false, SZX: 3 (128 bytes)
+ ==============================================================================
+
+ 8. Server responds with the third, last block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0003
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 3
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ Block2        : NUM: 2, M: false, SZX: 3 (128 bytes)
+ ------------------------------------------------------------------------------
+ Payload (63 bytes)
+ |-------------------------------------------------------------|
+ ==============================================================================
+
+ 9. Client receives the #8 block and pushes its payload to the stream.
+
+ 10. Client recognizes that the #8 block was the last one, and so the stream
+ emits the `response` event with the final response without a payload
+ and ends.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    uri: '/blocks/get',
+    id: 0x0001
+  };
+  var expectedResWithBlock0 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest.id,
+    block2: {num: 0, m: true, size: 128},
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer(
+      '|-------------------------------------------------------------|\n' +
+      '|                           BLOCK 1                           |\n'
+    )
+  };
+  var expectedReqForBlock1 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0002,
+    uri: '/blocks/get',
+    block2: {num: 1, m: false, size: 128}
+  };
+  var expectedResWithBlock1 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedReqForBlock1.id,
+    block2: {num: 1, m: true, size: 128},
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer(
+      '|-------------------------------------------------------------|\n' +
+      '|                           BLOCK 2                           |\n'
+    )
+  };
+  var expectedReqForBlock2 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0003,
+    uri: '/blocks/get',
+    block2: {num: 2, m: false, size: 128}
+  };
+  var expectedResWithBlock2 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedReqForBlock2.id,
+    block2: {num: 2, m: false, size: 128},
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer(
+      '|-------------------------------------------------------------|'
+    )
+  };
+  var expectedResponse = {
+    type: expectedResWithBlock2.type,
+    code: expectedResWithBlock2.code,
+    id: expectedResWithBlock2.id,
+    block2: expectedResWithBlock2.block2,
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer(0)
+  };
+  var expectedPayload =
+    '|-------------------------------------------------------------|\n' +
+    '|                           BLOCK 1                           |\n' +
+    '|-------------------------------------------------------------|\n' +
+    '|                           BLOCK 2                           |\n' +
+    '|-------------------------------------------------------------|';
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResWithBlock0);
+  ctx.socket.expectRequest(50, expectedReqForBlock1);
+  ctx.socket.scheduleResponse(100, expectedResWithBlock1);
+  ctx.socket.expectRequest(100, expectedReqForBlock2);
+  ctx.socket.scheduleResponse(150, expectedResWithBlock2);
+
+  var responseStream = ctx.client.getStream('/blocks/get');
+  var chunks = [];
+  var responseSpy = sinon.spy();
+  var endSpy = sinon.spy();
+  var errorSpy = sinon.spy();
+
+  responseStream.on('data', function(chunk) { chunks.push(chunk); });
+  responseStream.on('response', responseSpy);
+  responseStream.on('end', endSpy);
+  responseStream.on('error', errorSpy);
+
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.notCalled(errorSpy);
+
+    chunks.should.have.lengthOf(3);
+    Buffer.concat(chunks).toString().should.be.equal(expectedPayload);
+
+    sinon.assert.calledOnce(responseSpy);
+    sinon.assert.coapMessage(
+      responseSpy.args[0][0], expectedResponse, "Invalid `response`."
+    );
+
+    sinon.assert.calledOnce(endSpy);
+  };
+});
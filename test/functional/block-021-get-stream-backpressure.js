@@ -0,0 +1,226 @@
+/*
+ Apply backpressure to a blockwise response streamed by
+ `Client.prototype.getStream()` by requesting the next block only after
+ the consumer reads the previous one:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: get
+ ==============================================================================
+
+ 2. Server sends the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ Block2        : NUM: 0, M: true, SZX: 3 (128 bytes)
+ ------------------------------------------------------------------------------
+ Payload (128 bytes)
+ |-------------------------------------------------------------|
+ |                           BLOCK 1                           |
+
+ ==============================================================================
+
+ 3. Client receives the #2 block and pushes its payload to the stream.
+ The stream's buffer is full (the high water mark is 128 bytes), so the next
+ block isn't requested and the exchange timeout is paused.
+
+ 4. After 100s, the consumer reads the first block from the stream and
+ client sends a request for the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 0 bytes      | GET             | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: get
+ Block2  : NUM: 1, M: false, SZX: 3 (128 bytes)
+ ==============================================================================
+
+ 5. Servers responds with the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ Block2        : NUM: 1, M: true, SZX: 3 (128 bytes)
+ ------------------------------------------------------------------------------
+ Payload (128 bytes)
+ |-------------------------------------------------------------|
+ |                           BLOCK 2                           |
+
+ ==============================================================================
+
+ 6. Client receives the #5 block and pushes its payload to the stream.
+ The stream's buffer is full again.
+
+ 7. After another 100s, the consumer reads the second block from the stream
+ and client sends a request for the third block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0003
+ 1       | CON  | 0 bytes      | GET             | 3
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: get
+ Block2  : NUM: 2, M: false, SZX: 3 (128 bytes)
+ ==============================================================================
+
+ 8. Server responds with the third, last block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0003
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 3
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ Block2        : NUM: 2, M: false, SZX: 3 (128 bytes)
+ ------------------------------------------------------------------------------
+ Payload (63 bytes)
+ |-------------------------------------------------------------|
+ ==============================================================================
+
+ 9. Client receives the #8 block, pushes its payload to the stream and ends
+ the stream.
+
+ 10. After another 100s, the consumer reads the third block from the stream.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    uri: '/blocks/get',
+    id: 0x0001
+  };
+  var expectedResWithBlock0 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest.id,
+    block2: {num: 0, m: true, size: 128},
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer(
+      '|-------------------------------------------------------------|\n' +
+      '|                           BLOCK 1                           |\n'
+    )
+  };
+  var expectedReqForBlock1 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0002,
+    uri: '/blocks/get',
+    block2: {num: 1, m: false, size: 128}
+  };
+  var expectedResWithBlock1 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedReqForBlock1.id,
+    block2: {num: 1, m: true, size: 128},
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer(
+      '|-------------------------------------------------------------|\n' +
+      '|                           BLOCK 2                           |\n'
+    )
+  };
+  var expectedReqForBlock2 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0003,
+    uri: '/blocks/get',
+    block2: {num: 2, m: false, size: 128}
+  };
+  var expectedResWithBlock2 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedReqForBlock2.id,
+    block2: {num: 2, m: false, size: 128},
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer(
+      '|-------------------------------------------------------------|'
+    )
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResWithBlock0);
+  ctx.socket.expectRequest(100050, expectedReqForBlock1);
+  ctx.socket.scheduleResponse(100100, expectedResWithBlock1);
+  ctx.socket.expectRequest(200100, expectedReqForBlock2);
+  ctx.socket.scheduleResponse(200150, expectedResWithBlock2);
+
+  var responseStream = ctx.client.getStream('/blocks/get', {
+    highWaterMark: 128
+  });
+  var chunks = [];
+  var endSpy = sinon.spy();
+  var errorSpy = sinon.spy();
+
+  responseStream.on('end', endSpy);
+  responseStream.on('error', errorSpy);
+
+  function read()
+  {
+    chunks.push(responseStream.read());
+  }
+
+  setTimeout(read, 100050);
+  setTimeout(read, 200100);
+  setTimeout(read, 300150);
+
+  ctx.tickAsync(50);
+  ctx.tickAsync(100000);
+  ctx.tickAsync(50);
+  ctx.tickAsync(100000);
+  ctx.tickAsync(50);
+  ctx.tickAsync(100000);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.notCalled(errorSpy);
+
+    chunks.should.have.lengthOf(3);
+    chunks[0].toString().should.be.equal(
+      expectedResWithBlock0.payload.toString()
+    );
+    chunks[1].toString().should.be.equal(
+      expectedResWithBlock1.payload.toString()
+    );
+    chunks[2].toString().should.be.equal(
+      expectedResWithBlock2.payload.toString()
+    );
+
+    sinon.assert.calledOnce(endSpy);
+  };
+});
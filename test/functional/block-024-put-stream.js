@@ -0,0 +1,235 @@
+/*
+ Send a payload read from a stream of a known length blockwise, as the data
+ becomes available:
+
+ 1. Client writes the first 128 bytes to the payload stream. The block isn't
+ sent yet, because it's not known whether it's the last one.
+
+ 2. After 10 ms, client writes the next 128 bytes to the payload stream.
+
+ 3. Client sends the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 1 1 | 0x0002
+ 1       | CON  | 0 bytes      | PUT             | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: put
+ Block1  : NUM: 0, M: true, SZX: 3 (128 bytes)
+ Size1   : 319
+ ------------------------------------------------------------------------------
+ Payload (128 bytes)
+ |-------------------------------------------------------------|
+ |                           BLOCK 1                           |
+
+ ==============================================================================
+
+ 4. Server acknowledges the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 1 1 1 1 1 | 0x0002
+ 1       | ACK  | 0 bytes      | 2.31 Continue   | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 0, M: true, SZX: 3 (128 bytes)
+ ==============================================================================
+
+ 5. Client receives the #4 response. Request emits the `acknowledged` event
+ and the `block sent` event. The second block is in the buffer, but it's still
+ not known whether it's the last one.
+
+ 6. After 100 ms, client writes the last 63 bytes to the payload stream
+ and ends it.
+
+ 7. Client sends the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 1 1 | 0x0003
+ 1       | CON  | 0 bytes      | PUT             | 3
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: put
+ Block1  : NUM: 1, M: true, SZX: 3 (128 bytes)
+ Size1   : 319
+ ------------------------------------------------------------------------------
+ Payload (128 bytes)
+ |-------------------------------------------------------------|
+ |                           BLOCK 2                           |
+
+ ==============================================================================
+
+ 8. Server acknowledges the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 1 1 1 1 1 | 0x0003
+ 1       | ACK  | 0 bytes      | 2.31 Continue   | 3
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 1, M: true, SZX: 3 (128 bytes)
+ ==============================================================================
+
+ 9. Client receives the #8 response. Request emits the `block sent` event.
+
+ 10. Client sends the last block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 1 1 | 0x0004
+ 1       | CON  | 0 bytes      | PUT             | 4
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: put
+ Block1  : NUM: 2, M: false, SZX: 3 (128 bytes)
+ Size1   : 319
+ ------------------------------------------------------------------------------
+ Payload (63 bytes)
+ |-------------------------------------------------------------|
+ ==============================================================================
+
+ 11. Server responds to the last block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 0 | 0x0004
+ 1       | ACK  | 0 bytes      | 2.04 Changed    | 4
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 2, M: false, SZX: 3 (128 bytes)
+ ==============================================================================
+
+ 12. Client receives the #11 response. Request emits the `block sent` event
+ and the `response` event.
+*/
+
+'use strict';
+
+require('should');
+
+var PassThrough = require('stream').PassThrough;
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var payload = new Buffer(
+    '|-------------------------------------------------------------|\n' +
+    '|                           BLOCK 1                           |\n' +
+    '|-------------------------------------------------------------|\n' +
+    '|                           BLOCK 2                           |\n' +
+    '|-------------------------------------------------------------|'
+  );
+  var reqWithBlock0 = {
+    type: Message.Type.CON,
+    code: Message.Code.PUT,
+    id: 0x0002,
+    uri: '/blocks/put',
+    block1: {num: 0, m: true, szx: 3},
+    size1: payload.length,
+    payload: payload.slice(0 * 128, 1 * 128)
+  };
+  var resToBlock0 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTINUE,
+    id: reqWithBlock0.id,
+    block1: {num: 0, m: true, szx: 3}
+  };
+  var reqWithBlock1 = {
+    type: Message.Type.CON,
+    code: Message.Code.PUT,
+    id: 0x0003,
+    uri: '/blocks/put',
+    block1: {num: 1, m: true, szx: 3},
+    size1: payload.length,
+    payload: payload.slice(1 * 128, 2 * 128)
+  };
+  var resToBlock1 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTINUE,
+    id: reqWithBlock1.id,
+    block1: {num: 1, m: true, szx: 3}
+  };
+  var reqWithBlock2 = {
+    type: Message.Type.CON,
+    code: Message.Code.PUT,
+    id: 0x0004,
+    uri: '/blocks/put',
+    block1: {num: 2, m: false, szx: 3},
+    size1: payload.length,
+    payload: payload.slice(2 * 128)
+  };
+  var resToBlock2 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CHANGED,
+    id: reqWithBlock2.id,
+    block1: {num: 2, m: false, szx: 3}
+  };
+
+  ctx.socket.expectRequest(10, reqWithBlock0);
+  ctx.socket.scheduleResponse(50, resToBlock0);
+  ctx.socket.expectRequest(100, reqWithBlock1);
+  ctx.socket.scheduleResponse(150, resToBlock1);
+  ctx.socket.expectRequest(150, reqWithBlock2);
+  ctx.socket.scheduleResponse(200, resToBlock2);
+
+  var payloadStream = new PassThrough();
+  var req = ctx.client.put('/blocks/put', payloadStream, {
+    blockSize: 128,
+    payloadLength: payload.length
+  });
+
+  var eventSpy = sinon.spy(req, 'emit');
+
+  payloadStream.write(payload.slice(0, 128));
+
+  setTimeout(function()
+  {
+    payloadStream.write(payload.slice(128, 256));
+  }, 10);
+
+  setTimeout(function()
+  {
+    payloadStream.end(payload.slice(256));
+  }, 100);
+
+  ctx.tickAsync(10);
+  ctx.tickAsync(40);
+  ctx.tickAsync(50);
+  ctx.tickAsync(50);
+  ctx.tickAsync(50);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.callCount(eventSpy, 5);
+
+    eventSpy.args[0][0].should.be.equal('acknowledged');
+    eventSpy.args[1][0].should.be.equal('block sent');
+    sinon.assert.coapMessage(
+      eventSpy.args[1][1], resToBlock0, "Invalid `block sent` (#1)."
+    );
+    eventSpy.args[2][0].should.be.equal('block sent');
+    sinon.assert.coapMessage(
+      eventSpy.args[2][1], resToBlock1, "Invalid `block sent` (#2)."
+    );
+    eventSpy.args[3][0].should.be.equal('block sent');
+    sinon.assert.coapMessage(
+      eventSpy.args[3][1], resToBlock2, "Invalid `block sent` (#3)."
+    );
+    eventSpy.args[4][0].should.be.equal('response');
+    sinon.assert.coapMessage(
+      eventSpy.args[4][1], resToBlock2, "Invalid `response`."
+    );
+  };
+});
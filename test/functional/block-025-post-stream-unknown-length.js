@@ -0,0 +1,150 @@
+/*
+ Send a payload read from a stream of an unknown length that ends
+ on a block boundary:
+
+ 1. Client writes 256 bytes to the payload stream.
+
+ 2. Client sends the first block (without the Size1 option):
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 1 0 | 0x0002
+ 1       | CON  | 0 bytes      | POST            | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: post
+ Block1  : NUM: 0, M: true, SZX: 3 (128 bytes)
+ ------------------------------------------------------------------------------
+ Payload (128 bytes)
+ |-------------------------------------------------------------|
+ |                           BLOCK 1                           |
+
+ ==============================================================================
+
+ 3. Server acknowledges the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 1 1 1 1 1 | 0x0002
+ 1       | ACK  | 0 bytes      | 2.31 Continue   | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 0, M: true, SZX: 3 (128 bytes)
+ ==============================================================================
+
+ 4. Client receives the #3 response. The second block is in the buffer,
+ but it's not known whether it's the last one, so the client waits.
+
+ 5. After 100 ms, client ends the payload stream.
+
+ 6. Client sends the second block as the last one:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 1 0 | 0x0003
+ 1       | CON  | 0 bytes      | POST            | 3
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: post
+ Block1  : NUM: 1, M: false, SZX: 3 (128 bytes)
+ ------------------------------------------------------------------------------
+ Payload (128 bytes)
+ |-------------------------------------------------------------|
+ |                           BLOCK 2                           |
+
+ ==============================================================================
+
+ 7. Server responds to the last block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 0 0 1 | 0x0003
+ 1       | ACK  | 0 bytes      | 2.01 Created    | 3
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 1, M: false, SZX: 3 (128 bytes)
+ ==============================================================================
+
+ 8. Client receives the #7 response. Request emits the `response` event.
+*/
+
+'use strict';
+
+require('should');
+
+var PassThrough = require('stream').PassThrough;
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var payload = new Buffer(
+    '|-------------------------------------------------------------|\n' +
+    '|                           BLOCK 1                           |\n' +
+    '|-------------------------------------------------------------|\n' +
+    '|                           BLOCK 2                           |\n'
+  );
+  var reqWithBlock0 = {
+    type: Message.Type.CON,
+    code: Message.Code.POST,
+    id: 0x0002,
+    uri: '/blocks/post',
+    block1: {num: 0, m: true, szx: 3},
+    payload: payload.slice(0, 128)
+  };
+  var resToBlock0 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTINUE,
+    id: reqWithBlock0.id,
+    block1: {num: 0, m: true, szx: 3}
+  };
+  var reqWithBlock1 = {
+    type: Message.Type.CON,
+    code: Message.Code.POST,
+    id: 0x0003,
+    uri: '/blocks/post',
+    block1: {num: 1, m: false, szx: 3},
+    payload: payload.slice(128)
+  };
+  var resToBlock1 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CREATED,
+    id: reqWithBlock1.id,
+    block1: {num: 1, m: false, szx: 3}
+  };
+
+  ctx.socket.expectRequest(reqWithBlock0);
+  ctx.socket.scheduleResponse(50, resToBlock0);
+  ctx.socket.expectRequest(100, reqWithBlock1);
+  ctx.socket.scheduleResponse(150, resToBlock1);
+
+  var payloadStream = new PassThrough();
+  var req = ctx.client.post('/blocks/post', payloadStream, {
+    blockSize: 128
+  });
+
+  var responseSpy = sinon.spy();
+
+  req.on('response', responseSpy);
+
+  payloadStream.write(payload);
+
+  setTimeout(function() { payloadStream.end(); }, 100);
+
+  ctx.tickAsync(50);
+  ctx.tickAsync(50);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(responseSpy);
+    sinon.assert.coapMessage(
+      responseSpy.args[0][0], resToBlock1, "Invalid `response`."
+    );
+  };
+});
@@ -0,0 +1,104 @@
+/*
+ Abort a payload stream after the server responds to a block with
+ 4.13 Request Entity Too Large:
+
+ 1. Client writes 256 bytes to the payload stream.
+
+ 2. Client sends the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 1 1 | 0x0002
+ 1       | CON  | 0 bytes      | PUT             | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: put
+ Block1  : NUM: 0, M: true, SZX: 3 (128 bytes)
+ ------------------------------------------------------------------------------
+ Payload (128 bytes)
+ |-------------------------------------------------------------|
+ |                           BLOCK 1                           |
+
+ ==============================================================================
+
+ 3. Server responds with an error:
+ ==============================================================================
+ Version | Type | Token Length | Code                          | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 1 0 0 0 1 1 0 1               | 0x0002
+ 1       | ACK  | 0 bytes      | 4.13 Request Entity Too Large | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 0, M: true, SZX: 3 (128 bytes)
+ Size1 : 128
+ ==============================================================================
+
+ 4. Client receives the #3 response, destroys the payload stream and doesn't
+ send any more blocks. Request emits the `response` event.
+*/
+
+'use strict';
+
+require('should');
+
+var PassThrough = require('stream').PassThrough;
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var payload = new Buffer(
+    '|-------------------------------------------------------------|\n' +
+    '|                           BLOCK 1                           |\n' +
+    '|-------------------------------------------------------------|\n' +
+    '|                           BLOCK 2                           |\n'
+  );
+  var reqWithBlock0 = {
+    type: Message.Type.CON,
+    code: Message.Code.PUT,
+    id: 0x0002,
+    uri: '/blocks/put',
+    block1: {num: 0, m: true, szx: 3},
+    payload: payload.slice(0, 128)
+  };
+  var resToBlock0 = {
+    type: Message.Type.ACK,
+    code: Message.Code.REQUEST_ENTITY_TOO_LARGE,
+    id: reqWithBlock0.id,
+    block1: {num: 0, m: true, szx: 3},
+    size1: 128
+  };
+
+  ctx.socket.expectRequest(reqWithBlock0);
+  ctx.socket.scheduleResponse(50, resToBlock0);
+
+  var payloadStream = new PassThrough();
+  var req = ctx.client.put('/blocks/put', payloadStream, {
+    blockSize: 128
+  });
+
+  var responseSpy = sinon.spy();
+  var closeSpy = sinon.spy();
+
+  req.on('response', responseSpy);
+  payloadStream.on('close', closeSpy);
+
+  payloadStream.write(payload);
+
+  ctx.tickAsync(50);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(responseSpy);
+    sinon.assert.coapMessage(
+      responseSpy.args[0][0], resToBlock0, "Invalid `response`."
+    );
+
+    sinon.assert.calledOnce(closeSpy);
+  };
+});
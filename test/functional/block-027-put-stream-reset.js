@@ -0,0 +1,98 @@
+/*
+ Abort a payload stream after the server resets a block:
+
+ 1. Client writes 256 bytes to the payload stream.
+
+ 2. Client sends the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 1 1 | 0x0002
+ 1       | CON  | 0 bytes      | PUT             | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: put
+ Block1  : NUM: 0, M: true, SZX: 3 (128 bytes)
+ ------------------------------------------------------------------------------
+ Payload (128 bytes)
+ |-------------------------------------------------------------|
+ |                           BLOCK 1                           |
+
+ ==============================================================================
+
+ 3. Server resets the request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 1  | 0 0 0 0      | 0 0 0 0 0 0 0 0 | 0x0002
+ 1       | RST  | 0 bytes      | Empty           | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+
+ 4. Client receives the #3 message, destroys the payload stream and doesn't
+ send any more blocks. Request emits the `reset` event.
+*/
+
+'use strict';
+
+require('should');
+
+var PassThrough = require('stream').PassThrough;
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var payload = new Buffer(
+    '|-------------------------------------------------------------|\n' +
+    '|                           BLOCK 1                           |\n' +
+    '|-------------------------------------------------------------|\n' +
+    '|                           BLOCK 2                           |\n'
+  );
+  var reqWithBlock0 = {
+    type: Message.Type.CON,
+    code: Message.Code.PUT,
+    id: 0x0002,
+    uri: '/blocks/put',
+    block1: {num: 0, m: true, szx: 3},
+    payload: payload.slice(0, 128)
+  };
+  var rstMessage = {
+    type: Message.Type.RST,
+    code: Message.Code.EMPTY,
+    id: reqWithBlock0.id
+  };
+
+  ctx.socket.expectRequest(reqWithBlock0);
+  ctx.socket.scheduleResponse(50, rstMessage);
+
+  var payloadStream = new PassThrough();
+  var req = ctx.client.put('/blocks/put', payloadStream, {
+    blockSize: 128
+  });
+
+  var resetSpy = sinon.spy();
+  var closeSpy = sinon.spy();
+
+  req.on('reset', resetSpy);
+  payloadStream.on('close', closeSpy);
+
+  payloadStream.write(payload);
+
+  ctx.tickAsync(50);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(resetSpy);
+    sinon.assert.coapMessage(
+      resetSpy.args[0][0], rstMessage, "Invalid `reset`."
+    );
+
+    sinon.assert.calledOnce(closeSpy);
+  };
+});
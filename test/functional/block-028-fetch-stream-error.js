@@ -0,0 +1,112 @@
+/*
+ Reject a promise returned by `Client.prototype.fetch()` after the payload
+ stream fails between the blocks:
+
+ 1. Client writes 256 bytes to the payload stream.
+
+ 2. Client sends the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 1 1 | 0x0002
+ 1       | CON  | 0 bytes      | PUT             | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: put
+ Block1  : NUM: 0, M: true, SZX: 3 (128 bytes)
+ ------------------------------------------------------------------------------
+ Payload (128 bytes)
+ |-------------------------------------------------------------|
+ |                           BLOCK 1                           |
+
+ ==============================================================================
+
+ 3. Server acknowledges the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 1 1 1 1 1 | 0x0002
+ 1       | ACK  | 0 bytes      | 2.31 Continue   | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 0, M: true, SZX: 3 (128 bytes)
+ ==============================================================================
+
+ 4. Client receives the #3 response and waits for more data.
+
+ 5. After 75 ms, the payload stream emits an error.
+
+ 6. Client doesn't send any more blocks. The promise is rejected with
+ `PayloadStreamError`.
+*/
+
+'use strict';
+
+require('should');
+
+var PassThrough = require('stream').PassThrough;
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var payload = new Buffer(
+    '|-------------------------------------------------------------|\n' +
+    '|                           BLOCK 1                           |\n' +
+    '|-------------------------------------------------------------|\n' +
+    '|                           BLOCK 2                           |\n'
+  );
+  var reqWithBlock0 = {
+    type: Message.Type.CON,
+    code: Message.Code.PUT,
+    id: 0x0002,
+    uri: '/blocks/put',
+    block1: {num: 0, m: true, szx: 3},
+    payload: payload.slice(0, 128)
+  };
+  var resToBlock0 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTINUE,
+    id: reqWithBlock0.id,
+    block1: {num: 0, m: true, szx: 3}
+  };
+
+  ctx.socket.expectRequest(reqWithBlock0);
+  ctx.socket.scheduleResponse(50, resToBlock0);
+
+  var payloadStream = new PassThrough();
+  var streamError = new Error("Disk failure.");
+  var resolveSpy = sinon.spy();
+  var rejectSpy = sinon.spy();
+
+  ctx.client.fetch('/blocks/put', {
+    method: 'PUT',
+    payload: payloadStream,
+    blockSize: 128
+  }).then(resolveSpy, rejectSpy);
+
+  payloadStream.write(payload);
+
+  setTimeout(function() { payloadStream.emit('error', streamError); }, 75);
+
+  ctx.tickAsync(50);
+  ctx.tickAsync(25);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.notCalled(resolveSpy);
+    sinon.assert.calledOnce(rejectSpy);
+
+    var err = rejectSpy.args[0][0];
+
+    err.should.be.instanceOf(coap.errors.PayloadStreamError);
+    err.message.should.be.equal("Payload stream error: Disk failure.");
+    err.cause.should.be.equal(streamError);
+  };
+});
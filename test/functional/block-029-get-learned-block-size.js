@@ -0,0 +1,219 @@
+/*
+ Start the next GET request to the same endpoint with the Block2 size learned
+ from the previous late negotiation:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: get
+ ==============================================================================
+
+ 2. Server sends the first block of size 32:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block2: NUM: 0, M: true, SZX: 1 (32 bytes)
+ ------------------------------------------------------------------------------
+ Payload (32 bytes)
+ |------------------------------|
+ ==============================================================================
+
+ 3. Client receives the #2 block and remembers the Block2 size of 32 bytes
+ for the endpoint. Client sends a request for the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 0 bytes      | GET             | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: get
+ Block2  : NUM: 1, M: false, SZX: 1 (32 bytes)
+ ==============================================================================
+
+ 4. Server sends the last block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block2: NUM: 1, M: false, SZX: 1 (32 bytes)
+ ------------------------------------------------------------------------------
+ Payload (32 bytes)
+ |            BLOCK             |
+ ==============================================================================
+
+ 5. Client receives the #4 block. Request emits the `response` event.
+
+ 6. After 1s, client sends another request to the same endpoint with the Block2
+ option of the learned size (early negotiation):
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0003
+ 1       | CON  | 1 byte       | GET             | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: get
+ Block2  : NUM: 0, M: false, SZX: 1 (32 bytes)
+ ==============================================================================
+
+ 7. Server sends the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0003
+ 1       | ACK  | 1 byte       | 2.05 Content    | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block2: NUM: 0, M: true, SZX: 1 (32 bytes)
+ ------------------------------------------------------------------------------
+ Payload (32 bytes)
+ |------------------------------|
+ ==============================================================================
+
+ 8. Client receives the #7 block. Client sends a request for the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0004
+ 1       | CON  | 1 byte       | GET             | 4
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: get
+ Block2  : NUM: 1, M: false, SZX: 1 (32 bytes)
+ ==============================================================================
+
+ 9. Server sends the last block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0004
+ 1       | ACK  | 1 byte       | 2.05 Content    | 4
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block2: NUM: 1, M: false, SZX: 1 (32 bytes)
+ ------------------------------------------------------------------------------
+ Payload (32 bytes)
+ |            BLOCK             |
+ ==============================================================================
+
+ 10. Client receives the #9 block. Request emits the `response` event.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:999*/
+
+  var payload = new Buffer(
+    '|------------------------------|' +
+    '|            BLOCK             |'
+  );
+  var block0 = {num: 0, m: true, szx: 1};
+  var block1 = {num: 1, m: false, szx: 1};
+
+  function createBlockRequest(id, token, block2)
+  {
+    var request = {
+      type: Message.Type.CON,
+      code: Message.Code.GET,
+      id: id,
+      token: token,
+      uri: '/blocks/get'
+    };
+
+    if (block2)
+    {
+      request.block2 = block2;
+    }
+
+    return request;
+  }
+
+  function createBlockResponse(request, block2)
+  {
+    return {
+      type: Message.Type.ACK,
+      code: Message.Code.CONTENT,
+      id: request.id,
+      token: request.token,
+      block2: block2,
+      payload: payload.slice(block2.num * 32, block2.num * 32 + 32)
+    };
+  }
+
+  var request1 = createBlockRequest(0x0001, new Buffer([]), null);
+  var request2 = createBlockRequest(0x0002, new Buffer([]), block1);
+  var request3 = createBlockRequest(
+    0x0003, new Buffer([0x01]), {num: 0, m: false, szx: 1}
+  );
+  var request4 = createBlockRequest(0x0004, new Buffer([0x01]), block1);
+
+  ctx.socket.expectRequest(0, request1);
+  ctx.socket.scheduleResponse(50, createBlockResponse(request1, block0));
+  ctx.socket.expectRequest(50, request2);
+  ctx.socket.scheduleResponse(100, createBlockResponse(request2, block1));
+  ctx.socket.expectRequest(1000, request3);
+  ctx.socket.scheduleResponse(1050, createBlockResponse(request3, block0));
+  ctx.socket.expectRequest(1050, request4);
+  ctx.socket.scheduleResponse(1100, createBlockResponse(request4, block1));
+
+  var responseSpy1 = sinon.spy();
+  var responseSpy2 = sinon.spy();
+
+  ctx.client.get('/blocks/get').on('response', responseSpy1);
+
+  setTimeout(function()
+  {
+    ctx.client.get('/blocks/get').on('response', responseSpy2);
+  }, 1000);
+
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(responseSpy1);
+    responseSpy1.args[0][0].getPayload().should.be.eql(payload);
+
+    sinon.assert.calledOnce(responseSpy2);
+    responseSpy2.args[0][0].getPayload().should.be.eql(payload);
+
+    ctx.client.getBlockSizes('127.0.0.1').should.be.eql({
+      block1: -1,
+      block2: 32
+    });
+
+    ctx.client.resetBlockSizes('127.0.0.1');
+
+    (ctx.client.getBlockSizes('127.0.0.1') === null).should.be.equal(true);
+  };
+});
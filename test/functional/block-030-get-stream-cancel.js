@@ -0,0 +1,121 @@
+/*
+ Fail a blockwise response streamed by `Client.prototype.getStream()` after
+ the request is cancelled while waiting for the next block:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: get
+ ==============================================================================
+
+ 2. Server sends the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ Block2        : NUM: 0, M: true, SZX: 3 (128 bytes)
+ ------------------------------------------------------------------------------
+ Payload (128 bytes)
+ |-------------------------------------------------------------|
+ |                           BLOCK 1                           |
+
+ ==============================================================================
+
+ 3. Client receives the #2 block and pushes its payload to the stream.
+
+ 4. Client sends a request for the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 0 bytes      | GET             | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: get
+ Block2  : NUM: 1, M: false, SZX: 3 (128 bytes)
+ ==============================================================================
+
+ 5. Client cancels the request before the #4 request is acknowledged and
+ doesn't retransmit it. The stream emits the `error` event with
+ a `CancelledError`.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    uri: '/blocks/get',
+    id: 0x0001
+  };
+  var expectedResWithBlock0 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest.id,
+    block2: {num: 0, m: true, size: 128},
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer(
+      '|-------------------------------------------------------------|\n' +
+      '|                           BLOCK 1                           |\n'
+    )
+  };
+  var expectedReqForBlock1 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0002,
+    uri: '/blocks/get',
+    block2: {num: 1, m: false, size: 128}
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResWithBlock0);
+  ctx.socket.expectRequest(50, expectedReqForBlock1);
+
+  var responseStream = ctx.client.getStream('/blocks/get');
+  var chunks = [];
+  var endSpy = sinon.spy();
+  var errorSpy = sinon.spy();
+
+  responseStream.on('data', function(chunk) { chunks.push(chunk); });
+  responseStream.on('end', endSpy);
+  responseStream.on('error', errorSpy);
+
+  setTimeout(function()
+  {
+    ctx.client.cancel(responseStream.getRequest());
+  }, 1000);
+
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    chunks.should.have.lengthOf(1);
+
+    sinon.assert.notCalled(endSpy);
+    sinon.assert.calledOnce(errorSpy);
+    errorSpy.args[0][0].should.be.instanceOf(coap.errors.CancelledError);
+    errorSpy.args[0][0].request.should.be.equal(responseStream.getRequest());
+  };
+});
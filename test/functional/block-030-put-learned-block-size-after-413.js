@@ -0,0 +1,199 @@
+/*
+ Send the next PUT request to the same endpoint blockwise after a 4.13
+ Request Entity Too Large response with the Size1 option:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 1 1 | 0x0001
+ 1       | CON  | 0 bytes      | PUT             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: put
+ ------------------------------------------------------------------------------
+ Payload (48 bytes)
+ |------------------------------|    BLOCK 2   |
+ ==============================================================================
+
+ 2. Server sends a 4.13 response with the maximum size it can handle:
+ ==============================================================================
+ Version | Type | Token Length | Code                          | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 1 0 0 0 1 1 0 1               | 0x0001
+ 1       | ACK  | 0 bytes      | 4.13 Request Entity Too Large | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Size1: 40
+ ==============================================================================
+
+ 3. Client receives the #2 response and remembers the Block1 size of 32 bytes
+ (the largest block size not exceeding the Size1) for the endpoint. Request
+ emits the `acknowledged` event and the `response` event.
+
+ 4. After 1s, client sends another request to the same endpoint blockwise,
+ starting with the learned block size:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 1 | 0x0003
+ 1       | CON  | 1 byte       | PUT             | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: put
+ Block1  : NUM: 0, M: true, SZX: 1 (32 bytes)
+ ------------------------------------------------------------------------------
+ Payload (32 bytes)
+ |------------------------------|
+ ==============================================================================
+
+ 5. Server acknowledges the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 1 1 1 1 1 | 0x0003
+ 1       | ACK  | 1 byte       | 2.31 Continue   | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 0, M: true, SZX: 1 (32 bytes)
+ ==============================================================================
+
+ 6. Client sends the last block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 1 | 0x0004
+ 1       | CON  | 1 byte       | PUT             | 4
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: blocks
+ Uri-Path: put
+ Block1  : NUM: 1, M: false, SZX: 1 (32 bytes)
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ |    BLOCK 2   |
+ ==============================================================================
+
+ 7. Server responds to the last block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 0 | 0x0004
+ 1       | ACK  | 1 byte       | 2.04 Changed    | 4
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 1, M: false, SZX: 1 (32 bytes)
+ ==============================================================================
+
+ 8. Client receives the #7 response. Request emits the `response` event.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:999*/
+
+  var payload = new Buffer(
+    '|------------------------------|' +
+    '|    BLOCK 2   |'
+  );
+  var request1 = {
+    type: Message.Type.CON,
+    code: Message.Code.PUT,
+    id: 0x0001,
+    token: new Buffer([]),
+    uri: '/blocks/put',
+    payload: payload
+  };
+  var response1 = {
+    type: Message.Type.ACK,
+    code: Message.Code.REQUEST_ENTITY_TOO_LARGE,
+    id: request1.id,
+    token: request1.token,
+    size1: 40
+  };
+  var request2 = {
+    type: Message.Type.CON,
+    code: Message.Code.PUT,
+    id: 0x0003,
+    token: new Buffer([0x01]),
+    uri: '/blocks/put',
+    block1: {num: 0, m: true, szx: 1},
+    payload: payload.slice(0, 32)
+  };
+  var response2 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTINUE,
+    id: request2.id,
+    token: request2.token,
+    block1: {num: 0, m: true, szx: 1}
+  };
+  var request3 = {
+    type: Message.Type.CON,
+    code: Message.Code.PUT,
+    id: 0x0004,
+    token: request2.token,
+    uri: '/blocks/put',
+    block1: {num: 1, m: false, szx: 1},
+    payload: payload.slice(32)
+  };
+  var response3 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CHANGED,
+    id: request3.id,
+    token: request3.token,
+    block1: {num: 1, m: false, szx: 1}
+  };
+
+  ctx.socket.expectRequest(0, request1);
+  ctx.socket.scheduleResponse(50, response1);
+  ctx.socket.expectRequest(1000, request2);
+  ctx.socket.scheduleResponse(1050, response2);
+  ctx.socket.expectRequest(1050, request3);
+  ctx.socket.scheduleResponse(1100, response3);
+
+  var responseSpy1 = sinon.spy();
+  var responseSpy2 = sinon.spy();
+
+  ctx.client.put('/blocks/put', payload).on('response', responseSpy1);
+
+  setTimeout(function()
+  {
+    ctx.client.put('/blocks/put', payload).on('response', responseSpy2);
+  }, 1000);
+
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(responseSpy1);
+    sinon.assert.coapMessage(
+      responseSpy1.args[0][0], response1, "Invalid `response` (#1)."
+    );
+
+    sinon.assert.calledOnce(responseSpy2);
+    sinon.assert.coapMessage(
+      responseSpy2.args[0][0], response3, "Invalid `response` (#2)."
+    );
+
+    ctx.client.getBlockSizes('127.0.0.1').should.be.eql({
+      block1: 32,
+      block2: -1
+    });
+  };
+});
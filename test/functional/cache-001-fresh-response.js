@@ -0,0 +1,191 @@
+/*
+ Serve a fresh cached response without sending the request:
+
+ 1. Client emits the `cache miss` event and sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: temperature
+ ==============================================================================
+
+ 2. Server sends a piggy-backed response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ Max-Age       : 10
+ ------------------------------------------------------------------------------
+ Payload (6 bytes)
+ 21.5 C
+ ==============================================================================
+
+ 3. Client receives the #2 response and caches it for 10 s. Request emits
+ the `acknowledged` event and the `response` event.
+
+ 4. After 5s, client creates the same request. Client emits the `cache hit`
+ event and the request emits the `response` event with a copy of the #2
+ response with the message ID and the token of the new request and Max-Age
+ of 5 seconds (the remaining freshness) without sending anything.
+
+ 5. After another 6s, client creates the same request again. The cached
+ response is stale, so client emits the `cache miss` event and sends
+ the request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 1 byte       | GET             | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: temperature
+ ==============================================================================
+
+ 6. Server sends a piggy-backed response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 1 byte       | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ Max-Age       : 10
+ ------------------------------------------------------------------------------
+ Payload (4 bytes)
+ 22 C
+ ==============================================================================
+
+ 7. Client receives the #6 response and caches it. Request emits
+ the `acknowledged` event and the `response` event.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:999*/
+
+  var expectedRequest1 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    token: new Buffer([]),
+    uri: '/temperature'
+  };
+  var expectedResponse1 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest1.id,
+    token: expectedRequest1.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 10,
+    payload: new Buffer('21.5 C')
+  };
+  var expectedCachedResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 5,
+    payload: new Buffer('21.5 C')
+  };
+  var expectedRequest3 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0002,
+    token: new Buffer([0x01]),
+    uri: '/temperature'
+  };
+  var expectedResponse3 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest3.id,
+    token: expectedRequest3.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 10,
+    payload: new Buffer('22 C')
+  };
+
+  ctx.reinitializeClient({cacheSize: 10});
+
+  ctx.socket.expectRequest(0, expectedRequest1);
+  ctx.socket.scheduleResponse(50, expectedResponse1);
+  ctx.socket.expectRequest(11050, expectedRequest3);
+  ctx.socket.scheduleResponse(11100, expectedResponse3);
+
+  var hitSpy = sinon.spy();
+  var missSpy = sinon.spy();
+
+  ctx.client.on('cache hit', hitSpy);
+  ctx.client.on('cache miss', missSpy);
+
+  var req1 = ctx.client.get('/temperature');
+  var req2 = null;
+  var req3 = null;
+  var req1Spy = sinon.spy(req1, 'emit');
+  var req2Spy = sinon.spy();
+  var req3Spy = sinon.spy();
+
+  setTimeout(function()
+  {
+    req2 = ctx.client.get('/temperature');
+    req2.on('response', req2Spy);
+  }, 5050);
+
+  setTimeout(function()
+  {
+    req3 = ctx.client.get('/temperature');
+    req3.on('response', req3Spy);
+  }, 11050);
+
+  ctx.tickAsync(5050);
+  ctx.tickAsync(6000);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.callCount(req1Spy, 2);
+    req1Spy.args[1][0].should.be.equal('response');
+    sinon.assert.coapMessage(
+      req1Spy.args[1][1], expectedResponse1, "Invalid `response` (#1)."
+    );
+
+    sinon.assert.calledOnce(hitSpy);
+    hitSpy.args[0][0].should.be.equal(req2);
+    hitSpy.args[0][1].should.not.be.equal(req1Spy.args[1][1]);
+    sinon.assert.coapMessage(
+      hitSpy.args[0][1], expectedCachedResponse, "Invalid cached response."
+    );
+    hitSpy.args[0][1].getId().should.be.equal(req2.getId());
+    hitSpy.args[0][1].getToken().should.be.eql(req2.getToken());
+
+    sinon.assert.calledOnce(req2Spy);
+    req2Spy.args[0][0].should.be.equal(hitSpy.args[0][1]);
+
+    sinon.assert.calledTwice(missSpy);
+    missSpy.args[0][0].should.be.equal(req1);
+    missSpy.args[1][0].should.be.equal(req3);
+
+    sinon.assert.calledOnce(req3Spy);
+    sinon.assert.coapMessage(
+      req3Spy.args[0][0], expectedResponse3, "Invalid `response` (#3)."
+    );
+  };
+});
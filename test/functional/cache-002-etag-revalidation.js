@@ -0,0 +1,215 @@
+/*
+ Revalidate a stale cached response with its ETag:
+
+ 1. Client emits the `cache miss` event and sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: config
+ ==============================================================================
+
+ 2. Server sends a piggy-backed response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag   : <Buffer ab cd>
+ Max-Age: 1
+ ------------------------------------------------------------------------------
+ Payload (9 bytes)
+ mode=auto
+ ==============================================================================
+
+ 3. Client receives the #2 response and caches it for 1 s. Request emits
+ the `acknowledged` event and the `response` event.
+
+ 4. After 2s, client creates the same request. The cached response is stale,
+ so client emits the `cache miss` event and sends the request with the ETag
+ of the cached response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 1 byte       | GET             | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag    : <Buffer ab cd>
+ Uri-Path: config
+ ==============================================================================
+
+ 5. Server sends a 2.03 Valid response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 0 1 1 | 0x0002
+ 1       | ACK  | 1 byte       | 2.03 Valid      | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag   : <Buffer ab cd>
+ Max-Age: 30
+ ==============================================================================
+
+ 6. Client receives the #5 response and makes the cached response fresh
+ for 30 s. Client emits the `cache revalidated` event and the request emits
+ the `acknowledged` event and the `response` event with a copy of the #2
+ response with the message ID and the token of the #4 request and Max-Age
+ of 30 seconds.
+
+ 7. After 20s, client creates the same request. Client emits the `cache hit`
+ event and the request emits the `response` event with a copy of the #2
+ response with the message ID and the token of the new request and Max-Age
+ of 10 seconds (the remaining freshness) without sending anything.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:999*/
+
+  var expectedRequest1 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    token: new Buffer([]),
+    uri: '/config'
+  };
+  var expectedResponse1 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest1.id,
+    token: expectedRequest1.token,
+    eTag: new Buffer([0xAB, 0xCD]),
+    maxAge: 1,
+    payload: new Buffer('mode=auto')
+  };
+  var expectedRequest2 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0002,
+    token: new Buffer([0x01]),
+    eTag: expectedResponse1.eTag,
+    uri: '/config'
+  };
+  var expectedResponse2 = {
+    type: Message.Type.ACK,
+    code: Message.Code.VALID,
+    id: expectedRequest2.id,
+    token: expectedRequest2.token,
+    eTag: expectedResponse1.eTag,
+    maxAge: 30
+  };
+  var expectedRevalidatedResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest2.id,
+    token: expectedRequest2.token,
+    eTag: expectedResponse1.eTag,
+    maxAge: 30,
+    payload: expectedResponse1.payload
+  };
+  var expectedCachedResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    eTag: expectedResponse1.eTag,
+    maxAge: 10,
+    payload: expectedResponse1.payload
+  };
+
+  ctx.reinitializeClient({cacheSize: 10});
+
+  ctx.socket.expectRequest(0, expectedRequest1);
+  ctx.socket.scheduleResponse(50, expectedResponse1);
+  ctx.socket.expectRequest(2050, expectedRequest2);
+  ctx.socket.scheduleResponse(2100, expectedResponse2);
+
+  var hitSpy = sinon.spy();
+  var missSpy = sinon.spy();
+  var revalidatedSpy = sinon.spy();
+
+  ctx.client.on('cache hit', hitSpy);
+  ctx.client.on('cache miss', missSpy);
+  ctx.client.on('cache revalidated', revalidatedSpy);
+
+  var req1 = ctx.client.get('/config');
+  var req2 = null;
+  var req3 = null;
+  var req1Spy = sinon.spy();
+  var req2Spy = sinon.spy();
+  var req3Spy = sinon.spy();
+
+  req1.on('response', req1Spy);
+
+  setTimeout(function()
+  {
+    req2 = ctx.client.get('/config');
+    req2.on('response', req2Spy);
+  }, 2050);
+
+  setTimeout(function()
+  {
+    req3 = ctx.client.get('/config');
+    req3.on('response', req3Spy);
+  }, 22100);
+
+  ctx.tickAsync(2050);
+  ctx.tickAsync(50);
+  ctx.tickAsync(20000);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(req1Spy);
+    sinon.assert.coapMessage(
+      req1Spy.args[0][0], expectedResponse1, "Invalid `response` (#1)."
+    );
+
+    var cachedResponse = req1Spy.args[0][0];
+
+    sinon.assert.calledTwice(missSpy);
+    missSpy.args[0][0].should.be.equal(req1);
+    missSpy.args[1][0].should.be.equal(req2);
+
+    sinon.assert.calledOnce(revalidatedSpy);
+    revalidatedSpy.args[0][0].should.be.equal(req2);
+    revalidatedSpy.args[0][1].should.not.be.equal(cachedResponse);
+    sinon.assert.coapMessage(
+      revalidatedSpy.args[0][1],
+      expectedRevalidatedResponse,
+      "Invalid revalidated response."
+    );
+
+    sinon.assert.calledOnce(req2Spy);
+    req2Spy.args[0][0].should.be.equal(revalidatedSpy.args[0][1]);
+
+    sinon.assert.calledOnce(hitSpy);
+    hitSpy.args[0][0].should.be.equal(req3);
+
+    hitSpy.args[0][1].should.not.be.equal(cachedResponse);
+    sinon.assert.coapMessage(
+      hitSpy.args[0][1], expectedCachedResponse, "Invalid cached response."
+    );
+    hitSpy.args[0][1].getId().should.be.equal(req3.getId());
+    hitSpy.args[0][1].getToken().should.be.eql(req3.getToken());
+
+    sinon.assert.calledOnce(req3Spy);
+    req3Spy.args[0][0].should.be.equal(hitSpy.args[0][1]);
+  };
+});
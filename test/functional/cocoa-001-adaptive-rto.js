@@ -0,0 +1,153 @@
+/*
+ Adapt the retransmission timeout of an endpoint to the measured RTTs (CoCoA):
+
+ 1. Client sends the first request with the initial RTO of 2 s:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: a
+ ==============================================================================
+
+ 2. Server responds after 100 ms:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ A
+ ==============================================================================
+
+ 3. Client receives the #2 response. The RTT of 100 ms is a strong sample
+ (no retransmissions): SRTT = 100, RTTVAR = 50, RTO(strong) = 300. The overall
+ RTO is 0.5 * 300 + 0.5 * 2000 = 1150. Client emits the `rto updated` event.
+
+ 4. After 200 ms, client sends the second request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 1 byte       | GET             | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: b
+ ==============================================================================
+
+ 5. The #4 request is lost along the way.
+
+ 6. Client retransmits the #4 request after 1150 ms.
+
+ 7. Server responds to the retransmitted request after 50 ms:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 1 byte       | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ B
+ ==============================================================================
+
+ 8. Client receives the #7 response. The RTT of 1200 ms measured from
+ the first transmission is a weak sample (one retransmission): SRTT = 1200,
+ RTTVAR = 600, RTO(weak) = 1800. The overall RTO is
+ 0.25 * 1800 + 0.75 * 1150 = 1312.5. Client emits the `rto updated` event.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  ctx.reinitializeClient({cocoa: true});
+
+  var expectedRequest1 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    uri: '/a'
+  };
+  var expectedResponse1 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest1.id,
+    payload: 'A'
+  };
+  var expectedRequest2 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0002,
+    token: new Buffer([0x01]),
+    uri: '/b'
+  };
+  var expectedResponse2 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest2.id,
+    token: expectedRequest2.token,
+    payload: 'B'
+  };
+
+  ctx.socket.expectRequest(expectedRequest1);
+  ctx.socket.scheduleResponse(100, expectedResponse1);
+  ctx.socket.expectRequest(200, expectedRequest2);
+  ctx.socket.expectRequest(200 + 1150, expectedRequest2);
+  ctx.socket.scheduleResponse(1400, expectedResponse2);
+
+  var rtoUpdatedSpy = sinon.spy();
+
+  ctx.client.on('rto updated', rtoUpdatedSpy);
+
+  (ctx.client.getRtoState('127.0.0.1') === null).should.be.equal(true);
+
+  ctx.client.get('/a');
+
+  setTimeout(function() { ctx.client.get('/b'); }, 200);
+
+  ctx.clock.tick(1400);
+
+  var state = ctx.client.getRtoState('127.0.0.1');
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledTwice(rtoUpdatedSpy);
+    rtoUpdatedSpy.args[0][0].toString().should.be.equal('127.0.0.1');
+    rtoUpdatedSpy.args[0][1].rto.should.be.equal(1150);
+    rtoUpdatedSpy.args[0][1].strong.should.be.eql({
+      srtt: 100,
+      rttvar: 50,
+      rto: 300,
+      samples: 1
+    });
+
+    state.rto.should.be.equal(1312.5);
+    state.updatedAt.should.be.equal(ctx.startTime + 1400);
+    state.strong.samples.should.be.equal(1);
+    state.weak.should.be.eql({
+      srtt: 1200,
+      rttvar: 600,
+      rto: 1800,
+      samples: 1
+    });
+  };
+});
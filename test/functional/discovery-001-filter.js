@@ -0,0 +1,109 @@
+/*
+ Discover resources of a server with query filters. The links are parsed
+ and their targets are resolved to absolute URIs:
+
+ 1. Client sends a request for `/.well-known/core` with a query parameter
+ for each filter:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : .well-known
+ Uri-Path : core
+ Uri-Query: rt=temperature*
+ Uri-Query: obs
+ Accept   : application/link-format
+ ==============================================================================
+
+ 2. Server responds with the matching links:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (179 bytes)
+ </sensors/temp>;rt="temperature-c";if="sensor";ct=0;obs,
+ <temp/outdoor>;rt="temperature-c temperature-f";obs,
+ <coap://192.168.1.2:5684/temp>;anchor="/sensors";rt="temperature-k";obs
+ ==============================================================================
+
+ 3. Callback is called with the parsed links.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    uri: '/.well-known/core?rt=temperature*&obs',
+    accept: 'application/link-format'
+  };
+  var expectedResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest.id,
+    contentFormat: 'application/link-format',
+    payload: new Buffer(
+      '</sensors/temp>;rt="temperature-c";if="sensor";ct=0;obs,'
+        + '<temp/outdoor>;rt="temperature-c temperature-f";obs,'
+        + '<coap://192.168.1.2:5684/temp>;anchor="/sensors";'
+        + 'rt="temperature-k";obs'
+    )
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResponse);
+
+  var callback = sinon.spy();
+
+  ctx.client.discover(
+    'coap://127.0.0.1/ignored/path?foo',
+    {rt: 'temperature*', obs: true},
+    callback
+  );
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(callback);
+    sinon.assert.calledWith(callback, null, [
+      {
+        href: 'coap://127.0.0.1/sensors/temp',
+        rt: 'temperature-c',
+        'if': 'sensor',
+        ct: 0,
+        obs: true
+      },
+      {
+        href: 'coap://127.0.0.1/temp/outdoor',
+        rt: 'temperature-c temperature-f',
+        obs: true
+      },
+      {
+        href: 'coap://192.168.1.2:5684/temp',
+        anchor: 'coap://127.0.0.1/sensors',
+        rt: 'temperature-k',
+        obs: true
+      }
+    ]);
+  };
+});
@@ -0,0 +1,134 @@
+/*
+ Discover resources of a server that sends the links in multiple blocks:
+
+ 1. Client sends a request for `/.well-known/core`:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: .well-known
+ Uri-Path: core
+ Accept  : application/link-format
+ ==============================================================================
+
+ 2. Server responds with the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ Block2        : NUM: 0, M: true, SZX: 1 (32 bytes)
+ ------------------------------------------------------------------------------
+ Payload (31 bytes)
+ </sensors/temp>;rt="temperature
+ ==============================================================================
+
+ 3. Client requests the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 0 bytes      | GET             | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: .well-known
+ Uri-Path: core
+ Accept  : application/link-format
+ Block2  : NUM: 1, M: false, SZX: 1 (32 bytes)
+ ==============================================================================
+
+ 4. Server responds with the second (last) block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ Block2        : NUM: 1, M: false, SZX: 1 (32 bytes)
+ ------------------------------------------------------------------------------
+ Payload (29 bytes)
+ -c";obs,</sensors/light>;ct=0
+ ==============================================================================
+
+ 5. Callback is called with the links parsed from the whole payload.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    uri: '/.well-known/core',
+    accept: 'application/link-format'
+  };
+  var expectedResWithBlock0 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest.id,
+    contentFormat: 'application/link-format',
+    block2: {num: 0, m: true, size: 32},
+    payload: new Buffer('</sensors/temp>;rt="temperature')
+  };
+  var expectedReqForBlock1 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0002,
+    uri: '/.well-known/core',
+    accept: 'application/link-format',
+    block2: {num: 1, m: false, size: 32}
+  };
+  var expectedResWithBlock1 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedReqForBlock1.id,
+    contentFormat: 'application/link-format',
+    block2: {num: 1, m: false, size: 32},
+    payload: new Buffer('-c";obs,</sensors/light>;ct=0')
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResWithBlock0);
+  ctx.socket.expectRequest(50, expectedReqForBlock1);
+  ctx.socket.scheduleResponse(100, expectedResWithBlock1);
+
+  var callback = sinon.spy();
+
+  ctx.client.discover('coap://127.0.0.1', callback);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(callback);
+    sinon.assert.calledWith(callback, null, [
+      {
+        href: 'coap://127.0.0.1/sensors/temp',
+        rt: 'temperature-c',
+        obs: true
+      },
+      {
+        href: 'coap://127.0.0.1/sensors/light',
+        ct: 0
+      }
+    ]);
+  };
+});
@@ -0,0 +1,74 @@
+/*
+ Fail the resource discovery if the server responds with an error:
+
+ 1. Client sends a request for `/.well-known/core`:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : .well-known
+ Uri-Path : core
+ Uri-Query: rt=light
+ Accept   : application/link-format
+ ==============================================================================
+
+ 2. Server responds with a 4.04 Not Found, because none of its resources
+ matches the filter:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 1 0 0 0 0 1 0 0 | 0x0001
+ 1       | ACK  | 0 bytes      | 4.04 Not Found  | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+
+ 3. Callback is called with an error.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    uri: '/.well-known/core?rt=light',
+    accept: 'application/link-format'
+  };
+  var expectedResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.NOT_FOUND,
+    id: expectedRequest.id
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResponse);
+
+  var callback = sinon.spy();
+
+  ctx.client.discover('coap://127.0.0.1', 'rt=light', callback);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(callback);
+    sinon.assert.calledWith(callback, sinon.match.instanceOf(Error), null);
+
+    callback.args[0][0].message.should.be.equal(
+      "Request for links failed with 4.04 Not Found."
+    );
+  };
+});
@@ -0,0 +1,72 @@
+/*
+ Fail the resource discovery if the server resets the request:
+
+ 1. Client sends a request for `/.well-known/core`:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: .well-known
+ Uri-Path: core
+ Accept  : application/link-format
+ ==============================================================================
+
+ 2. Server rejects the #1 request with a RST message:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 1  | 0 0 0 0      | 0 0 0 0 0 0 0 0 | 0x0001
+ 1       | RST  | 0 bytes      | Empty           | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+
+ 3. Callback is called with an error.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    uri: '/.well-known/core',
+    accept: 'application/link-format'
+  };
+  var expectedResponse = {
+    type: Message.Type.RST,
+    code: Message.Code.EMPTY,
+    id: expectedRequest.id
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResponse);
+
+  var callback = sinon.spy();
+
+  ctx.client.discover('coap://127.0.0.1', callback);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(callback);
+    sinon.assert.calledWith(callback, sinon.match.instanceOf(Error), null);
+
+    callback.args[0][0].message.should.be.equal(
+      "Request for links was reset."
+    );
+  };
+});
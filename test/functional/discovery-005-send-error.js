@@ -0,0 +1,48 @@
+/*
+ Fail the resource discovery if the request can't be sent:
+
+ 1. Client discovers resources of `coap://unknown.local`. The resolver fails
+ after 10 ms.
+
+ 2. Client doesn't send anything. Callback is called with
+ the `HostResolutionError` emitted by the request (instead of the error being
+ thrown, because there is no other `error` listener).
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+
+helpers.test(__filename, function(ctx)
+{
+  var resolveError = new Error("getaddrinfo ENOTFOUND unknown.local");
+
+  ctx.reinitializeClient({
+    resolver: function(hostname, done)
+    {
+      setTimeout(done, 10, resolveError);
+    }
+  });
+
+  var callback = sinon.spy();
+
+  ctx.client.discover('coap://unknown.local', callback);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(callback);
+    sinon.assert.calledWith(
+      callback, sinon.match.instanceOf(coap.errors.HostResolutionError), null
+    );
+
+    callback.args[0][0].hostname.should.be.equal('unknown.local');
+  };
+});
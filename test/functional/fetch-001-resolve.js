@@ -0,0 +1,75 @@
+/*
+ Resolve a promise returned by `Client.prototype.fetch()` with a piggy-backed
+ response to a confirmable GET request:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: temperature
+ ==============================================================================
+
+ 2. Server sends a piggy-backed response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (6 bytes)
+ 22.3 C
+ ==============================================================================
+
+ 3. Client receives the #2 response. The promise is resolved with the #2
+ response.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    uri: '/temperature'
+  };
+  var expectedResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest.id,
+    payload: new Buffer('22.3 C')
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResponse);
+
+  var resolveSpy = sinon.spy();
+  var rejectSpy = sinon.spy();
+
+  ctx.client.fetch('/temperature').then(resolveSpy, rejectSpy);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.notCalled(rejectSpy);
+    sinon.assert.calledOnce(resolveSpy);
+    sinon.assert.coapMessage(
+      resolveSpy.args[0][0], expectedResponse, "Invalid response."
+    );
+  };
+});
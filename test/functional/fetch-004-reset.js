@@ -0,0 +1,78 @@
+/*
+ Reject a promise returned by `Client.prototype.fetch()` with a `ResetError`
+ after an RST response to a confirmable GET request:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: temperature
+ ==============================================================================
+
+ 2. Server sends an RST response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 1  | 0 0 0 0      | 0 0 0 0 0 0 0 0 | 0x0001
+ 1       | RST  | 0 bytes      | Empty           | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+
+ 3. Client receives the #2 response. The promise is rejected with
+ a `ResetError`.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    uri: '/temperature'
+  };
+  var expectedResponse = {
+    type: Message.Type.RST,
+    code: Message.Code.EMPTY,
+    id: expectedRequest.id
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResponse);
+
+  var resolveSpy = sinon.spy();
+  var rejectSpy = sinon.spy();
+
+  ctx.client.fetch('/temperature').then(resolveSpy, rejectSpy);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.notCalled(resolveSpy);
+    sinon.assert.calledOnce(rejectSpy);
+
+    var err = rejectSpy.args[0][0];
+
+    err.should.be.instanceOf(coap.errors.ResetError);
+    err.message.should.be.equal("Request was reset by the remote endpoint.");
+    sinon.assert.coapMessage(err.request, expectedRequest, "Invalid request.");
+    sinon.assert.coapMessage(
+      err.rstMessage, expectedResponse, "Invalid RST message."
+    );
+  };
+});
@@ -0,0 +1,88 @@
+/*
+ Reject a promise returned by `Client.prototype.fetch()` with
+ a `CancelledError` after the request is aborted through a signal:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: temperature
+ ==============================================================================
+
+ 2. The signal passed to `fetch()` is aborted. Client cancels the #1 request
+ and the promise is rejected with a `CancelledError`.
+
+ 3. Server sends a piggy-backed response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (6 bytes)
+ 22.3 C
+ ==============================================================================
+
+ 4. Client receives the #3 response. The promise stays rejected.
+*/
+
+/*global AbortController:false*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    uri: '/temperature'
+  };
+  var expectedResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest.id,
+    payload: new Buffer('22.3 C')
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResponse);
+
+  var abortController = new AbortController();
+  var resolveSpy = sinon.spy();
+  var rejectSpy = sinon.spy();
+
+  ctx.client
+    .fetch('/temperature', {signal: abortController.signal})
+    .then(resolveSpy, rejectSpy);
+
+  setTimeout(function() { abortController.abort(); }, 25);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.notCalled(resolveSpy);
+    sinon.assert.calledOnce(rejectSpy);
+
+    var err = rejectSpy.args[0][0];
+
+    err.should.be.instanceOf(coap.errors.CancelledError);
+    err.message.should.be.equal("Request was cancelled.");
+    sinon.assert.coapMessage(err.request, expectedRequest, "Invalid request.");
+  };
+});
@@ -0,0 +1,205 @@
+/*
+ Send a multicast request to All CoAP Nodes and aggregate the responses from
+ multiple sources:
+
+ 1. Client sends a NON request to 224.0.1.187:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | NON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 224.0.1.187
+ ------------------------------------------------------------------------------
+ Uri-Path: .well-known
+ Uri-Path: core
+ ==============================================================================
+
+ 2. The first node responds with a NON response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x1001
+ 1       | NON  | 0 bytes      | 2.05 Content    | 4097
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 192.168.1.10
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (4 bytes)
+ </a>
+ ==============================================================================
+
+ 3. Request emits the `response` event with the #2 response and the address
+ of the first node.
+
+ 4. The second node responds with a CON response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x2001
+ 1       | CON  | 0 bytes      | 2.05 Content    | 8193
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 192.168.1.11
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (4 bytes)
+ </b>
+ ==============================================================================
+
+ 5. Client acknowledges the #4 response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 0 0 0 0 0 0 0 | 0x2001
+ 1       | ACK  | 0 bytes      | Empty           | 8193
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 192.168.1.11
+ ==============================================================================
+
+ 6. Request emits the `response` event with the #4 response and the address
+ of the second node.
+
+ 7. The first node responds again:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x1002
+ 1       | NON  | 0 bytes      | 2.05 Content    | 4098
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 192.168.1.10
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (4 bytes)
+ </a>
+ ==============================================================================
+
+ 8. Client ignores the #7 response, because the first node already responded.
+
+ 9. After the leisure time (5000 ms), request emits the `done` event with
+ the addresses of both nodes.
+
+ 10. The third node responds after the leisure time:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x3001
+ 1       | NON  | 0 bytes      | 2.05 Content    | 12289
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 192.168.1.12
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (4 bytes)
+ </c>
+ ==============================================================================
+
+ 11. Client ignores the #10 response.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+var EndpointAddress = coap.EndpointAddress;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var expectedRequest = {
+    type: Message.Type.NON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    token: new Buffer([]),
+    uri: '/.well-known/core'
+  };
+  var expectedResponses = [
+    {
+      type: Message.Type.NON,
+      code: Message.Code.CONTENT,
+      id: 0x1001,
+      token: expectedRequest.token,
+      contentFormat: 40,
+      payload: '</a>'
+    },
+    {
+      type: Message.Type.CON,
+      code: Message.Code.CONTENT,
+      id: 0x2001,
+      token: expectedRequest.token,
+      contentFormat: 40,
+      payload: '</b>'
+    },
+    {
+      type: Message.Type.NON,
+      code: Message.Code.CONTENT,
+      id: 0x1002,
+      token: expectedRequest.token,
+      contentFormat: 40,
+      payload: '</a>'
+    },
+    {
+      type: Message.Type.NON,
+      code: Message.Code.CONTENT,
+      id: 0x3001,
+      token: expectedRequest.token,
+      contentFormat: 40,
+      payload: '</c>'
+    }
+  ];
+  var nodes = ['10', '11', '12'].map(function(host)
+  {
+    return {address: '192.168.1.' + host, port: 5683};
+  });
+  var expectedAck = {
+    type: Message.Type.ACK,
+    code: Message.Code.EMPTY,
+    id: 0x2001,
+    token: new Buffer([])
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(10, expectedResponses[0], nodes[0]);
+  ctx.socket.scheduleResponse(20, expectedResponses[1], nodes[1]);
+  ctx.socket.expectRequest(20, expectedAck);
+  ctx.socket.scheduleResponse(30, expectedResponses[2], nodes[0]);
+  ctx.socket.scheduleResponse(6000, expectedResponses[3], nodes[2]);
+
+  var req = ctx.client.get(
+    'coap://' + EndpointAddress.ALL_COAP_NODES_IPV4 + '/.well-known/core'
+  );
+
+  var responseSpy = sinon.spy();
+  var doneSpy = sinon.spy();
+
+  req.on('response', responseSpy);
+  req.on('done', doneSpy);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    req.getRemoteEndpoint().toString().should.be.equal('224.0.1.187');
+    req.getType().should.be.equal(Message.Type.NON);
+
+    sinon.assert.calledTwice(responseSpy);
+    sinon.assert.coapMessage(
+      responseSpy.args[0][0], expectedResponses[0], "Invalid `response` (#1)."
+    );
+    responseSpy.args[0][1].toString().should.be.equal('192.168.1.10');
+    sinon.assert.coapMessage(
+      responseSpy.args[1][0], expectedResponses[1], "Invalid `response` (#2)."
+    );
+    responseSpy.args[1][1].toString().should.be.equal('192.168.1.11');
+
+    sinon.assert.calledOnce(doneSpy);
+    doneSpy.args[0][0].map(String).should.be.eql([
+      '192.168.1.10',
+      '192.168.1.11'
+    ]);
+    doneSpy.calledAfter(responseSpy).should.be.equal(true);
+  };
+});
@@ -0,0 +1,107 @@
+/*
+ Accept responses to a multicast request only during the specified leisure
+ time:
+
+ 1. Client sends a NON request to 224.0.1.187 with the leisure time
+ of 1000 ms:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | NON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 224.0.1.187
+ ------------------------------------------------------------------------------
+ Uri-Path: temp
+ ==============================================================================
+
+ 2. After 900 ms, the first node responds:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x1001
+ 1       | NON  | 0 bytes      | 2.05 Content    | 4097
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 192.168.1.10
+ ------------------------------------------------------------------------------
+ Payload (6 bytes)
+ 22.3 C
+ ==============================================================================
+
+ 3. Request emits the `response` event with the #2 response.
+
+ 4. After 1000 ms, request emits the `done` event with the address of
+ the first node.
+
+ 5. The second node responds after the leisure time:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x2001
+ 1       | NON  | 0 bytes      | 2.05 Content    | 8193
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 192.168.1.11
+ ------------------------------------------------------------------------------
+ Payload (6 bytes)
+ 22.4 C
+ ==============================================================================
+
+ 6. Client ignores the #5 response.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var expectedRequest = {
+    type: Message.Type.NON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    token: new Buffer([]),
+    uri: '/temp'
+  };
+  var expectedResponse = {
+    type: Message.Type.NON,
+    code: Message.Code.CONTENT,
+    id: 0x1001,
+    token: expectedRequest.token,
+    payload: '22.3 C'
+  };
+  var lateResponse = {
+    type: Message.Type.NON,
+    code: Message.Code.CONTENT,
+    id: 0x2001,
+    token: expectedRequest.token,
+    payload: '22.4 C'
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(
+    900, expectedResponse, {address: '192.168.1.10', port: 5683}
+  );
+  ctx.socket.scheduleResponse(
+    1500, lateResponse, {address: '192.168.1.11', port: 5683}
+  );
+
+  var req = ctx.client.get('coap://224.0.1.187/temp', {leisure: 1000});
+
+  var eventSpy = sinon.spy(req, 'emit');
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledTwice(eventSpy);
+    eventSpy.args[0][0].should.be.equal('response');
+    sinon.assert.coapMessage(
+      eventSpy.args[0][1], expectedResponse, "Invalid `response`."
+    );
+    eventSpy.args[1][0].should.be.equal('done');
+    eventSpy.args[1][1].map(String).should.be.eql(['192.168.1.10']);
+  };
+});
@@ -0,0 +1,78 @@
+/*
+ Cancel a multicast request before the leisure time ends:
+
+ 1. Client sends a NON request to 224.0.1.187:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | NON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 224.0.1.187
+ ------------------------------------------------------------------------------
+ Uri-Path: temp
+ ==============================================================================
+
+ 2. After 100 ms, the request is cancelled. Request emits the `cancelled`
+ event.
+
+ 3. A node responds after the cancellation:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x1001
+ 1       | NON  | 0 bytes      | 2.05 Content    | 4097
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 192.168.1.10
+ ------------------------------------------------------------------------------
+ Payload (6 bytes)
+ 22.3 C
+ ==============================================================================
+
+ 4. Client ignores the #3 response. Request doesn't emit the `done` event.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var expectedRequest = {
+    type: Message.Type.NON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    token: new Buffer([]),
+    uri: '/temp'
+  };
+  var lateResponse = {
+    type: Message.Type.NON,
+    code: Message.Code.CONTENT,
+    id: 0x1001,
+    token: expectedRequest.token,
+    payload: '22.3 C'
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(
+    200, lateResponse, {address: '192.168.1.10', port: 5683}
+  );
+
+  var req = ctx.client.get('coap://224.0.1.187/temp');
+
+  var eventSpy = sinon.spy(req, 'emit');
+
+  setTimeout(function() { ctx.client.cancel(req); }, 100);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(eventSpy);
+    sinon.assert.calledWith(eventSpy, 'cancelled');
+  };
+});
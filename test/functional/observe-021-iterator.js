@@ -0,0 +1,193 @@
+/*
+ Iterate over notifications of an observation handle returned by
+ `Client.prototype.subscribe()` and cancel the observation by ending
+ the iteration:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 0
+ Uri-Path: observer
+ ==============================================================================
+
+ 2. Server sends a piggy-backed response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 1
+ Content-Format: text/plain;charset=utf-8
+ Max-Age       : 10
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 1
+ ==============================================================================
+
+ 3. Client receives the #2 response. The first `next()` call resolves with
+ the #2 response, its Observe sequence number, Max-Age and arrival time.
+
+ 4. After 2s, server sends the first, non-confirmable notification:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x4321
+ 1       | NON  | 0 bytes      | 2.05 Content    | 17185
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 2
+ Content-Format: text/plain;charset=utf-8
+ Max-Age       : 10
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 2
+ ==============================================================================
+
+ 5. Client receives the #4 notification. The second `next()` call resolves
+ with the #4 notification. The iteration ends with a `return()` call, which
+ cancels the observation.
+
+ 6. After another 2s, server sends the second, confirmable notification:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x4322
+ 1       | CON  | 0 bytes      | 2.05 Content    | 17186
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 3
+ Content-Format: text/plain;charset=utf-8
+ Max-Age       : 10
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 3
+ ==============================================================================
+
+ 7. Client receives the #6 notification, but resets it as it's a CON and the
+ subscription was cancelled:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 1  | 0 0 0 0      | 0 0 0 0 0 0 0 0 | 0x4322
+ 1       | RST  | 0 bytes      | Empty           | 17186
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    token: new Buffer([]),
+    uri: '/observer',
+    observe: 0
+  };
+  var expectedResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest.id,
+    token: expectedRequest.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 10,
+    observe: 1,
+    payload: new Buffer('1')
+  };
+  var expectedNonNotification = {
+    type: Message.Type.NON,
+    code: Message.Code.CONTENT,
+    id: 0x4321,
+    token: expectedRequest.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 10,
+    observe: 2,
+    payload: new Buffer('2')
+  };
+  var expectedConNotification = {
+    type: Message.Type.CON,
+    code: Message.Code.CONTENT,
+    id: 0x4322,
+    token: expectedRequest.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 10,
+    observe: 3,
+    payload: new Buffer('3')
+  };
+  var expectedNotificationRst = {
+    type: Message.Type.RST,
+    code: Message.Type.EMPTY,
+    id: expectedConNotification.id
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResponse);
+  ctx.socket.scheduleResponse(2050, expectedNonNotification);
+  ctx.socket.scheduleResponse(4050, expectedConNotification);
+  ctx.socket.expectRequest(4050, expectedNotificationRst);
+
+  var observation = ctx.client.subscribe('/observer');
+  var notifications = [];
+  var returnSpy = sinon.spy();
+
+  observation.next()
+    .then(function(result)
+    {
+      notifications.push(result.value);
+
+      return observation.next();
+    })
+    .then(function(result)
+    {
+      notifications.push(result.value);
+
+      return observation.return();
+    })
+    .then(returnSpy);
+
+  ctx.tickAsync(50);
+  ctx.tickAsync(2000);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    notifications.should.have.lengthOf(2);
+
+    sinon.assert.coapMessage(
+      notifications[0].response, expectedResponse, "Invalid response."
+    );
+    notifications[0].observe.should.be.equal(1);
+    notifications[0].maxAge.should.be.equal(10);
+    notifications[0].receivedAt.should.be.equal(ctx.startTime + 50);
+
+    sinon.assert.coapMessage(
+      notifications[1].response,
+      expectedNonNotification,
+      "Invalid notification."
+    );
+    notifications[1].observe.should.be.equal(2);
+    notifications[1].maxAge.should.be.equal(10);
+    notifications[1].receivedAt.should.be.equal(ctx.startTime + 2050);
+
+    sinon.assert.calledOnce(returnSpy);
+    sinon.assert.calledWith(returnSpy, {value: undefined, done: true});
+    observation.isEnded().should.be.equal(true);
+  };
+});
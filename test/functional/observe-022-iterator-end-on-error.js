@@ -0,0 +1,140 @@
+/*
+ End the iteration over notifications of an observation handle returned by
+ `Client.prototype.subscribe()` after an error notification:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 0
+ Uri-Path: observer
+ ==============================================================================
+
+ 2. Server sends a piggy-backed response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 1
+ Content-Format: text/plain;charset=utf-8
+ Max-Age       : 10
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 1
+ ==============================================================================
+
+ 3. Client receives the #2 response. The observation handle buffers it.
+
+ 4. After 2s, server sends a non-confirmable error notification:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 1 0 0 0 0 1 0 0 | 0x4321
+ 1       | NON  | 0 bytes      | 4.04 Not Found  | 17185
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (4 bytes)
+ Gone
+ ==============================================================================
+
+ 5. Client receives the #4 notification. The request emits the `cancelled`
+ event and the `response` event. The observation handle buffers the #4
+ notification and ends.
+
+ 6. After another 1s, the buffered #2 response and #4 notification are
+ consumed and the iteration ends.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    token: new Buffer([]),
+    uri: '/observer',
+    observe: 0
+  };
+  var expectedResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest.id,
+    token: expectedRequest.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 10,
+    observe: 1,
+    payload: new Buffer('1')
+  };
+  var expectedNotification = {
+    type: Message.Type.NON,
+    code: Message.Code.NOT_FOUND,
+    id: 0x4321,
+    token: expectedRequest.token,
+    payload: new Buffer('Gone')
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResponse);
+  ctx.socket.scheduleResponse(2050, expectedNotification);
+
+  var observation = ctx.client.subscribe('/observer');
+  var bufferedCount = -1;
+  var results = [];
+  var collect = function(result)
+  {
+    results.push(result);
+
+    return result.done ? null : observation.next().then(collect);
+  };
+
+  setTimeout(function()
+  {
+    bufferedCount = observation.getBufferedCount();
+
+    observation.next().then(collect);
+  }, 3050);
+
+  ctx.tickAsync(2050);
+  ctx.tickAsync(1000);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    bufferedCount.should.be.equal(2);
+    observation.isEnded().should.be.equal(true);
+
+    results.should.have.lengthOf(3);
+
+    sinon.assert.coapMessage(
+      results[0].value.response, expectedResponse, "Invalid response."
+    );
+    results[0].value.observe.should.be.equal(1);
+
+    sinon.assert.coapMessage(
+      results[1].value.response,
+      expectedNotification,
+      "Invalid notification."
+    );
+    results[1].value.observe.should.be.equal(-1);
+    results[1].value.maxAge.should.be.equal(60);
+
+    results[2].done.should.be.equal(true);
+  };
+});
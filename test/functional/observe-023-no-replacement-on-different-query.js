@@ -0,0 +1,205 @@
+/*
+ Keep two observations of the same Uri-Path with different Uri-Query options:
+
+ 1. Client sends the first Observe request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe  : 0
+ Uri-Path : sensors
+ Uri-Query: unit=C
+ ==============================================================================
+
+ 2. Server sends a piggy-backed response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe: 1
+ ------------------------------------------------------------------------------
+ Payload (6 bytes)
+ 21.5 C
+ ==============================================================================
+
+ 3. Client receives the #2 response. The #1 observer emits the `acknowledged`
+ event and the `response` event.
+
+ 4. After 1s, client sends the second Observe request for the same Uri-Path,
+ but with a different Uri-Query:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 1 byte       | GET             | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe  : 0
+ Uri-Path : sensors
+ Uri-Query: unit=F
+ ==============================================================================
+
+ 5. Server sends a piggy-backed response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 1 byte       | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe: 1
+ ------------------------------------------------------------------------------
+ Payload (6 bytes)
+ 70.7 F
+ ==============================================================================
+
+ 6. Client receives the #5 response. The #4 observer emits the `acknowledged`
+ event and the `response` event. The #1 observer isn't replaced, because it's
+ an observation of a different representation.
+
+ 7. Server sends a notification for the #1 observer:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x4321
+ 1       | NON  | 0 bytes      | 2.05 Content    | 17185
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe: 2
+ ------------------------------------------------------------------------------
+ Payload (6 bytes)
+ 21.6 C
+ ==============================================================================
+
+ 8. The #1 observer emits the `response` event.
+
+ 9. Server sends a notification for the #4 observer:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x4322
+ 1       | NON  | 1 byte       | 2.05 Content    | 17186
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe: 2
+ ------------------------------------------------------------------------------
+ Payload (6 bytes)
+ 70.9 F
+ ==============================================================================
+
+ 10. The #4 observer emits the `response` event.
+
+ 11. Client cancels both observers. Both observers emit the `cancelled`
+ event.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:999*/
+
+  var subscriptionRequests = ['C', 'F'].map(function(unit, i)
+  {
+    return {
+      type: Message.Type.CON,
+      code: Message.Code.GET,
+      id: i + 1,
+      token: i === 0 ? new Buffer([]) : new Buffer([i]),
+      uri: '/sensors?unit=' + unit,
+      observe: 0
+    };
+  });
+  var subscriptionResponses = ['21.5 C', '70.7 F'].map(function(payload, i)
+  {
+    return {
+      type: Message.Type.ACK,
+      code: Message.Code.CONTENT,
+      id: i + 1,
+      token: subscriptionRequests[i].token,
+      observe: 1,
+      payload: payload
+    };
+  });
+  var notifications = ['21.6 C', '70.9 F'].map(function(payload, i)
+  {
+    return {
+      type: Message.Type.NON,
+      code: Message.Code.CONTENT,
+      id: 0x4321 + i,
+      token: subscriptionRequests[i].token,
+      observe: 2,
+      payload: payload
+    };
+  });
+
+  ctx.socket.expectRequest(subscriptionRequests[0]);
+  ctx.socket.scheduleResponse(50, subscriptionResponses[0]);
+  ctx.socket.expectRequest(1000, subscriptionRequests[1]);
+  ctx.socket.scheduleResponse(1050, subscriptionResponses[1]);
+  ctx.socket.scheduleResponse(2050, notifications[0]);
+  ctx.socket.scheduleResponse(2060, notifications[1]);
+
+  var subscriptionReqs = subscriptionRequests.map(function(request)
+  {
+    return Message.fromObject(request);
+  });
+  var eventSpies = subscriptionReqs.map(function(req)
+  {
+    return sinon.spy(req, 'emit');
+  });
+
+  ctx.client.request(subscriptionReqs[0]);
+
+  setTimeout(function() { ctx.client.request(subscriptionReqs[1]); }, 1000);
+
+  setTimeout(function()
+  {
+    ctx.client.cancel(subscriptionReqs[0]);
+    ctx.client.cancel(subscriptionReqs[1]);
+  }, 3000);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    eventSpies.forEach(function(eventSpy, i)
+    {
+      var observer = "Observer #" + (i + 1) + ": ";
+
+      sinon.assert.callCount(eventSpy, 4);
+
+      eventSpy.args[0][0].should.be.equal('acknowledged');
+      eventSpy.args[1][0].should.be.equal('response');
+      sinon.assert.coapMessage(
+        eventSpy.args[1][1],
+        subscriptionResponses[i],
+        observer + "invalid `response` #1."
+      );
+      eventSpy.args[2][0].should.be.equal('response');
+      sinon.assert.coapMessage(
+        eventSpy.args[2][1],
+        notifications[i],
+        observer + "invalid `response` #2."
+      );
+      eventSpy.args[3][0].should.be.equal('cancelled');
+    });
+  };
+});
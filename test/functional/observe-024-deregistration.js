@@ -0,0 +1,187 @@
+/*
+ Deregister an observation with a GET request with Observe=1 after
+ the `Client.cancel` method is called and the `deregister` option is enabled:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 0
+ Uri-Path: observer
+ ==============================================================================
+
+ 2. Server sends a piggy-backed response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 1
+ Content-Format: text/plain;charset=utf-8
+ Max-Age       : 10
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 1
+ ==============================================================================
+
+ 3. Client receives the #2 response. Request emits the `acknowledged` event
+ and the `response` event.
+
+ 4. After 1s, client cancels the subscription and sends a deregistration
+ request with the same token and options:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 0 bytes      | GET             | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 1
+ Uri-Path: observer
+ ==============================================================================
+
+ 5. Server sends a non-confirmable notification before it receives the #4
+ request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x4321
+ 1       | NON  | 0 bytes      | 2.05 Content    | 17185
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 2
+ Content-Format: text/plain;charset=utf-8
+ Max-Age       : 10
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 2
+ ==============================================================================
+
+ 6. Client receives the #5 notification, but ignores it as the subscription
+ is being deregistered.
+
+ 7. Server sends a piggy-backed response without the Observe option to the #4
+ request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ Max-Age       : 10
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 3
+ ==============================================================================
+
+ 8. Client receives the #7 response. Request emits the `cancelled` event.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:999*/
+
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    token: new Buffer([]),
+    uri: '/observer',
+    observe: 0
+  };
+  var expectedResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest.id,
+    token: expectedRequest.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 10,
+    observe: 1,
+    payload: new Buffer('1')
+  };
+  var expectedDeregistrationRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0002,
+    token: expectedRequest.token,
+    uri: '/observer',
+    observe: 1
+  };
+  var expectedNonNotification = {
+    type: Message.Type.NON,
+    code: Message.Code.CONTENT,
+    id: 0x4321,
+    token: expectedRequest.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 10,
+    observe: 2,
+    payload: new Buffer('2')
+  };
+  var expectedDeregistrationResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedDeregistrationRequest.id,
+    token: expectedRequest.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 10,
+    payload: new Buffer('3')
+  };
+
+  ctx.reinitializeClient({deregister: true});
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResponse);
+  ctx.socket.expectRequest(1000, expectedDeregistrationRequest);
+  ctx.socket.scheduleResponse(1020, expectedNonNotification);
+  ctx.socket.scheduleResponse(1050, expectedDeregistrationResponse);
+
+  var req = ctx.client.request(Message.fromObject(expectedRequest));
+  var eventSpy = sinon.spy(req, 'emit');
+  var cancelledAt = -1;
+
+  req.on('cancelled', function() { cancelledAt = Date.now(); });
+
+  setTimeout(function() { ctx.client.cancel(req); }, 1000);
+
+  ctx.tickAsync(1000);
+  ctx.tickAsync(20);
+  ctx.tickAsync(30);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.callCount(eventSpy, 3);
+
+    eventSpy.args[0][0].should.be.equal('acknowledged');
+    sinon.assert.coapMessage(
+      eventSpy.args[0][1], expectedResponse, "Invalid ACK."
+    );
+
+    eventSpy.args[1][0].should.be.equal('response');
+    sinon.assert.coapMessage(
+      eventSpy.args[1][1], expectedResponse, "Invalid `response`."
+    );
+
+    eventSpy.args[2][0].should.be.equal('cancelled');
+
+    cancelledAt.should.be.equal(ctx.startTime + 1050);
+  };
+});
@@ -0,0 +1,179 @@
+/*
+ Fall back to resetting the notifications if the deregistration request
+ is reset:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 0
+ Uri-Path: observer
+ ==============================================================================
+
+ 2. Server sends a piggy-backed response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 1
+ Content-Format: text/plain;charset=utf-8
+ Max-Age       : 10
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 1
+ ==============================================================================
+
+ 3. Client receives the #2 response. Request emits the `acknowledged` event
+ and the `response` event.
+
+ 4. After 1s, client cancels the subscription and sends a deregistration
+ request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 0 bytes      | GET             | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 1
+ Uri-Path: observer
+ ==============================================================================
+
+ 5. Server resets the #4 request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 1  | 0 0 0 0      | 0 0 0 0 0 0 0 0 | 0x0002
+ 1       | RST  | 0 bytes      | Empty           | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+
+ 6. Client receives the #5 message. Request emits the `cancelled` event.
+
+ 7. After 1s, server sends a confirmable notification:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x4322
+ 1       | CON  | 0 bytes      | 2.05 Content    | 17186
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 2
+ Content-Format: text/plain;charset=utf-8
+ Max-Age       : 10
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 2
+ ==============================================================================
+
+ 8. Client receives the #7 notification, but resets it as the subscription
+ was cancelled:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 1  | 0 0 0 0      | 0 0 0 0 0 0 0 0 | 0x4322
+ 1       | RST  | 0 bytes      | Empty           | 17186
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:999*/
+
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    token: new Buffer([]),
+    uri: '/observer',
+    observe: 0
+  };
+  var expectedResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest.id,
+    token: expectedRequest.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 10,
+    observe: 1,
+    payload: new Buffer('1')
+  };
+  var expectedDeregistrationRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0002,
+    token: expectedRequest.token,
+    uri: '/observer',
+    observe: 1
+  };
+  var expectedDeregistrationRst = {
+    type: Message.Type.RST,
+    code: Message.Code.EMPTY,
+    id: expectedDeregistrationRequest.id
+  };
+  var expectedConNotification = {
+    type: Message.Type.CON,
+    code: Message.Code.CONTENT,
+    id: 0x4322,
+    token: expectedRequest.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 10,
+    observe: 2,
+    payload: new Buffer('2')
+  };
+  var expectedNotificationRst = {
+    type: Message.Type.RST,
+    code: Message.Code.EMPTY,
+    id: expectedConNotification.id
+  };
+
+  ctx.reinitializeClient({deregister: true});
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResponse);
+  ctx.socket.expectRequest(1000, expectedDeregistrationRequest);
+  ctx.socket.scheduleResponse(1050, expectedDeregistrationRst);
+  ctx.socket.scheduleResponse(2050, expectedConNotification);
+  ctx.socket.expectRequest(2050, expectedNotificationRst);
+
+  var req = ctx.client.request(Message.fromObject(expectedRequest));
+  var eventSpy = sinon.spy(req, 'emit');
+  var cancelledAt = -1;
+
+  req.on('cancelled', function() { cancelledAt = Date.now(); });
+
+  setTimeout(function() { ctx.client.cancel(req); }, 1000);
+
+  ctx.tickAsync(1000);
+  ctx.tickAsync(50);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.callCount(eventSpy, 3);
+
+    eventSpy.args[0][0].should.be.equal('acknowledged');
+    eventSpy.args[1][0].should.be.equal('response');
+    eventSpy.args[2][0].should.be.equal('cancelled');
+
+    cancelledAt.should.be.equal(ctx.startTime + 1050);
+  };
+});
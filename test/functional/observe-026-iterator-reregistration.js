@@ -0,0 +1,211 @@
+/*
+ Continue the iteration over notifications of an observation handle after
+ the client registers the request again, because Max-Age of the last
+ notification ended:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 0
+ Uri-Path: observer
+ ==============================================================================
+
+ 2. Server adds the #1 request as an observer and sends a piggy-backed response
+ with Max-Age of 2 seconds. The iteration yields the response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 1
+ Content-Format: text/plain;charset=utf-8
+ Max-Age       : 2
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 1
+ ==============================================================================
+
+ 3. Server doesn't send any notification in 2 seconds, so the request emits
+ the `timeout` event and the client registers it again. The iteration doesn't
+ end:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 1 byte       | GET             | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 0
+ Uri-Path: observer
+ ==============================================================================
+
+ 4. Server responds to the #3 request. The iteration yields the response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 1 byte       | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 2
+ Content-Format: text/plain;charset=utf-8
+ Max-Age       : 2
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 2
+ ==============================================================================
+
+ 5. Iteration is ended, so the client cancels the observation.
+
+ 6. Server sends a confirmable notification:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x4321
+ 1       | CON  | 1 byte       | 2.05 Content    | 17185
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 3
+ Content-Format: text/plain;charset=utf-8
+ Max-Age       : 2
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 3
+ ==============================================================================
+
+ 7. Client rejects the #6 notification and doesn't register the request again
+ after its Max-Age ends:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 1  | 0 0 0 0      | 0 0 0 0 0 0 0 0 | 0x4321
+ 1       | RST  | 0 bytes      | Empty           | 17185
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var expectedRequest1 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    token: new Buffer([]),
+    uri: '/observer',
+    observe: 0
+  };
+  var expectedResponse1 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest1.id,
+    token: expectedRequest1.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 2,
+    observe: 1,
+    payload: new Buffer('1')
+  };
+  var expectedRequest2 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0002,
+    token: new Buffer([0x01]),
+    uri: '/observer',
+    observe: 0
+  };
+  var expectedResponse2 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest2.id,
+    token: expectedRequest2.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 2,
+    observe: 2,
+    payload: new Buffer('2')
+  };
+  var expectedConNotification = {
+    type: Message.Type.CON,
+    code: Message.Code.CONTENT,
+    id: 0x4321,
+    token: expectedRequest2.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 2,
+    observe: 3,
+    payload: new Buffer('3')
+  };
+  var expectedNotificationRst = {
+    type: Message.Type.RST,
+    code: Message.Code.EMPTY,
+    id: expectedConNotification.id
+  };
+
+  ctx.socket.expectRequest(expectedRequest1);
+  ctx.socket.scheduleResponse(50, expectedResponse1);
+  ctx.socket.expectRequest(2050, expectedRequest2);
+  ctx.socket.scheduleResponse(2100, expectedResponse2);
+  ctx.socket.scheduleResponse(3000, expectedConNotification);
+  ctx.socket.expectRequest(3000, expectedNotificationRst);
+
+  var observation = ctx.client.subscribe('/observer');
+  var notifications = [];
+  var returnSpy = sinon.spy();
+  var rejectSpy = sinon.spy();
+
+  observation.next()
+    .then(function(result)
+    {
+      notifications.push(result.value);
+
+      return observation.next();
+    })
+    .then(function(result)
+    {
+      notifications.push(result.value);
+
+      return observation.return();
+    })
+    .then(returnSpy, rejectSpy);
+
+  ctx.tickAsync(50);
+  ctx.tickAsync(2000);
+  ctx.tickAsync(50);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.notCalled(rejectSpy);
+    sinon.assert.calledOnce(returnSpy);
+
+    notifications.should.have.lengthOf(2);
+
+    sinon.assert.coapMessage(
+      notifications[0].response, expectedResponse1, "Invalid response #1."
+    );
+    sinon.assert.coapMessage(
+      notifications[1].response, expectedResponse2, "Invalid response #2."
+    );
+
+    observation.isEnded().should.be.equal(true);
+  };
+});
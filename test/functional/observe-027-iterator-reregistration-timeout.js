@@ -0,0 +1,132 @@
+/*
+ Reject the iteration over notifications of an observation handle with
+ a `TimeoutError` if the client fails to register the request again after
+ Max-Age of the last notification ended:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 0
+ Uri-Path: observer
+ ==============================================================================
+
+ 2. Server adds the #1 request as an observer and sends a piggy-backed response
+ with Max-Age of 2 seconds. The iteration yields the response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 1
+ Content-Format: text/plain;charset=utf-8
+ Max-Age       : 2
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 1
+ ==============================================================================
+
+ 3. Server doesn't send any notification in 2 seconds, so the request emits
+ the `timeout` event and the client registers it again. The iteration doesn't
+ end:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 1 byte       | GET             | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 0
+ Uri-Path: observer
+ ==============================================================================
+
+ 4. Server doesn't respond, so the client retransmits the #3 request 4 times.
+
+ 5. The request emits the `timeout` event again after the exchange timeout
+ and the iteration is rejected with a `TimeoutError`. Client doesn't send
+ anything else.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var expectedRequest1 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    token: new Buffer([]),
+    uri: '/observer',
+    observe: 0
+  };
+  var expectedResponse1 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest1.id,
+    token: expectedRequest1.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    maxAge: 2,
+    observe: 1,
+    payload: new Buffer('1')
+  };
+  var expectedRequest2 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0002,
+    token: new Buffer([0x01]),
+    uri: '/observer',
+    observe: 0
+  };
+
+  ctx.socket.expectRequest(expectedRequest1);
+  ctx.socket.scheduleResponse(50, expectedResponse1);
+  ctx.socket.expectRequest(2050, expectedRequest2);
+  ctx.socket.expectRequest(2050 + 2000, expectedRequest2);
+  ctx.socket.expectRequest(4050 + 4000, expectedRequest2);
+  ctx.socket.expectRequest(8050 + 8000, expectedRequest2);
+  ctx.socket.expectRequest(16050 + 16000, expectedRequest2);
+
+  var observation = ctx.client.subscribe('/observer');
+  var notificationSpy = sinon.spy();
+  var rejectSpy = sinon.spy();
+
+  observation.next()
+    .then(function(result)
+    {
+      notificationSpy(result.value);
+
+      return observation.next();
+    })
+    .then(notificationSpy, rejectSpy);
+
+  ctx.tickAsync(50);
+  ctx.tickAsync(2000);
+  ctx.tickAsync(62000);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(notificationSpy);
+    sinon.assert.calledOnce(rejectSpy);
+    sinon.assert.calledAt(rejectSpy, ctx.startTime + 64050);
+
+    rejectSpy.args[0][0].should.be.instanceOf(coap.errors.TimeoutError);
+    observation.isEnded().should.be.equal(true);
+  };
+});
@@ -0,0 +1,168 @@
+/*
+ Delay NON requests exceeding the probing rate of the endpoint (10 bytes per
+ second with a burst of 10 bytes):
+
+ 1. Client sends the first NON request (6 bytes) right away:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | NON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: a
+ ==============================================================================
+
+ 2. Client delays the second NON request (7 bytes) by 300 ms, because only
+ 4 bytes are left in the bucket. Client emits the `message delayed` event.
+
+ 3. Client delays the third NON request (7 bytes) by 1000 ms, because it has
+ to wait for the second one. Client emits the `message delayed` event.
+
+ 4. Server responds to the first request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x1001
+ 1       | NON  | 0 bytes      | 2.05 Content    | 4097
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ A
+ ==============================================================================
+
+ 5. After 300 ms, client sends the second request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | NON  | 1 byte       | GET             | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: b
+ ==============================================================================
+
+ 6. Server responds to the second request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x1002
+ 1       | NON  | 1 byte       | 2.05 Content    | 4098
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ B
+ ==============================================================================
+
+ 7. After 1000 ms, client sends the third request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0003
+ 1       | NON  | 1 byte       | GET             | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: c
+ ==============================================================================
+
+ 8. Server responds to the third request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x1003
+ 1       | NON  | 1 byte       | 2.05 Content    | 4099
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ C
+ ==============================================================================
+
+ 9. Every request emits the `response` event.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  ctx.reinitializeClient({nstart: 3, probingRate: 10, probingBurst: 10});
+
+  var expectedRequests = ['a', 'b', 'c'].map(function(path, i)
+  {
+    return {
+      type: Message.Type.NON,
+      code: Message.Code.GET,
+      id: i + 1,
+      token: i === 0 ? new Buffer([]) : new Buffer([i]),
+      uri: '/' + path
+    };
+  });
+  var expectedResponses = ['A', 'B', 'C'].map(function(payload, i)
+  {
+    return {
+      type: Message.Type.NON,
+      code: Message.Code.CONTENT,
+      id: 0x1001 + i,
+      token: expectedRequests[i].token,
+      payload: payload
+    };
+  });
+
+  ctx.socket.expectRequest(expectedRequests[0]);
+  ctx.socket.scheduleResponse(10, expectedResponses[0]);
+  ctx.socket.expectRequest(300, expectedRequests[1]);
+  ctx.socket.scheduleResponse(310, expectedResponses[1]);
+  ctx.socket.expectRequest(1000, expectedRequests[2]);
+  ctx.socket.scheduleResponse(1010, expectedResponses[2]);
+
+  var delayedSpy = sinon.spy();
+
+  ctx.client.on('message delayed', delayedSpy);
+
+  var responseSpies = expectedRequests.map(function(expectedRequest)
+  {
+    var responseSpy = sinon.spy();
+
+    ctx.client.request(Message.fromObject({
+      type: Message.Type.NON,
+      code: Message.Code.GET,
+      uri: expectedRequest.uri
+    })).on('response', responseSpy);
+
+    return responseSpy;
+  });
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    responseSpies.forEach(function(responseSpy, i)
+    {
+      sinon.assert.calledOnce(responseSpy);
+      sinon.assert.coapMessage(
+        responseSpy.args[0][0],
+        expectedResponses[i],
+        "Invalid `response` (#" + (i + 1) + ")."
+      );
+    });
+
+    sinon.assert.calledTwice(delayedSpy);
+    delayedSpy.args[0][0].getUriPath().should.be.equal('/b');
+    delayedSpy.args[0][1].should.be.equal(300);
+    delayedSpy.args[1][0].getUriPath().should.be.equal('/c');
+    delayedSpy.args[1][1].should.be.equal(1000);
+  };
+});
@@ -0,0 +1,121 @@
+/*
+ Reject NON requests exceeding the probing rate of the endpoint (10 bytes per
+ second with a burst of 10 bytes), if the `reject` probing policy is used:
+
+ 1. Client sends the first NON request (6 bytes) right away:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | NON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: a
+ ==============================================================================
+
+ 2. Client doesn't send the second NON request (7 bytes), because only 4 bytes
+ are left in the bucket. Client emits the `message rejected` event and
+ the request emits the `error` event with a `ProbingRateError`.
+
+ 3. Server responds to the first request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x1001
+ 1       | NON  | 0 bytes      | 2.05 Content    | 4097
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ A
+ ==============================================================================
+
+ 4. The first request emits the `response` event.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  ctx.reinitializeClient({
+    nstart: 3,
+    probingRate: 10,
+    probingBurst: 10,
+    probingPolicy: 'reject'
+  });
+
+  var expectedRequest = {
+    type: Message.Type.NON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    token: new Buffer([]),
+    uri: '/a'
+  };
+  var expectedResponse = {
+    type: Message.Type.NON,
+    code: Message.Code.CONTENT,
+    id: 0x1001,
+    token: expectedRequest.token,
+    payload: 'A'
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(10, expectedResponse);
+
+  var rejectedSpy = sinon.spy();
+
+  ctx.client.on('message rejected', rejectedSpy);
+
+  var req1 = ctx.client.request(Message.fromObject({
+    type: Message.Type.NON,
+    code: Message.Code.GET,
+    uri: '/a'
+  }));
+  var req2 = ctx.client.request(Message.fromObject({
+    type: Message.Type.NON,
+    code: Message.Code.GET,
+    uri: '/b'
+  }));
+
+  var req1Spy = sinon.spy(req1, 'emit');
+  var errorSpy = sinon.spy();
+
+  req2.on('error', errorSpy);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(req1Spy);
+    req1Spy.args[0][0].should.be.equal('response');
+    sinon.assert.coapMessage(
+      req1Spy.args[0][1], expectedResponse, "Invalid `response`."
+    );
+
+    sinon.assert.calledOnce(errorSpy);
+
+    var err = errorSpy.args[0][0];
+
+    err.should.be.instanceOf(coap.errors.ProbingRateError);
+    err.request.should.be.equal(req2);
+    err.delay.should.be.equal(300);
+    err.message.should.be.equal(
+      "Probing rate of 127.0.0.1 exceeded"
+        + " (the request could be sent in 300 ms)."
+    );
+
+    sinon.assert.calledOnce(rejectedSpy);
+    rejectedSpy.args[0][0].should.be.equal(req2);
+    rejectedSpy.args[0][1].should.be.equal(err);
+  };
+});
@@ -0,0 +1,171 @@
+/*
+ Limit CON requests to an endpoint that doesn't answer to the probing rate
+ (10 bytes per second with a burst of 10 bytes):
+
+ 1. Client sends the first CON request (6 bytes). The endpoint isn't known
+ to be unresponsive, so the probing rate doesn't apply:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: a
+ ==============================================================================
+
+ 2. After 2000 ms, client retransmits the first request (the retransmission
+ isn't limited).
+
+ 3. After 2100 ms, client sends the second CON request (7 bytes), because it's
+ within the burst:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 1 byte       | GET             | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: b
+ ==============================================================================
+
+ 4. Client delays the third CON request (7 bytes) by 400 ms, because only
+ 3 bytes are left in the bucket. Client emits the `message delayed` event.
+
+ 5. After 2500 ms, client sends the third request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0003
+ 1       | CON  | 1 byte       | GET             | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: c
+ ==============================================================================
+
+ 6. Server responds to all requests:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ A
+ ==============================================================================
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 1 byte       | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ B
+ ==============================================================================
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0003
+ 1       | ACK  | 1 byte       | 2.05 Content    | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ C
+ ==============================================================================
+
+ 7. Every request emits the `response` event.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  ctx.reinitializeClient({nstart: 3, probingRate: 10, probingBurst: 10});
+
+  var expectedRequests = ['a', 'b', 'c'].map(function(path, i)
+  {
+    return {
+      type: Message.Type.CON,
+      code: Message.Code.GET,
+      id: i + 1,
+      token: i === 0 ? new Buffer([]) : new Buffer([i]),
+      uri: '/' + path
+    };
+  });
+  var expectedResponses = ['A', 'B', 'C'].map(function(payload, i)
+  {
+    return {
+      type: Message.Type.ACK,
+      code: Message.Code.CONTENT,
+      id: i + 1,
+      token: expectedRequests[i].token,
+      payload: payload
+    };
+  });
+
+  ctx.socket.expectRequest(expectedRequests[0]);
+  ctx.socket.expectRequest(2000, expectedRequests[0]);
+  ctx.socket.expectRequest(2100, expectedRequests[1]);
+  ctx.socket.expectRequest(2500, expectedRequests[2]);
+  expectedResponses.forEach(function(expectedResponse)
+  {
+    ctx.socket.scheduleResponse(2600, expectedResponse);
+  });
+
+  var delayedSpy = sinon.spy();
+
+  ctx.client.on('message delayed', delayedSpy);
+
+  var responseSpies = [];
+  var getWithResponseSpy = function(uri)
+  {
+    var responseSpy = sinon.spy();
+
+    ctx.client.get(uri).on('response', responseSpy);
+
+    responseSpies.push(responseSpy);
+  };
+
+  getWithResponseSpy('/a');
+
+  setTimeout(function()
+  {
+    getWithResponseSpy('/b');
+    getWithResponseSpy('/c');
+  }, 2100);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    responseSpies.forEach(function(responseSpy, i)
+    {
+      sinon.assert.calledOnce(responseSpy);
+      sinon.assert.coapMessage(
+        responseSpy.args[0][0],
+        expectedResponses[i],
+        "Invalid `response` (#" + (i + 1) + ")."
+      );
+    });
+
+    sinon.assert.calledOnce(delayedSpy);
+    delayedSpy.args[0][0].getUriPath().should.be.equal('/c');
+    delayedSpy.args[0][1].should.be.equal(400);
+  };
+});
@@ -0,0 +1,169 @@
+/*
+ Queue requests to an endpoint with NSTART outstanding interactions (the
+ client's `nstart` option is set to 1):
+
+ 1. Client sends the first request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: a
+ ==============================================================================
+
+ 2. Client queues the second and the third request, because there already is
+ one (NSTART) outstanding interaction with the endpoint. Client emits
+ the `queue depth` event twice (1 and 2).
+
+ 3. Server responds to the first request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ A
+ ==============================================================================
+
+ 4. Client receives the #3 response. Request emits the `response` event.
+ Client emits the `queue depth` event (1) and sends the second request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 1 byte       | GET             | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: b
+ ==============================================================================
+
+ 5. Server responds to the second request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 1 byte       | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ B
+ ==============================================================================
+
+ 6. Client receives the #5 response. Request emits the `response` event.
+ Client emits the `queue depth` event (0) and sends the third request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0003
+ 1       | CON  | 1 byte       | GET             | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: c
+ ==============================================================================
+
+ 7. Server responds to the third request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0003
+ 1       | ACK  | 1 byte       | 2.05 Content    | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ C
+ ==============================================================================
+
+ 8. Client receives the #7 response. Request emits the `response` event.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  ctx.reinitializeClient({nstart: 1});
+
+  var expectedRequests = ['a', 'b', 'c'].map(function(path, i)
+  {
+    return {
+      type: Message.Type.CON,
+      code: Message.Code.GET,
+      id: i + 1,
+      token: i === 0 ? new Buffer([]) : new Buffer([i]),
+      uri: '/' + path
+    };
+  });
+  var expectedResponses = ['A', 'B', 'C'].map(function(payload, i)
+  {
+    return {
+      type: Message.Type.ACK,
+      code: Message.Code.CONTENT,
+      id: i + 1,
+      token: expectedRequests[i].token,
+      payload: payload
+    };
+  });
+
+  ctx.socket.expectRequest(expectedRequests[0]);
+  ctx.socket.scheduleResponse(50, expectedResponses[0]);
+  ctx.socket.expectRequest(50, expectedRequests[1]);
+  ctx.socket.scheduleResponse(100, expectedResponses[1]);
+  ctx.socket.expectRequest(100, expectedRequests[2]);
+  ctx.socket.scheduleResponse(150, expectedResponses[2]);
+
+  var queueDepthSpy = sinon.spy();
+
+  ctx.client.on('queue depth', queueDepthSpy);
+
+  var responseSpies = ['/a', '/b', '/c'].map(function(uri)
+  {
+    var responseSpy = sinon.spy();
+
+    ctx.client.get(uri).on('response', responseSpy);
+
+    return responseSpy;
+  });
+
+  ctx.client.getQueueDepth('127.0.0.1').should.be.equal(2);
+  ctx.client.getOutstandingCount('127.0.0.1').should.be.equal(1);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    responseSpies.forEach(function(responseSpy, i)
+    {
+      sinon.assert.calledOnce(responseSpy);
+      sinon.assert.coapMessage(
+        responseSpy.args[0][0],
+        expectedResponses[i],
+        "Invalid `response` (#" + (i + 1) + ")."
+      );
+    });
+
+    sinon.assert.callCount(queueDepthSpy, 4);
+    queueDepthSpy.args.map(function(args) { return args[1]; })
+      .should.be.eql([1, 2, 1, 0]);
+    queueDepthSpy.args[0][0].toString().should.be.equal('127.0.0.1');
+
+    ctx.client.getQueueDepth('127.0.0.1').should.be.equal(0);
+    ctx.client.getOutstandingCount('127.0.0.1').should.be.equal(0);
+  };
+});
@@ -0,0 +1,92 @@
+/*
+ Cancel a queued request (the client's `nstart` option is set to 1):
+
+ 1. Client sends the first request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: a
+ ==============================================================================
+
+ 2. Client queues the second request. Client emits the `queue depth`
+ event (1).
+
+ 3. The second request is cancelled. Client removes it from the queue
+ and emits the `queue depth` event (0). Request emits the `cancelled` event.
+
+ 4. Server responds to the first request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ A
+ ==============================================================================
+
+ 5. Client receives the #4 response. Request emits the `response` event.
+ The second request is never sent.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  ctx.reinitializeClient({nstart: 1});
+
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    uri: '/a'
+  };
+  var expectedResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest.id,
+    payload: 'A'
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResponse);
+
+  var queueDepthSpy = sinon.spy();
+
+  ctx.client.on('queue depth', queueDepthSpy);
+
+  var req1 = ctx.client.get('/a');
+  var req2 = ctx.client.get('/b');
+
+  var req1EventSpy = sinon.spy(req1, 'emit');
+  var req2EventSpy = sinon.spy(req2, 'emit');
+
+  ctx.client.cancel(req2);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.callCount(queueDepthSpy, 2);
+    sinon.assert.calledWith(queueDepthSpy, sinon.match.any, 1);
+    sinon.assert.calledWith(queueDepthSpy, sinon.match.any, 0);
+
+    sinon.assert.calledOnce(req2EventSpy);
+    sinon.assert.calledWith(req2EventSpy, 'cancelled');
+
+    sinon.assert.calledWith(req1EventSpy, 'response');
+  };
+});
@@ -0,0 +1,110 @@
+/*
+ Send a queued request after the outstanding interaction times out (the
+ client's `nstart` option is set to 1):
+
+ 1. Client sends the first request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: a
+ ==============================================================================
+
+ 2. Client queues the second request.
+
+ 3. The first request and its retransmissions are lost along the way...
+
+ 4. The first request times out after 62 s. Request emits the `timeout`
+ event.
+
+ 5. Client sends the second request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 1 byte       | GET             | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: b
+ ==============================================================================
+
+ 6. Server responds to the second request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 1 byte       | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ B
+ ==============================================================================
+
+ 7. Client receives the #6 response. Request emits the `response` event.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  ctx.reinitializeClient({nstart: 1});
+
+  var expectedRequest1 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    uri: '/a'
+  };
+  var expectedRequest2 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0002,
+    token: new Buffer([0x01]),
+    uri: '/b'
+  };
+  var expectedResponse2 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest2.id,
+    token: expectedRequest2.token,
+    payload: 'B'
+  };
+
+  ctx.socket.expectRequest(expectedRequest1);
+  ctx.socket.expectRequest(2000, expectedRequest1);          // Retransmit #1
+  ctx.socket.expectRequest(2000 + 4000, expectedRequest1);   // Retransmit #2
+  ctx.socket.expectRequest(6000 + 8000, expectedRequest1);   // Retransmit #3
+  ctx.socket.expectRequest(14000 + 16000, expectedRequest1); // Retransmit #4
+  ctx.socket.expectRequest(62000, expectedRequest2);
+  ctx.socket.scheduleResponse(62050, expectedResponse2);
+
+  var timeoutSpy = sinon.spy();
+  var responseSpy = sinon.spy();
+
+  ctx.client.get('/a').on('timeout', timeoutSpy);
+  ctx.client.get('/b').on('response', responseSpy);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(timeoutSpy);
+    sinon.assert.calledOnce(responseSpy);
+    sinon.assert.coapMessage(
+      responseSpy.args[0][0], expectedResponse2, "Invalid `response`."
+    );
+  };
+});
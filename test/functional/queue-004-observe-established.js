@@ -0,0 +1,132 @@
+/*
+ Send a queued request after an observation is established (the client's
+ `nstart` option is set to 1):
+
+ 1. Client sends an Observe request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 0
+ Uri-Path: temperature
+ ==============================================================================
+
+ 2. Client queues a request to the same endpoint.
+
+ 3. Server responds with the first notification:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe: 1
+ ------------------------------------------------------------------------------
+ Payload (4 bytes)
+ 21.5
+ ==============================================================================
+
+ 4. Client receives the #3 notification. Request emits the `response` event.
+ The observation is established, so it's no longer an outstanding interaction
+ and client sends the queued request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 1 byte       | GET             | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: humidity
+ ==============================================================================
+
+ 5. Server responds to the #4 request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 1 byte       | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (2 bytes)
+ 40
+ ==============================================================================
+
+ 6. Client receives the #5 response. Request emits the `response` event.
+
+ 7. The observation is cancelled.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  ctx.reinitializeClient({nstart: 1});
+
+  var expectedObserveRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    uri: '/temperature',
+    observe: 0
+  };
+  var expectedNotification = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedObserveRequest.id,
+    observe: 1,
+    payload: '21.5'
+  };
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0002,
+    token: new Buffer([0x01]),
+    uri: '/humidity'
+  };
+  var expectedResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedRequest.id,
+    token: expectedRequest.token,
+    payload: '40'
+  };
+
+  ctx.socket.expectRequest(expectedObserveRequest);
+  ctx.socket.scheduleResponse(50, expectedNotification);
+  ctx.socket.expectRequest(50, expectedRequest);
+  ctx.socket.scheduleResponse(100, expectedResponse);
+
+  var observeReq = ctx.client.observe('/temperature');
+  var notificationSpy = sinon.spy();
+  var responseSpy = sinon.spy();
+
+  observeReq.on('response', notificationSpy);
+  ctx.client.get('/humidity').on('response', responseSpy);
+
+  setTimeout(function() { ctx.client.cancel(observeReq); }, 200);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(notificationSpy);
+    sinon.assert.calledOnce(responseSpy);
+    sinon.assert.coapMessage(
+      responseSpy.args[0][0], expectedResponse, "Invalid `response`."
+    );
+  };
+});
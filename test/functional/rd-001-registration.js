@@ -0,0 +1,242 @@
+/*
+ Register an endpoint with a resource directory, refresh the registration
+ before its lifetime expires and remove it:
+
+ 1. Client discovers the resource directory's interfaces:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : .well-known
+ Uri-Path : core
+ Uri-Query: rt=core.rd*
+ Accept   : application/link-format
+ ==============================================================================
+
+ 2. Resource directory responds with its interfaces:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (110 bytes)
+ </rd>;rt="core.rd";ct=40,
+ </rd-lookup/ep>;rt="core.rd-lookup-ep",
+ </rd-lookup/res>;rt="core.rd-lookup-res";ct=40
+ ==============================================================================
+
+ 3. Client registers the endpoint's links at the registration interface:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x0002
+ 1       | CON  | 1 byte       | POST            | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path      : rd
+ Content-Format: application/link-format
+ Uri-Query     : ep=node1
+ Uri-Query     : lt=60
+ Uri-Query     : d=lab
+ ------------------------------------------------------------------------------
+ Payload (60 bytes)
+ </sensors/temp>;rt="temperature-c";obs,
+ </sensors/light>;ct=0
+ ==============================================================================
+
+ 4. Resource directory responds with a location of the registration
+ resource. The `registered` event is emitted:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 0 0 1 | 0x0002
+ 1       | ACK  | 1 byte       | 2.01 Created    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Location-Path: rd
+ Location-Path: 4521
+ ==============================================================================
+
+ 5. After 90% of the lifetime (54 s), client refreshes the registration:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 1 0 | 0x0003
+ 1       | CON  | 0 bytes      | POST            | 3
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: rd
+ Uri-Path: 4521
+ ==============================================================================
+
+ 6. Resource directory responds with a 2.04 Changed. The `refreshed` event
+ is emitted:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 0 | 0x0003
+ 1       | ACK  | 0 bytes      | 2.04 Changed    | 3
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+
+ 7. The registration is removed:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 1 0 0 | 0x0004
+ 1       | CON  | 1 byte       | DELETE          | 4
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: rd
+ Uri-Path: 4521
+ ==============================================================================
+
+ 8. Resource directory responds with a 2.02 Deleted. The `unregistered` event
+ is emitted and no more refreshes are sent:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 0 1 0 | 0x0004
+ 1       | ACK  | 1 byte       | 2.02 Deleted    | 4
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var rdClient = new coap.ResourceDirectoryClient(ctx.client, {
+    rd: 'coap://127.0.0.1',
+    ep: 'node1',
+    d: 'lab',
+    lt: 60,
+    links: [
+      {href: '/sensors/temp', rt: 'temperature-c', obs: true},
+      {href: '/sensors/light', ct: 0}
+    ]
+  });
+  var location = 'coap://127.0.0.1/rd/4521';
+  var rdEventSpy = sinon.spy(rdClient, 'emit');
+  var unregisterCallback = sinon.spy();
+
+  ctx.socket.expectRequest(0, {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    uri: '/.well-known/core?rt=core.rd*',
+    accept: 'application/link-format'
+  });
+  ctx.socket.scheduleResponse(50, {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: 0x0001,
+    contentFormat: 'application/link-format',
+    payload: new Buffer(
+      '</rd>;rt="core.rd";ct=40,'
+        + '</rd-lookup/ep>;rt="core.rd-lookup-ep",'
+        + '</rd-lookup/res>;rt="core.rd-lookup-res";ct=40'
+    )
+  });
+  ctx.socket.expectRequest(50, {
+    type: Message.Type.CON,
+    code: Message.Code.POST,
+    id: 0x0002,
+    token: new Buffer([0x01]),
+    uri: '/rd?ep=node1&lt=60&d=lab',
+    contentFormat: 'application/link-format',
+    payload: new Buffer(
+      '</sensors/temp>;rt="temperature-c";obs,</sensors/light>;ct=0'
+    )
+  });
+  ctx.socket.scheduleResponse(100, {
+    type: Message.Type.ACK,
+    code: Message.Code.CREATED,
+    id: 0x0002,
+    token: new Buffer([0x01]),
+    locationPath: '/rd/4521'
+  });
+  ctx.socket.expectRequest(54100, {
+    type: Message.Type.CON,
+    code: Message.Code.POST,
+    id: 0x0003,
+    uri: '/rd/4521',
+    payload: new Buffer(0)
+  });
+  ctx.socket.scheduleResponse(54150, {
+    type: Message.Type.ACK,
+    code: Message.Code.CHANGED,
+    id: 0x0003
+  });
+  ctx.socket.expectRequest(60000, {
+    type: Message.Type.CON,
+    code: Message.Code.DELETE,
+    id: 0x0004,
+    token: new Buffer([0x02]),
+    uri: '/rd/4521'
+  });
+  ctx.socket.scheduleResponse(60050, {
+    type: Message.Type.ACK,
+    code: Message.Code.DELETED,
+    id: 0x0004,
+    token: new Buffer([0x02])
+  });
+
+  rdClient.register();
+
+  setTimeout(function()
+  {
+    rdClient.isRegistered().should.be.equal(true);
+    rdClient.getLocation().should.be.equal(location);
+    rdClient.unregister(unregisterCallback);
+  }, 60000);
+
+  ctx.tickAsync(50);
+  ctx.tickAsync(50);
+  ctx.tickAsync(54000);
+  ctx.tickAsync(50);
+  ctx.tickAsync(5850);
+  ctx.tickAsync(50);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.callCount(rdEventSpy, 3);
+
+    sinon.assert.calledWithExactly(rdEventSpy, 'registered', location);
+    sinon.assert.calledAt(rdEventSpy, 1, ctx.startTime + 100);
+
+    sinon.assert.calledWithExactly(rdEventSpy, 'refreshed', location);
+    sinon.assert.calledAt(rdEventSpy, 2, ctx.startTime + 54150);
+
+    sinon.assert.calledWithExactly(rdEventSpy, 'unregistered', location);
+    sinon.assert.calledAt(rdEventSpy, 3, ctx.startTime + 60050);
+
+    sinon.assert.calledOnce(unregisterCallback);
+    sinon.assert.calledWithExactly(unregisterCallback, null);
+
+    rdClient.isRegistered().should.be.equal(false);
+  };
+});
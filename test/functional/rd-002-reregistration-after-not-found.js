@@ -0,0 +1,223 @@
+/*
+ Register the endpoint again if the resource directory responds to
+ a registration refresh with a 4.04 Not Found (e.g. because it was restarted
+ and lost its registrations):
+
+ 1. Client discovers the resource directory's interfaces:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : .well-known
+ Uri-Path : core
+ Uri-Query: rt=core.rd*
+ Accept   : application/link-format
+ ==============================================================================
+
+ 2. Resource directory responds with its interfaces:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (24 bytes)
+ </rd>;rt="core.rd";ct=40
+ ==============================================================================
+
+ 3. Client registers the endpoint:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x0002
+ 1       | CON  | 1 byte       | POST            | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path      : rd
+ Content-Format: application/link-format
+ Uri-Query     : ep=node1
+ Uri-Query     : lt=60
+ ------------------------------------------------------------------------------
+ Payload (34 bytes)
+ </sensors/temp>;rt="temperature-c"
+ ==============================================================================
+
+ 4. Resource directory responds with a location of the registration:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 0 0 1 | 0x0002
+ 1       | ACK  | 1 byte       | 2.01 Created    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Location-Path: rd
+ Location-Path: 1
+ ==============================================================================
+
+ 5. After 54 s, client refreshes the registration:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 1 0 | 0x0003
+ 1       | CON  | 0 bytes      | POST            | 3
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: rd
+ Uri-Path: 1
+ ==============================================================================
+
+ 6. Resource directory doesn't know the registration:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 1 0 0 0 0 1 0 0 | 0x0003
+ 1       | ACK  | 0 bytes      | 4.04 Not Found  | 3
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+
+ 7. The `expired` event is emitted and client registers the endpoint again
+ (the registration interface is not discovered again):
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x0004
+ 1       | CON  | 1 byte       | POST            | 4
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path      : rd
+ Content-Format: application/link-format
+ Uri-Query     : ep=node1
+ Uri-Query     : lt=60
+ ------------------------------------------------------------------------------
+ Payload (34 bytes)
+ </sensors/temp>;rt="temperature-c"
+ ==============================================================================
+
+ 8. Resource directory responds with a location of the new registration:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 0 0 1 | 0x0004
+ 1       | ACK  | 1 byte       | 2.01 Created    | 4
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Location-Path: rd
+ Location-Path: 2
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var rdClient = new coap.ResourceDirectoryClient(ctx.client, {
+    rd: 'coap://127.0.0.1',
+    ep: 'node1',
+    lt: 60,
+    links: [{href: '/sensors/temp', rt: 'temperature-c'}]
+  });
+  var rdEventSpy = sinon.spy(rdClient, 'emit');
+
+  function expectRegistrationRequest(delay, id, token)
+  {
+    ctx.socket.expectRequest(delay, {
+      type: Message.Type.CON,
+      code: Message.Code.POST,
+      id: id,
+      token: new Buffer([token]),
+      uri: '/rd?ep=node1&lt=60',
+      contentFormat: 'application/link-format',
+      payload: new Buffer('</sensors/temp>;rt="temperature-c"')
+    });
+  }
+
+  ctx.socket.expectRequest(0, {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    uri: '/.well-known/core?rt=core.rd*'
+  });
+  ctx.socket.scheduleResponse(50, {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: 0x0001,
+    contentFormat: 'application/link-format',
+    payload: new Buffer('</rd>;rt="core.rd";ct=40')
+  });
+
+  expectRegistrationRequest(50, 0x0002, 0x01);
+  ctx.socket.scheduleResponse(100, {
+    type: Message.Type.ACK,
+    code: Message.Code.CREATED,
+    id: 0x0002,
+    token: new Buffer([0x01]),
+    locationPath: '/rd/1'
+  });
+
+  ctx.socket.expectRequest(54100, {
+    type: Message.Type.CON,
+    code: Message.Code.POST,
+    id: 0x0003,
+    uri: '/rd/1'
+  });
+  ctx.socket.scheduleResponse(54150, {
+    type: Message.Type.ACK,
+    code: Message.Code.NOT_FOUND,
+    id: 0x0003
+  });
+
+  expectRegistrationRequest(54150, 0x0004, 0x02);
+  ctx.socket.scheduleResponse(54200, {
+    type: Message.Type.ACK,
+    code: Message.Code.CREATED,
+    id: 0x0004,
+    token: new Buffer([0x02]),
+    locationPath: '/rd/2'
+  });
+
+  rdClient.register();
+
+  setTimeout(rdClient.destroy.bind(rdClient), 60000);
+
+  ctx.tickAsync(50);
+  ctx.tickAsync(50);
+  ctx.tickAsync(54000);
+  ctx.tickAsync(50);
+  ctx.tickAsync(50);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.callCount(rdEventSpy, 3);
+
+    rdEventSpy.args[0].should.be.eql(['registered', 'coap://127.0.0.1/rd/1']);
+    sinon.assert.calledAt(rdEventSpy, 1, ctx.startTime + 100);
+
+    rdEventSpy.args[1].should.be.eql(['expired']);
+    sinon.assert.calledAt(rdEventSpy, 2, ctx.startTime + 54150);
+
+    rdEventSpy.args[2].should.be.eql(['registered', 'coap://127.0.0.1/rd/2']);
+    sinon.assert.calledAt(rdEventSpy, 3, ctx.startTime + 54200);
+  };
+});
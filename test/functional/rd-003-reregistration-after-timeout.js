@@ -0,0 +1,213 @@
+/*
+ Retry the registration after the `retryDelay` if the registration request
+ times out. The resource directory's interfaces are discovered again, because
+ the directory might have moved:
+
+ 1. Client discovers the resource directory's interfaces:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : .well-known
+ Uri-Path : core
+ Uri-Query: rt=core.rd*
+ Accept   : application/link-format
+ ==============================================================================
+
+ 2. Resource directory responds with its interfaces:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (24 bytes)
+ </rd>;rt="core.rd";ct=40
+ ==============================================================================
+
+ 3. Client registers the endpoint:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x0002
+ 1       | CON  | 1 byte       | POST            | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path      : rd
+ Content-Format: application/link-format
+ Uri-Query     : ep=node1
+ Uri-Query     : lt=60
+ ------------------------------------------------------------------------------
+ Payload (15 bytes)
+ </sensors/temp>
+ ==============================================================================
+
+ 4. Client retransmits the request 4 times, but doesn't receive any response.
+ The `registration failed` event is emitted after 62 s.
+
+ 5. After 10 s, client discovers the resource directory's interfaces again:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0003
+ 1       | CON  | 0 bytes      | GET             | 3
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : .well-known
+ Uri-Path : core
+ Uri-Query: rt=core.rd*
+ Accept   : application/link-format
+ ==============================================================================
+
+ 6. Resource directory responds with its interfaces:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0003
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 3
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (24 bytes)
+ </rd>;rt="core.rd";ct=40
+ ==============================================================================
+
+ 7. Client registers the endpoint again:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x0004
+ 1       | CON  | 1 byte       | POST            | 4
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path      : rd
+ Content-Format: application/link-format
+ Uri-Query     : ep=node1
+ Uri-Query     : lt=60
+ ------------------------------------------------------------------------------
+ Payload (15 bytes)
+ </sensors/temp>
+ ==============================================================================
+
+ 8. Resource directory responds with a location of the registration:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 0 0 1 | 0x0004
+ 1       | ACK  | 1 byte       | 2.01 Created    | 4
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Location-Path: rd
+ Location-Path: 1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var rdClient = new coap.ResourceDirectoryClient(ctx.client, {
+    rd: 'coap://127.0.0.1',
+    ep: 'node1',
+    lt: 60,
+    links: [{href: '/sensors/temp'}],
+    retryDelay: 10000
+  });
+  var rdEventSpy = sinon.spy(rdClient, 'emit');
+
+  function expectDiscovery(delay, id)
+  {
+    ctx.socket.expectRequest(delay, {
+      type: Message.Type.CON,
+      code: Message.Code.GET,
+      id: id,
+      uri: '/.well-known/core?rt=core.rd*'
+    });
+    ctx.socket.scheduleResponse(delay + 50, {
+      type: Message.Type.ACK,
+      code: Message.Code.CONTENT,
+      id: id,
+      contentFormat: 'application/link-format',
+      payload: new Buffer('</rd>;rt="core.rd";ct=40')
+    });
+  }
+
+  function expectRegistrationRequest(delay, id, token)
+  {
+    ctx.socket.expectRequest(delay, {
+      type: Message.Type.CON,
+      code: Message.Code.POST,
+      id: id,
+      token: new Buffer([token]),
+      uri: '/rd?ep=node1&lt=60',
+      contentFormat: 'application/link-format',
+      payload: new Buffer('</sensors/temp>')
+    });
+  }
+
+  expectDiscovery(0, 0x0001);
+
+  expectRegistrationRequest(50, 0x0002, 0x01);
+  expectRegistrationRequest(50 + 2000, 0x0002, 0x01);
+  expectRegistrationRequest(2050 + 4000, 0x0002, 0x01);
+  expectRegistrationRequest(6050 + 8000, 0x0002, 0x01);
+  expectRegistrationRequest(14050 + 16000, 0x0002, 0x01);
+
+  expectDiscovery(62050 + 10000, 0x0003);
+
+  expectRegistrationRequest(72100, 0x0004, 0x02);
+  ctx.socket.scheduleResponse(72150, {
+    type: Message.Type.ACK,
+    code: Message.Code.CREATED,
+    id: 0x0004,
+    token: new Buffer([0x02]),
+    locationPath: '/rd/1'
+  });
+
+  rdClient.register();
+
+  setTimeout(rdClient.destroy.bind(rdClient), 80000);
+
+  ctx.tickAsync(50);
+  ctx.tickAsync(62000);
+  ctx.tickAsync(10000);
+  ctx.tickAsync(50);
+  ctx.tickAsync(50);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.callCount(rdEventSpy, 2);
+
+    rdEventSpy.args[0][0].should.be.equal('registration failed');
+    rdEventSpy.args[0][1].should.be.instanceOf(Error);
+    rdEventSpy.args[0][1].message.should.be.equal(
+      "Request to the resource directory timed out."
+    );
+    sinon.assert.calledAt(rdEventSpy, 1, ctx.startTime + 62050);
+
+    rdEventSpy.args[1].should.be.eql(['registered', 'coap://127.0.0.1/rd/1']);
+    sinon.assert.calledAt(rdEventSpy, 2, ctx.startTime + 72150);
+  };
+});
@@ -0,0 +1,205 @@
+/*
+ Find resources and endpoints registered in a resource directory:
+
+ 1. Client discovers the resource directory's interfaces:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : .well-known
+ Uri-Path : core
+ Uri-Query: rt=core.rd*
+ Accept   : application/link-format
+ ==============================================================================
+
+ 2. Resource directory responds with its interfaces:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (110 bytes)
+ </rd>;rt="core.rd";ct=40,
+ </rd-lookup/ep>;rt="core.rd-lookup-ep",
+ </rd-lookup/res>;rt="core.rd-lookup-res";ct=40
+ ==============================================================================
+
+ 3. Client requests the resource lookup interface:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 1 byte       | GET             | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : rd-lookup
+ Uri-Path : res
+ Uri-Query: rt=temperature*
+ Accept   : application/link-format
+ ==============================================================================
+
+ 4. Resource directory responds with the matching resources:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 1 byte       | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (82 bytes)
+ <coap://192.168.1.10/sensors/temp>;rt="temperature-c";anchor="coap://192.168.1.10"
+ ==============================================================================
+
+ 5. Callback of the resource lookup is called with the links and client
+ requests the endpoint lookup interface (the interfaces are not discovered
+ again):
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0003
+ 1       | CON  | 1 byte       | GET             | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : rd-lookup
+ Uri-Path : ep
+ Uri-Query: d=lab
+ Accept   : application/link-format
+ ==============================================================================
+
+ 6. Resource directory responds with the matching endpoints:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0003
+ 1       | ACK  | 1 byte       | 2.05 Content    | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (56 bytes)
+ </rd/4521>;ep="node1";d="lab";base="coap://192.168.1.10"
+ ==============================================================================
+
+ 7. Callback of the endpoint lookup is called with the links.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var rdClient = new coap.ResourceDirectoryClient(ctx.client, {
+    rd: 'coap://127.0.0.1',
+    ep: 'node2'
+  });
+  var resourceLookupCallback = sinon.spy(function()
+  {
+    rdClient.lookupEndpoints({d: 'lab'}, endpointLookupCallback);
+  });
+  var endpointLookupCallback = sinon.spy();
+
+  ctx.socket.expectRequest(0, {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    uri: '/.well-known/core?rt=core.rd*'
+  });
+  ctx.socket.scheduleResponse(50, {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: 0x0001,
+    contentFormat: 'application/link-format',
+    payload: new Buffer(
+      '</rd>;rt="core.rd";ct=40,'
+        + '</rd-lookup/ep>;rt="core.rd-lookup-ep",'
+        + '</rd-lookup/res>;rt="core.rd-lookup-res";ct=40'
+    )
+  });
+  ctx.socket.expectRequest(50, {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0002,
+    token: new Buffer([0x01]),
+    uri: '/rd-lookup/res?rt=temperature*',
+    accept: 'application/link-format'
+  });
+  ctx.socket.scheduleResponse(100, {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: 0x0002,
+    token: new Buffer([0x01]),
+    contentFormat: 'application/link-format',
+    payload: new Buffer(
+      '<coap://192.168.1.10/sensors/temp>;rt="temperature-c";'
+        + 'anchor="coap://192.168.1.10"'
+    )
+  });
+  ctx.socket.expectRequest(100, {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0003,
+    token: new Buffer([0x02]),
+    uri: '/rd-lookup/ep?d=lab',
+    accept: 'application/link-format'
+  });
+  ctx.socket.scheduleResponse(150, {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: 0x0003,
+    token: new Buffer([0x02]),
+    contentFormat: 'application/link-format',
+    payload: new Buffer(
+      '</rd/4521>;ep="node1";d="lab";base="coap://192.168.1.10"'
+    )
+  });
+
+  rdClient.lookupResources({rt: 'temperature*'}, resourceLookupCallback);
+
+  ctx.tickAsync(50);
+  ctx.tickAsync(50);
+  ctx.tickAsync(50);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(resourceLookupCallback);
+    sinon.assert.calledWith(resourceLookupCallback, null, [{
+      href: 'coap://192.168.1.10/sensors/temp',
+      rt: 'temperature-c',
+      anchor: 'coap://192.168.1.10'
+    }]);
+
+    sinon.assert.calledOnce(endpointLookupCallback);
+    sinon.assert.calledWith(endpointLookupCallback, null, [{
+      href: 'coap://127.0.0.1/rd/4521',
+      ep: 'node1',
+      d: 'lab',
+      base: 'coap://192.168.1.10'
+    }]);
+
+    rdClient.isRegistered().should.be.equal(false);
+  };
+});
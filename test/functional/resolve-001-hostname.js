@@ -0,0 +1,144 @@
+/*
+ Resolve the host name of the request URI and cache the resolved address:
+
+ 1. Client requests `coap://sensor.local/temp`. The resolver is called and
+ resolves `sensor.local` to `127.0.0.1` after 10 ms.
+
+ 2. Client sends the first request to the resolved address with the host name
+ as the Uri-Host option:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Host: sensor.local
+ Uri-Path: temp
+ ==============================================================================
+
+ 3. Server responds to the first request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (6 bytes)
+ 22.3 C
+ ==============================================================================
+
+ 4. After 100 ms, client requests `coap://sensor.local/humidity` and sends
+ the second request right away, because the address of `sensor.local` is
+ cached:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 1 byte       | GET             | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Host: sensor.local
+ Uri-Path: humidity
+ ==============================================================================
+
+ 5. Server responds to the second request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 1 byte       | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (3 bytes)
+ 40%
+ ==============================================================================
+
+ 6. Both requests emit the `response` event. The resolver was called once.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var resolver = sinon.spy(function(hostname, done)
+  {
+    setTimeout(done, 10, null, [{address: '127.0.0.1', family: 4}]);
+  });
+
+  ctx.reinitializeClient({resolver: resolver});
+
+  var expectedRequests = ['/temp', '/humidity'].map(function(uri, i)
+  {
+    return {
+      type: Message.Type.CON,
+      code: Message.Code.GET,
+      id: i + 1,
+      token: i === 0 ? new Buffer([]) : new Buffer([i]),
+      uriHost: 'sensor.local',
+      uri: uri
+    };
+  });
+  var expectedResponses = ['22.3 C', '40%'].map(function(payload, i)
+  {
+    return {
+      type: Message.Type.ACK,
+      code: Message.Code.CONTENT,
+      id: i + 1,
+      token: expectedRequests[i].token,
+      payload: payload
+    };
+  });
+
+  ctx.socket.expectRequest(10, expectedRequests[0]);
+  ctx.socket.scheduleResponse(50, expectedResponses[0]);
+  ctx.socket.expectRequest(100, expectedRequests[1]);
+  ctx.socket.scheduleResponse(150, expectedResponses[1]);
+
+  var responseSpies = [sinon.spy(), sinon.spy()];
+  var requests = [];
+
+  requests.push(
+    ctx.client.get('coap://sensor.local/temp').on('response', responseSpies[0])
+  );
+
+  setTimeout(function()
+  {
+    requests.push(
+      ctx.client.get('coap://sensor.local/humidity')
+        .on('response', responseSpies[1])
+    );
+  }, 100);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    responseSpies.forEach(function(responseSpy, i)
+    {
+      sinon.assert.calledOnce(responseSpy);
+      sinon.assert.coapMessage(
+        responseSpy.args[0][0],
+        expectedResponses[i],
+        "Invalid `response` (#" + (i + 1) + ")."
+      );
+      requests[i].getRemoteEndpoint().toString().should.be.equal('127.0.0.1');
+    });
+
+    sinon.assert.calledOnce(resolver);
+    sinon.assert.calledWith(resolver, 'sensor.local');
+  };
+});
@@ -0,0 +1,170 @@
+/*
+ Resolve the host name again after the TTL returned by the resolver expires:
+
+ 1. Client requests `coap://sensor.local/a`. The resolver resolves
+ `sensor.local` to `127.0.0.1` with a TTL of 10 seconds after 10 ms.
+
+ 2. Client sends the first request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Host: sensor.local
+ Uri-Path: a
+ ==============================================================================
+
+ 3. Server responds to the first request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ A
+ ==============================================================================
+
+ 4. After 5000 ms, client requests `coap://sensor.local/b` and sends it right
+ away using the cached address:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0002
+ 1       | CON  | 1 byte       | GET             | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Host: sensor.local
+ Uri-Path: b
+ ==============================================================================
+
+ 5. Server responds to the second request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | ACK  | 1 byte       | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ B
+ ==============================================================================
+
+ 6. After 20000 ms, client requests `coap://sensor.local/c`. The cached
+ address expired, so the resolver is called again and client sends the third
+ request after 10 ms:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0003
+ 1       | CON  | 1 byte       | GET             | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Host: sensor.local
+ Uri-Path: c
+ ==============================================================================
+
+ 7. Server responds to the third request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0003
+ 1       | ACK  | 1 byte       | 2.05 Content    | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ C
+ ==============================================================================
+
+ 8. Every request emits the `response` event. The resolver was called twice.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var resolver = sinon.spy(function(hostname, done)
+  {
+    setTimeout(done, 10, null, [{address: '127.0.0.1', ttl: 10}]);
+  });
+
+  ctx.reinitializeClient({resolver: resolver});
+
+  var expectedRequests = ['a', 'b', 'c'].map(function(path, i)
+  {
+    return {
+      type: Message.Type.CON,
+      code: Message.Code.GET,
+      id: i + 1,
+      token: i === 0 ? new Buffer([]) : new Buffer([i]),
+      uriHost: 'sensor.local',
+      uri: '/' + path
+    };
+  });
+  var expectedResponses = ['A', 'B', 'C'].map(function(payload, i)
+  {
+    return {
+      type: Message.Type.ACK,
+      code: Message.Code.CONTENT,
+      id: i + 1,
+      token: expectedRequests[i].token,
+      payload: payload
+    };
+  });
+
+  ctx.socket.expectRequest(10, expectedRequests[0]);
+  ctx.socket.scheduleResponse(50, expectedResponses[0]);
+  ctx.socket.expectRequest(5000, expectedRequests[1]);
+  ctx.socket.scheduleResponse(5050, expectedResponses[1]);
+  ctx.socket.expectRequest(20010, expectedRequests[2]);
+  ctx.socket.scheduleResponse(20050, expectedResponses[2]);
+
+  var responseSpies = [];
+
+  [0, 5000, 20000].forEach(function(delay, i)
+  {
+    var responseSpy = sinon.spy();
+
+    setTimeout(function()
+    {
+      ctx.client.get('coap://sensor.local' + expectedRequests[i].uri)
+        .on('response', responseSpy);
+    }, delay);
+
+    responseSpies.push(responseSpy);
+  });
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    responseSpies.forEach(function(responseSpy, i)
+    {
+      sinon.assert.calledOnce(responseSpy);
+      sinon.assert.coapMessage(
+        responseSpy.args[0][0],
+        expectedResponses[i],
+        "Invalid `response` (#" + (i + 1) + ")."
+      );
+    });
+
+    sinon.assert.calledTwice(resolver);
+  };
+});
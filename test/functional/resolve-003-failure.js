@@ -0,0 +1,53 @@
+/*
+ Fail the request if its host name can't be resolved:
+
+ 1. Client requests `coap://unknown.local/temp`. The resolver fails after
+ 10 ms.
+
+ 2. Client doesn't send anything. The request emits the `error` event with
+ a `HostResolutionError`.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+
+helpers.test(__filename, function(ctx)
+{
+  var resolveError = new Error("getaddrinfo ENOTFOUND unknown.local");
+
+  ctx.reinitializeClient({
+    resolver: function(hostname, done)
+    {
+      setTimeout(done, 10, resolveError);
+    }
+  });
+
+  var errorSpy = sinon.spy();
+  var req = ctx.client.get('coap://unknown.local/temp');
+
+  req.on('error', errorSpy);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(errorSpy);
+
+    var err = errorSpy.args[0][0];
+
+    err.should.be.instanceOf(coap.errors.HostResolutionError);
+    err.request.should.be.equal(req);
+    err.hostname.should.be.equal('unknown.local');
+    err.cause.should.be.equal(resolveError);
+    err.message.should.be.equal(
+      "Failed to resolve unknown.local: getaddrinfo ENOTFOUND unknown.local"
+    );
+  };
+});
@@ -0,0 +1,93 @@
+/*
+ Fall back to an IPv4 address if IPv6 is preferred, but the IPv6 socket is
+ disabled:
+
+ 1. Client requests `coap://sensor.local/temp`. The resolver resolves
+ `sensor.local` to `2001:db8::1` and `127.0.0.1`.
+
+ 2. Client sends the request to the IPv4 address:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Host: sensor.local
+ Uri-Path: temp
+ ==============================================================================
+
+ 3. Server responds to the request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (6 bytes)
+ 22.3 C
+ ==============================================================================
+
+ 4. Request emits the `response` event.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  ctx.reinitializeClient({
+    preferredFamily: 6,
+    resolver: function(hostname, done)
+    {
+      done(null, [
+        {address: '2001:db8::1', family: 6},
+        {address: '127.0.0.1', family: 4}
+      ]);
+    }
+  });
+
+  var expectedRequest = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    token: new Buffer([]),
+    uriHost: 'sensor.local',
+    uri: '/temp'
+  };
+  var expectedResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: 0x0001,
+    token: expectedRequest.token,
+    payload: '22.3 C'
+  };
+
+  ctx.socket.expectRequest(expectedRequest);
+  ctx.socket.scheduleResponse(50, expectedResponse);
+
+  var responseSpy = sinon.spy();
+  var req = ctx.client.get('coap://sensor.local/temp');
+
+  req.on('response', responseSpy);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(responseSpy);
+    sinon.assert.coapMessage(
+      responseSpy.args[0][0], expectedResponse, "Invalid `response`."
+    );
+
+    req.getRemoteEndpoint().toString().should.be.equal('127.0.0.1');
+  };
+});
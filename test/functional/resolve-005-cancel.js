@@ -0,0 +1,44 @@
+/*
+ Cancel a request waiting for its host name to be resolved:
+
+ 1. Client requests `coap://sensor.local/temp`. The resolver resolves
+ `sensor.local` after 100 ms.
+
+ 2. After 50 ms, the request is cancelled. Request emits the `cancelled`
+ event.
+
+ 3. Client doesn't send anything after the host name is resolved.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+
+helpers.test(__filename, function(ctx)
+{
+  ctx.reinitializeClient({
+    resolver: function(hostname, done)
+    {
+      setTimeout(done, 100, null, [{address: '127.0.0.1', family: 4}]);
+    }
+  });
+
+  var req = ctx.client.get('coap://sensor.local/temp');
+  var cancelledSpy = sinon.spy();
+
+  req.on('cancelled', cancelledSpy);
+
+  setTimeout(function() { ctx.client.cancel(req); }, 50);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(cancelledSpy);
+  };
+});
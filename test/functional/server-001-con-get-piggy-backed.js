@@ -0,0 +1,86 @@
+/*
+ Respond with a piggy-backed response to a confirmable GET request:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 1 0      | 0 0 0 0 0 0 0 1 | 0x1234
+ 1       | CON  | 2 bytes      | GET             | 4660
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 12 34 | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: temperature
+ ==============================================================================
+
+ 2. Server dispatches the #1 request to the GET handler registered for
+ the /temperature resource.
+
+ 3. Server sends the handler's response piggy-backed on the ACK:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 1 0      | 0 1 0 0 0 1 0 1 | 0x1234
+ 1       | ACK  | 2 bytes      | 2.05 Content    | 4660
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 12 34 | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (6 bytes)
+ 22.3 C
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  var request = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x1234,
+    token: new Buffer([0x12, 0x34]),
+    uri: '/temperature'
+  };
+  var expectedResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: request.id,
+    token: request.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer('22.3 C')
+  };
+
+  var handlerSpy = sinon.spy(function(req, done)
+  {
+    done(null, {
+      code: Message.Code.CONTENT,
+      contentFormat: 'text/plain;charset=utf-8',
+      payload: '22.3 C'
+    });
+  });
+
+  ctx.server.get('/temperature', handlerSpy);
+
+  ctx.socket.scheduleRequest(50, request);
+  ctx.socket.expectResponse(50, expectedResponse);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(handlerSpy);
+    sinon.assert.coapMessage(
+      handlerSpy.args[0][0], request, "Invalid request passed to the handler."
+    );
+  };
+});
@@ -0,0 +1,80 @@
+/*
+ Respond with a non-confirmable response to a non-confirmable PUT request:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 0 0 0 0 0 1 1 | 0x4321
+ 1       | NON  | 1 byte       | PUT             | 17185
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path      : led
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (2 bytes)
+ on
+ ==============================================================================
+
+ 2. Server dispatches the #1 request to the PUT handler registered for
+ the /led resource. The handler doesn't specify a response code.
+
+ 3. Server sends a non-confirmable response with a new Message ID and
+ the default code for the PUT method:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 1 0 0 0 1 0 0 | 0x0001
+ 1       | NON  | 1 byte       | 2.04 Changed    | 1
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  var request = {
+    type: Message.Type.NON,
+    code: Message.Code.PUT,
+    id: 0x4321,
+    token: new Buffer([0x01]),
+    uri: '/led',
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer('on')
+  };
+  var expectedResponse = {
+    type: Message.Type.NON,
+    code: Message.Code.CHANGED,
+    id: 0x0001,
+    token: request.token
+  };
+
+  var ledState = 'off';
+
+  ctx.server.put('/led', function(req, done)
+  {
+    ledState = req.getPayload().toString();
+
+    done();
+  });
+
+  ctx.socket.scheduleRequest(50, request);
+  ctx.socket.expectResponse(50, expectedResponse);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    ledState.should.be.equal('on');
+  };
+});
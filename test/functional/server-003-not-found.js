@@ -0,0 +1,107 @@
+/*
+ Respond with error codes to requests that can't be dispatched:
+
+ 1. Client sends a request for an unknown resource:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 1 byte       | GET             | 1
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: humidity
+ ==============================================================================
+
+ 2. Server doesn't have the /humidity resource and responds with 4.04:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 0 1 0 0 | 0x0001
+ 1       | ACK  | 1 byte       | 4.04 Not Found  | 1
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ==============================================================================
+
+ 3. Client sends a POST request to a resource that handles only GET requests:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x0002
+ 1       | CON  | 1 byte       | POST            | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: temperature
+ ------------------------------------------------------------------------------
+ Payload (2 bytes)
+ <Buffer 31 30>
+ ==============================================================================
+
+ 4. Server responds with 4.05:
+ ==============================================================================
+ Version | Type | Token Length | Code                    | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 0 1 0 1         | 0x0002
+ 1       | ACK  | 1 byte       | 4.05 Method Not Allowed | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  var request1 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    token: new Buffer([0x01]),
+    uri: '/humidity'
+  };
+  var expectedResponse1 = {
+    type: Message.Type.ACK,
+    code: Message.Code.NOT_FOUND,
+    id: request1.id,
+    token: request1.token
+  };
+  var request2 = {
+    type: Message.Type.CON,
+    code: Message.Code.POST,
+    id: 0x0002,
+    token: new Buffer([0x02]),
+    uri: '/temperature',
+    payload: new Buffer('10')
+  };
+  var expectedResponse2 = {
+    type: Message.Type.ACK,
+    code: Message.Code.METHOD_NOT_ALLOWED,
+    id: request2.id,
+    token: request2.token
+  };
+
+  var handlerSpy = sinon.spy();
+
+  ctx.server.get('/temperature', handlerSpy);
+
+  ctx.socket.scheduleRequest(50, request1);
+  ctx.socket.expectResponse(50, expectedResponse1);
+  ctx.socket.scheduleRequest(100, request2);
+  ctx.socket.expectResponse(100, expectedResponse2);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.notCalled(handlerSpy);
+  };
+});
@@ -0,0 +1,128 @@
+/*
+ Respond with 5.00 to requests which handlers failed:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x0001
+ 1       | CON  | 1 byte       | POST            | 1
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: reboot
+ ==============================================================================
+
+ 2. Server dispatches the #1 request to the POST handler registered for
+ the /reboot resource. The handler throws an error.
+
+ 3. Server responds with 5.00 and the error message as a diagnostic payload:
+ ==============================================================================
+ Version | Type | Token Length | Code                       | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 1 0 0 0 0 0            | 0x0001
+ 1       | ACK  | 1 byte       | 5.00 Internal Server Error | 1
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (8 bytes)
+ <Buffer 4e 6f 74 20 6e 6f 77 2e>
+ ==============================================================================
+
+ 4. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x0002
+ 1       | CON  | 1 byte       | POST            | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: reboot
+ ==============================================================================
+
+ 5. Server dispatches the #4 request to the POST handler registered for
+ the /reboot resource. The handler passes an error to the callback and then
+ calls the callback again.
+
+ 6. Server responds with 5.00 only once:
+ ==============================================================================
+ Version | Type | Token Length | Code                       | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 1 0 0 0 0 0            | 0x0002
+ 1       | ACK  | 1 byte       | 5.00 Internal Server Error | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (9 bytes)
+ <Buffer 53 74 69 6c 6c 20 6e 6f 2e>
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  var request1 = {
+    type: Message.Type.CON,
+    code: Message.Code.POST,
+    id: 0x0001,
+    token: new Buffer([0x01]),
+    uri: '/reboot'
+  };
+  var expectedResponse1 = {
+    type: Message.Type.ACK,
+    code: Message.Code.INTERNAL_SERVER_ERROR,
+    id: request1.id,
+    token: request1.token,
+    payload: new Buffer('Not now.')
+  };
+  var request2 = {
+    type: Message.Type.CON,
+    code: Message.Code.POST,
+    id: 0x0002,
+    token: new Buffer([0x02]),
+    uri: '/reboot'
+  };
+  var expectedResponse2 = {
+    type: Message.Type.ACK,
+    code: Message.Code.INTERNAL_SERVER_ERROR,
+    id: request2.id,
+    token: request2.token,
+    payload: new Buffer('Still no.')
+  };
+
+  var callCount = 0;
+
+  ctx.server.post('/reboot', function(req, done)
+  {
+    ++callCount;
+
+    if (callCount === 1)
+    {
+      throw new Error('Not now.');
+    }
+
+    done(new Error('Still no.'));
+    done(null, {code: Message.Code.CHANGED});
+  });
+
+  ctx.socket.scheduleRequest(50, request1);
+  ctx.socket.expectResponse(50, expectedResponse1);
+  ctx.socket.scheduleRequest(100, request2);
+  ctx.socket.expectResponse(100, expectedResponse2);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    callCount.should.be.equal(2);
+  };
+});
@@ -0,0 +1,172 @@
+/*
+ Register an observer and send non-confirmable notifications until the client
+ rejects one of them:
+
+ 1. Client sends an Observe request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x1234
+ 1       | CON  | 1 byte       | GET             | 4660
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ ab    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 0
+ Uri-Path: counter
+ ==============================================================================
+
+ 2. Server dispatches the #1 request to the GET handler, registers
+ an observer and sends the handler's response piggy-backed on the ACK:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x1234
+ 1       | ACK  | 1 byte       | 2.05 Content    | 4660
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ ab    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 1
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 1
+ ==============================================================================
+
+ 3. After 1s, state of the /counter resource changes. Server calls the GET
+ handler with the #1 request and sends its response as a non-confirmable
+ notification:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | NON  | 1 byte       | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ ab    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 2
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 2
+ ==============================================================================
+
+ 4. After 2s, state of the /counter resource changes again:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | NON  | 1 byte       | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ ab    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 3
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 3
+ ==============================================================================
+
+ 5. Client is no longer interested in the resource and rejects the #4
+ notification:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 1  | 0 0 0 0      | 0 0 0 0 0 0 0 0 | 0x0002
+ 1       | RST  | 0 bytes      | Empty           | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+
+ 6. Server removes the observer.
+
+ 7. After 3s, state of the /counter resource changes again, but there are no
+ observers to notify.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  var request = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x1234,
+    token: new Buffer([0xAB]),
+    observe: 0,
+    uri: '/counter'
+  };
+  var counter = 0;
+  var handlerSpy = sinon.spy(function(req, done)
+  {
+    done(null, {
+      contentFormat: 'text/plain;charset=utf-8',
+      payload: String(++counter)
+    });
+  });
+  var observerAddedSpy = sinon.spy();
+  var observerRemovedSpy = sinon.spy();
+
+  ctx.server.on('observer added', observerAddedSpy);
+  ctx.server.on('observer removed', observerRemovedSpy);
+
+  var resource = ctx.server.get('/counter', handlerSpy).setObservable(true);
+
+  ctx.socket.scheduleRequest(50, request);
+  ctx.socket.expectResponse(50, {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: request.id,
+    token: request.token,
+    observe: 1,
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer('1')
+  });
+
+  setTimeout(function() { resource.changed(); }, 1000);
+  ctx.socket.expectResponse(1000, {
+    type: Message.Type.NON,
+    code: Message.Code.CONTENT,
+    id: 1,
+    token: request.token,
+    observe: 2,
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer('2')
+  });
+
+  setTimeout(function() { resource.changed(); }, 2000);
+  ctx.socket.expectResponse(2000, {
+    type: Message.Type.NON,
+    code: Message.Code.CONTENT,
+    id: 2,
+    token: request.token,
+    observe: 3,
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer('3')
+  });
+
+  ctx.socket.scheduleRequest(2100, {
+    type: Message.Type.RST,
+    code: Message.Code.EMPTY,
+    id: 2
+  });
+
+  setTimeout(function() { resource.changed(); }, 3000);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledThrice(handlerSpy);
+    sinon.assert.calledOnce(observerAddedSpy);
+    sinon.assert.calledOnce(observerRemovedSpy);
+
+    ctx.server.observers.should.be.eql({});
+  };
+});
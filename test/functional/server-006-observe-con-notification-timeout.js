@@ -0,0 +1,178 @@
+/*
+ Remove an observer that doesn't acknowledge a confirmable notification:
+
+ 1. Client sends a non-confirmable Observe request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x1111
+ 1       | NON  | 1 byte       | GET             | 4369
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 0
+ Uri-Path: alarm
+ ==============================================================================
+
+ 2. Server registers an observer and sends a non-confirmable response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | NON  | 1 byte       | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 1
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (3 bytes)
+ off
+ ==============================================================================
+
+ 3. After 1s, state of the /alarm resource changes and the server is asked
+ to send confirmable notifications:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | CON  | 1 byte       | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 2
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (2 bytes)
+ on
+ ==============================================================================
+
+ 4. Client acknowledges the #3 notification:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 0 0 0 0 0 0 0 | 0x0002
+ 1       | ACK  | 0 bytes      | Empty           | 2
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+
+ 5. After 5s, state of the /alarm resource changes again:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0003
+ 1       | CON  | 1 byte       | 2.05 Content    | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 3
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (3 bytes)
+ off
+ ==============================================================================
+
+ 6. Client doesn't acknowledge the #5 notification, so the server retransmits
+ it after 7s, 11s, 19s and 35s.
+
+ 7. Client doesn't acknowledge any of the retransmissions, so after 67s,
+ the server removes the observer.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var request = {
+    type: Message.Type.NON,
+    code: Message.Code.GET,
+    id: 0x1111,
+    token: new Buffer([0x01]),
+    observe: 0,
+    uri: '/alarm'
+  };
+  var alarm = false;
+  var observerRemovedSpy = sinon.spy();
+
+  ctx.server.on('observer removed', observerRemovedSpy);
+
+  var resource = ctx.server.get('/alarm', function(req, done)
+  {
+    done(null, {
+      contentFormat: 'text/plain;charset=utf-8',
+      payload: alarm ? 'on' : 'off'
+    });
+  });
+
+  resource.setObservable(true);
+
+  ctx.socket.scheduleRequest(50, request);
+  ctx.socket.expectResponse(50, {
+    type: Message.Type.NON,
+    code: Message.Code.CONTENT,
+    id: 1,
+    token: request.token,
+    observe: 1,
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer('off')
+  });
+
+  setTimeout(function() { alarm = true; resource.changed(true); }, 1000);
+  ctx.socket.expectResponse(1000, {
+    type: Message.Type.CON,
+    code: Message.Code.CONTENT,
+    id: 2,
+    token: request.token,
+    observe: 2,
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer('on')
+  });
+
+  ctx.socket.scheduleRequest(1100, {
+    type: Message.Type.ACK,
+    code: Message.Code.EMPTY,
+    id: 2
+  });
+
+  var notification = {
+    type: Message.Type.CON,
+    code: Message.Code.CONTENT,
+    id: 3,
+    token: request.token,
+    observe: 3,
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer('off')
+  };
+
+  setTimeout(function() { alarm = false; resource.changed(true); }, 5000);
+  ctx.socket.expectResponse(5000, notification);
+  ctx.socket.expectResponse(7000, notification);
+  ctx.socket.expectResponse(11000, notification);
+  ctx.socket.expectResponse(19000, notification);
+  ctx.socket.expectResponse(35000, notification);
+
+  ctx.clock.tick(66999);
+
+  var observerCountBeforeTimeout = ctx.server.getResourceObservers('/alarm');
+
+  ctx.clock.tick(1);
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    observerCountBeforeTimeout.length.should.be.equal(1);
+    sinon.assert.calledOnce(observerRemovedSpy);
+
+    ctx.server.observers.should.be.eql({});
+  };
+});
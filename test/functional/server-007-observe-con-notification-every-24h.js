@@ -0,0 +1,173 @@
+/*
+ Send a confirmable notification if the observer didn't acknowledge any
+ notification in the last 24 hours:
+
+ 1. Client sends a non-confirmable Observe request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x2222
+ 1       | NON  | 1 byte       | GET             | 8738
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 0
+ Uri-Path: temperature
+ ==============================================================================
+
+ 2. Server registers an observer and sends a non-confirmable response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | NON  | 1 byte       | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 1
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (4 bytes)
+ 20 C
+ ==============================================================================
+
+ 3. After 12h, state of the /temperature resource changes. The observer
+ confirmed its interest less than 24 hours ago, so the notification is
+ non-confirmable:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0002
+ 1       | NON  | 1 byte       | 2.05 Content    | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 2
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (4 bytes)
+ 21 C
+ ==============================================================================
+
+ 4. 24h after the registration, state of the /temperature resource changes
+ again. The observer didn't confirm its interest for 24 hours, so
+ the notification is confirmable:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0003
+ 1       | CON  | 1 byte       | 2.05 Content    | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 3
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (4 bytes)
+ 22 C
+ ==============================================================================
+
+ 5. Client acknowledges the #4 notification:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 0 0 0 0 0 0 0 | 0x0003
+ 1       | ACK  | 0 bytes      | Empty           | 3
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+
+ 6. After 25h, state of the /temperature resource changes again. The observer
+ confirmed its interest an hour ago, so the notification is non-confirmable:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0004
+ 1       | NON  | 1 byte       | 2.05 Content    | 4
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 4
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (4 bytes)
+ 23 C
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  var HOUR = 3600 * 1000;
+  var request = {
+    type: Message.Type.NON,
+    code: Message.Code.GET,
+    id: 0x2222,
+    token: new Buffer([0x02]),
+    observe: 0,
+    uri: '/temperature'
+  };
+  var temperature = 20;
+
+  var resource = ctx.server.get('/temperature', function(req, done)
+  {
+    done(null, {
+      contentFormat: 'text/plain;charset=utf-8',
+      payload: temperature + ' C'
+    });
+  });
+
+  resource.setObservable(true);
+
+  function expectNotification(delay, type, id, observe)
+  {
+    ctx.socket.expectResponse(delay, {
+      type: type,
+      code: Message.Code.CONTENT,
+      id: id,
+      token: request.token,
+      observe: observe,
+      contentFormat: 'text/plain;charset=utf-8',
+      payload: new Buffer(temperature + observe - 1 + ' C')
+    });
+  }
+
+  function changeTemperature()
+  {
+    temperature += 1;
+
+    resource.changed();
+  }
+
+  ctx.socket.scheduleRequest(50, request);
+  expectNotification(50, Message.Type.NON, 1, 1);
+
+  setTimeout(changeTemperature, 12 * HOUR);
+  expectNotification(12 * HOUR, Message.Type.NON, 2, 2);
+
+  setTimeout(changeTemperature, 24 * HOUR + 50);
+  expectNotification(24 * HOUR + 50, Message.Type.CON, 3, 3);
+
+  ctx.socket.scheduleRequest(24 * HOUR + 100, {
+    type: Message.Type.ACK,
+    code: Message.Code.EMPTY,
+    id: 3
+  });
+
+  setTimeout(changeTemperature, 25 * HOUR);
+  expectNotification(25 * HOUR, Message.Type.NON, 4, 4);
+
+  ctx.clock.tick(26 * HOUR);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    ctx.server.getResourceObservers('/temperature').length.should.be.equal(1);
+  };
+});
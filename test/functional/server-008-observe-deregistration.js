@@ -0,0 +1,163 @@
+/*
+ Remove an observer after a GET request with the Observe option set to 1
+ (deregister):
+
+ 1. Client sends an Observe request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x3333
+ 1       | CON  | 1 byte       | GET             | 13107
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 03    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 0
+ Uri-Path: counter
+ ==============================================================================
+
+ 2. Server registers an observer and sends a piggy-backed response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x3333
+ 1       | ACK  | 1 byte       | 2.05 Content    | 13107
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 03    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 1
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 1
+ ==============================================================================
+
+ 3. After 1s, state of the /counter resource changes:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | NON  | 1 byte       | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 03    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 2
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 2
+ ==============================================================================
+
+ 4. Client deregisters by sending a GET request with the same token
+ and the Observe option set to 1:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x3334
+ 1       | CON  | 1 byte       | GET             | 13108
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 03    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 1
+ Uri-Path: counter
+ ==============================================================================
+
+ 5. Server removes the observer and responds as to a regular GET request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x3334
+ 1       | ACK  | 1 byte       | 2.05 Content    | 13108
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 03    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 3
+ ==============================================================================
+
+ 6. After 3s, state of the /counter resource changes again, but there are no
+ observers to notify.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  var request = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x3333,
+    token: new Buffer([0x03]),
+    observe: 0,
+    uri: '/counter'
+  };
+  var counter = 0;
+  var handlerSpy = sinon.spy(function(req, done)
+  {
+    done(null, {
+      contentFormat: 'text/plain;charset=utf-8',
+      payload: String(++counter)
+    });
+  });
+
+  var resource = ctx.server.get('/counter', handlerSpy).setObservable(true);
+
+  ctx.socket.scheduleRequest(50, request);
+  ctx.socket.expectResponse(50, {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: request.id,
+    token: request.token,
+    observe: 1,
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer('1')
+  });
+
+  setTimeout(function() { resource.changed(); }, 1000);
+  ctx.socket.expectResponse(1000, {
+    type: Message.Type.NON,
+    code: Message.Code.CONTENT,
+    id: 1,
+    token: request.token,
+    observe: 2,
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer('2')
+  });
+
+  ctx.socket.scheduleRequest(2000, {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x3334,
+    token: request.token,
+    observe: 1,
+    uri: '/counter'
+  });
+  ctx.socket.expectResponse(2000, {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: 0x3334,
+    token: request.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer('3')
+  });
+
+  setTimeout(function() { resource.changed(); }, 3000);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledThrice(handlerSpy);
+
+    ctx.server.observers.should.be.eql({});
+  };
+});
@@ -0,0 +1,105 @@
+/*
+ Notify observers with a 4.04 response after the observed resource is removed:
+
+ 1. Client sends an Observe request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x4444
+ 1       | CON  | 1 byte       | GET             | 17476
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 04    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe : 0
+ Uri-Path: counter
+ ==============================================================================
+
+ 2. Server registers an observer and sends a piggy-backed response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x4444
+ 1       | ACK  | 1 byte       | 2.05 Content    | 17476
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 04    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Observe       : 1
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 1
+ ==============================================================================
+
+ 3. After 1s, the /counter resource is removed. Server sends the final
+ notification without the Observe option and removes the observer:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 1 0 0 0 0 1 0 0 | 0x0001
+ 1       | NON  | 1 byte       | 4.04 Not Found  | 1
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 04    | 127.0.0.1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  var request = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x4444,
+    token: new Buffer([0x04]),
+    observe: 0,
+    uri: '/counter'
+  };
+  var observerRemovedSpy = sinon.spy();
+
+  ctx.server.on('observer removed', observerRemovedSpy);
+
+  ctx.server.get('/counter', function(req, done)
+  {
+    done(null, {
+      contentFormat: 'text/plain;charset=utf-8',
+      payload: '1'
+    });
+  }).setObservable(true);
+
+  ctx.socket.scheduleRequest(50, request);
+  ctx.socket.expectResponse(50, {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: request.id,
+    token: request.token,
+    observe: 1,
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer('1')
+  });
+
+  setTimeout(function() { ctx.server.removeResource('/counter'); }, 1000);
+  ctx.socket.expectResponse(1000, {
+    type: Message.Type.NON,
+    code: Message.Code.NOT_FOUND,
+    id: 1,
+    token: request.token
+  });
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(observerRemovedSpy);
+
+    ctx.server.observers.should.be.eql({});
+    ctx.server.hasResource('/counter').should.be.equal(false);
+  };
+});
@@ -0,0 +1,171 @@
+/*
+ Slice a response payload that doesn't fit in one block (the server's
+ `maxBlockSize` option is set to 16 bytes):
+
+ 1. Client sends a request without the Block2 option:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x1001
+ 1       | CON  | 1 byte       | GET             | 4097
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 10    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: log
+ ==============================================================================
+
+ 2. Server dispatches the #1 request to the GET handler and sends the first
+ block of the handler's response. The handler didn't specify an ETag, so
+ the server generates one from the whole payload:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x1001
+ 1       | ACK  | 1 byte       | 2.05 Content    | 4097
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 10    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag          : <Buffer d5 94 23 8f 00 d4 ab d5>
+ Content-Format: text/plain;charset=utf-8
+ Block2        : NUM: 0, M: true, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ Lorem ipsum dolo
+ ==============================================================================
+
+ 3. Client requests the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x1002
+ 1       | CON  | 1 byte       | GET             | 4098
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 11    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: log
+ Block2  : NUM: 1, M: false, SZX: 0 (16 bytes)
+ ==============================================================================
+
+ 4. Server dispatches the #3 request to the GET handler and sends the second
+ block of the handler's response with the same ETag:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x1002
+ 1       | ACK  | 1 byte       | 2.05 Content    | 4098
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 11    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag          : <Buffer d5 94 23 8f 00 d4 ab d5>
+ Content-Format: text/plain;charset=utf-8
+ Block2        : NUM: 1, M: true, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ r sit amet, cons
+ ==============================================================================
+
+ 5. Client requests the third block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x1003
+ 1       | CON  | 1 byte       | GET             | 4099
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 12    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: log
+ Block2  : NUM: 2, M: false, SZX: 0 (16 bytes)
+ ==============================================================================
+
+ 6. Server sends the last block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x1003
+ 1       | ACK  | 1 byte       | 2.05 Content    | 4099
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 12    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag          : <Buffer d5 94 23 8f 00 d4 ab d5>
+ Content-Format: text/plain;charset=utf-8
+ Block2        : NUM: 2, M: false, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (8 bytes)
+ ectetur.
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  ctx.reinitializeServer({maxBlockSize: 16});
+
+  var eTag = new Buffer('d594238f00d4abd5', 'hex');
+  var handlerSpy = sinon.spy(function(req, done)
+  {
+    done(null, {
+      contentFormat: 'text/plain;charset=utf-8',
+      payload: 'Lorem ipsum dolor sit amet, consectetur.'
+    });
+  });
+
+  ctx.server.get('/log', handlerSpy);
+
+  function scheduleRequest(delay, id, token, block2)
+  {
+    var request = {
+      type: Message.Type.CON,
+      code: Message.Code.GET,
+      id: id,
+      token: new Buffer([token]),
+      uri: '/log',
+      block2: block2
+    };
+
+    ctx.socket.scheduleRequest(delay, request);
+
+    return request;
+  }
+
+  function expectResponse(delay, request, block2, payload)
+  {
+    ctx.socket.expectResponse(delay, {
+      type: Message.Type.ACK,
+      code: Message.Code.CONTENT,
+      id: request.id,
+      token: request.token,
+      eTag: eTag,
+      contentFormat: 'text/plain;charset=utf-8',
+      block2: block2,
+      payload: new Buffer(payload)
+    });
+  }
+
+  var request = scheduleRequest(50, 0x1001, 0x10);
+
+  expectResponse(50, request, {num: 0, m: true, size: 16}, 'Lorem ipsum dolo');
+
+  request = scheduleRequest(100, 0x1002, 0x11, {num: 1, m: false, size: 16});
+
+  expectResponse(100, request, {num: 1, m: true, size: 16}, 'r sit amet, cons');
+
+  request = scheduleRequest(150, 0x1003, 0x12, {num: 2, m: false, size: 16});
+
+  expectResponse(150, request, {num: 2, m: false, size: 16}, 'ectetur.');
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledThrice(handlerSpy);
+  };
+});
@@ -0,0 +1,131 @@
+/*
+ Honour a smaller block size requested by the client (early negotiation)
+ and include the Size2 option if the client asked for it:
+
+ 1. Client sends a request for the first block of 16 bytes and asks for
+ the total size of the representation:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x2001
+ 1       | CON  | 1 byte       | GET             | 8193
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 20    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: log
+ Block2  : NUM: 0, M: false, SZX: 0 (16 bytes)
+ Size2   : 0
+ ==============================================================================
+
+ 2. Server sends the first block of 16 bytes (instead of the default 1024)
+ with the ETag specified by the handler and the Size2 option:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x2001
+ 1       | ACK  | 1 byte       | 2.05 Content    | 8193
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 20    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag  : <Buffer 01 02>
+ Block2: NUM: 0, M: true, SZX: 0 (16 bytes)
+ Size2 : 24
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ 0123456789abcdef
+ ==============================================================================
+
+ 3. Client requests the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x2002
+ 1       | CON  | 1 byte       | GET             | 8194
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 21    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: log
+ Block2  : NUM: 1, M: false, SZX: 0 (16 bytes)
+ ==============================================================================
+
+ 4. Server sends the last block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x2002
+ 1       | ACK  | 1 byte       | 2.05 Content    | 8194
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 21    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag  : <Buffer 01 02>
+ Block2: NUM: 1, M: false, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (8 bytes)
+ ghijklmn
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  var eTag = new Buffer([0x01, 0x02]);
+
+  ctx.server.get('/log', function(req, done)
+  {
+    done(null, {
+      eTag: eTag,
+      payload: '0123456789abcdefghijklmn'
+    });
+  });
+
+  ctx.socket.scheduleRequest(50, {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x2001,
+    token: new Buffer([0x20]),
+    uri: '/log',
+    block2: {num: 0, m: false, size: 16},
+    size2: 0
+  });
+  ctx.socket.expectResponse(50, {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: 0x2001,
+    token: new Buffer([0x20]),
+    eTag: eTag,
+    block2: {num: 0, m: true, size: 16},
+    size2: 24,
+    payload: new Buffer('0123456789abcdef')
+  });
+
+  ctx.socket.scheduleRequest(100, {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x2002,
+    token: new Buffer([0x21]),
+    uri: '/log',
+    block2: {num: 1, m: false, size: 16}
+  });
+  ctx.socket.expectResponse(100, {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: 0x2002,
+    token: new Buffer([0x21]),
+    eTag: eTag,
+    block2: {num: 1, m: false, size: 16},
+    payload: new Buffer('ghijklmn')
+  });
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+  };
+});
@@ -0,0 +1,233 @@
+/*
+ Slice a response payload read from a stream (the server's `maxBlockSize`
+ option is set to 16 bytes). A new stream is created by the handler for each
+ block request and the rest of the stream is discarded after the requested
+ block is read:
+
+ 1. Client sends a request without the Block2 option:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x3001
+ 1       | CON  | 1 byte       | GET             | 12289
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 30    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: firmware
+ ==============================================================================
+
+ 2. Server reads the first block from the handler's stream and sends it:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x3001
+ 1       | ACK  | 1 byte       | 2.05 Content    | 12289
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 30    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag          : <Buffer f1>
+ Content-Format: application/octet-stream
+ Block2        : NUM: 0, M: true, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ Lorem ipsum dolo
+ ==============================================================================
+
+ 3. Client requests the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x3002
+ 1       | CON  | 1 byte       | GET             | 12290
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 31    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: firmware
+ Block2  : NUM: 1, M: false, SZX: 0 (16 bytes)
+ ==============================================================================
+
+ 4. Server reads the second block from the handler's stream and sends it:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x3002
+ 1       | ACK  | 1 byte       | 2.05 Content    | 12290
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 31    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag          : <Buffer f1>
+ Content-Format: application/octet-stream
+ Block2        : NUM: 1, M: true, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ r sit amet, cons
+ ==============================================================================
+
+ 5. Client requests the third block and asks for the total size:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x3003
+ 1       | CON  | 1 byte       | GET             | 12291
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 32    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: firmware
+ Block2  : NUM: 2, M: false, SZX: 0 (16 bytes)
+ Size2   : 0
+ ==============================================================================
+
+ 6. Server reads the whole stream and sends the last block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x3003
+ 1       | ACK  | 1 byte       | 2.05 Content    | 12291
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 32    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag          : <Buffer f1>
+ Content-Format: application/octet-stream
+ Block2        : NUM: 2, M: false, SZX: 0 (16 bytes)
+ Size2         : 40
+ ------------------------------------------------------------------------------
+ Payload (8 bytes)
+ ectetur.
+ ==============================================================================
+
+ 7. Client requests a block after the end of the representation:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x3004
+ 1       | CON  | 1 byte       | GET             | 12292
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 33    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: firmware
+ Block2  : NUM: 3, M: false, SZX: 0 (16 bytes)
+ ==============================================================================
+
+ 8. Server responds with a 4.02 Bad Option:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 0 0 1 0 | 0x3004
+ 1       | ACK  | 1 byte       | 4.02 Bad Option | 12292
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 33    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (28 bytes)
+ Block number out of range: 3
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var Readable = require('stream').Readable;
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  ctx.reinitializeServer({maxBlockSize: 16});
+
+  var eTag = new Buffer([0xF1]);
+  var handlerSpy = sinon.spy();
+
+  ctx.server.get('/firmware', function(req, done)
+  {
+    var stream = new Readable();
+    var payload = new Buffer('Lorem ipsum dolor sit amet, consectetur.');
+    var position = 0;
+
+    handlerSpy();
+
+    stream._read = function()
+    {
+      var chunk = payload.slice(position, position + 5);
+
+      position += chunk.length;
+
+      stream.push(chunk.length ? chunk : null);
+    };
+
+    done(null, {
+      eTag: eTag,
+      contentFormat: 'application/octet-stream',
+      payload: stream
+    });
+  });
+
+  function scheduleRequest(delay, id, token, block2)
+  {
+    ctx.socket.scheduleRequest(delay, {
+      type: Message.Type.CON,
+      code: Message.Code.GET,
+      id: id,
+      token: new Buffer([token]),
+      uri: '/firmware',
+      block2: block2,
+      size2: block2 && block2.num === 2 ? 0 : undefined
+    });
+  }
+
+  function expectResponse(id, token, block2, payload)
+  {
+    var response = {
+      type: Message.Type.ACK,
+      code: Message.Code.CONTENT,
+      id: id,
+      token: new Buffer([token]),
+      eTag: eTag,
+      contentFormat: 'application/octet-stream',
+      block2: block2,
+      payload: new Buffer(payload)
+    };
+
+    if (!block2.m)
+    {
+      response.size2 = 40;
+    }
+
+    ctx.socket.expectResponse(response);
+  }
+
+  scheduleRequest(50, 0x3001, 0x30);
+  expectResponse(0x3001, 0x30, {num: 0, m: true, size: 16},
+    'Lorem ipsum dolo');
+
+  scheduleRequest(100, 0x3002, 0x31, {num: 1, m: false, size: 16});
+  expectResponse(0x3002, 0x31, {num: 1, m: true, size: 16},
+    'r sit amet, cons');
+
+  scheduleRequest(150, 0x3003, 0x32, {num: 2, m: false, size: 16});
+  expectResponse(0x3003, 0x32, {num: 2, m: false, size: 16},
+    'ectetur.');
+
+  scheduleRequest(200, 0x3004, 0x33, {num: 3, m: false, size: 16});
+  ctx.socket.expectResponse({
+    type: Message.Type.ACK,
+    code: Message.Code.BAD_OPTION,
+    id: 0x3004,
+    token: new Buffer([0x33]),
+    payload: new Buffer('Block number out of range: 3')
+  });
+
+  // Blocks are read from the streams after the current tick, so the requests
+  // must be responded to before their separate response timers fire.
+  ctx.clock.tick(250);
+
+  return function assert()
+  {
+    ctx.clock.tick(3600000);
+    ctx.socket.assert();
+
+    sinon.assert.callCount(handlerSpy, 4);
+  };
+});
@@ -0,0 +1,179 @@
+/*
+ Assemble a request body sent in multiple Block1 blocks and dispatch only
+ the whole request to the handler:
+
+ 1. Client sends the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 1 | 0x4001
+ 1       | CON  | 1 byte       | PUT             | 16385
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 40    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: config
+ Block1  : NUM: 0, M: true, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ Lorem ipsum dolo
+ ==============================================================================
+
+ 2. Server buffers the first block and responds with 2.31 Continue:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 1 1 1 1 1 | 0x4001
+ 1       | ACK  | 1 byte       | 2.31 Continue   | 16385
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 40    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 0, M: true, SZX: 0 (16 bytes)
+ ==============================================================================
+
+ 3. Client sends the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 1 | 0x4002
+ 1       | CON  | 1 byte       | PUT             | 16386
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 41    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: config
+ Block1  : NUM: 1, M: true, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ r sit amet, cons
+ ==============================================================================
+
+ 4. Server buffers the second block and responds with 2.31 Continue:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 1 1 1 1 1 | 0x4002
+ 1       | ACK  | 1 byte       | 2.31 Continue   | 16386
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 41    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 1, M: true, SZX: 0 (16 bytes)
+ ==============================================================================
+
+ 5. Client sends the last block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 1 | 0x4003
+ 1       | CON  | 1 byte       | PUT             | 16387
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 42    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: config
+ Block1  : NUM: 2, M: false, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (8 bytes)
+ ectetur.
+ ==============================================================================
+
+ 6. Server dispatches a request with the whole body (and without the Block1
+ option) to the PUT handler:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 1 | 0x4003
+ 1       | CON  | 1 byte       | PUT             | 16387
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 42    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: config
+ ------------------------------------------------------------------------------
+ Payload (40 bytes)
+ Lorem ipsum dolor sit amet, consectetur.
+ ==============================================================================
+
+ 7. Server sends the handler's response with the Block1 option of the last
+ block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 0 | 0x4003
+ 1       | ACK  | 1 byte       | 2.04 Changed    | 16387
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 42    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 2, M: false, SZX: 0 (16 bytes)
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  var handlerSpy = sinon.spy(function(req, done)
+  {
+    done();
+  });
+
+  ctx.server.put('/config', handlerSpy);
+
+  function scheduleBlock(delay, num, m, payload)
+  {
+    ctx.socket.scheduleRequest(delay, {
+      type: Message.Type.CON,
+      code: Message.Code.PUT,
+      id: 0x4001 + num,
+      token: new Buffer([0x40 + num]),
+      uri: '/config',
+      block1: {num: num, m: m, size: 16},
+      payload: new Buffer(payload)
+    });
+  }
+
+  function expectResponse(delay, num, code, m)
+  {
+    ctx.socket.expectResponse(delay, {
+      type: Message.Type.ACK,
+      code: code,
+      id: 0x4001 + num,
+      token: new Buffer([0x40 + num]),
+      block1: {num: num, m: m, size: 16}
+    });
+  }
+
+  scheduleBlock(50, 0, true, 'Lorem ipsum dolo');
+  expectResponse(50, 0, Message.Code.CONTINUE, true);
+
+  scheduleBlock(100, 1, true, 'r sit amet, cons');
+  expectResponse(100, 1, Message.Code.CONTINUE, true);
+
+  scheduleBlock(150, 2, false, 'ectetur.');
+  expectResponse(150, 2, Message.Code.CHANGED, false);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(handlerSpy);
+    sinon.assert.coapMessage(
+      handlerSpy.args[0][0],
+      {
+        type: Message.Type.CON,
+        code: Message.Code.PUT,
+        id: 0x4003,
+        token: new Buffer([0x42]),
+        uri: '/config',
+        payload: new Buffer('Lorem ipsum dolor sit amet, consectetur.')
+      },
+      "Invalid request passed to the handler."
+    );
+
+    (handlerSpy.args[0][0].getBlock1() === null).should.be.equal(true);
+  };
+});
@@ -0,0 +1,146 @@
+/*
+ Respond with 4.08 Request Entity Incomplete to a block that doesn't continue
+ the upload:
+
+ 1. Client sends the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x5001
+ 1       | CON  | 1 byte       | POST            | 20481
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 50    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: logs
+ Block1  : NUM: 0, M: true, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ Lorem ipsum dolo
+ ==============================================================================
+
+ 2. Server buffers the first block and responds with 2.31 Continue:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 1 1 1 1 1 | 0x5001
+ 1       | ACK  | 1 byte       | 2.31 Continue   | 20481
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 50    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 0, M: true, SZX: 0 (16 bytes)
+ ==============================================================================
+
+ 3. Client sends the third block (the second one is missing):
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x5003
+ 1       | CON  | 1 byte       | POST            | 20483
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 52    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: logs
+ Block1  : NUM: 2, M: false, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (8 bytes)
+ ectetur.
+ ==============================================================================
+
+ 4. Server discards the upload and responds with 4.08:
+ ==============================================================================
+ Version | Type | Token Length | Code                           | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 1 0 0 0                | 0x5003
+ 1       | ACK  | 1 byte       | 4.08 Request Entity Incomplete | 20483
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 52    | 127.0.0.1
+ ==============================================================================
+
+ 5. Client sends the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x5002
+ 1       | CON  | 1 byte       | POST            | 20482
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 51    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: logs
+ Block1  : NUM: 1, M: true, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ r sit amet, cons
+ ==============================================================================
+
+ 6. There is no upload to continue, so the server responds with 4.08 again:
+ ==============================================================================
+ Version | Type | Token Length | Code                           | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 1 0 0 0                | 0x5002
+ 1       | ACK  | 1 byte       | 4.08 Request Entity Incomplete | 20482
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 51    | 127.0.0.1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  var handlerSpy = sinon.spy();
+
+  ctx.server.post('/logs', handlerSpy);
+
+  function scheduleBlock(delay, num, m, payload)
+  {
+    ctx.socket.scheduleRequest(delay, {
+      type: Message.Type.CON,
+      code: Message.Code.POST,
+      id: 0x5001 + num,
+      token: new Buffer([0x50 + num]),
+      uri: '/logs',
+      block1: {num: num, m: m, size: 16},
+      payload: new Buffer(payload)
+    });
+  }
+
+  scheduleBlock(50, 0, true, 'Lorem ipsum dolo');
+  ctx.socket.expectResponse(50, {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTINUE,
+    id: 0x5001,
+    token: new Buffer([0x50]),
+    block1: {num: 0, m: true, size: 16}
+  });
+
+  scheduleBlock(100, 2, false, 'ectetur.');
+  ctx.socket.expectResponse(100, {
+    type: Message.Type.ACK,
+    code: Message.Code.REQUEST_ENTITY_INCOMPLETE,
+    id: 0x5003,
+    token: new Buffer([0x52])
+  });
+
+  scheduleBlock(150, 1, true, 'r sit amet, cons');
+  ctx.socket.expectResponse(150, {
+    type: Message.Type.ACK,
+    code: Message.Code.REQUEST_ENTITY_INCOMPLETE,
+    id: 0x5002,
+    token: new Buffer([0x51])
+  });
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.notCalled(handlerSpy);
+  };
+});
@@ -0,0 +1,197 @@
+/*
+ Respond with 4.13 Request Entity Too Large and the Size1 option if a request
+ body is bigger than the server's `maxUploadSize` option (set to 32 bytes):
+
+ 1. Client sends the first block and the total size of the request body:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x6001
+ 1       | CON  | 1 byte       | POST            | 24577
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 60    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: logs
+ Block1  : NUM: 0, M: true, SZX: 0 (16 bytes)
+ Size1   : 40
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ Lorem ipsum dolo
+ ==============================================================================
+
+ 2. Server responds with 4.13 and the maximum size of a request body:
+ ==============================================================================
+ Version | Type | Token Length | Code                          | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 1 1 0 1               | 0x6001
+ 1       | ACK  | 1 byte       | 4.13 Request Entity Too Large | 24577
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 60    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Size1: 32
+ ==============================================================================
+
+ 3. Client sends the first block without the Size1 option:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x6002
+ 1       | CON  | 1 byte       | POST            | 24578
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 61    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: logs
+ Block1  : NUM: 0, M: true, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ Lorem ipsum dolo
+ ==============================================================================
+
+ 4. Server responds with 2.31 Continue:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 1 1 1 1 1 | 0x6002
+ 1       | ACK  | 1 byte       | 2.31 Continue   | 24578
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 61    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 0, M: true, SZX: 0 (16 bytes)
+ ==============================================================================
+
+ 5. Client sends the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x6003
+ 1       | CON  | 1 byte       | POST            | 24579
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 62    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: logs
+ Block1  : NUM: 1, M: true, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ r sit amet, cons
+ ==============================================================================
+
+ 6. Server responds with 2.31 Continue:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 1 1 1 1 1 | 0x6003
+ 1       | ACK  | 1 byte       | 2.31 Continue   | 24579
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 62    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 1, M: true, SZX: 0 (16 bytes)
+ ==============================================================================
+
+ 7. Client sends the third block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x6004
+ 1       | CON  | 1 byte       | POST            | 24580
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 63    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: logs
+ Block1  : NUM: 2, M: false, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (8 bytes)
+ ectetur.
+ ==============================================================================
+
+ 8. Body would exceed 32 bytes, so the server discards the upload and
+ responds with 4.13:
+ ==============================================================================
+ Version | Type | Token Length | Code                          | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 1 1 0 1               | 0x6004
+ 1       | ACK  | 1 byte       | 4.13 Request Entity Too Large | 24580
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 63    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Size1: 32
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  ctx.reinitializeServer({maxUploadSize: 32});
+
+  var handlerSpy = sinon.spy();
+
+  ctx.server.post('/logs', handlerSpy);
+
+  function scheduleBlock(delay, id, block1, payload)
+  {
+    ctx.socket.scheduleRequest(delay, {
+      type: Message.Type.CON,
+      code: Message.Code.POST,
+      id: id,
+      token: new Buffer([id - 0x6001 + 0x60]),
+      uri: '/logs',
+      block1: block1,
+      size1: id === 0x6001 ? 40 : undefined,
+      payload: new Buffer(payload)
+    });
+  }
+
+  function expectResponse(delay, id, code, block1)
+  {
+    var response = {
+      type: Message.Type.ACK,
+      code: code,
+      id: id,
+      token: new Buffer([id - 0x6001 + 0x60])
+    };
+
+    if (block1)
+    {
+      response.block1 = block1;
+    }
+    else
+    {
+      response.size1 = 32;
+    }
+
+    ctx.socket.expectResponse(delay, response);
+  }
+
+  scheduleBlock(50, 0x6001, {num: 0, m: true, size: 16}, 'Lorem ipsum dolo');
+  expectResponse(50, 0x6001, Message.Code.REQUEST_ENTITY_TOO_LARGE);
+
+  scheduleBlock(100, 0x6002, {num: 0, m: true, size: 16}, 'Lorem ipsum dolo');
+  expectResponse(
+    100, 0x6002, Message.Code.CONTINUE, {num: 0, m: true, size: 16}
+  );
+
+  scheduleBlock(150, 0x6003, {num: 1, m: true, size: 16}, 'r sit amet, cons');
+  expectResponse(
+    150, 0x6003, Message.Code.CONTINUE, {num: 1, m: true, size: 16}
+  );
+
+  scheduleBlock(200, 0x6004, {num: 2, m: false, size: 16}, 'ectetur.');
+  expectResponse(200, 0x6004, Message.Code.REQUEST_ENTITY_TOO_LARGE);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.notCalled(handlerSpy);
+  };
+});
@@ -0,0 +1,133 @@
+/*
+ Discard a partially received request body after the upload timeout (by
+ default the exchange timeout, i.e. 64s for this server):
+
+ 1. Client sends the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 1 | 0x7001
+ 1       | CON  | 1 byte       | PUT             | 28673
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 70    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: config
+ Block1  : NUM: 0, M: true, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ Lorem ipsum dolo
+ ==============================================================================
+
+ 2. Server buffers the first block and responds with 2.31 Continue:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 1 1 1 1 1 | 0x7001
+ 1       | ACK  | 1 byte       | 2.31 Continue   | 28673
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 70    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Block1: NUM: 0, M: true, SZX: 0 (16 bytes)
+ ==============================================================================
+
+ 3. Client doesn't send the next block in 64s, so the server discards
+ the upload and emits the `upload timeout` event.
+
+ 4. After 70s, client sends the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 1 | 0x7002
+ 1       | CON  | 1 byte       | PUT             | 28674
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 71    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: config
+ Block1  : NUM: 1, M: false, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (10 bytes)
+ r sit amet
+ ==============================================================================
+
+ 5. Server responds with 4.08 Request Entity Incomplete:
+ ==============================================================================
+ Version | Type | Token Length | Code                           | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 1 0 0 0                | 0x7002
+ 1       | ACK  | 1 byte       | 4.08 Request Entity Incomplete | 28674
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 71    | 127.0.0.1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  var handlerSpy = sinon.spy();
+  var uploadTimeoutSpy = sinon.spy();
+
+  ctx.server.put('/config', handlerSpy);
+  ctx.server.on('upload timeout', uploadTimeoutSpy);
+
+  ctx.socket.scheduleRequest(50, {
+    type: Message.Type.CON,
+    code: Message.Code.PUT,
+    id: 0x7001,
+    token: new Buffer([0x70]),
+    uri: '/config',
+    block1: {num: 0, m: true, size: 16},
+    payload: new Buffer('Lorem ipsum dolo')
+  });
+  ctx.socket.expectResponse(50, {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTINUE,
+    id: 0x7001,
+    token: new Buffer([0x70]),
+    block1: {num: 0, m: true, size: 16}
+  });
+
+  ctx.socket.scheduleRequest(70000, {
+    type: Message.Type.CON,
+    code: Message.Code.PUT,
+    id: 0x7002,
+    token: new Buffer([0x71]),
+    uri: '/config',
+    block1: {num: 1, m: false, size: 16},
+    payload: new Buffer('r sit amet')
+  });
+  ctx.socket.expectResponse(70000, {
+    type: Message.Type.ACK,
+    code: Message.Code.REQUEST_ENTITY_INCOMPLETE,
+    id: 0x7002,
+    token: new Buffer([0x71])
+  });
+
+  ctx.clock.tick(64049);
+
+  var uploadCountBeforeTimeout = Object.keys(ctx.server.uploads).length;
+
+  ctx.clock.tick(1);
+
+  var uploadCountAfterTimeout = Object.keys(ctx.server.uploads).length;
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    uploadCountBeforeTimeout.should.be.equal(1);
+    uploadCountAfterTimeout.should.be.equal(0);
+
+    sinon.assert.calledOnce(uploadTimeoutSpy);
+    sinon.assert.calledWith(uploadTimeoutSpy, '127.0.0.1|/config');
+    sinon.assert.notCalled(handlerSpy);
+  };
+});
@@ -0,0 +1,153 @@
+/*
+ Send the cached response again in reply to a duplicate confirmable request
+ without calling the handler again:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x8001
+ 1       | CON  | 1 byte       | POST            | 32769
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 80    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: counter
+ ==============================================================================
+
+ 2. Server dispatches the #1 request to the POST handler and sends
+ the handler's response piggy-backed on the ACK:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 0 | 0x8001
+ 1       | ACK  | 1 byte       | 2.04 Changed    | 32769
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 80    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 1
+ ==============================================================================
+
+ 3. The #2 ACK is lost, so after 2s, client retransmits the #1 request.
+
+ 4. Server recognizes the #3 request as a duplicate (the same Message ID from
+ the same endpoint) and sends the #2 response again without calling
+ the handler:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 0 | 0x8001
+ 1       | ACK  | 1 byte       | 2.04 Changed    | 32769
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 80    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 1
+ ==============================================================================
+
+ 5. After EXCHANGE_LIFETIME (232s for this server), the server forgets
+ the #1 request.
+
+ 6. After 240s, client sends a new request with the same Message ID:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x8001
+ 1       | CON  | 1 byte       | POST            | 32769
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 81    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: counter
+ ==============================================================================
+
+ 7. Server dispatches the #6 request to the POST handler:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 0 | 0x8001
+ 1       | ACK  | 1 byte       | 2.04 Changed    | 32769
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 81    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 2
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  var counter = 0;
+  var handlerSpy = sinon.spy(function(req, done)
+  {
+    done(null, {
+      contentFormat: 'text/plain;charset=utf-8',
+      payload: String(++counter)
+    });
+  });
+  var duplicateRequestSpy = sinon.spy();
+
+  ctx.server.post('/counter', handlerSpy);
+  ctx.server.on('duplicate request', duplicateRequestSpy);
+
+  var request = {
+    type: Message.Type.CON,
+    code: Message.Code.POST,
+    id: 0x8001,
+    token: new Buffer([0x80]),
+    uri: '/counter'
+  };
+  var response = {
+    type: Message.Type.ACK,
+    code: Message.Code.CHANGED,
+    id: 0x8001,
+    token: new Buffer([0x80]),
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer('1')
+  };
+
+  ctx.socket.scheduleRequest(50, request);
+  ctx.socket.expectResponse(50, response);
+
+  ctx.socket.scheduleRequest(2050, request);
+  ctx.socket.expectResponse(2050, response);
+
+  ctx.socket.scheduleRequest(240000, {
+    type: Message.Type.CON,
+    code: Message.Code.POST,
+    id: 0x8001,
+    token: new Buffer([0x81]),
+    uri: '/counter'
+  });
+  ctx.socket.expectResponse(240000, {
+    type: Message.Type.ACK,
+    code: Message.Code.CHANGED,
+    id: 0x8001,
+    token: new Buffer([0x81]),
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer('2')
+  });
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledTwice(handlerSpy);
+    sinon.assert.calledOnce(duplicateRequestSpy);
+  };
+});
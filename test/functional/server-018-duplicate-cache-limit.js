@@ -0,0 +1,135 @@
+/*
+ Forget the oldest request if the number of remembered requests reaches
+ the server's `maxDuplicates` option (set to 2):
+
+ 1. Client sends three non-confirmable requests with Message IDs 1, 2 and 3:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x0001
+ 1       | NON  | 1 byte       | POST            | 1
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 91    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: counter
+ ==============================================================================
+
+ 2. Server responds to each of them. Remembering the third request makes
+ the server forget the first one:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 1 0 0 0 1 0 0 | 0x0001
+ 1       | NON  | 1 byte       | 2.04 Changed    | 1
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 91    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 1
+ ==============================================================================
+
+ 3. Client sends a duplicate of the third request. Server sends the cached
+ response again:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 1 0 0 0 1 0 0 | 0x0003
+ 1       | NON  | 1 byte       | 2.04 Changed    | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 93    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 3
+ ==============================================================================
+
+ 4. Client sends a duplicate of the first request. Server no longer remembers
+ it, so the handler is called again:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 1 0 0 0 1 0 0 | 0x0004
+ 1       | NON  | 1 byte       | 2.04 Changed    | 4
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 91    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (1 byte)
+ 4
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  ctx.reinitializeServer({maxDuplicates: 2});
+
+  var counter = 0;
+  var handlerSpy = sinon.spy(function(req, done)
+  {
+    done(null, {
+      contentFormat: 'text/plain;charset=utf-8',
+      payload: String(++counter)
+    });
+  });
+
+  ctx.server.post('/counter', handlerSpy);
+
+  function scheduleRequest(delay, id)
+  {
+    ctx.socket.scheduleRequest(delay, {
+      type: Message.Type.NON,
+      code: Message.Code.POST,
+      id: id,
+      token: new Buffer([0x90 + id]),
+      uri: '/counter'
+    });
+  }
+
+  function expectResponse(delay, id, requestId, payload)
+  {
+    ctx.socket.expectResponse(delay, {
+      type: Message.Type.NON,
+      code: Message.Code.CHANGED,
+      id: id,
+      token: new Buffer([0x90 + requestId]),
+      contentFormat: 'text/plain;charset=utf-8',
+      payload: new Buffer(payload)
+    });
+  }
+
+  scheduleRequest(50, 1);
+  expectResponse(50, 1, 1, '1');
+
+  scheduleRequest(100, 2);
+  expectResponse(100, 2, 2, '2');
+
+  scheduleRequest(150, 3);
+  expectResponse(150, 3, 3, '3');
+
+  scheduleRequest(200, 3);
+  expectResponse(200, 3, 3, '3');
+
+  scheduleRequest(250, 1);
+  expectResponse(250, 4, 1, '4');
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.callCount(handlerSpy, 4);
+  };
+});
@@ -0,0 +1,133 @@
+/*
+ Acknowledge a confirmable request with an empty ACK if the handler doesn't
+ respond in ACK_TIMEOUT/2 and send the response later as a separate
+ confirmable message:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 1 0      | 0 0 0 0 0 0 0 1 | 0xa001
+ 1       | CON  | 2 bytes      | GET             | 40961
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ a0 01 | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: bus
+ Uri-Path: temperature
+ ==============================================================================
+
+ 2. Server dispatches the #1 request to the GET handler, which takes 3s
+ to respond.
+
+ 3. After 1s, the handler didn't respond yet, so the server sends an empty
+ ACK:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 0 0 0 0 0 0 0 | 0xa001
+ 1       | ACK  | 0 bytes      | Empty           | 40961
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+
+ 4. The #3 ACK is lost, so after 2s, client retransmits the #1 request.
+ Server sends the #3 ACK again without calling the handler.
+
+ 5. After 3s, the handler responds and the server sends the response
+ as a separate confirmable message with the token of the #1 request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 1 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | CON  | 2 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ a0 01 | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: text/plain;charset=utf-8
+ ------------------------------------------------------------------------------
+ Payload (6 bytes)
+ 22.3 C
+ ==============================================================================
+
+ 6. Client doesn't acknowledge the #5 response, so after 5s, the server
+ retransmits it.
+
+ 7. Client acknowledges the #6 response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 0 0 0 0 0 0 0 | 0x0001
+ 1       | ACK  | 0 bytes      | Empty           | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  var request = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0xA001,
+    token: new Buffer([0xA0, 0x01]),
+    uri: '/bus/temperature'
+  };
+  var emptyAck = {
+    type: Message.Type.ACK,
+    code: Message.Code.EMPTY,
+    id: request.id
+  };
+  var response = {
+    type: Message.Type.CON,
+    code: Message.Code.CONTENT,
+    id: 1,
+    token: request.token,
+    contentFormat: 'text/plain;charset=utf-8',
+    payload: new Buffer('22.3 C')
+  };
+  var handlerSpy = sinon.spy(function(req, done)
+  {
+    setTimeout(function()
+    {
+      done(null, {
+        contentFormat: 'text/plain;charset=utf-8',
+        payload: '22.3 C'
+      });
+    }, 3000);
+  });
+  var separateResponseSpy = sinon.spy();
+
+  ctx.server.get('/bus/temperature', handlerSpy);
+  ctx.server.on('separate response', separateResponseSpy);
+
+  ctx.socket.scheduleRequest(50, request);
+  ctx.socket.expectResponse(1050, emptyAck);
+
+  ctx.socket.scheduleRequest(2050, request);
+  ctx.socket.expectResponse(2050, emptyAck);
+
+  ctx.socket.expectResponse(3050, response);
+  ctx.socket.expectResponse(5050, response);
+
+  ctx.socket.scheduleRequest(5100, {
+    type: Message.Type.ACK,
+    code: Message.Code.EMPTY,
+    id: 1
+  });
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(handlerSpy);
+    sinon.assert.calledOnce(separateResponseSpy);
+  };
+});
@@ -0,0 +1,88 @@
+/*
+ Send a separate response as a non-confirmable message if the server's
+ `separateResponseType` option is set to NON:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 1 | 0xb001
+ 1       | CON  | 1 byte       | PUT             | 45057
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ b0    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: bus
+ Uri-Path: relay
+ ------------------------------------------------------------------------------
+ Payload (2 bytes)
+ on
+ ==============================================================================
+
+ 2. Server dispatches the #1 request to the PUT handler, which takes 1.5s
+ to respond.
+
+ 3. After 1s, the handler didn't respond yet, so the server sends an empty
+ ACK:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 0 0 0 0 0 0 0 | 0xb001
+ 1       | ACK  | 0 bytes      | Empty           | 45057
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+
+ 4. After 1.5s, the handler responds and the server sends the response
+ as a separate non-confirmable message with the token of the #1 request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 1  | 0 0 0 1      | 0 1 0 0 0 1 0 0 | 0x0001
+ 1       | NON  | 1 byte       | 2.04 Changed    | 1
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ b0    | 127.0.0.1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  ctx.reinitializeServer({separateResponseType: Message.Type.NON});
+
+  ctx.server.put('/bus/relay', function(req, done)
+  {
+    setTimeout(done, 1500);
+  });
+
+  ctx.socket.scheduleRequest(50, {
+    type: Message.Type.CON,
+    code: Message.Code.PUT,
+    id: 0xB001,
+    token: new Buffer([0xB0]),
+    uri: '/bus/relay',
+    payload: new Buffer('on')
+  });
+  ctx.socket.expectResponse(1050, {
+    type: Message.Type.ACK,
+    code: Message.Code.EMPTY,
+    id: 0xB001
+  });
+  ctx.socket.expectResponse(1550, {
+    type: Message.Type.NON,
+    code: Message.Code.CHANGED,
+    id: 1,
+    token: new Buffer([0xB0])
+  });
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+  };
+});
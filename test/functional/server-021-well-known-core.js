@@ -0,0 +1,93 @@
+/*
+ Respond to a GET request for /.well-known/core with links to the registered
+ resources and their attributes:
+
+ 1. Client sends a request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0xc001
+ 1       | CON  | 1 byte       | GET             | 49153
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ c0    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: .well-known
+ Uri-Path: core
+ ==============================================================================
+
+ 2. Server responds with links to all resources (except /.well-known/core)
+ in the CoRE Link Format:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0xc001
+ 1       | ACK  | 1 byte       | 2.05 Content    | 49153
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ c0    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (150 bytes)
+ </sensors/temp>;rt="temperature-c";if="sensor";ct=0;title="Room temperature";obs,
+ </sensors/light>;rt="light-lux";if="sensor";ct=0;sz=8,
+ </config>;ct=50
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  function noop() {}
+
+  ctx.server.get('/sensors/temp', noop)
+    .setObservable(true)
+    .setLinkAttributes({
+      rt: 'temperature-c',
+      'if': 'sensor',
+      ct: 0,
+      title: 'Room temperature'
+    });
+
+  ctx.server.get('/sensors/light', noop).setLinkAttributes({
+    rt: 'light-lux',
+    'if': 'sensor',
+    ct: 0,
+    sz: 8
+  });
+
+  ctx.server.put('/config', noop).setLinkAttributes({ct: 50});
+
+  ctx.socket.scheduleRequest(50, {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0xC001,
+    token: new Buffer([0xC0]),
+    uri: '/.well-known/core'
+  });
+  ctx.socket.expectResponse(50, {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: 0xC001,
+    token: new Buffer([0xC0]),
+    contentFormat: 'application/link-format',
+    payload: new Buffer(
+      '</sensors/temp>;rt="temperature-c";if="sensor";ct=0;'
+        + 'title="Room temperature";obs,'
+        + '</sensors/light>;rt="light-lux";if="sensor";ct=0;sz=8,'
+        + '</config>;ct=50'
+    )
+  });
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+  };
+});
@@ -0,0 +1,153 @@
+/*
+ Filter links in the /.well-known/core response using the Uri-Query options:
+
+ 1. Client asks for resources of the `temperature-c` type:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0xd0d0
+ 1       | CON  | 1 byte       | GET             | 53456
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ d0    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : .well-known
+ Uri-Path : core
+ Uri-Query: rt=temperature-c
+ ==============================================================================
+
+ 2. Server responds with the matching link:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0xd0d0
+ 1       | ACK  | 1 byte       | 2.05 Content    | 53456
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ d0    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (39 bytes)
+ </sensors/temp>;rt="temperature-c";ct=0
+ ==============================================================================
+
+ 3. Client asks for resources with a path starting with /sensors:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0xd0d1
+ 1       | CON  | 1 byte       | GET             | 53457
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ d1    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : .well-known
+ Uri-Path : core
+ Uri-Query: href=/sensors*
+ ==============================================================================
+
+ 4. Server responds with the matching links:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0xd0d1
+ 1       | ACK  | 1 byte       | 2.05 Content    | 53457
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ d1    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (76 bytes)
+ </sensors/temp>;rt="temperature-c";ct=0,</sensors/light>;rt="light-lux";ct=0
+ ==============================================================================
+
+ 5. Client asks for resources of a type that is not registered:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0xd0d2
+ 1       | CON  | 1 byte       | GET             | 53458
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ d2    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : .well-known
+ Uri-Path : core
+ Uri-Query: rt=humidity
+ ==============================================================================
+
+ 6. Server responds with 4.04 Not Found:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 0 1 0 0 | 0xd0d2
+ 1       | ACK  | 1 byte       | 4.04 Not Found  | 53458
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ d2    | 127.0.0.1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  function noop() {}
+
+  ctx.server.get('/sensors/temp', noop)
+    .setLinkAttributes({rt: 'temperature-c', ct: 0});
+
+  ctx.server.get('/sensors/light', noop)
+    .setLinkAttributes({rt: 'light-lux', ct: 0});
+
+  ctx.server.put('/config', noop).setLinkAttributes({ct: 50});
+
+  function scheduleRequest(delay, id, query)
+  {
+    ctx.socket.scheduleRequest(delay, {
+      type: Message.Type.CON,
+      code: Message.Code.GET,
+      id: id,
+      token: new Buffer([id & 0xFF]),
+      uri: '/.well-known/core?' + query
+    });
+  }
+
+  function expectResponse(delay, id, payload)
+  {
+    ctx.socket.expectResponse(delay, {
+      type: Message.Type.ACK,
+      code: Message.Code.CONTENT,
+      id: id,
+      token: new Buffer([id & 0xFF]),
+      contentFormat: 'application/link-format',
+      payload: new Buffer(payload)
+    });
+  }
+
+  scheduleRequest(50, 0xD0D0, 'rt=temperature-c');
+  expectResponse(50, 0xD0D0, '</sensors/temp>;rt="temperature-c";ct=0');
+
+  scheduleRequest(100, 0xD0D1, 'href=/sensors*');
+  expectResponse(
+    100,
+    0xD0D1,
+    '</sensors/temp>;rt="temperature-c";ct=0,</sensors/light>;rt="light-lux";ct=0'
+  );
+
+  scheduleRequest(150, 0xD0D2, 'rt=humidity');
+  ctx.socket.expectResponse(150, {
+    type: Message.Type.ACK,
+    code: Message.Code.NOT_FOUND,
+    id: 0xD0D2,
+    token: new Buffer([0xD2])
+  });
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+  };
+});
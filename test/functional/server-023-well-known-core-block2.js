@@ -0,0 +1,152 @@
+/*
+ Send a long /.well-known/core response in blocks:
+
+ 1. Client sends a request for the first block of 32 bytes:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0xe001
+ 1       | CON  | 1 byte       | GET             | 57345
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ e0    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: .well-known
+ Uri-Path: core
+ Block2  : NUM: 0, M: false, SZX: 1 (32 bytes)
+ ==============================================================================
+
+ 2. Server responds with the first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0xe001
+ 1       | ACK  | 1 byte       | 2.05 Content    | 57345
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ e0    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag          : <Buffer 28 99 28 59 e0 5a 02 98>
+ Content-Format: application/link-format
+ Block2        : NUM: 0, M: true, SZX: 1 (32 bytes)
+ ------------------------------------------------------------------------------
+ Payload (32 bytes)
+ </sensors/temperature>;rt="tempe
+ ==============================================================================
+
+ 3. Client requests the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0xe002
+ 1       | CON  | 1 byte       | GET             | 57346
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ e1    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: .well-known
+ Uri-Path: core
+ Block2  : NUM: 1, M: false, SZX: 1 (32 bytes)
+ ==============================================================================
+
+ 4. Server responds with the second block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0xe002
+ 1       | ACK  | 1 byte       | 2.05 Content    | 57346
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ e1    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag          : <Buffer 28 99 28 59 e0 5a 02 98>
+ Content-Format: application/link-format
+ Block2        : NUM: 1, M: true, SZX: 1 (32 bytes)
+ ------------------------------------------------------------------------------
+ Payload (32 bytes)
+ rature-c",</sensors/light>;rt="l
+ ==============================================================================
+
+ 5. Client requests the third block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0xe003
+ 1       | CON  | 1 byte       | GET             | 57347
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ e2    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: .well-known
+ Uri-Path: core
+ Block2  : NUM: 2, M: false, SZX: 1 (32 bytes)
+ ==============================================================================
+
+ 6. Server responds with the last block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0xe003
+ 1       | ACK  | 1 byte       | 2.05 Content    | 57347
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ e2    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag          : <Buffer 28 99 28 59 e0 5a 02 98>
+ Content-Format: application/link-format
+ Block2        : NUM: 2, M: false, SZX: 1 (32 bytes)
+ ------------------------------------------------------------------------------
+ Payload (9 bytes)
+ ight-lux"
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var crypto = require('crypto');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  function noop() {}
+
+  ctx.server.get('/sensors/temperature', noop)
+    .setLinkAttributes({rt: 'temperature-c'});
+
+  ctx.server.get('/sensors/light', noop)
+    .setLinkAttributes({rt: 'light-lux'});
+
+  var payload =
+    '</sensors/temperature>;rt="temperature-c",</sensors/light>;rt="light-lux"';
+  var eTag = crypto.createHash('sha1').update(payload).digest().slice(0, 8);
+
+  [0, 1, 2].forEach(function(num)
+  {
+    var delay = 50 * (num + 1);
+    var id = 0xE001 + num;
+    var token = new Buffer([0xE0 + num]);
+
+    ctx.socket.scheduleRequest(delay, {
+      type: Message.Type.CON,
+      code: Message.Code.GET,
+      id: id,
+      token: token,
+      uri: '/.well-known/core',
+      block2: {num: num, m: false, size: 32}
+    });
+    ctx.socket.expectResponse(delay, {
+      type: Message.Type.ACK,
+      code: Message.Code.CONTENT,
+      id: id,
+      token: token,
+      contentFormat: 'application/link-format',
+      eTag: eTag,
+      block2: {num: num, m: num < 2, size: 32},
+      payload: new Buffer(payload.substr(num * 32, 32))
+    });
+  });
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+  };
+});
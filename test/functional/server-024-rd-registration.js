@@ -0,0 +1,288 @@
+/*
+ Register, read, update and remove an endpoint's registration in a resource
+ directory:
+
+ 1. Client discovers the resource directory's interfaces:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0xe001
+ 1       | CON  | 1 byte       | GET             | 57345
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : .well-known
+ Uri-Path : core
+ Uri-Query: rt=core.rd*
+ ==============================================================================
+
+ 2. Server responds with the interfaces:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0xe001
+ 1       | ACK  | 1 byte       | 2.05 Content    | 57345
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (116 bytes)
+ </rd>;rt="core.rd";ct=40,
+ </rd-lookup/ep>;rt="core.rd-lookup-ep";ct=40,
+ </rd-lookup/res>;rt="core.rd-lookup-res";ct=40
+ ==============================================================================
+
+ 3. Client registers its links:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0xe002
+ 1       | CON  | 1 byte       | POST            | 57346
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path      : rd
+ Content-Format: application/link-format
+ Uri-Query     : ep=node1
+ Uri-Query     : lt=60
+ Uri-Query     : d=lab
+ ------------------------------------------------------------------------------
+ Payload (60 bytes)
+ </sensors/temp>;rt="temperature-c";obs,
+ </sensors/light>;ct=0
+ ==============================================================================
+
+ 4. Server responds with a location of the registration resource:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 0 0 1 | 0xe002
+ 1       | ACK  | 1 byte       | 2.01 Created    | 57346
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Location-Path: rd
+ Location-Path: 1
+ ==============================================================================
+
+ 5. Client reads the registration:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0xe003
+ 1       | CON  | 1 byte       | GET             | 57347
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 03    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: rd
+ Uri-Path: 1
+ ==============================================================================
+
+ 6. Server responds with the registered links:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0xe003
+ 1       | ACK  | 1 byte       | 2.05 Content    | 57347
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 03    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (60 bytes)
+ </sensors/temp>;rt="temperature-c";obs,
+ </sensors/light>;ct=0
+ ==============================================================================
+
+ 7. After 30 s, client updates the registration's lifetime:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0xe004
+ 1       | CON  | 1 byte       | POST            | 57348
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 04    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : rd
+ Uri-Path : 1
+ Uri-Query: lt=120
+ ==============================================================================
+
+ 8. Server responds with a 2.04 Changed:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 0 | 0xe004
+ 1       | ACK  | 1 byte       | 2.04 Changed    | 57348
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 04    | 127.0.0.1
+ ==============================================================================
+
+ 9. After 100 s (after the initial lifetime, but before the updated one
+ expires), client removes the registration:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 1 0 0 | 0xe005
+ 1       | CON  | 1 byte       | DELETE          | 57349
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 05    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: rd
+ Uri-Path: 1
+ ==============================================================================
+
+ 10. Server responds with a 2.02 Deleted:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 0 1 0 | 0xe005
+ 1       | ACK  | 1 byte       | 2.02 Deleted    | 57349
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 05    | 127.0.0.1
+ ==============================================================================
+
+ 11. Client tries to update the removed registration:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0xe006
+ 1       | CON  | 1 byte       | POST            | 57350
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 06    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: rd
+ Uri-Path: 1
+ ==============================================================================
+
+ 12. Server responds with a 4.04 Not Found:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 0 1 0 0 | 0xe006
+ 1       | ACK  | 1 byte       | 4.04 Not Found  | 57350
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 06    | 127.0.0.1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var rd = new coap.ResourceDirectory(ctx.server);
+  var rdEventSpy = sinon.spy(rd, 'emit');
+  var links = '</sensors/temp>;rt="temperature-c";obs,</sensors/light>;ct=0';
+
+  function scheduleRequest(delay, id, request)
+  {
+    request.type = Message.Type.CON;
+    request.id = id;
+    request.token = new Buffer([id & 0xFF]);
+
+    ctx.socket.scheduleRequest(delay, request);
+  }
+
+  function expectResponse(delay, id, response)
+  {
+    response.type = Message.Type.ACK;
+    response.id = id;
+    response.token = new Buffer([id & 0xFF]);
+
+    ctx.socket.expectResponse(delay, response);
+  }
+
+  scheduleRequest(50, 0xE001, {
+    code: Message.Code.GET,
+    uri: '/.well-known/core?rt=core.rd*'
+  });
+  expectResponse(50, 0xE001, {
+    code: Message.Code.CONTENT,
+    contentFormat: 'application/link-format',
+    payload: new Buffer(
+      '</rd>;rt="core.rd";ct=40,'
+        + '</rd-lookup/ep>;rt="core.rd-lookup-ep";ct=40,'
+        + '</rd-lookup/res>;rt="core.rd-lookup-res";ct=40'
+    )
+  });
+
+  scheduleRequest(100, 0xE002, {
+    code: Message.Code.POST,
+    uri: '/rd?ep=node1&lt=60&d=lab',
+    contentFormat: 'application/link-format',
+    payload: new Buffer(links)
+  });
+  expectResponse(100, 0xE002, {
+    code: Message.Code.CREATED,
+    locationPath: '/rd/1'
+  });
+
+  scheduleRequest(150, 0xE003, {
+    code: Message.Code.GET,
+    uri: '/rd/1'
+  });
+  expectResponse(150, 0xE003, {
+    code: Message.Code.CONTENT,
+    contentFormat: 'application/link-format',
+    payload: new Buffer(links)
+  });
+
+  scheduleRequest(30000, 0xE004, {
+    code: Message.Code.POST,
+    uri: '/rd/1?lt=120'
+  });
+  expectResponse(30000, 0xE004, {
+    code: Message.Code.CHANGED
+  });
+
+  scheduleRequest(100000, 0xE005, {
+    code: Message.Code.DELETE,
+    uri: '/rd/1'
+  });
+  expectResponse(100000, 0xE005, {
+    code: Message.Code.DELETED
+  });
+
+  scheduleRequest(100050, 0xE006, {
+    code: Message.Code.POST,
+    uri: '/rd/1'
+  });
+  expectResponse(100050, 0xE006, {
+    code: Message.Code.NOT_FOUND
+  });
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.callCount(rdEventSpy, 3);
+    rdEventSpy.args[0][0].should.be.equal('registered');
+    rdEventSpy.args[1][0].should.be.equal('updated');
+    rdEventSpy.args[2][0].should.be.equal('unregistered');
+
+    var registration = rdEventSpy.args[0][1];
+
+    registration.should.be.equal(rdEventSpy.args[2][1]);
+    registration.getEndpointLink().should.be.eql({
+      href: '/rd/1',
+      ep: 'node1',
+      d: 'lab',
+      base: 'coap://127.0.0.1',
+      lt: 120
+    });
+
+    rd.getRegistrations().should.be.eql([]);
+  };
+});
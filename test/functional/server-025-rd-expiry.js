@@ -0,0 +1,172 @@
+/*
+ Remove a registration from a resource directory after its lifetime expires:
+
+ 1. Client registers its links with a lifetime of 60 s:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0xe101
+ 1       | CON  | 1 byte       | POST            | 57601
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path      : rd
+ Content-Format: application/link-format
+ Uri-Query     : ep=node1
+ Uri-Query     : lt=60
+ ------------------------------------------------------------------------------
+ Payload (15 bytes)
+ </sensors/temp>
+ ==============================================================================
+
+ 2. Server responds with a location of the registration resource:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 0 0 1 | 0xe101
+ 1       | ACK  | 1 byte       | 2.01 Created    | 57601
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Location-Path: rd
+ Location-Path: 1
+ ==============================================================================
+
+ 3. Client doesn't update the registration and 60 s later the `expired`
+ event is emitted.
+
+ 4. Client tries to update the expired registration:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0xe102
+ 1       | CON  | 1 byte       | POST            | 57602
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: rd
+ Uri-Path: 1
+ ==============================================================================
+
+ 5. Server responds with a 4.04 Not Found:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 0 1 0 0 | 0xe102
+ 1       | ACK  | 1 byte       | 4.04 Not Found  | 57602
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ==============================================================================
+
+ 6. Client registers again and gets a new location:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0xe103
+ 1       | CON  | 1 byte       | POST            | 57603
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 03    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path      : rd
+ Content-Format: application/link-format
+ Uri-Query     : ep=node1
+ Uri-Query     : lt=60
+ ------------------------------------------------------------------------------
+ Payload (15 bytes)
+ </sensors/temp>
+ ==============================================================================
+
+ 7. Server responds with a location of the new registration resource
+ (that expires after another 60 s):
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 0 0 1 | 0xe103
+ 1       | ACK  | 1 byte       | 2.01 Created    | 57603
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 03    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Location-Path: rd
+ Location-Path: 2
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var rd = new coap.ResourceDirectory(ctx.server);
+  var rdEventSpy = sinon.spy(rd, 'emit');
+
+  function scheduleRegistration(delay, id)
+  {
+    ctx.socket.scheduleRequest(delay, {
+      type: Message.Type.CON,
+      code: Message.Code.POST,
+      id: id,
+      token: new Buffer([id & 0xFF]),
+      uri: '/rd?ep=node1&lt=60',
+      contentFormat: 'application/link-format',
+      payload: new Buffer('</sensors/temp>')
+    });
+  }
+
+  function expectResponse(delay, id, code, locationPath)
+  {
+    ctx.socket.expectResponse(delay, {
+      type: Message.Type.ACK,
+      code: code,
+      id: id,
+      token: new Buffer([id & 0xFF]),
+      locationPath: locationPath
+    });
+  }
+
+  scheduleRegistration(50, 0xE101);
+  expectResponse(50, 0xE101, Message.Code.CREATED, '/rd/1');
+
+  ctx.socket.scheduleRequest(60100, {
+    type: Message.Type.CON,
+    code: Message.Code.POST,
+    id: 0xE102,
+    token: new Buffer([0x02]),
+    uri: '/rd/1'
+  });
+  expectResponse(60100, 0xE102, Message.Code.NOT_FOUND);
+
+  scheduleRegistration(60150, 0xE103);
+  expectResponse(60150, 0xE103, Message.Code.CREATED, '/rd/2');
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.callCount(rdEventSpy, 4);
+
+    rdEventSpy.args[0][0].should.be.equal('registered');
+
+    rdEventSpy.args[1][0].should.be.equal('expired');
+    rdEventSpy.args[1][1].should.be.equal(rdEventSpy.args[0][1]);
+    sinon.assert.calledAt(rdEventSpy, 2, ctx.startTime + 60050);
+
+    rdEventSpy.args[2][0].should.be.equal('registered');
+    rdEventSpy.args[2][1].getPath().should.be.equal('/rd/2');
+
+    rdEventSpy.args[3][0].should.be.equal('expired');
+    rdEventSpy.args[3][1].should.be.equal(rdEventSpy.args[2][1]);
+    sinon.assert.calledAt(rdEventSpy, 4, ctx.startTime + 120150);
+
+    rd.getRegistrations().should.be.eql([]);
+  };
+});
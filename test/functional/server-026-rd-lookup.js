@@ -0,0 +1,308 @@
+/*
+ Find endpoints and resources registered in a resource directory using
+ the lookup interfaces with filtering and paging:
+
+ 1. The first endpoint registers its links:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0xe201
+ 1       | CON  | 1 byte       | POST            | 57857
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path      : rd
+ Content-Format: application/link-format
+ Uri-Query     : ep=node1
+ Uri-Query     : d=lab
+ ------------------------------------------------------------------------------
+ Payload (75 bytes)
+ </sensors/temp>;rt="temperature-c";obs,
+ </sensors/light>;rt="light-lux";ct=0
+ ==============================================================================
+
+ 2. Server responds with a 2.01 Created.
+
+ 3. The second endpoint registers its links with an explicit base URI:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0xe202
+ 1       | CON  | 1 byte       | POST            | 57858
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path      : rd
+ Content-Format: application/link-format
+ Uri-Query     : ep=node2
+ Uri-Query     : d=office
+ Uri-Query     : base=coap://192.168.1.20:5684
+ ------------------------------------------------------------------------------
+ Payload (26 bytes)
+ </temp>;rt="temperature-f"
+ ==============================================================================
+
+ 4. Server responds with a 2.01 Created.
+
+ 5. Client looks up endpoints in the `lab` sector:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0xe203
+ 1       | CON  | 1 byte       | GET             | 57859
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 03    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : rd-lookup
+ Uri-Path : ep
+ Uri-Query: d=lab
+ ==============================================================================
+
+ 6. Server responds with a link to the registration resource of the first
+ endpoint:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0xe203
+ 1       | ACK  | 1 byte       | 2.05 Content    | 57859
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 03    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (59 bytes)
+ </rd/1>;ep="node1";d="lab";base="coap://127.0.0.1";lt=90000
+ ==============================================================================
+
+ 7. Client looks up resources of the `temperature*` types:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0xe204
+ 1       | CON  | 1 byte       | GET             | 57860
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 04    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : rd-lookup
+ Uri-Path : res
+ Uri-Query: rt=temperature*
+ ==============================================================================
+
+ 8. Server responds with the matching links resolved against the base URIs
+ of their endpoints:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0xe204
+ 1       | ACK  | 1 byte       | 2.05 Content    | 57860
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 04    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (165 bytes)
+ <coap://127.0.0.1/sensors/temp>;rt="temperature-c";obs;anchor="coap://127.0.0.1",
+ <coap://192.168.1.20:5684/temp>;rt="temperature-f";anchor="coap://192.168.1.20:5684"
+ ==============================================================================
+
+ 9. Client looks up resources of endpoints in the `office` sector:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0xe205
+ 1       | CON  | 1 byte       | GET             | 57861
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 05    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : rd-lookup
+ Uri-Path : res
+ Uri-Query: d=office
+ ==============================================================================
+
+ 10. Server responds with the links of the second endpoint:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0xe205
+ 1       | ACK  | 1 byte       | 2.05 Content    | 57861
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 05    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (84 bytes)
+ <coap://192.168.1.20:5684/temp>;rt="temperature-f";anchor="coap://192.168.1.20:5684"
+ ==============================================================================
+
+ 11. Client requests the second page of all resources with 2 links per page:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0xe206
+ 1       | CON  | 1 byte       | GET             | 57862
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 06    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : rd-lookup
+ Uri-Path : res
+ Uri-Query: count=2
+ Uri-Query: page=1
+ ==============================================================================
+
+ 12. Server responds with the third link:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0xe206
+ 1       | ACK  | 1 byte       | 2.05 Content    | 57862
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 06    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ------------------------------------------------------------------------------
+ Payload (84 bytes)
+ <coap://192.168.1.20:5684/temp>;rt="temperature-f";anchor="coap://192.168.1.20:5684"
+ ==============================================================================
+
+ 13. Client looks up an unknown endpoint:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0xe207
+ 1       | CON  | 1 byte       | GET             | 57863
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 07    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path : rd-lookup
+ Uri-Path : ep
+ Uri-Query: ep=node3
+ ==============================================================================
+
+ 14. Server responds with an empty list of links:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0xe207
+ 1       | ACK  | 1 byte       | 2.05 Content    | 57863
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 07    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Content-Format: application/link-format
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var rd = new coap.ResourceDirectory(ctx.server);
+
+  function scheduleRequest(delay, id, request)
+  {
+    request.type = Message.Type.CON;
+    request.id = id;
+    request.token = new Buffer([id & 0xFF]);
+
+    ctx.socket.scheduleRequest(delay, request);
+  }
+
+  function expectResponse(delay, id, response)
+  {
+    response.type = Message.Type.ACK;
+    response.id = id;
+    response.token = new Buffer([id & 0xFF]);
+
+    ctx.socket.expectResponse(delay, response);
+  }
+
+  function expectLookup(delay, id, uri, payload)
+  {
+    scheduleRequest(delay, id, {
+      code: Message.Code.GET,
+      uri: uri
+    });
+    expectResponse(delay, id, {
+      code: Message.Code.CONTENT,
+      contentFormat: 'application/link-format',
+      payload: new Buffer(payload)
+    });
+  }
+
+  scheduleRequest(50, 0xE201, {
+    code: Message.Code.POST,
+    uri: '/rd?ep=node1&d=lab',
+    contentFormat: 'application/link-format',
+    payload: new Buffer(
+      '</sensors/temp>;rt="temperature-c";obs,'
+        + '</sensors/light>;rt="light-lux";ct=0'
+    )
+  });
+  expectResponse(50, 0xE201, {
+    code: Message.Code.CREATED,
+    locationPath: '/rd/1'
+  });
+
+  scheduleRequest(100, 0xE202, {
+    code: Message.Code.POST,
+    uri: '/rd?ep=node2&d=office&base=coap://192.168.1.20:5684',
+    contentFormat: 'application/link-format',
+    payload: new Buffer('</temp>;rt="temperature-f"')
+  });
+  expectResponse(100, 0xE202, {
+    code: Message.Code.CREATED,
+    locationPath: '/rd/2'
+  });
+
+  expectLookup(
+    150,
+    0xE203,
+    '/rd-lookup/ep?d=lab',
+    '</rd/1>;ep="node1";d="lab";base="coap://127.0.0.1";lt=90000'
+  );
+
+  expectLookup(
+    200,
+    0xE204,
+    '/rd-lookup/res?rt=temperature*',
+    '<coap://127.0.0.1/sensors/temp>;rt="temperature-c";obs;'
+      + 'anchor="coap://127.0.0.1",'
+      + '<coap://192.168.1.20:5684/temp>;rt="temperature-f";'
+      + 'anchor="coap://192.168.1.20:5684"'
+  );
+
+  expectLookup(
+    250,
+    0xE205,
+    '/rd-lookup/res?d=office',
+    '<coap://192.168.1.20:5684/temp>;rt="temperature-f";'
+      + 'anchor="coap://192.168.1.20:5684"'
+  );
+
+  expectLookup(
+    300,
+    0xE206,
+    '/rd-lookup/res?count=2&page=1',
+    '<coap://192.168.1.20:5684/temp>;rt="temperature-f";'
+      + 'anchor="coap://192.168.1.20:5684"'
+  );
+
+  expectLookup(350, 0xE207, '/rd-lookup/ep?ep=node3', '');
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    rd.getRegistrations().length.should.be.equal(2);
+    rd.destroy();
+  };
+});
@@ -0,0 +1,249 @@
+/*
+ Reject invalid requests to the resource directory interfaces:
+
+ 1. Client tries to register without the endpoint name:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0xe301
+ 1       | CON  | 1 byte       | POST            | 58113
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path      : rd
+ Content-Format: application/link-format
+ Uri-Query     : lt=60
+ ------------------------------------------------------------------------------
+ Payload (7 bytes)
+ </temp>
+ ==============================================================================
+
+ 2. Server responds with a 4.00 Bad Request:
+ ==============================================================================
+ Version | Type | Token Length | Code             | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 0 0 0 0  | 0xe301
+ 1       | ACK  | 1 byte       | 4.00 Bad Request | 58113
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (29 bytes)
+ The ep parameter is required.
+ ==============================================================================
+
+ 3. Client tries to register with an invalid lifetime:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0xe302
+ 1       | CON  | 1 byte       | POST            | 58114
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path      : rd
+ Content-Format: application/link-format
+ Uri-Query     : ep=node1
+ Uri-Query     : lt=0
+ ------------------------------------------------------------------------------
+ Payload (7 bytes)
+ </temp>
+ ==============================================================================
+
+ 4. Server responds with a 4.00 Bad Request:
+ ==============================================================================
+ Version | Type | Token Length | Code             | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 0 0 0 0  | 0xe302
+ 1       | ACK  | 1 byte       | 4.00 Bad Request | 58114
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (23 bytes)
+ Invalid lt parameter: 0
+ ==============================================================================
+
+ 5. Client tries to register links in an invalid format:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0xe303
+ 1       | CON  | 1 byte       | POST            | 58115
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 03    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path      : rd
+ Content-Format: application/link-format
+ Uri-Query     : ep=node1
+ ------------------------------------------------------------------------------
+ Payload (5 bytes)
+ /temp
+ ==============================================================================
+
+ 6. Server responds with a 4.00 Bad Request:
+ ==============================================================================
+ Version | Type | Token Length | Code             | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 0 0 0 0  | 0xe303
+ 1       | ACK  | 1 byte       | 4.00 Bad Request | 58115
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 03    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (42 bytes)
+ Expected `<` at position 0, but found `/`.
+ ==============================================================================
+
+ 7. Client tries to register links in an unsupported content format:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0xe304
+ 1       | CON  | 1 byte       | POST            | 58116
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 04    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path      : rd
+ Content-Format: application/json
+ Uri-Query     : ep=node1
+ ------------------------------------------------------------------------------
+ Payload (18 bytes)
+ [
+   {
+     "href": "/temp"
+   }
+ ]
+ ==============================================================================
+
+ 8. Server responds with a 4.15 Unsupported Content-Format:
+ ==============================================================================
+ Version | Type | Token Length | Code                        | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 1 1 1 1             | 0xe304
+ 1       | ACK  | 1 byte       | 4.15 Unsupported Media Type | 58116
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 04    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Payload (30 bytes)
+ Unsupported Content-Format: 50
+ ==============================================================================
+
+ 9. Client asks for a lookup result in an unsupported content format:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0xe305
+ 1       | CON  | 1 byte       | GET             | 58117
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 05    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: rd-lookup
+ Uri-Path: res
+ Accept  : application/json
+ ==============================================================================
+
+ 10. Server responds with a 4.06 Not Acceptable:
+ ==============================================================================
+ Version | Type | Token Length | Code                | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 0 1 1 0     | 0xe305
+ 1       | ACK  | 1 byte       | 4.06 Not Acceptable | 58117
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 05    | 127.0.0.1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  /*jshint maxstatements:99*/
+
+  var rd = new coap.ResourceDirectory(ctx.server);
+
+  function scheduleRequest(delay, id, request)
+  {
+    request.type = Message.Type.CON;
+    request.id = id;
+    request.token = new Buffer([id & 0xFF]);
+
+    ctx.socket.scheduleRequest(delay, request);
+  }
+
+  function expectResponse(delay, id, code, payload)
+  {
+    ctx.socket.expectResponse(delay, {
+      type: Message.Type.ACK,
+      code: code,
+      id: id,
+      token: new Buffer([id & 0xFF]),
+      payload: new Buffer(payload || 0)
+    });
+  }
+
+  scheduleRequest(50, 0xE301, {
+    code: Message.Code.POST,
+    uri: '/rd?lt=60',
+    contentFormat: 'application/link-format',
+    payload: new Buffer('</temp>')
+  });
+  expectResponse(
+    50, 0xE301, Message.Code.BAD_REQUEST, "The ep parameter is required."
+  );
+
+  scheduleRequest(100, 0xE302, {
+    code: Message.Code.POST,
+    uri: '/rd?ep=node1&lt=0',
+    contentFormat: 'application/link-format',
+    payload: new Buffer('</temp>')
+  });
+  expectResponse(
+    100, 0xE302, Message.Code.BAD_REQUEST, "Invalid lt parameter: 0"
+  );
+
+  scheduleRequest(150, 0xE303, {
+    code: Message.Code.POST,
+    uri: '/rd?ep=node1',
+    contentFormat: 'application/link-format',
+    payload: new Buffer('/temp')
+  });
+  expectResponse(
+    150,
+    0xE303,
+    Message.Code.BAD_REQUEST,
+    "Expected `<` at position 0, but found `/`."
+  );
+
+  scheduleRequest(200, 0xE304, {
+    code: Message.Code.POST,
+    uri: '/rd?ep=node1',
+    contentFormat: 'application/json',
+    payload: new Buffer('[{"href":"/temp"}]')
+  });
+  expectResponse(
+    200,
+    0xE304,
+    Message.Code.UNSUPPORTED_CONTENT_FORMAT,
+    "Unsupported Content-Format: 50"
+  );
+
+  scheduleRequest(250, 0xE305, {
+    code: Message.Code.GET,
+    uri: '/rd-lookup/res',
+    accept: 'application/json'
+  });
+  expectResponse(250, 0xE305, Message.Code.NOT_ACCEPTABLE);
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    rd.getRegistrations().should.be.eql([]);
+  };
+});
@@ -0,0 +1,204 @@
+/*
+ Call the handler of a POST request only once, even though its response is
+ sent in multiple Block2 blocks (the server's `maxBlockSize` option is set to
+ 16 bytes):
+
+ 1. Client sends a POST request without the Block2 option:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x1001
+ 1       | CON  | 1 byte       | POST            | 4097
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 10    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: export
+ ==============================================================================
+
+ 2. Server dispatches the #1 request to the POST handler, remembers the whole
+ response and sends its first block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 0 | 0x1001
+ 1       | ACK  | 1 byte       | 2.04 Changed    | 4097
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 10    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag          : <Buffer d5 94 23 8f 00 d4 ab d5>
+ Content-Format: text/plain;charset=utf-8
+ Block2        : NUM: 0, M: true, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ Lorem ipsum dolo
+ ==============================================================================
+
+ 3. Client requests the second block with the same method:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x1002
+ 1       | CON  | 1 byte       | POST            | 4098
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 11    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: export
+ Block2  : NUM: 1, M: false, SZX: 0 (16 bytes)
+ ==============================================================================
+
+ 4. Server sends the second block of the remembered response without calling
+ the POST handler:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 0 | 0x1002
+ 1       | ACK  | 1 byte       | 2.04 Changed    | 4098
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 11    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag          : <Buffer d5 94 23 8f 00 d4 ab d5>
+ Content-Format: text/plain;charset=utf-8
+ Block2        : NUM: 1, M: true, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (16 bytes)
+ r sit amet, cons
+ ==============================================================================
+
+ 5. Client requests the third block:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x1003
+ 1       | CON  | 1 byte       | POST            | 4099
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 12    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: export
+ Block2  : NUM: 2, M: false, SZX: 0 (16 bytes)
+ ==============================================================================
+
+ 6. Server sends the last block and forgets the response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 0 | 0x1003
+ 1       | ACK  | 1 byte       | 2.04 Changed    | 4099
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 12    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag          : <Buffer d5 94 23 8f 00 d4 ab d5>
+ Content-Format: text/plain;charset=utf-8
+ Block2        : NUM: 2, M: false, SZX: 0 (16 bytes)
+ ------------------------------------------------------------------------------
+ Payload (8 bytes)
+ ectetur.
+ ==============================================================================
+
+ 7. Client requests the second block again:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 0 | 0x1004
+ 1       | CON  | 1 byte       | POST            | 4100
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 13    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: export
+ Block2  : NUM: 1, M: false, SZX: 0 (16 bytes)
+ ==============================================================================
+
+ 8. Server has no response to send the block from, so it responds with 4.08
+ Request Entity Incomplete (the POST handler is not called):
+ ==============================================================================
+ Version | Type | Token Length | Code                           | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 1 0 0 0                | 0x1004
+ 1       | ACK  | 1 byte       | 4.08 Request Entity Incomplete | 4100
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 13    | 127.0.0.1
+ ==============================================================================
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.serverTest(__filename, function(ctx)
+{
+  ctx.reinitializeServer({maxBlockSize: 16});
+
+  var eTag = new Buffer('d594238f00d4abd5', 'hex');
+  var handlerSpy = sinon.spy(function(req, done)
+  {
+    done(null, {
+      contentFormat: 'text/plain;charset=utf-8',
+      payload: 'Lorem ipsum dolor sit amet, consectetur.'
+    });
+  });
+
+  ctx.server.post('/export', handlerSpy);
+
+  function scheduleRequest(delay, id, token, block2)
+  {
+    var request = {
+      type: Message.Type.CON,
+      code: Message.Code.POST,
+      id: id,
+      token: new Buffer([token]),
+      uri: '/export',
+      block2: block2
+    };
+
+    ctx.socket.scheduleRequest(delay, request);
+
+    return request;
+  }
+
+  function expectResponse(delay, request, block2, payload)
+  {
+    ctx.socket.expectResponse(delay, {
+      type: Message.Type.ACK,
+      code: Message.Code.CHANGED,
+      id: request.id,
+      token: request.token,
+      eTag: eTag,
+      contentFormat: 'text/plain;charset=utf-8',
+      block2: block2,
+      payload: new Buffer(payload)
+    });
+  }
+
+  var request = scheduleRequest(50, 0x1001, 0x10);
+
+  expectResponse(50, request, {num: 0, m: true, size: 16}, 'Lorem ipsum dolo');
+
+  request = scheduleRequest(100, 0x1002, 0x11, {num: 1, m: false, size: 16});
+
+  expectResponse(100, request, {num: 1, m: true, size: 16}, 'r sit amet, cons');
+
+  request = scheduleRequest(150, 0x1003, 0x12, {num: 2, m: false, size: 16});
+
+  expectResponse(150, request, {num: 2, m: false, size: 16}, 'ectetur.');
+
+  request = scheduleRequest(200, 0x1004, 0x13, {num: 1, m: false, size: 16});
+
+  ctx.socket.expectResponse(200, {
+    type: Message.Type.ACK,
+    code: Message.Code.REQUEST_ENTITY_INCOMPLETE,
+    id: request.id,
+    token: request.token
+  });
+
+  ctx.clock.tick(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(handlerSpy);
+  };
+});
@@ -0,0 +1,228 @@
+/*
+ Modify a resource with `Client.update` and repeat the read-modify-write cycle
+ after the resource was modified concurrently:
+
+ 1. Client sends a GET request:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 0 1 | 0x0001
+ 1       | CON  | 0 bytes      | GET             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: config
+ ==============================================================================
+
+ 2. Server sends a piggy-backed response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 0 1 0 0 0 1 0 1 | 0x0001
+ 1       | ACK  | 0 bytes      | 2.05 Content    | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag: <Buffer 01>
+ ------------------------------------------------------------------------------
+ Payload (9 bytes)
+ mode=auto
+ ==============================================================================
+
+ 3. Client receives the #2 response and calls the mutator with its payload.
+ Client sends a PUT request with the new payload and the ETag of the #2
+ response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 1 | 0x0002
+ 1       | CON  | 1 byte       | PUT             | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ If-Match: <Buffer 01>
+ Uri-Path: config
+ ------------------------------------------------------------------------------
+ Payload (11 bytes)
+ mode=manual
+ ==============================================================================
+
+ 4. The resource was modified by someone else, so server sends
+ a piggy-backed 4.12 Precondition Failed response:
+ ==============================================================================
+ Version | Type | Token Length | Code                     | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 1 0 0 0 1 1 0 0          | 0x0002
+ 1       | ACK  | 1 byte       | 4.12 Precondition Failed | 2
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 01    | 127.0.0.1
+ ==============================================================================
+
+ 5. Client receives the #4 response and sends the GET request again:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 0 1 | 0x0003
+ 1       | CON  | 1 byte       | GET             | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ Uri-Path: config
+ ==============================================================================
+
+ 6. Server sends a piggy-backed response with the new representation:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 1 | 0x0003
+ 1       | ACK  | 1 byte       | 2.05 Content    | 3
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 02    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ ETag: <Buffer 02>
+ ------------------------------------------------------------------------------
+ Payload (8 bytes)
+ mode=eco
+ ==============================================================================
+
+ 7. Client receives the #6 response and calls the mutator with its payload.
+ Client sends a PUT request with the new payload and the ETag of the #6
+ response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 1      | 0 0 0 0 0 0 1 1 | 0x0004
+ 1       | CON  | 1 byte       | PUT             | 4
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 03    | 127.0.0.1
+ ------------------------------------------------------------------------------
+ If-Match: <Buffer 02>
+ Uri-Path: config
+ ------------------------------------------------------------------------------
+ Payload (11 bytes)
+ mode=manual
+ ==============================================================================
+
+ 8. Server sends a piggy-backed response:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 1 0  | 0 0 0 1      | 0 1 0 0 0 1 0 0 | 0x0004
+ 1       | ACK  | 1 byte       | 2.04 Changed    | 4
+ ------------------------------------------------------------------------------
+ Token | Remote Endpoint
+ 03    | 127.0.0.1
+ ==============================================================================
+
+ 9. Client receives the #8 response. The promise is resolved with it.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR).Message;
+
+helpers.test(__filename, function(ctx)
+{
+  /*jshint maxstatements:999*/
+
+  var expectedGet1 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0001,
+    token: new Buffer([]),
+    uri: '/config'
+  };
+  var expectedGetResponse1 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedGet1.id,
+    token: expectedGet1.token,
+    eTag: new Buffer([0x01]),
+    payload: new Buffer('mode=auto')
+  };
+  var expectedPut1 = {
+    type: Message.Type.CON,
+    code: Message.Code.PUT,
+    id: 0x0002,
+    token: new Buffer([0x01]),
+    ifMatch: new Buffer([0x01]),
+    uri: '/config',
+    payload: new Buffer('mode=manual')
+  };
+  var expectedPutResponse1 = {
+    type: Message.Type.ACK,
+    code: Message.Code.PRECONDITION_FAILED,
+    id: expectedPut1.id,
+    token: expectedPut1.token
+  };
+  var expectedGet2 = {
+    type: Message.Type.CON,
+    code: Message.Code.GET,
+    id: 0x0003,
+    token: new Buffer([0x02]),
+    uri: '/config'
+  };
+  var expectedGetResponse2 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CONTENT,
+    id: expectedGet2.id,
+    token: expectedGet2.token,
+    eTag: new Buffer([0x02]),
+    payload: new Buffer('mode=eco')
+  };
+  var expectedPut2 = {
+    type: Message.Type.CON,
+    code: Message.Code.PUT,
+    id: 0x0004,
+    token: new Buffer([0x03]),
+    ifMatch: new Buffer([0x02]),
+    uri: '/config',
+    payload: new Buffer('mode=manual')
+  };
+  var expectedPutResponse2 = {
+    type: Message.Type.ACK,
+    code: Message.Code.CHANGED,
+    id: expectedPut2.id,
+    token: expectedPut2.token
+  };
+
+  ctx.socket.expectRequest(0, expectedGet1);
+  ctx.socket.scheduleResponse(50, expectedGetResponse1);
+  ctx.socket.expectRequest(50, expectedPut1);
+  ctx.socket.scheduleResponse(100, expectedPutResponse1);
+  ctx.socket.expectRequest(100, expectedGet2);
+  ctx.socket.scheduleResponse(150, expectedGetResponse2);
+  ctx.socket.expectRequest(150, expectedPut2);
+  ctx.socket.scheduleResponse(200, expectedPutResponse2);
+
+  var mutatorSpy = sinon.spy(function() { return 'mode=manual'; });
+  var resolveSpy = sinon.spy();
+  var rejectSpy = sinon.spy();
+
+  ctx.client.update('/config', mutatorSpy).then(resolveSpy, rejectSpy);
+
+  ctx.tickAsync(50);
+  ctx.tickAsync(50);
+  ctx.tickAsync(50);
+  ctx.tickAsync(50);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledTwice(mutatorSpy);
+    mutatorSpy.args[0][0].toString().should.be.equal('mode=auto');
+    sinon.assert.coapMessage(
+      mutatorSpy.args[0][1], expectedGetResponse1, "Invalid response (#1)."
+    );
+    mutatorSpy.args[1][0].toString().should.be.equal('mode=eco');
+
+    sinon.assert.notCalled(rejectSpy);
+    sinon.assert.calledOnce(resolveSpy);
+    sinon.assert.coapMessage(
+      resolveSpy.args[0][0], expectedPutResponse2, "Invalid response."
+    );
+  };
+});
@@ -0,0 +1,98 @@
+/*
+ Don't overwrite an existing resource in the create-only mode
+ of `Client.update`:
+
+ 1. Client calls the mutator with `null` and sends a PUT request with its
+ payload and the If-None-Match option:
+ ==============================================================================
+ Version | Type | Token Length | Code            | Message ID
+ 0 1     | 0 0  | 0 0 0 0      | 0 0 0 0 0 0 1 1 | 0x0001
+ 1       | CON  | 0 bytes      | PUT             | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ------------------------------------------------------------------------------
+ If-None-Match: <empty>
+ Uri-Path     : config
+ ------------------------------------------------------------------------------
+ Payload (9 bytes)
+ mode=auto
+ ==============================================================================
+
+ 2. The resource already exists, so server sends a piggy-backed
+ 4.12 Precondition Failed response:
+ ==============================================================================
+ Version | Type | Token Length | Code                     | Message ID
+ 0 1     | 1 0  | 0 0 0 0      | 1 0 0 0 1 1 0 0          | 0x0001
+ 1       | ACK  | 0 bytes      | 4.12 Precondition Failed | 1
+ ------------------------------------------------------------------------------
+ Remote Endpoint: 127.0.0.1
+ ==============================================================================
+
+ 3. Client receives the #2 response. The promise is rejected with
+ `PreconditionFailedError` without any further attempts.
+*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+
+helpers.test(__filename, function(ctx)
+{
+  var expectedPut = {
+    type: Message.Type.CON,
+    code: Message.Code.PUT,
+    id: 0x0001,
+    token: new Buffer([]),
+    ifNoneMatch: true,
+    uri: '/config',
+    payload: new Buffer('mode=auto')
+  };
+  var expectedPutResponse = {
+    type: Message.Type.ACK,
+    code: Message.Code.PRECONDITION_FAILED,
+    id: expectedPut.id,
+    token: expectedPut.token
+  };
+
+  ctx.socket.expectRequest(0, expectedPut);
+  ctx.socket.scheduleResponse(50, expectedPutResponse);
+
+  var mutatorSpy = sinon.spy(function() { return 'mode=auto'; });
+  var resolveSpy = sinon.spy();
+  var rejectSpy = sinon.spy();
+
+  ctx.client.update('/config', mutatorSpy, {createOnly: true, maxAttempts: 5})
+    .then(resolveSpy, rejectSpy);
+
+  ctx.tickAsync(50);
+  ctx.tickAsync(3600000);
+
+  return function assert()
+  {
+    ctx.socket.assert();
+
+    sinon.assert.calledOnce(mutatorSpy);
+    sinon.assert.calledWithExactly(mutatorSpy, null, null);
+
+    sinon.assert.notCalled(resolveSpy);
+    sinon.assert.calledOnce(rejectSpy);
+
+    var err = rejectSpy.args[0][0];
+
+    err.should.be.instanceOf(coap.errors.PreconditionFailedError);
+    err.should.be.instanceOf(coap.errors.ResponseError);
+    err.attempts.should.be.equal(1);
+    err.message.should.be.equal(
+      "Request failed with 4.12 Precondition Failed after 1 attempt."
+    );
+    sinon.assert.coapMessage(err.request, expectedPut, "Invalid request.");
+    sinon.assert.coapMessage(
+      err.response, expectedPutResponse, "Invalid response."
+    );
+  };
+});
@@ -13,6 +13,7 @@ var SimSocket = require('./SimSocket');
 var Client = require(LIB_FOR_TESTS_DIR + '/Client');
 var Message = require(LIB_FOR_TESTS_DIR + '/Message');
 var TokenManager = require(LIB_FOR_TESTS_DIR + '/TokenManager');
+var Server = require(LIB_FOR_TESTS_DIR + '/Server');
 
 exports.LIB_DIR = LIB_FOR_TESTS_DIR;
 
@@ -44,9 +45,15 @@ exports.test = function(filename, test)
 
     ctx.client = new Client(clientOptions);
 
-    ctx.reinitializeClient = function()
+    ctx.reinitializeClient = function(options)
     {
+      Object.keys(options || {}).forEach(function(key)
+      {
+        clientOptions[key] = options[key];
+      });
+
       ctx.client.destroy();
+      ctx.tokenManager = clientOptions.tokenManager = new TokenManager();
       ctx.client = new Client(clientOptions);
     };
 
@@ -64,44 +71,66 @@ exports.test = function(filename, test)
     });
     */
 
-    var assert;
-
-    try
+    runTest(ctx, test, done, function()
     {
-      assert = test.call(null, ctx);
-    }
-    catch (err)
-    {
-      ctx.clock.restore();
+      assertEmptyObject('transaction count', ctx.client.transactions);
+      assertEmptyObject('exchange count', ctx.client.exchanges);
+      assertEmptyObject('observer count', ctx.client.observers);
+      assertEmptyObject('timer count', ctx.client.timers);
+      assertEmptyObject('duplicate count', ctx.client.duplicates);
+      assertEmptyObject('reply count', ctx.client.replies);
+      assertEmptyObject('outstanding count', ctx.client.outstanding);
+      assertEmptyObject('queue count', ctx.client.queues);
+      assertEmptyObject('throttled count', ctx.client.throttled);
+      assertEmptyObject('resolution count', ctx.client.resolutions);
+      assertEmptyObject('group request count', ctx.client.groupRequests);
+    });
+  });
+};
 
-      done(err);
+exports.serverTest = function(filename, test)
+{
+  var testName = path.basename(filename, '.js');
 
-      return;
-    }
+  if (testName.charAt(0) === 'x')
+  {
+    return;
+  }
 
-    setImmediate(function()
-    {
-      try
-      {
-        assert();
+  it(testName, function(done)
+  {
+    var ctx = {};
 
-        assertEmptyObject('transaction count', ctx.client.transactions);
-        assertEmptyObject('exchange count', ctx.client.exchanges);
-        assertEmptyObject('observer count', ctx.client.observers);
-        assertEmptyObject('timer count', ctx.client.timers);
-        assertEmptyObject('duplicate count', ctx.client.duplicates);
-        assertEmptyObject('reply count', ctx.client.replies);
+    ctx.startTime = Date.now();
+    ctx.clock = sinon.useFakeTimers(ctx.startTime);
+    ctx.socket = new SimSocket(Message, assertMessage);
+    var serverOptions = {
+      socket4: ctx.socket,
+      socket6: false,
+      ackRandomFactor: 1,
+      messageId: 0
+    };
 
-        ctx.clock.restore();
+    ctx.server = new Server(serverOptions);
 
-        done();
-      }
-      catch (err)
+    ctx.reinitializeServer = function(options)
+    {
+      Object.keys(options || {}).forEach(function(key)
       {
-        ctx.clock.restore();
+        serverOptions[key] = options[key];
+      });
 
-        done(err);
-      }
+      ctx.server.destroy();
+      ctx.server = new Server(serverOptions);
+    };
+
+    runTest(ctx, test, done, function()
+    {
+      assertEmptyObject('transaction count', ctx.server.transactions);
+      assertEmptyObject('upload count', ctx.server.uploads);
+      assertEmptyObject('duplicate count', ctx.server.duplicates);
+      assertEmptyObject('reply count', ctx.server.replies);
+      assertEmptyObject('timer count', ctx.server.timers);
     });
   });
 };
@@ -181,6 +210,82 @@ sinon.assert.calledAt = function(spy, call, expectedTime)
   }
 };
 
+/**
+ * @private
+ * @param {object} ctx
+ * @param {function(object): function} test
+ * @param {function(Error=)} done
+ * @param {function} assertClean
+ */
+function runTest(ctx, test, done, assertClean)
+{
+  var assert;
+  var asyncTicks = [];
+
+  ctx.tickAsync = function(ms)
+  {
+    asyncTicks.push(ms);
+  };
+
+  try
+  {
+    assert = test.call(null, ctx);
+  }
+  catch (err)
+  {
+    ctx.clock.restore();
+
+    done(err);
+
+    return;
+  }
+
+  runAsyncTicks(ctx.clock, asyncTicks, function()
+  {
+    try
+    {
+      assert();
+      assertClean();
+
+      ctx.clock.restore();
+
+      done();
+    }
+    catch (err)
+    {
+      ctx.clock.restore();
+
+      done(err);
+    }
+  });
+}
+
+/**
+ * Advances the fake clock by each of the specified durations. Callbacks
+ * scheduled with `setImmediate()` (e.g. events emitted by requests) aren't
+ * faked, so they're run between the ticks.
+ *
+ * @private
+ * @param {object} clock
+ * @param {Array.<number>} asyncTicks
+ * @param {function} done
+ */
+function runAsyncTicks(clock, asyncTicks, done)
+{
+  setImmediate(function next()
+  {
+    if (asyncTicks.length === 0)
+    {
+      done();
+    }
+    else
+    {
+      clock.tick(asyncTicks.shift());
+      setImmediate(next);
+    }
+  });
+}
+
 /**
  * @private
  * @param {Message} actualRequest
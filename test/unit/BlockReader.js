@@ -0,0 +1,127 @@
+/*globals describe:true,it:true*/
+/*jshint maxlen:999*/
+
+'use strict';
+
+require('should');
+
+var PassThrough = require('stream').PassThrough;
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var BlockReader = require(helpers.LIB_DIR + '/BlockReader');
+
+describe("BlockReader", function()
+{
+  it("should not be ready until more than one block is buffered", function()
+  {
+    var stream = new PassThrough();
+    var blockReader = new BlockReader(stream, 4);
+
+    stream.write('ABCD');
+
+    blockReader.isReady(4).should.be.equal(false);
+
+    stream.write('E');
+
+    blockReader.isReady(4).should.be.equal(true);
+  });
+
+  it("should be ready after the stream ends", function(done)
+  {
+    var stream = new PassThrough();
+    var blockReader = new BlockReader(stream, 4);
+
+    blockReader.waitForData(function()
+    {
+      blockReader.isReady(4).should.be.equal(true);
+
+      var block = blockReader.read(4);
+
+      block.payload.toString().should.be.equal('ABCD');
+      block.more.should.be.equal(false);
+
+      done();
+    });
+
+    stream.end('ABCD');
+  });
+
+  it("should read blocks of the specified size and set the more flag", function()
+  {
+    var stream = new PassThrough();
+    var blockReader = new BlockReader(stream, 4);
+
+    stream.write('ABCDEFGHIJ');
+
+    var block = blockReader.read(4);
+
+    block.payload.toString().should.be.equal('ABCD');
+    block.more.should.be.equal(true);
+
+    block = blockReader.read(2);
+
+    block.payload.toString().should.be.equal('EF');
+    block.more.should.be.equal(true);
+  });
+
+  it("should pause the stream while a full block is buffered and resume it after the block is read", function()
+  {
+    var stream = new PassThrough();
+    var blockReader = new BlockReader(stream, 4);
+
+    stream.write('ABCDE');
+
+    stream.isPaused().should.be.equal(true);
+
+    blockReader.read(4);
+
+    stream.isPaused().should.be.equal(false);
+  });
+
+  it("should call the data handler once after the stream fails", function()
+  {
+    var stream = new PassThrough();
+    var blockReader = new BlockReader(stream, 4);
+    var dataSpy = sinon.spy();
+    var err = new Error("Disk failure.");
+
+    blockReader.waitForData(dataSpy);
+
+    stream.emit('error', err);
+    stream.emit('error', new Error("Another failure."));
+
+    sinon.assert.calledOnce(dataSpy);
+    blockReader.isReady(4).should.be.equal(true);
+    blockReader.getError().should.be.equal(err);
+  });
+
+  it("should destroy the stream if it didn't end", function()
+  {
+    var stream = new PassThrough();
+    var blockReader = new BlockReader(stream, 4);
+    var destroySpy = sinon.spy(stream, 'destroy');
+
+    blockReader.destroy();
+
+    sinon.assert.calledOnce(destroySpy);
+    stream.listeners('data').should.have.lengthOf(0);
+  });
+
+  it("should not destroy the stream if it ended", function(done)
+  {
+    var stream = new PassThrough();
+    var blockReader = new BlockReader(stream, 4);
+    var destroySpy = sinon.spy(stream, 'destroy');
+
+    blockReader.waitForData(function()
+    {
+      blockReader.destroy();
+
+      sinon.assert.notCalled(destroySpy);
+
+      done();
+    });
+
+    stream.end();
+  });
+});
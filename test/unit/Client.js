@@ -1,4 +1,4 @@
-/*globals describe:true,it:true*/
+/*globals describe:true,it:true,AbortController:false*/
 /*jshint maxlen:999*/
 
 'use strict';
@@ -232,6 +232,107 @@ describe("Client", function()
 
       client.destroy();
     });
+
+    it("should queue requests exceeding NSTART per endpoint", function()
+    {
+      var client = new Client({nstart: 2});
+      var queueDepthSpy = sinon.spy();
+
+      client.on('queue depth', queueDepthSpy);
+
+      client.get('coap://127.0.0.1/a');
+      client.get('coap://127.0.0.1/b');
+      client.get('coap://127.0.0.2/c');
+
+      client.get('coap://127.0.0.1/d');
+
+      client.getOutstandingCount('127.0.0.1').should.be.equal(2);
+      client.getOutstandingCount('127.0.0.2').should.be.equal(1);
+      client.getQueueDepth('127.0.0.1').should.be.equal(1);
+      client.getQueueDepth('127.0.0.2').should.be.equal(0);
+
+      sinon.assert.calledOnce(queueDepthSpy);
+      queueDepthSpy.args[0][0].toString().should.be.equal('127.0.0.1');
+      queueDepthSpy.args[0][1].should.be.equal(1);
+
+      client.destroy();
+    });
+
+    it("should not resolve literal IP addresses nor set the Uri-Host option", function()
+    {
+      var resolver = sinon.spy();
+      var client = new Client({resolver: resolver});
+
+      var req = client.get('coap://127.0.0.1/temp');
+
+      sinon.assert.notCalled(resolver);
+      req.getUriHost().should.be.equal('');
+
+      client.destroy();
+    });
+
+    it("should send to an IPv6 address of the resolved host name if IPv6 is preferred", function()
+    {
+      var socket4 = dgram.createSocket('udp4');
+      var socket6 = dgram.createSocket('udp6');
+      var socket4SendSpy = sinon.spy(socket4, 'send');
+      var socket6SendSpy = sinon.spy(socket6, 'send');
+      var client = new Client({
+        socket4: socket4,
+        socket6: socket6,
+        preferredFamily: 6,
+        resolver: function(hostname, done)
+        {
+          done(null, [{address: '127.0.0.1'}, {address: '::1'}]);
+        }
+      });
+
+      var req = client.get('coap://sensor.local/temp');
+
+      sinon.assert.notCalled(socket4SendSpy);
+      sinon.assert.calledOnce(socket6SendSpy);
+      req.getRemoteEndpoint().toString().should.be.equal('[0000:0000:0000:0000:0000:0000:0000:0001]');
+      req.getUriHost().should.be.equal('sensor.local');
+
+      client.destroy();
+    });
+
+    it("should resolve a host name once for concurrent requests", function()
+    {
+      var resolveCallbacks = [];
+      var client = new Client({
+        nstart: 2,
+        resolver: function(hostname, done) { resolveCallbacks.push(done); }
+      });
+      var emitSpy = sinon.spy(client, 'emit');
+
+      var req1 = client.get('coap://sensor.local/a');
+      var req2 = client.get('coap://sensor.local/b');
+
+      resolveCallbacks.length.should.be.equal(1);
+      sinon.assert.neverCalledWith(emitSpy, 'message sent');
+
+      resolveCallbacks[0](null, [{address: '127.0.0.1'}]);
+
+      sinon.assert.calledWith(emitSpy, 'message sent', req1);
+      sinon.assert.calledWith(emitSpy, 'message sent', req2);
+
+      client.destroy();
+    });
+
+    it("should not limit outstanding interactions per endpoint by default", function()
+    {
+      var client = new Client();
+
+      client.get('coap://127.0.0.1/a');
+      client.get('coap://127.0.0.1/b');
+      client.get('coap://127.0.0.1/c');
+
+      client.getOutstandingCount('127.0.0.1').should.be.equal(3);
+      client.getQueueDepth('127.0.0.1').should.be.equal(0);
+
+      client.destroy();
+    });
   });
 
   describe("cancel", function()
@@ -294,6 +395,44 @@ describe("Client", function()
     });
   });
 
+  describe("getStream", function()
+  {
+    it("should finish the exchange if the stream is destroyed while waiting for demand", function()
+    {
+      var socket4 = dgram.createSocket('udp4');
+      var socketSendStub = sinon.stub(socket4, 'send');
+      var client = new Client({socket4: socket4});
+      var responseStream = client.getStream('coap://127.0.0.1/firmware', {highWaterMark: 2});
+      var request = responseStream.getRequest();
+      var response = Message.fromObject({
+        type: Message.Type.ACK,
+        code: Message.Code.CONTENT,
+        id: request.getId(),
+        token: request.getToken(),
+        block2: {num: 0, m: true, size: 16},
+        payload: new Buffer('0123456789ABCDEF')
+      });
+
+      socket4.emit('message', response.toBuffer(), {address: '127.0.0.1', port: 5683});
+
+      sinon.assert.calledOnce(socketSendStub);
+      responseStream.isReady().should.be.equal(false);
+      client.getOutstandingCount('127.0.0.1').should.be.equal(1);
+
+      responseStream.destroy();
+
+      Object.keys(client.exchanges).should.have.lengthOf(0);
+      Object.keys(client.transactions).should.have.lengthOf(0);
+      client.getOutstandingCount('127.0.0.1').should.be.equal(0);
+
+      responseStream.read();
+
+      sinon.assert.calledOnce(socketSendStub);
+
+      client.destroy();
+    });
+  });
+
   describe("observe", function()
   {
     it("should request a GET Message", function()
@@ -347,6 +486,40 @@ describe("Client", function()
     });
   });
 
+  describe("subscribe", function()
+  {
+    it("should request a GET Message with an empty Observe option", function()
+    {
+      var client = new Client();
+      var requestSpy = sinon.spy(client, 'request');
+
+      var observation = client.subscribe('/temperature');
+
+      observation.should.be.instanceOf(coap.Observation);
+      observation.getRequest().getCode().should.be.equal(Message.Code.GET);
+      observation.getRequest().getObserve().should.be.equal(0);
+      sinon.assert.calledWith(requestSpy, observation.getRequest());
+
+      client.destroy();
+    });
+
+    it("should throw without sending a request if the overflow policy is not supported", function()
+    {
+      var client = new Client();
+      var requestSpy = sinon.spy(client, 'request');
+
+      function test()
+      {
+        client.subscribe('/temperature', {overflow: 'block'});
+      }
+
+      test.should.throw(/Unknown overflow policy/);
+      sinon.assert.notCalled(requestSpy);
+
+      client.destroy();
+    });
+  });
+
   describe("post", function()
   {
     it("should request a POST Message", function()
@@ -520,4 +693,105 @@ describe("Client", function()
       client.destroy();
     });
   });
+
+  describe("fetch", function()
+  {
+    it("should request a GET Message by default", function()
+    {
+      var client = new Client();
+      var requestSpy = sinon.spy(client, 'request');
+
+      client.fetch('/temperature').catch(function() {});
+
+      sinon.assert.calledOnce(requestSpy);
+      requestSpy.args[0][0].getCode().should.be.equal(Message.Code.GET);
+      requestSpy.args[0][0].getUriPath().should.be.equal('/temperature');
+
+      client.destroy();
+    });
+
+    it("should request a Message with the specified method, payload and options", function()
+    {
+      var client = new Client();
+      var requestSpy = sinon.spy(client, 'request');
+
+      client.fetch('/large', {
+        method: 'put',
+        payload: 'Hello!',
+        contentFormat: 'text/plain;charset=utf-8',
+        blockSize: 64
+      }).catch(function() {});
+
+      var req = requestSpy.args[0][0];
+
+      req.getCode().should.be.equal(Message.Code.PUT);
+      req.getPayload().toString().should.be.equal('Hello!');
+      req.getContentFormat().should.be.equal(0);
+      requestSpy.args[0][1].blockSize.should.be.equal(64);
+      requestSpy.args[0][1].should.not.have.property('method');
+
+      client.destroy();
+    });
+
+    it("should throw if the specified method is not a request method", function()
+    {
+      var client = new Client();
+
+      function testUnknownName()
+      {
+        client.fetch('/temperature', {method: 'PATCHY'});
+      }
+
+      function testResponseCode()
+      {
+        client.fetch('/temperature', {method: Message.Code.CONTENT});
+      }
+
+      testUnknownName.should.throw(/Unknown request method: PATCHY/);
+      testResponseCode.should.throw(/Unknown request method: 69/);
+
+      client.destroy();
+    });
+
+    it("should reject with a CancelledError without sending if the signal was already aborted", function(done)
+    {
+      var client = new Client();
+      var requestSpy = sinon.spy(client, 'request');
+      var abortController = new AbortController();
+
+      abortController.abort();
+
+      client.fetch('/temperature', {signal: abortController.signal}).catch(function(err)
+      {
+        err.should.be.instanceOf(coap.errors.CancelledError);
+        err.request.should.be.instanceOf(Message);
+
+        sinon.assert.notCalled(requestSpy);
+
+        client.destroy();
+
+        done();
+      });
+    });
+
+    it("should reject with a SocketError if the message couldn't be sent", function(done)
+    {
+      var client = new Client({socket6: false});
+
+      client.fetch('coap://[::1]/temperature').catch(function(err)
+      {
+        err.should.be.instanceOf(coap.errors.SocketError);
+        err.should.be.instanceOf(coap.errors.RequestError);
+        err.message.should.match(/Socket type not supported/);
+        err.cause.should.be.instanceOf(Error);
+
+        Object.keys(client.exchanges).should.have.lengthOf(0);
+        Object.keys(client.transactions).should.have.lengthOf(0);
+
+        client.destroy();
+
+        done();
+      });
+    });
+  });
 });
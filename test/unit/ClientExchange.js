@@ -0,0 +1,116 @@
+/*globals describe:true,it:true,beforeEach:true,afterEach:true*/
+/*jshint maxlen:999*/
+
+'use strict';
+
+require('should');
+
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR + '/Message');
+var ClientExchange = require(helpers.LIB_DIR + '/ClientExchange');
+
+describe("ClientExchange", function()
+{
+  describe("isLateObserveResponse", function()
+  {
+    var exchange;
+
+    function createNotification(observe, timestamp)
+    {
+      var notification = Message.fromObject({
+        type: Message.Type.NON,
+        code: Message.Code.CONTENT,
+        observe: observe
+      });
+
+      notification.setTimestamp(timestamp);
+
+      return notification;
+    }
+
+    beforeEach(function()
+    {
+      var request = Message.fromObject({
+        code: Message.Code.GET,
+        uri: '/observer',
+        observe: 0
+      });
+
+      exchange = new ClientExchange(request, function() {}, {
+        exchangeTimeout: 1000,
+        block1Size: 512,
+        block2Size: 512
+      });
+    });
+
+    afterEach(function()
+    {
+      exchange.destroy();
+    });
+
+    it("should not treat the first response as late, whatever its Observe value", function()
+    {
+      exchange.isLateObserveResponse(createNotification(0xFFFFF0, 1000)).should.be.equal(false);
+    });
+
+    it("should not treat a response without the Observe option as late", function()
+    {
+      exchange.setResponse(createNotification(10, 1000));
+
+      var response = Message.fromObject({type: Message.Type.NON, code: Message.Code.CONTENT});
+
+      response.setTimestamp(1001);
+
+      exchange.isLateObserveResponse(response).should.be.equal(false);
+    });
+
+    it("should treat a greater Observe value as fresh and a lower or equal one as late", function()
+    {
+      exchange.setResponse(createNotification(10, 1000));
+
+      exchange.isLateObserveResponse(createNotification(11, 1001)).should.be.equal(false);
+      exchange.isLateObserveResponse(createNotification(10, 1001)).should.be.equal(true);
+      exchange.isLateObserveResponse(createNotification(9, 1001)).should.be.equal(true);
+    });
+
+    it("should compare the Observe values as 24-bit serial numbers", function()
+    {
+      exchange.setResponse(createNotification(0xFFFFFE, 1000));
+
+      exchange.isLateObserveResponse(createNotification(0x000005, 1001)).should.be.equal(false);
+      exchange.isLateObserveResponse(createNotification(0x800000, 1001)).should.be.equal(true);
+
+      exchange.setResponse(createNotification(0x000005, 1002));
+
+      exchange.isLateObserveResponse(createNotification(0xFFFFFE, 1003)).should.be.equal(true);
+    });
+
+    it("should treat a value more than 2^23 ahead as late", function()
+    {
+      exchange.setResponse(createNotification(1, 1000));
+
+      exchange.isLateObserveResponse(createNotification(0x800000, 1001)).should.be.equal(false);
+      exchange.isLateObserveResponse(createNotification(0x800001, 1001)).should.be.equal(true);
+    });
+
+    it("should treat any notification received more than 128 s after the last one as fresh", function()
+    {
+      exchange.setResponse(createNotification(100, 1000));
+
+      exchange.isLateObserveResponse(createNotification(50, 1000 + 128000)).should.be.equal(true);
+      exchange.isLateObserveResponse(createNotification(50, 1000 + 128001)).should.be.equal(false);
+    });
+
+    it("should treat the Observe value of 0 as a restarted sequence", function()
+    {
+      exchange.setResponse(createNotification(1234, 1000));
+
+      exchange.isLateObserveResponse(createNotification(0, 1001)).should.be.equal(false);
+
+      exchange.setResponse(createNotification(0, 1001));
+
+      exchange.isLateObserveResponse(createNotification(0, 1002)).should.be.equal(true);
+      exchange.isLateObserveResponse(createNotification(1, 1002)).should.be.equal(false);
+    });
+  });
+});
@@ -147,4 +147,27 @@ describe("EndpointAddress", function()
       actual.should.be.equal(expected);
     });
   });
+
+  describe("isMulticast", function()
+  {
+    it("should return `true` for the All CoAP Nodes addresses", function()
+    {
+      new EndpointAddress(EndpointAddress.ALL_COAP_NODES_IPV4).isMulticast().should.be.equal(true);
+      new EndpointAddress(EndpointAddress.ALL_COAP_NODES_IPV6).isMulticast().should.be.equal(true);
+    });
+
+    it("should return `true` for the IPv4 addresses from 224.0.0.0/4", function()
+    {
+      new EndpointAddress('224.0.0.1').isMulticast().should.be.equal(true);
+      new EndpointAddress('239.255.255.255').isMulticast().should.be.equal(true);
+    });
+
+    it("should return `false` for the unicast addresses and host names", function()
+    {
+      new EndpointAddress('127.0.0.1').isMulticast().should.be.equal(false);
+      new EndpointAddress('240.0.0.1').isMulticast().should.be.equal(false);
+      new EndpointAddress('2222::3').isMulticast().should.be.equal(false);
+      new EndpointAddress('224.example.com').isMulticast().should.be.equal(false);
+    });
+  });
 });
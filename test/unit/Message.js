@@ -0,0 +1,68 @@
+/*globals describe:true,it:true*/
+/*jshint maxlen:999*/
+
+'use strict';
+
+require('should');
+
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR + '/Message');
+
+describe("Message", function()
+{
+  describe("getCacheKey", function()
+  {
+    it("should be the same for requests differing only by the options that are not part of the cache key", function()
+    {
+      var request1 = Message.fromObject({code: Message.Code.GET, uri: '/a?b=c', observe: 0});
+      var request2 = Message.fromObject({code: Message.Code.GET, uri: '/a?b=c', block2: {num: 1, m: false, szx: 2}, size2: 100});
+
+      request1.getCacheKey().should.be.equal(request2.getCacheKey());
+    });
+
+    it("should differ for requests with different Uri-Query options", function()
+    {
+      var request1 = Message.fromObject({code: Message.Code.GET, uri: '/a?unit=C'});
+      var request2 = Message.fromObject({code: Message.Code.GET, uri: '/a?unit=F'});
+
+      request1.getCacheKey().should.not.be.equal(request2.getCacheKey());
+    });
+
+    it("should differ for requests with different Accept options", function()
+    {
+      var request1 = Message.fromObject({code: Message.Code.GET, uri: '/a', accept: 'text/plain;charset=utf-8'});
+      var request2 = Message.fromObject({code: Message.Code.GET, uri: '/a', accept: 'application/json'});
+
+      request1.getCacheKey().should.not.be.equal(request2.getCacheKey());
+    });
+
+    it("should differ for requests with different Uri-Host options", function()
+    {
+      var request1 = Message.fromObject({code: Message.Code.GET, uri: '/a', uriHost: 'a.local'});
+      var request2 = Message.fromObject({code: Message.Code.GET, uri: '/a', uriHost: 'b.local'});
+
+      request1.getCacheKey().should.not.be.equal(request2.getCacheKey());
+    });
+
+    it("should differ for requests with different codes", function()
+    {
+      var request1 = Message.fromObject({code: Message.Code.GET, uri: '/a'});
+      var request2 = Message.fromObject({code: Message.Code.POST, uri: '/a'});
+
+      request1.getCacheKey().should.not.be.equal(request2.getCacheKey());
+    });
+
+    it("should not depend on the order in which different options were set", function()
+    {
+      var request1 = new Message();
+      var request2 = new Message();
+
+      request1.setUriPath('/a');
+      request1.setAccept('application/json');
+      request2.setAccept('application/json');
+      request2.setUriPath('/a');
+
+      request1.getCacheKey().should.be.equal(request2.getCacheKey());
+    });
+  });
+});
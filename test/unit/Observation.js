@@ -0,0 +1,298 @@
+/*globals describe:true,it:true,beforeEach:true,Symbol:false*/
+/*jshint maxlen:999*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+var Observation = coap.Observation;
+
+describe("Observation", function()
+{
+  var client;
+  var request;
+
+  beforeEach(function()
+  {
+    client = {cancel: sinon.spy()};
+    request = Message.fromObject({
+      code: Message.Code.GET,
+      uri: '/temperature',
+      observe: 0
+    });
+  });
+
+  function notify(observe, maxAge, timestamp)
+  {
+    var response = Message.fromObject({
+      type: Message.Type.NON,
+      code: Message.Code.CONTENT,
+      observe: observe,
+      maxAge: maxAge,
+      payload: String(observe),
+      timestamp: timestamp
+    });
+
+    request.emit('response', response);
+
+    return response;
+  }
+
+  it("should throw if the specified overflow policy is not supported", function()
+  {
+    function test()
+    {
+      new Observation(client, request, {overflow: 'drop-all'});
+    }
+
+    test.should.throw("Unknown overflow policy: drop-all");
+  });
+
+  it("should be its own async iterator", function()
+  {
+    var observation = new Observation(client, request);
+
+    if (typeof Symbol === 'function' && Symbol.asyncIterator)
+    {
+      observation[Symbol.asyncIterator]().should.be.equal(observation);
+    }
+  });
+
+  it("should yield buffered notifications with their metadata", function()
+  {
+    var observation = new Observation(client, request);
+    var response = notify(5, 30, 1234);
+
+    return observation.next().then(function(result)
+    {
+      result.done.should.be.equal(false);
+      result.value.response.should.be.equal(response);
+      result.value.observe.should.be.equal(5);
+      result.value.maxAge.should.be.equal(30);
+      result.value.receivedAt.should.be.equal(1234);
+    });
+  });
+
+  it("should default the Max-Age to 60 s", function()
+  {
+    var observation = new Observation(client, request);
+
+    notify(1);
+
+    return observation.next().then(function(result)
+    {
+      result.value.maxAge.should.be.equal(60);
+    });
+  });
+
+  it("should yield notifications to the waiting consumers", function()
+  {
+    var observation = new Observation(client, request);
+    var promise = observation.next();
+
+    notify(1);
+
+    return promise.then(function(result)
+    {
+      result.value.observe.should.be.equal(1);
+      observation.getBufferedCount().should.be.equal(0);
+    });
+  });
+
+  it("should drop the oldest notifications by default", function()
+  {
+    var observation = new Observation(client, request, {highWaterMark: 2});
+    var overflowSpy = sinon.spy();
+
+    observation.on('overflow', overflowSpy);
+
+    notify(1);
+    notify(2);
+    notify(3);
+
+    observation.getBufferedCount().should.be.equal(2);
+    sinon.assert.calledOnce(overflowSpy);
+    overflowSpy.args[0][0].observe.should.be.equal(1);
+
+    return observation.next().then(function(result)
+    {
+      result.value.observe.should.be.equal(2);
+    });
+  });
+
+  it("should drop the newest notifications if the overflow policy is drop-newest", function()
+  {
+    var observation = new Observation(client, request, {highWaterMark: 2, overflow: 'drop-newest'});
+    var overflowSpy = sinon.spy();
+
+    observation.on('overflow', overflowSpy);
+
+    notify(1);
+    notify(2);
+    notify(3);
+
+    sinon.assert.calledOnce(overflowSpy);
+    overflowSpy.args[0][0].observe.should.be.equal(3);
+
+    return observation.next().then(function(result)
+    {
+      result.value.observe.should.be.equal(1);
+    });
+  });
+
+  it("should cancel the observation and reject after the buffered notifications if the overflow policy is error", function()
+  {
+    var observation = new Observation(client, request, {highWaterMark: 1, overflow: 'error'});
+
+    notify(1);
+    notify(2);
+    notify(3);
+
+    sinon.assert.calledOnce(client.cancel);
+    sinon.assert.calledWith(client.cancel, request);
+    observation.isEnded().should.be.equal(true);
+
+    return observation.next()
+      .then(function(result)
+      {
+        result.value.observe.should.be.equal(1);
+
+        return observation.next();
+      })
+      .then(
+        function() { throw new Error("Expected a rejection."); },
+        function(err)
+        {
+          err.should.be.instanceOf(coap.errors.OverflowError);
+          err.request.should.be.equal(request);
+
+          return observation.next();
+        }
+      )
+      .then(function(result)
+      {
+        result.done.should.be.equal(true);
+      });
+  });
+
+  it("should end the iteration after the request is cancelled and the final response is buffered", function()
+  {
+    var observation = new Observation(client, request);
+    request.emit('cancelled');
+    notify(5);
+
+    return observation.next()
+      .then(function(result)
+      {
+        result.value.observe.should.be.equal(5);
+
+        return observation.next();
+      })
+      .then(function(result)
+      {
+        result.done.should.be.equal(true);
+        sinon.assert.notCalled(client.cancel);
+      });
+  });
+
+  it("should reject the waiting consumer if the request was reset", function()
+  {
+    var observation = new Observation(client, request);
+    var promise = observation.next();
+    var rstMessage = Message.fromObject({type: Message.Type.RST});
+
+    request.emit('reset', rstMessage);
+
+    return promise.then(
+      function() { throw new Error("Expected a rejection."); },
+      function(err)
+      {
+        err.should.be.instanceOf(coap.errors.ResetError);
+        err.rstMessage.should.be.equal(rstMessage);
+      }
+    );
+  });
+
+  it("should reject the waiting consumer with a SocketError if the request couldn't be sent", function()
+  {
+    var observation = new Observation(client, request);
+    var promise = observation.next();
+    var sendError = new Error("send EHOSTUNREACH");
+
+    request.emit('error', sendError);
+
+    return promise.then(
+      function() { throw new Error("Expected a rejection."); },
+      function(err)
+      {
+        err.should.be.instanceOf(coap.errors.SocketError);
+        err.cause.should.be.equal(sendError);
+      }
+    );
+  });
+
+  it("should reject the waiting consumer with the RequestError emitted by the request", function()
+  {
+    var observation = new Observation(client, request);
+    var promise = observation.next();
+    var resolveError = new coap.errors.HostResolutionError(
+      request, 'sensor.local', new Error("getaddrinfo ENOTFOUND sensor.local")
+    );
+
+    request.emit('error', resolveError);
+
+    return promise.then(
+      function() { throw new Error("Expected a rejection."); },
+      function(err)
+      {
+        err.should.be.equal(resolveError);
+      }
+    );
+  });
+
+  it("should cancel the observation and discard the buffered notifications on return()", function()
+  {
+    var observation = new Observation(client, request);
+
+    notify(1);
+
+    return observation.return()
+      .then(function(result)
+      {
+        result.done.should.be.equal(true);
+        sinon.assert.calledOnce(client.cancel);
+        sinon.assert.calledWith(client.cancel, request);
+
+        notify(2);
+
+        return observation.next();
+      })
+      .then(function(result)
+      {
+        result.done.should.be.equal(true);
+      });
+  });
+
+  it("should not cancel the observation on return() if it already ended", function()
+  {
+    var observation = new Observation(client, request);
+
+    var promise = observation.next();
+
+    request.emit('cancelled');
+
+    return promise
+      .then(function()
+      {
+        return observation.return();
+      })
+      .then(function()
+      {
+        sinon.assert.notCalled(client.cancel);
+      });
+  });
+});
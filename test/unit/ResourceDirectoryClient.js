@@ -0,0 +1,166 @@
+/*globals describe:true,it:true*/
+/*jshint maxlen:999*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+var ResourceDirectoryClient = coap.ResourceDirectoryClient;
+
+function createClient()
+{
+  var client = {
+    requests: [],
+    cancelled: [],
+    discoveryCallback: null
+  };
+
+  client.request = function(request)
+  {
+    client.requests.push(request);
+
+    return request;
+  };
+
+  client.post = function(uri)
+  {
+    return client.request(Message.fromObject({code: Message.Code.POST, uri: uri}));
+  };
+
+  client.discover = function(uri, filter, callback)
+  {
+    client.discoveryCallback = callback;
+
+    return client.request(Message.fromObject({code: Message.Code.GET, uri: uri + '/.well-known/core'}));
+  };
+
+  client.cancel = function(request)
+  {
+    client.cancelled.push(request);
+  };
+
+  return client;
+}
+
+function getUriQuery(request)
+{
+  return request.getOptions(Message.Option.URI_QUERY).map(function(option) { return option.getStringValue(); });
+}
+
+describe("ResourceDirectoryClient", function()
+{
+  it("should throw if the rd option is not specified", function()
+  {
+    (function() { new ResourceDirectoryClient({}, {ep: 'node1'}); }).should.throw("The `rd` option is required.");
+  });
+
+  it("should throw if the ep option is not specified", function()
+  {
+    (function() { new ResourceDirectoryClient({}, {rd: 'coap://127.0.0.1'}); }).should.throw("The `ep` option is required.");
+  });
+
+  it("should not be registered before the registration", function()
+  {
+    var rdClient = new ResourceDirectoryClient({}, {rd: 'coap://127.0.0.1', ep: 'node1'});
+
+    rdClient.isRegistered().should.be.equal(false);
+    (rdClient.getLocation() === null).should.be.equal(true);
+  });
+
+  it("should call back immediately when unregistering an unregistered endpoint", function()
+  {
+    var rdClient = new ResourceDirectoryClient({}, {rd: 'coap://127.0.0.1', ep: 'node1'});
+    var called = false;
+
+    rdClient.unregister(function(err)
+    {
+      (err === null).should.be.equal(true);
+      called = true;
+    });
+
+    called.should.be.equal(true);
+  });
+
+  it("should send each registration parameter as a separate Uri-Query option", function()
+  {
+    var client = createClient();
+    var rdClient = new ResourceDirectoryClient(client, {rd: 'coap://127.0.0.1', ep: 'node 1&lt=1', d: 'a=b#c', lt: 60});
+
+    rdClient.register();
+    client.discoveryCallback(null, [{href: 'coap://127.0.0.1/rd', rt: 'core.rd'}]);
+
+    client.requests.length.should.be.equal(2);
+    client.requests[1].getUriPath().should.be.equal('/rd');
+    getUriQuery(client.requests[1]).should.be.eql(['ep=node 1&lt=1', 'lt=60', 'd=a=b#c']);
+  });
+
+  it("should find an interface by any of the repeated rt attributes", function()
+  {
+    var client = createClient();
+    var rdClient = new ResourceDirectoryClient(client, {rd: 'coap://127.0.0.1', ep: 'node1'});
+
+    rdClient.register();
+    client.discoveryCallback(null, [{href: 'coap://127.0.0.1/rd', rt: ['core.rd-lookup-ep', 'core.rd']}]);
+
+    client.requests.length.should.be.equal(2);
+    client.requests[1].getUriPath().should.be.equal('/rd');
+  });
+
+  it("should retry the registration if the registration request is reset", function()
+  {
+    var clock = sinon.useFakeTimers();
+    var client = createClient();
+    var rdClient = new ResourceDirectoryClient(client, {rd: 'coap://127.0.0.1', ep: 'node1', retryDelay: 1000});
+    var failedSpy = sinon.spy();
+
+    rdClient.on('registration failed', failedSpy);
+    rdClient.register();
+    client.discoveryCallback(null, [{href: 'coap://127.0.0.1/rd', rt: 'core.rd'}]);
+    client.requests[1].emit('reset', new Message());
+
+    sinon.assert.calledOnce(failedSpy);
+    failedSpy.args[0][0].message.should.be.equal("Request to the resource directory was reset.");
+
+    clock.tick(1000);
+    clock.restore();
+
+    client.requests.length.should.be.equal(3);
+    client.requests[2].getUriPath().should.be.equal('/.well-known/core');
+  });
+
+  it("should cancel the discovery request when destroyed", function()
+  {
+    var client = createClient();
+    var rdClient = new ResourceDirectoryClient(client, {rd: 'coap://127.0.0.1', ep: 'node1'});
+
+    rdClient.register();
+    rdClient.destroy();
+
+    client.cancelled.should.be.eql([client.requests[0]]);
+  });
+
+  it("should refresh a registration with a lifetime too long for a timer after the maximum timer delay", function()
+  {
+    var clock = sinon.useFakeTimers();
+    var client = createClient();
+    var rdClient = new ResourceDirectoryClient(client, {rd: 'coap://127.0.0.1', ep: 'node1', lt: 0xFFFFFFFF});
+
+    rdClient.register();
+    client.discoveryCallback(null, [{href: 'coap://127.0.0.1/rd', rt: 'core.rd'}]);
+    client.requests[1].emit('response', Message.fromObject({code: Message.Code.CREATED, locationPath: '/rd/1'}));
+
+    clock.tick(0x7FFFFFFE);
+
+    client.requests.length.should.be.equal(2);
+
+    clock.tick(1);
+    clock.restore();
+
+    client.requests.length.should.be.equal(3);
+    client.requests[2].getUriPath().should.be.equal('/rd/1');
+  });
+});
@@ -0,0 +1,111 @@
+/*globals describe:true,it:true*/
+/*jshint maxlen:999*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var ResourceDirectoryRegistration = require(helpers.LIB_DIR + '/ResourceDirectoryRegistration');
+
+describe("ResourceDirectoryRegistration", function()
+{
+  function createRegistration(timeoutHandler)
+  {
+    return new ResourceDirectoryRegistration(
+      '/rd/1',
+      {ep: 'node1', d: 'lab', base: 'coap://192.168.1.10:5684', lt: 60},
+      timeoutHandler || function() {}
+    );
+  }
+
+  it("should resolve link targets and anchors against the base URI", function()
+  {
+    var registration = createRegistration();
+
+    registration.setLinks([
+      {href: '/sensors/temp', rt: 'temperature-c'},
+      {href: 'coap://192.168.1.11/light', anchor: '/sensors'}
+    ]);
+
+    registration.getResourceLinks().should.be.eql([
+      {href: 'coap://192.168.1.10:5684/sensors/temp', rt: 'temperature-c', anchor: 'coap://192.168.1.10:5684'},
+      {href: 'coap://192.168.1.11/light', anchor: 'coap://192.168.1.10:5684/sensors'}
+    ]);
+
+    registration.destroy();
+  });
+
+  it("should return a link to the registration resource with the endpoint attributes", function()
+  {
+    var registration = createRegistration();
+
+    registration.update({lt: 120, et: 'core.rd-group'});
+
+    registration.getEndpointLink().should.be.eql({
+      href: '/rd/1',
+      ep: 'node1',
+      d: 'lab',
+      et: 'core.rd-group',
+      base: 'coap://192.168.1.10:5684',
+      lt: 120
+    });
+
+    registration.destroy();
+  });
+
+  it("should call the timeout handler after the lifetime unless updated", function()
+  {
+    var clock = sinon.useFakeTimers();
+    var timeoutHandler = sinon.spy();
+    var registration = createRegistration(timeoutHandler);
+
+    clock.tick(59000);
+    registration.update({});
+    clock.tick(59000);
+
+    sinon.assert.notCalled(timeoutHandler);
+
+    clock.tick(1000);
+
+    sinon.assert.calledOnce(timeoutHandler);
+    sinon.assert.calledWithExactly(timeoutHandler, registration);
+
+    registration.destroy();
+    clock.restore();
+  });
+
+  it("should not expire a registration with a lifetime longer than the maximum timer delay", function(done)
+  {
+    var timeoutHandler = sinon.spy();
+    var registration = new ResourceDirectoryRegistration('/rd/1', {ep: 'node1', base: 'coap://192.168.1.10', lt: 0xFFFFFFFF}, timeoutHandler);
+
+    setTimeout(function()
+    {
+      sinon.assert.notCalled(timeoutHandler);
+
+      registration.destroy();
+      done();
+    }, 10);
+  });
+
+  it("should call the timeout handler after a lifetime longer than the maximum timer delay", function()
+  {
+    var clock = sinon.useFakeTimers();
+    var timeoutHandler = sinon.spy();
+    var lifetime = 3000000;
+    var registration = new ResourceDirectoryRegistration('/rd/1', {ep: 'node1', base: 'coap://192.168.1.10', lt: lifetime}, timeoutHandler);
+
+    clock.tick(lifetime * 1000 - 1);
+
+    sinon.assert.notCalled(timeoutHandler);
+
+    clock.tick(1);
+
+    sinon.assert.calledOnce(timeoutHandler);
+
+    registration.destroy();
+    clock.restore();
+  });
+});
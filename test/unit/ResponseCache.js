@@ -0,0 +1,146 @@
+/*globals describe:true,it:true*/
+/*jshint maxlen:999*/
+
+'use strict';
+
+require('should');
+
+var helpers = require('../helpers');
+var Message = require(helpers.LIB_DIR + '/Message');
+var ResponseCache = require(helpers.LIB_DIR + '/ResponseCache');
+
+describe("ResponseCache", function()
+{
+  function createResponse(maxAge)
+  {
+    var response = Message.fromObject({type: Message.Type.ACK, code: Message.Code.CONTENT});
+
+    if (typeof maxAge === 'number')
+    {
+      response.setMaxAge(maxAge);
+    }
+
+    return response;
+  }
+
+  it("should return null for an unknown key", function()
+  {
+    var cache = new ResponseCache(10);
+
+    (cache.get('a') === null).should.be.equal(true);
+    cache.isFresh('a', 0).should.be.equal(false);
+  });
+
+  it("should keep a response fresh for its Max-Age", function()
+  {
+    var cache = new ResponseCache(10);
+    var response = createResponse(5);
+
+    cache.set('a', response, 1000);
+
+    cache.get('a').should.be.equal(response);
+    cache.isFresh('a', 5999).should.be.equal(true);
+    cache.isFresh('a', 6000).should.be.equal(false);
+    cache.get('a').should.be.equal(response);
+  });
+
+  it("should keep a response without the Max-Age option fresh for 60 s", function()
+  {
+    var cache = new ResponseCache(10);
+
+    cache.set('a', createResponse(), 0);
+
+    cache.isFresh('a', 59999).should.be.equal(true);
+    cache.isFresh('a', 60000).should.be.equal(false);
+  });
+
+  it("should refresh a stale entry for the Max-Age of the 2.03 Valid response", function()
+  {
+    var cache = new ResponseCache(10);
+    var response = createResponse(1);
+
+    cache.set('a', response, 0);
+    cache.refresh('a', createResponse(10), 5000).should.be.equal(response);
+
+    cache.isFresh('a', 14999).should.be.equal(true);
+    (cache.refresh('b', createResponse(10), 5000) === null).should.be.equal(true);
+  });
+
+  it("should update the options of the cached response with the options of the 2.03 Valid response", function()
+  {
+    var cache = new ResponseCache(10);
+    var response = createResponse(1);
+
+    response.setETag(new Buffer([0x01]));
+    response.setContentFormat(50);
+
+    var validResponse = createResponse(30);
+
+    validResponse.setETag(new Buffer([0x02]));
+
+    cache.set('a', response, 0);
+    cache.refresh('a', validResponse, 5000);
+
+    response.getMaxAge().should.be.equal(30);
+    response.getETag().should.be.eql([new Buffer([0x02])]);
+    response.getContentFormat().should.be.equal(50);
+  });
+
+  it("should return the remaining Max-Age of an entry", function()
+  {
+    var cache = new ResponseCache(10);
+
+    cache.getRemainingMaxAge('a', 0).should.be.equal(-1);
+    cache.set('a', createResponse(10), 1000);
+
+    cache.getRemainingMaxAge('a', 1000).should.be.equal(10);
+    cache.getRemainingMaxAge('a', 5500).should.be.equal(5);
+    cache.getRemainingMaxAge('a', 10999).should.be.equal(0);
+    cache.getRemainingMaxAge('a', 20000).should.be.equal(0);
+  });
+
+  it("should evict the least recently used entry if the cache is full", function()
+  {
+    var cache = new ResponseCache(2);
+
+    cache.set('a', createResponse(), 0);
+    cache.set('b', createResponse(), 0);
+    cache.get('a');
+    cache.set('c', createResponse(), 0);
+
+    cache.getSize().should.be.equal(2);
+    (cache.get('b') === null).should.be.equal(true);
+    (cache.get('a') === null).should.be.equal(false);
+    (cache.get('c') === null).should.be.equal(false);
+  });
+
+  it("should replace an existing entry without evicting others", function()
+  {
+    var cache = new ResponseCache(2);
+    var response = createResponse();
+
+    cache.set('a', createResponse(), 0);
+    cache.set('b', createResponse(), 0);
+    cache.set('a', response, 0);
+
+    cache.getSize().should.be.equal(2);
+    cache.get('a').should.be.equal(response);
+  });
+
+  it("should remove entries", function()
+  {
+    var cache = new ResponseCache(10);
+
+    cache.set('a', createResponse(), 0);
+    cache.set('b', createResponse(), 0);
+    cache.remove('a');
+    cache.remove('x');
+
+    cache.getSize().should.be.equal(1);
+    (cache.get('a') === null).should.be.equal(true);
+
+    cache.clear();
+
+    cache.getSize().should.be.equal(0);
+  });
+});
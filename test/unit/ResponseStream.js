@@ -0,0 +1,207 @@
+/*globals describe:true,it:true,beforeEach:true*/
+/*jshint maxlen:999*/
+
+'use strict';
+
+require('should');
+
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+var ResponseStream = coap.ResponseStream;
+
+describe("ResponseStream", function()
+{
+  var client;
+  var request;
+
+  beforeEach(function()
+  {
+    client = {cancel: sinon.spy()};
+    request = Message.fromObject({
+      code: Message.Code.GET,
+      uri: '/firmware'
+    });
+  });
+
+  it("should push the payload of a non-blockwise response and end", function(done)
+  {
+    var responseStream = new ResponseStream(client, request);
+    var response = Message.fromObject({
+      code: Message.Code.CONTENT,
+      payload: 'Hello!'
+    });
+    var chunks = [];
+    var responseSpy = sinon.spy();
+
+    responseStream.on('data', function(chunk) { chunks.push(chunk); });
+    responseStream.on('response', responseSpy);
+    responseStream.on('end', function()
+    {
+      Buffer.concat(chunks).toString().should.be.equal('Hello!');
+      sinon.assert.calledWith(responseSpy, response);
+
+      done();
+    });
+
+    request.emit('response', response);
+  });
+
+  it("should not push the payload of the final response if the blocks were pushed", function(done)
+  {
+    var responseStream = new ResponseStream(client, request);
+    var chunks = [];
+
+    responseStream.on('data', function(chunk) { chunks.push(chunk); });
+    responseStream.on('end', function()
+    {
+      Buffer.concat(chunks).toString().should.be.equal('AB');
+
+      done();
+    });
+
+    responseStream.pushBlock(new Buffer('A'));
+    responseStream.pushBlock(new Buffer('B'));
+
+    request.emit('response', Message.fromObject({
+      code: Message.Code.CONTENT,
+      payload: 'AB'
+    }));
+  });
+
+  it("should emit a ResponseError if the response has an error code", function(done)
+  {
+    var responseStream = new ResponseStream(client, request);
+    var response = Message.fromObject({code: Message.Code.NOT_FOUND});
+
+    responseStream.on('error', function(err)
+    {
+      err.should.be.instanceOf(coap.errors.ResponseError);
+      err.message.should.be.equal("Request failed with 4.04 Not Found.");
+      err.response.should.be.equal(response);
+
+      done();
+    });
+
+    request.emit('response', response);
+  });
+
+  it("should emit the error only once", function()
+  {
+    var responseStream = new ResponseStream(client, request);
+    var errorSpy = sinon.spy();
+
+    responseStream.on('error', errorSpy);
+
+    request.emit('timeout');
+    request.emit('reset', Message.fromObject({type: Message.Type.RST}));
+
+    sinon.assert.calledOnce(errorSpy);
+    errorSpy.args[0][0].should.be.instanceOf(coap.errors.TimeoutError);
+  });
+
+  it("should emit a SocketError if the request couldn't be sent", function()
+  {
+    var responseStream = new ResponseStream(client, request);
+    var errorSpy = sinon.spy();
+    var sendError = new Error("send EHOSTUNREACH");
+
+    responseStream.on('error', errorSpy);
+
+    request.emit('error', sendError);
+
+    sinon.assert.calledOnce(errorSpy);
+    errorSpy.args[0][0].should.be.instanceOf(coap.errors.SocketError);
+    errorSpy.args[0][0].cause.should.be.equal(sendError);
+  });
+
+  it("should emit the RequestError emitted by the request", function()
+  {
+    var responseStream = new ResponseStream(client, request);
+    var errorSpy = sinon.spy();
+    var resolveError = new coap.errors.HostResolutionError(
+      request, 'sensor.local', new Error("getaddrinfo ENOTFOUND sensor.local")
+    );
+
+    responseStream.on('error', errorSpy);
+
+    request.emit('error', resolveError);
+
+    sinon.assert.calledOnce(errorSpy);
+    sinon.assert.calledWith(errorSpy, resolveError);
+  });
+
+  it("should call the demand handler after the consumer reads", function()
+  {
+    var responseStream = new ResponseStream(client, request, {highWaterMark: 2});
+    var demandSpy = sinon.spy();
+
+    responseStream.pushBlock(new Buffer('AB'));
+
+    responseStream.isReady().should.be.equal(false);
+
+    responseStream.waitForDemand(demandSpy);
+
+    sinon.assert.notCalled(demandSpy);
+
+    responseStream.read().toString().should.be.equal('AB');
+
+    sinon.assert.calledOnce(demandSpy);
+    responseStream.isReady().should.be.equal(true);
+  });
+
+  it("should emit a CancelledError if the request is cancelled", function()
+  {
+    var responseStream = new ResponseStream(client, request);
+    var errorSpy = sinon.spy();
+
+    responseStream.on('error', errorSpy);
+
+    request.emit('cancelled');
+
+    sinon.assert.calledOnce(errorSpy);
+    errorSpy.args[0][0].should.be.instanceOf(coap.errors.CancelledError);
+    errorSpy.args[0][0].request.should.be.equal(request);
+  });
+
+  it("should cancel the request and forget the demand handler if destroyed before the end", function()
+  {
+    var responseStream = new ResponseStream(client, request, {highWaterMark: 2});
+    var demandSpy = sinon.spy();
+    var errorSpy = sinon.spy();
+
+    responseStream.on('error', errorSpy);
+    responseStream.pushBlock(new Buffer('AB'));
+    responseStream.waitForDemand(demandSpy);
+
+    responseStream.destroy();
+
+    sinon.assert.calledOnce(client.cancel);
+    sinon.assert.calledWith(client.cancel, request);
+
+    request.emit('cancelled');
+    responseStream._read();
+
+    sinon.assert.notCalled(demandSpy);
+    sinon.assert.notCalled(errorSpy);
+  });
+
+  it("should not cancel the request if destroyed after the end", function(done)
+  {
+    var responseStream = new ResponseStream(client, request);
+
+    responseStream.on('data', function() {});
+    responseStream.on('close', function()
+    {
+      sinon.assert.notCalled(client.cancel);
+
+      done();
+    });
+
+    request.emit('response', Message.fromObject({
+      code: Message.Code.CONTENT,
+      payload: 'Hello!'
+    }));
+  });
+});
@@ -0,0 +1,99 @@
+/*globals describe:true,it:true*/
+/*jshint maxlen:999*/
+
+'use strict';
+
+require('should');
+
+var helpers = require('../helpers');
+var RtoEstimator = require(helpers.LIB_DIR + '/RtoEstimator');
+
+describe("RtoEstimator", function()
+{
+  it("should start with the initial RTO", function()
+  {
+    var rtoEstimator = new RtoEstimator(2000, 0);
+
+    rtoEstimator.getRto(0).should.be.equal(2000);
+    rtoEstimator.toJSON().should.be.eql({
+      rto: 2000,
+      updatedAt: 0,
+      strong: {srtt: -1, rttvar: -1, rto: -1, samples: 0},
+      weak: {srtt: -1, rttvar: -1, rto: -1, samples: 0}
+    });
+  });
+
+  it("should blend the strong estimates with the weight of 0.5", function()
+  {
+    var rtoEstimator = new RtoEstimator(2000, 0);
+
+    rtoEstimator.addSample(100, 0, 100).should.be.equal(true);
+    rtoEstimator.getRto(100).should.be.equal(1150);
+
+    rtoEstimator.addSample(200, 0, 300).should.be.equal(true);
+
+    var strong = rtoEstimator.toJSON().strong;
+
+    strong.rttvar.should.be.equal(0.75 * 50 + 0.25 * 100);
+    strong.srtt.should.be.equal(0.875 * 100 + 0.125 * 200);
+    strong.rto.should.be.equal(strong.srtt + 4 * strong.rttvar);
+    rtoEstimator.getRto(300).should.be.equal(0.5 * strong.rto + 0.5 * 1150);
+  });
+
+  it("should blend the weak estimates with the weight of 0.25", function()
+  {
+    var rtoEstimator = new RtoEstimator(2000, 0);
+
+    rtoEstimator.addSample(1200, 2, 1200).should.be.equal(true);
+
+    rtoEstimator.toJSON().weak.rto.should.be.equal(1800);
+    rtoEstimator.getRto(1200).should.be.equal(0.25 * 1800 + 0.75 * 2000);
+  });
+
+  it("should ignore the samples of requests retransmitted more than twice", function()
+  {
+    var rtoEstimator = new RtoEstimator(2000, 0);
+
+    rtoEstimator.addSample(9000, 3, 9000).should.be.equal(false);
+    rtoEstimator.getRto(9000).should.be.equal(2000);
+  });
+
+  it("should use the variable backoff factor", function()
+  {
+    var rtoEstimator = new RtoEstimator(2000, 0);
+
+    rtoEstimator.getBackoffFactor(999).should.be.equal(3);
+    rtoEstimator.getBackoffFactor(1000).should.be.equal(2);
+    rtoEstimator.getBackoffFactor(3000).should.be.equal(2);
+    rtoEstimator.getBackoffFactor(3001).should.be.equal(1.5);
+  });
+
+  it("should double a small RTO not updated for 16 RTOs", function()
+  {
+    var rtoEstimator = new RtoEstimator(2000, 0);
+
+    rtoEstimator.addSample(10, 0, 0);
+    rtoEstimator.addSample(10, 0, 0);
+    rtoEstimator.addSample(10, 0, 0);
+    rtoEstimator.addSample(10, 0, 0);
+
+    var rto = rtoEstimator.getRto(0);
+
+    rto.should.be.below(1000);
+    rtoEstimator.getRto(16 * rto - 1).should.be.equal(rto);
+    rtoEstimator.getRto(16 * rto).should.be.equal(rto * 2);
+  });
+
+  it("should move a large RTO not updated for 4 RTOs towards the initial RTO", function()
+  {
+    var rtoEstimator = new RtoEstimator(2000, 0);
+
+    rtoEstimator.addSample(5000, 0, 0);
+
+    var rto = rtoEstimator.getRto(0);
+
+    rto.should.be.equal(0.5 * 15000 + 0.5 * 2000);
+    rtoEstimator.getRto(4 * rto - 1).should.be.equal(rto);
+    rtoEstimator.getRto(4 * rto).should.be.equal((2000 + rto) / 2);
+  });
+});
@@ -0,0 +1,232 @@
+/*globals describe:true,it:true*/
+/*jshint maxlen:999*/
+
+'use strict';
+
+require('should');
+
+var dgram = require('dgram');
+var sinon = require('sinon');
+var helpers = require('../helpers');
+var coap = require(helpers.LIB_DIR);
+var Message = coap.Message;
+var Server = coap.Server;
+var ServerObserver = require(helpers.LIB_DIR + '/ServerObserver');
+
+describe("Server", function()
+{
+  it("should emit an Error if an invalid Message was received", function()
+  {
+    var socket4 = dgram.createSocket('udp4');
+    var server = new Server({socket4: socket4, socket6: false});
+    var errorSpy = sinon.spy();
+
+    server.on('error', errorSpy);
+
+    socket4.emit('message', new Buffer(5), {address: '127.0.0.1', port: 5683});
+
+    sinon.assert.calledWith(errorSpy, sinon.match.instanceOf(Error));
+
+    server.destroy();
+  });
+
+  it("should re-emit socket errors", function()
+  {
+    var socket4 = dgram.createSocket('udp4');
+    var server = new Server({socket4: socket4, socket6: false});
+    var errorSpy = sinon.spy();
+    var error = new Error();
+
+    server.on('error', errorSpy);
+
+    socket4.emit('error', error);
+
+    sinon.assert.calledWith(errorSpy, error);
+
+    server.destroy();
+  });
+
+  it("should bind the sockets to the default port", function()
+  {
+    var socket4 = dgram.createSocket('udp4');
+    var bindStub = sinon.stub(socket4, 'bind');
+    var server = new Server({socket4: socket4, socket6: false});
+
+    server.bind();
+
+    sinon.assert.calledWith(bindStub, 5683);
+
+    server.destroy();
+  });
+
+  it("should bind the sockets to the specified port", function()
+  {
+    var socket4 = dgram.createSocket('udp4');
+    var bindStub = sinon.stub(socket4, 'bind');
+    var server = new Server({socket4: socket4, socket6: false});
+
+    server.bind(1337);
+
+    sinon.assert.calledWith(bindStub, 1337);
+
+    server.destroy();
+  });
+
+  describe("resource", function()
+  {
+    it("should return the same resource for the same Uri-Path", function()
+    {
+      var server = new Server({socket4: false, socket6: false});
+
+      server.resource('/foo/bar').should.be.equal(server.resource('foo/bar'));
+
+      server.destroy();
+    });
+
+    it("should register a new resource", function()
+    {
+      var server = new Server({socket4: false, socket6: false});
+
+      server.hasResource('/foo').should.be.equal(false);
+
+      server.resource('/foo').getUriPath().should.be.equal('/foo');
+
+      server.hasResource('/foo').should.be.equal(true);
+
+      server.destroy();
+    });
+  });
+
+  describe("removeResource", function()
+  {
+    it("should remove the specified resource", function()
+    {
+      var server = new Server({socket4: false, socket6: false});
+
+      server.resource('/foo');
+      server.removeResource('/foo');
+
+      server.hasResource('/foo').should.be.equal(false);
+
+      server.destroy();
+    });
+  });
+
+  describe("get", function()
+  {
+    it("should register the specified handler for GET requests", function()
+    {
+      var server = new Server({socket4: false, socket6: false});
+      var handler = function() {};
+
+      var resource = server.get('/foo', handler);
+
+      resource.getHandler(Message.Code.GET).should.be.equal(handler);
+      (resource.getHandler(Message.Code.POST) === null).should.be.equal(true);
+
+      server.destroy();
+    });
+  });
+
+  it("should register /.well-known/core and not list it in links", function()
+  {
+    var server = new Server({socket4: false, socket6: false});
+
+    server.get('/foo', function() {}).setLinkAttributes({rt: 'foo', ct: 0});
+
+    server.hasResource('/.well-known/core').should.be.equal(true);
+    server.getLinks().should.be.eql([{href: '/foo', rt: 'foo', ct: 0}]);
+
+    server.destroy();
+  });
+
+  it("should send a smaller block at the same offset if the client requested a block bigger than maxBlockSize", function()
+  {
+    var server = new Server({socket4: false, socket6: false, maxBlockSize: 64});
+    var request = Message.fromObject({
+      type: Message.Type.CON,
+      code: Message.Code.GET,
+      uri: '/foo',
+      block2: {num: 2, m: false, size: 256}
+    });
+
+    server.getBlock2Range(request).should.be.eql({num: 8, size: 64, offset: 512});
+
+    server.destroy();
+  });
+
+  describe("ServerResource", function()
+  {
+    it("should throw if a handler is registered for a response code", function()
+    {
+      var server = new Server({socket4: false, socket6: false});
+      var resource = server.resource('/foo');
+
+      function testResponseCode()
+      {
+        resource.setHandler(Message.Code.CONTENT, function() {});
+      }
+
+      testResponseCode.should.throw();
+
+      server.destroy();
+    });
+
+    it("should unregister a handler if null is specified", function()
+    {
+      var server = new Server({socket4: false, socket6: false});
+      var resource = server.put('/foo', function() {});
+
+      resource.put(null);
+
+      (resource.getHandler(Message.Code.PUT) === null).should.be.equal(true);
+
+      server.destroy();
+    });
+  });
+
+  describe("ServerObserver", function()
+  {
+    function createRequest()
+    {
+      return Message.fromObject({
+        type: Message.Type.CON,
+        code: Message.Code.GET,
+        token: new Buffer([0x01]),
+        observe: 0,
+        uri: '/foo'
+      });
+    }
+
+    it("should wrap the Observe value around after 2^24-1", function()
+    {
+      var observer = new ServerObserver(createRequest());
+
+      observer.observeValue = 0xFFFFFE;
+
+      observer.nextObserveValue().should.be.equal(0xFFFFFF);
+      observer.nextObserveValue().should.be.equal(0);
+      observer.nextObserveValue().should.be.equal(1);
+    });
+
+    it("should require a confirmation after the specified interval", function()
+    {
+      var clock = sinon.useFakeTimers(Date.now());
+      var observer = new ServerObserver(createRequest());
+
+      clock.tick(999);
+
+      observer.isConfirmationRequired(1000).should.be.equal(false);
+
+      clock.tick(1);
+
+      observer.isConfirmationRequired(1000).should.be.equal(true);
+
+      observer.confirm();
+
+      observer.isConfirmationRequired(1000).should.be.equal(false);
+
+      clock.restore();
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/*globals describe:true,it:true*/
+/*jshint maxlen:999*/
+
+'use strict';
+
+require('should');
+
+var helpers = require('../helpers');
+var TokenBucket = require(helpers.LIB_DIR + '/TokenBucket');
+
+describe("TokenBucket", function()
+{
+  it("should start full", function()
+  {
+    var tokenBucket = new TokenBucket(10, 100, 0);
+
+    tokenBucket.getTokens(0).should.be.equal(100);
+    tokenBucket.getDelay(100, 0).should.be.equal(0);
+  });
+
+  it("should take the available tokens", function()
+  {
+    var tokenBucket = new TokenBucket(10, 100, 0);
+
+    tokenBucket.take(60, 0).should.be.equal(0);
+    tokenBucket.getTokens(0).should.be.equal(40);
+  });
+
+  it("should return a delay if the tokens are not available", function()
+  {
+    var tokenBucket = new TokenBucket(10, 100, 0);
+
+    tokenBucket.take(60, 0).should.be.equal(0);
+    tokenBucket.take(45, 0).should.be.equal(500);
+    tokenBucket.getTokens(0).should.be.equal(40);
+    tokenBucket.take(45, 499).should.be.equal(1);
+    tokenBucket.take(45, 500).should.be.equal(0);
+    tokenBucket.getTokens(500).should.be.equal(0);
+  });
+
+  it("should not refill above the capacity", function()
+  {
+    var tokenBucket = new TokenBucket(10, 100, 0);
+
+    tokenBucket.take(100, 0).should.be.equal(0);
+    tokenBucket.getTokens(60000).should.be.equal(100);
+  });
+
+  it("should allow taking more tokens than the capacity from a full bucket", function()
+  {
+    var tokenBucket = new TokenBucket(10, 100, 0);
+
+    tokenBucket.take(150, 0).should.be.equal(0);
+    tokenBucket.getTokens(0).should.be.equal(-50);
+    tokenBucket.getDelay(10, 0).should.be.equal(6000);
+  });
+});
@@ -0,0 +1,167 @@
+/*globals describe:true,it:true*/
+/*jshint maxlen:999*/
+
+'use strict';
+
+require('should');
+
+var helpers = require('../helpers');
+var linkFormat = require(helpers.LIB_DIR + '/linkFormat');
+
+describe("linkFormat", function()
+{
+  var links = [
+    {href: '/sensors/temp', rt: 'temperature-c', 'if': 'sensor', ct: 0, obs: true},
+    {href: '/sensors/light', rt: ['light-lux', 'core.sen-light'], 'if': 'sensor', ct: [0, 50]},
+    {href: '/config', ct: 50, title: 'Device "A" config'}
+  ];
+
+  describe("parse", function()
+  {
+    it("should return an empty array for an empty string", function()
+    {
+      linkFormat.parse('').should.be.eql([]);
+      linkFormat.parse('  ').should.be.eql([]);
+    });
+
+    it("should parse a link without attributes", function()
+    {
+      linkFormat.parse('</foo>').should.be.eql([{href: '/foo'}]);
+    });
+
+    it("should parse flags, tokens, numbers and quoted strings", function()
+    {
+      linkFormat.parse('</sensors/temp>;rt="temperature-c";if=sensor;ct=0;obs;sz=12a').should.be.eql([
+        {href: '/sensors/temp', rt: 'temperature-c', 'if': 'sensor', ct: 0, obs: true, sz: '12a'}
+      ]);
+    });
+
+    it("should not convert quoted numbers", function()
+    {
+      linkFormat.parse('</foo>;ct="0 50";title="42"').should.be.eql([{href: '/foo', ct: '0 50', title: '42'}]);
+    });
+
+    it("should unescape quoted strings and allow separators inside them", function()
+    {
+      linkFormat.parse('</config>;title="Device \\"A\\", config; \\\\ <1>"').should.be.eql([
+        {href: '/config', title: 'Device "A", config; \\ <1>'}
+      ]);
+    });
+
+    it("should parse multiple links separated by commas and whitespace", function()
+    {
+      linkFormat.parse(' </a>;obs ,\n</b> ; ct = 40,\r\n<coap://example.com/c>').should.be.eql([
+        {href: '/a', obs: true},
+        {href: '/b', ct: 40},
+        {href: 'coap://example.com/c'}
+      ]);
+    });
+
+    it("should collect values of repeated attributes in an array", function()
+    {
+      linkFormat.parse('</a>;rel=next;rel="alternate";rel=1').should.be.eql([{href: '/a', rel: ['next', 'alternate', 1]}]);
+    });
+
+    it("should parse a string produced by stringify", function()
+    {
+      linkFormat.parse(linkFormat.stringify(links)).should.be.eql([
+        {href: '/sensors/temp', rt: 'temperature-c', 'if': 'sensor', ct: 0, obs: true},
+        {href: '/sensors/light', rt: 'light-lux core.sen-light', 'if': 'sensor', ct: '0 50'},
+        {href: '/config', ct: 50, title: 'Device "A" config'}
+      ]);
+    });
+
+    it("should throw if a link doesn't start with <", function()
+    {
+      (function() { linkFormat.parse('/foo'); }).should.throw(/Expected `<` at position 0/);
+    });
+
+    it("should throw if a link target is not terminated", function()
+    {
+      (function() { linkFormat.parse('</foo;ct=0'); }).should.throw(/Unterminated link target/);
+    });
+
+    it("should throw if a quoted string is not terminated", function()
+    {
+      (function() { linkFormat.parse('</foo>;title="bar'); }).should.throw(/Unterminated quoted string at position 13/);
+    });
+
+    it("should throw if links are not separated by commas", function()
+    {
+      (function() { linkFormat.parse('</a> </b>'); }).should.throw(/Expected `,` at position 5/);
+    });
+
+    it("should throw if a parameter name is missing", function()
+    {
+      (function() { linkFormat.parse('</a>;=1'); }).should.throw(/Expected a link parameter name/);
+    });
+  });
+
+  describe("stringify", function()
+  {
+    it("should serialize a link without attributes", function()
+    {
+      linkFormat.stringify([{href: '/foo'}]).should.be.equal('</foo>');
+    });
+
+    it("should serialize flags, numbers, strings and lists", function()
+    {
+      linkFormat.stringify(links).should.be.equal(
+        '</sensors/temp>;rt="temperature-c";if="sensor";ct=0;obs,'
+          + '</sensors/light>;rt="light-lux core.sen-light";if="sensor";ct="0 50",'
+          + '</config>;ct=50;title="Device \\"A\\" config"'
+      );
+    });
+
+    it("should skip attributes with false and null values", function()
+    {
+      linkFormat.stringify([{href: '/foo', obs: false, title: null}]).should.be.equal('</foo>');
+    });
+  });
+
+  describe("filter", function()
+  {
+    function hrefs(links)
+    {
+      return links.map(function(link) { return link.href; });
+    }
+
+    it("should return all links if there are no query parameters", function()
+    {
+      hrefs(linkFormat.filter(links, [])).should.be.eql(['/sensors/temp', '/sensors/light', '/config']);
+    });
+
+    it("should match an exact attribute value", function()
+    {
+      hrefs(linkFormat.filter(links, ['rt=temperature-c'])).should.be.eql(['/sensors/temp']);
+      hrefs(linkFormat.filter(links, ['rt=temperature'])).should.be.eql([]);
+    });
+
+    it("should match any of the space-separated values of list attributes", function()
+    {
+      hrefs(linkFormat.filter(links, ['rt=core.sen-light'])).should.be.eql(['/sensors/light']);
+    });
+
+    it("should match a value prefix if the value ends with *", function()
+    {
+      hrefs(linkFormat.filter(links, ['rt=light*'])).should.be.eql(['/sensors/light']);
+      hrefs(linkFormat.filter(links, ['href=/sensors*'])).should.be.eql(['/sensors/temp', '/sensors/light']);
+    });
+
+    it("should match numeric values", function()
+    {
+      hrefs(linkFormat.filter(links, ['ct=50'])).should.be.eql(['/sensors/light', '/config']);
+    });
+
+    it("should match links with the specified attribute if the parameter has no value", function()
+    {
+      hrefs(linkFormat.filter(links, ['obs'])).should.be.eql(['/sensors/temp']);
+    });
+
+    it("should match links matching all of the specified parameters", function()
+    {
+      hrefs(linkFormat.filter(links, ['if=sensor', 'ct=0'])).should.be.eql(['/sensors/temp', '/sensors/light']);
+      hrefs(linkFormat.filter(links, ['if=sensor', 'obs'])).should.be.eql(['/sensors/temp']);
+    });
+  });
+});